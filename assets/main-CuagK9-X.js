@@ -1,3 +1,4 @@
+import{ResetManager}from"/conways-arcade-online/src/installation/ResetManager.js";import{AccessibilityManager}from"/conways-arcade-online/src/installation/AccessibilityManager.js";
 (function(){const e=document.createElement("link").relList;if(e&&e.supports&&e.supports("modulepreload"))return;for(const n of document.querySelectorAll('link[rel="modulepreload"]'))i(n);new MutationObserver(n=>{for(const a of n)if(a.type==="childList")for(const r of a.addedNodes)r.tagName==="LINK"&&r.rel==="modulepreload"&&i(r)}).observe(document,{childList:!0,subtree:!0});function t(n){const a={};return n.integrity&&(a.integrity=n.integrity),n.referrerPolicy&&(a.referrerPolicy=n.referrerPolicy),n.crossOrigin==="use-credentials"?a.credentials="include":n.crossOrigin==="anonymous"?a.credentials="omit":a.credentials="same-origin",a}function i(n){if(n.ep)return;n.ep=!0;const a=t(n);fetch(n.href,a)}})();const ie=!1,Y=typeof window<"u"&&typeof window.DEBUG<"u"?window.DEBUG:ie;function s(...o){Y&&console.log(...o)}function x(...o){Y&&console.warn(...o)}function c(...o){console.error(...o)}class E{static SCREENS={IDLE:"idle",WELCOME:"welcome",GALLERY:"gallery",CODE:"code",GAME:"game",SCORE:"score",LEADERBOARD:"leaderboard",QR:"qr"};static TRANSITIONS={idle:["welcome"],welcome:["gallery","idle"],gallery:["code","idle"],code:["game","idle"],game:["score","idle"],score:["leaderboard","game","idle"],leaderboard:["qr","gallery","idle"],qr:["idle"]};constructor(){this.currentScreen=E.SCREENS.IDLE,this.selectedGame=null,this.currentScore=null,this.playerName=null,this.scoreTimestamp=null,this.timeoutHandles={},this.observers=[]}transition(e){if(!Object.values(E.SCREENS).includes(e))return c(`Invalid screen: ${e}`),!1;if(!E.TRANSITIONS[this.currentScreen].includes(e))return c(`Invalid transition: ${this.currentScreen} → ${e}`),!1;this.clearAllTimeouts();const i=this.currentScreen;return this.currentScreen=e,s(`Screen transition: ${i} → ${e}`),this.notifyObservers(e,i),!0}setGame(e){if(!e||!e.id||!e.name||!e.path){c("Invalid game object:",e);return}this.selectedGame=e,s("Selected game:",e.name)}setScore(e){if(typeof e!="number"||e<0){c("Invalid score:",e);return}this.currentScore=e,s("Score set:",e)}setPlayerName(e){if(typeof e!="string"||e.length!==3||!/^[A-Z]{3}$/.test(e)){c("Invalid player name (must be 3 letters A-Z):",e);return}this.playerName=e,s("Player name set:",e)}setScoreTimestamp(e){if(typeof e!="string"){c("Invalid score timestamp:",e);return}this.scoreTimestamp=e,s("Score timestamp set:",e)}reset(){s("Resetting AppState to idle"),this.selectedGame=null,this.currentScore=null,this.playerName=null,this.scoreTimestamp=null,this.clearAllTimeouts();const e=this.currentScreen;this.currentScreen=E.SCREENS.IDLE,this.notifyObservers(E.SCREENS.IDLE,e)}addObserver(e){if(typeof e!="function"){c("Observer must be a function");return}this.observers.push(e),s("Observer registered, total:",this.observers.length)}subscribe(e){if(typeof e!="function")return c("Subscribe callback must be a function"),()=>{};const t=()=>{e(this.getState())};return this.observers.push(t),s("Subscriber registered, total:",this.observers.length),()=>{const i=this.observers.indexOf(t);i>-1&&(this.observers.splice(i,1),s("Subscriber removed, total:",this.observers.length))}}notifyObservers(e,t){this.observers.forEach(i=>{try{i(e,t)}catch(n){c("Observer callback error:",n)}})}setTimeout(e,t,i="default"){this.timeoutHandles[i]&&clearTimeout(this.timeoutHandles[i]),this.timeoutHandles[i]=setTimeout(()=>{s(`Auto-advance timeout: ${this.currentScreen} → ${t}`),this.transition(t),delete this.timeoutHandles[i]},e),s(`Timeout set: ${e}ms → ${t} (ID: ${i})`)}clearTimeout(e){this.timeoutHandles[e]&&(clearTimeout(this.timeoutHandles[e]),delete this.timeoutHandles[e],s(`Cleared timeout: ${e}`))}clearAllTimeouts(){Object.keys(this.timeoutHandles).forEach(e=>{clearTimeout(this.timeoutHandles[e])}),this.timeoutHandles={},s("All timeouts cleared")}getState(){return{currentScreen:this.currentScreen,selectedGame:this.selectedGame,currentScore:this.currentScore,playerName:this.playerName,scoreTimestamp:this.scoreTimestamp}}}class g{static KEY_PREFIX="scores_";static MAX_SCORES=50;constructor(){this.isAvailable=this.testLocalStorage(),this.isAvailable||x("localStorage not available - scores will not persist")}testLocalStorage(){try{const e="__storage_test__";return localStorage.setItem(e,"test"),localStorage.removeItem(e),!0}catch{return!1}}saveScore(e,t,i){if(!this.isAvailable)return x("Cannot save score - localStorage not available"),!1;if(!e||typeof e!="string")return c("Invalid gameName:",e),!1;if(!t||typeof t!="string"||t.length!==3)return c("Invalid playerName (must be 3 letters):",t),!1;if(typeof i!="number"||i<0)return c("Invalid score:",i),!1;try{const n=this.getScores(e);n.push({name:t.toUpperCase(),score:i,date:new Date().toISOString()}),n.sort((l,h)=>h.score-l.score);const a=n.slice(0,g.MAX_SCORES),r=g.KEY_PREFIX+e;return localStorage.setItem(r,JSON.stringify(a)),s(`Score saved: ${e} - ${t}: ${i}`),!0}catch(n){if(n.name==="QuotaExceededError"){x("localStorage quota exceeded, clearing old scores"),this.handleQuotaExceeded(e);try{const a=this.getScores(e);a.push({name:t.toUpperCase(),score:i,date:new Date().toISOString()}),a.sort((h,m)=>m.score-h.score);const r=a.slice(0,g.MAX_SCORES),l=g.KEY_PREFIX+e;return localStorage.setItem(l,JSON.stringify(r)),s("Score saved after quota cleanup"),!0}catch(a){return c("Failed to save score after retry:",a),!1}}else return c("Error saving score:",n),!1}}getScores(e){if(!this.isAvailable)return[];if(!e||typeof e!="string")return c("Invalid gameName:",e),[];try{const t=g.KEY_PREFIX+e,i=localStorage.getItem(t);if(!i)return[];const n=JSON.parse(i);if(!Array.isArray(n))return c("Invalid scores data structure for",e),[];const a=n.filter(r=>r&&typeof r.name=="string"&&typeof r.score=="number"&&typeof r.date=="string");return a.sort((r,l)=>l.score-r.score),a.slice(0,g.MAX_SCORES)}catch(t){return c("Error loading scores:",t),[]}}isHighScore(e,t){if(typeof t!="number"||t<0)return!1;const i=this.getScores(e);if(i.length<g.MAX_SCORES)return!0;const n=i[i.length-1].score;return t>n}clearScores(e){if(!this.isAvailable)return!1;if(!e||typeof e!="string")return c("Invalid gameName:",e),!1;try{const t=g.KEY_PREFIX+e;return localStorage.removeItem(t),s(`Cleared scores for: ${e}`),!0}catch(t){return c("Error clearing scores:",t),!1}}handleQuotaExceeded(e){s("Handling localStorage quota exceeded");try{const t=[];for(let i=0;i<localStorage.length;i++){const n=localStorage.key(i);n&&n.startsWith(g.KEY_PREFIX)&&t.push(n)}t.forEach(i=>{i!==g.KEY_PREFIX+e&&(localStorage.removeItem(i),s("Removed old scores:",i))})}catch(t){c("Error handling quota:",t)}}getAllGames(){if(!this.isAvailable)return[];try{const e=[];for(let t=0;t<localStorage.length;t++){const i=localStorage.key(t);if(i&&i.startsWith(g.KEY_PREFIX)){const n=i.substring(g.KEY_PREFIX.length);e.push(n)}}return e}catch(e){return c("Error getting games:",e),[]}}getTotalScoreCount(){if(!this.isAvailable)return 0;const e=this.getAllGames();let t=0;return e.forEach(i=>{const n=this.getScores(i);t+=n.length}),t}}class se{static KEYS={SPACE:" ",ESCAPE:"Escape",ENTER:"Enter",ARROW_UP:"ArrowUp",ARROW_DOWN:"ArrowDown",ARROW_LEFT:"ArrowLeft",ARROW_RIGHT:"ArrowRight",ONE:"1",TWO:"2",THREE:"3",FOUR:"4",FIVE:"5",SIX:"6",SEVEN:"7",A:"a",D:"d",W:"w",S:"s"};constructor(){this.pressedKeys=new Map,this.justPressedKeys=new Set,this.keyPressCallbacks=[],this.handleKeyDown=this.handleKeyDown.bind(this),this.handleKeyUp=this.handleKeyUp.bind(this),this.startListening(),this.preventDefaults()}startListening(){window.addEventListener("keydown",this.handleKeyDown),window.addEventListener("keyup",this.handleKeyUp),s("InputManager: Listening for keyboard events")}stopListening(){window.removeEventListener("keydown",this.handleKeyDown),window.removeEventListener("keyup",this.handleKeyUp),s("InputManager: Stopped listening")}handleKeyDown(e){const t=e.key;this.isArcadeKey(t)&&e.preventDefault(),this.pressedKeys.has(t)||(this.justPressedKeys.add(t),this.pressedKeys.set(t,!0),this.triggerKeyPressCallbacks(t,e),setTimeout(()=>{this.justPressedKeys.delete(t)},100))}handleKeyUp(e){const t=e.key;this.pressedKeys.delete(t),this.justPressedKeys.delete(t)}isPressed(e){return this.pressedKeys.has(e)}wasJustPressed(e){return this.justPressedKeys.has(e)}onKeyPress(e){if(typeof e!="function"){c("Callback must be a function");return}this.keyPressCallbacks.push(e)}offKeyPress(e){const t=this.keyPressCallbacks.indexOf(e);t>-1&&this.keyPressCallbacks.splice(t,1)}triggerKeyPressCallbacks(e,t){this.keyPressCallbacks.forEach(i=>{try{i(e,t)}catch(n){c("Key press callback error:",n)}})}isArcadeKey(e){return[" ","Escape","Enter","ArrowUp","ArrowDown","ArrowLeft","ArrowRight","1","2","3","4","5","6","7","8","a","A","d","D","w","W","s","S"].includes(e)}getThemeFromKey(e){return["1","2","3","4"].includes(e)?"day":["5","6","7","8"].includes(e)?"night":null}preventDefaults(){window.addEventListener("keydown",e=>{e.key==="F11"&&e.preventDefault()}),window.addEventListener("keydown",e=>{e.ctrlKey&&e.key==="w"&&e.preventDefault()}),window.addEventListener("keydown",e=>{e.key==="Backspace"&&e.target===document.body&&e.preventDefault()}),s("InputManager: Browser defaults prevented (Space handled in handleKeyDown)")}clear(){this.pressedKeys.clear(),this.justPressedKeys.clear()}getPressedKeys(){return Array.from(this.pressedKeys.keys())}destroy(){this.stopListening(),this.keyPressCallbacks=[],this.clear(),s("InputManager: Destroyed")}}class G{static MESSAGE_TYPE="gameOver";static DEFAULT_TIMEOUT=15e3;constructor(){this.gameOverCallbacks=[],this.timeoutHandle=null,this.handleMessage=this.handleMessage.bind(this),this.listening=!1}startListening(e=G.DEFAULT_TIMEOUT){if(this.listening){x("IframeComm already listening");return}window.addEventListener("message",this.handleMessage),this.listening=!0,e>0&&(this.timeoutHandle=setTimeout(()=>{x("IframeComm: Timeout - no gameOver message received"),this.triggerTimeout()},e)),s(`IframeComm: Listening for messages (timeout: ${e}ms)`)}stopListening(){this.listening&&(window.removeEventListener("message",this.handleMessage),this.listening=!1,this.timeoutHandle&&(clearTimeout(this.timeoutHandle),this.timeoutHandle=null),s("IframeComm: Stopped listening"))}handleMessage(e){if(!e.data||typeof e.data!="object")return;const{type:t,payload:i}=e.data;if(t===G.MESSAGE_TYPE){if(!i||typeof i!="object"){c("Invalid gameOver payload:",i);return}if(typeof i.score!="number"||i.score<0){c("Invalid score in gameOver payload:",i.score);return}s("IframeComm: Received gameOver message:",i.score),this.timeoutHandle&&(clearTimeout(this.timeoutHandle),this.timeoutHandle=null),this.sendAcknowledgment(e.source),this.triggerGameOverCallbacks(i.score),this.stopListening()}}sendAcknowledgment(e){try{e.postMessage({type:"acknowledged"},"*"),s("IframeComm: Sent acknowledgment to game")}catch(t){c("Error sending acknowledgment:",t)}}onGameOver(e){if(typeof e!="function"){c("Callback must be a function");return}this.gameOverCallbacks.push(e),s("IframeComm: Game Over callback registered")}offGameOver(e){const t=this.gameOverCallbacks.indexOf(e);t>-1&&this.gameOverCallbacks.splice(t,1)}triggerGameOverCallbacks(e){this.gameOverCallbacks.forEach(t=>{try{t(e)}catch(i){c("Game Over callback error:",i)}})}triggerTimeout(){s("IframeComm: Timeout triggered"),this.gameOverCallbacks.forEach(e=>{try{e(null)}catch(t){c("Game Over timeout callback error:",t)}}),this.stopListening()}reset(){this.stopListening(),this.gameOverCallbacks=[],s("IframeComm: Reset")}destroy(){this.stopListening(),this.gameOverCallbacks=[],s("IframeComm: Destroyed")}}class b{static CONFIG={SOFT_DURATION:3e3,HARD_DURATION:1e4,KEY_M:"m",KEY_N:"n"};constructor(e,t,i,n){if(!e||!t||!i||!n)throw new Error("ResetManager: Missing required dependencies");this.inputManager=e,this.appState=t,this.storageManager=i,this.resetCircleUI=n,this.isResetting=!1,this.resetType=null,this.startTime=null,this.requiredDuration=null,this.animationFrameId=null,this.handleKeyDown=this.handleKeyDown.bind(this),this.handleKeyUp=this.handleKeyUp.bind(this),this.updateProgress=this.updateProgress.bind(this),s("ResetManager: Initialized")}startListening(){window.addEventListener("keydown",this.handleKeyDown),window.addEventListener("keyup",this.handleKeyUp),s("ResetManager: Listening for M and M+N combinations")}stopListening(){window.removeEventListener("keydown",this.handleKeyDown),window.removeEventListener("keyup",this.handleKeyUp),this.isResetting&&this.cancel(),s("ResetManager: Stopped listening")}handleKeyDown(e){const i=e.key.toLowerCase();if(i!==b.CONFIG.KEY_M&&i!==b.CONFIG.KEY_N)return;const n=this.inputManager.isPressed("m")||this.inputManager.isPressed("M")||i==="m",a=this.inputManager.isPressed("n")||this.inputManager.isPressed("N")||i==="n";let r=null;if(n&&a)r="hard";else if(n&&!a){if(this.appState.getState().currentScreen==="idle")return;r="soft"}else return;if(this.isResetting){this.resetType!==r&&(s(`ResetManager: Transition ${this.resetType} → ${r}`),this.cancel(),this.startReset(r));return}this.startReset(r)}handleKeyUp(e){const t=e.key.toLowerCase();if(t!==b.CONFIG.KEY_M&&t!==b.CONFIG.KEY_N||!this.isResetting)return;const i=this.inputManager.isPressed("m")||this.inputManager.isPressed("M"),n=this.inputManager.isPressed("n")||this.inputManager.isPressed("N");if(this.resetType==="soft"&&!i){s("ResetManager: Soft reset canceled (M released)"),this.cancel();return}if(this.resetType==="hard"&&(!i||!n)){s("ResetManager: Hard reset canceled (M or N released)"),this.cancel();return}}startReset(e){this.isResetting=!0,this.resetType=e,this.startTime=Date.now(),this.requiredDuration=e==="soft"?b.CONFIG.SOFT_DURATION:b.CONFIG.HARD_DURATION,this.resetCircleUI.show(e,0),this.updateProgress(),s(`ResetManager: Started ${e} reset (${this.requiredDuration}ms)`)}updateProgress(){if(!this.isResetting)return;const e=this.inputManager.isPressed("m")||this.inputManager.isPressed("M"),t=this.inputManager.isPressed("n")||this.inputManager.isPressed("N");if(this.resetType==="soft"&&!e){s("ResetManager: Soft reset canceled (M released)"),this.cancel();return}if(this.resetType==="hard"&&(!e||!t)){s("ResetManager: Hard reset canceled (M or N released)"),this.cancel();return}const i=Date.now()-this.startTime,n=Math.min(i/this.requiredDuration,1);if(this.resetCircleUI.updateProgress(n),n>=1){s(`ResetManager: ${this.resetType} reset completed`),this.executeReset();return}this.animationFrameId=requestAnimationFrame(this.updateProgress)}executeReset(){const e=this.resetType;this.cancel(),e==="soft"?this.softReset():e==="hard"&&this.hardReset()}softReset(){s("ResetManager: Executing SOFT RESET"),s("- Clearing session data"),s("- Keeping localStorage"),s("- Transitioning to Idle screen"),this.appState.reset(),s("ResetManager: Soft reset complete")}hardReset(){s("ResetManager: Executing HARD RESET"),s("- Clearing ALL localStorage"),s("- Clearing session data"),s("- Transitioning to Idle screen");try{localStorage.clear(),s("ResetManager: localStorage cleared")}catch(e){c("ResetManager: Failed to clear localStorage:",e)}this.appState.reset(),s("ResetManager: Hard reset complete")}cancel(){this.animationFrameId&&(cancelAnimationFrame(this.animationFrameId),this.animationFrameId=null),this.resetCircleUI.hide(),this.isResetting=!1,this.resetType=null,this.startTime=null,this.requiredDuration=null,s("ResetManager: Reset canceled")}getResetState(){if(!this.isResetting)return{type:null,progress:0,isResetting:!1};const e=Date.now()-this.startTime,t=Math.min(e/this.requiredDuration,1);return{type:this.resetType,progress:t,isResetting:!0}}destroy(){this.stopListening(),this.resetCircleUI.destroy(),s("ResetManager: Destroyed")}}class L{static THEMES={DAY:"day",NIGHT:"night"};constructor(){this.currentTheme=L.THEMES.DAY,this.observers=[],this.applyTheme(this.currentTheme),s("ThemeManager: Initialized with day theme")}setTheme(e){if(!Object.values(L.THEMES).includes(e))throw new Error(`Invalid theme: ${e}. Must be 'day' or 'night'`);this.currentTheme!==e&&(this.currentTheme=e,this.applyTheme(e),this.notifyObservers(e),this.broadcastToIframes(e),s(`ThemeManager: Theme changed to ${e}`))}getTheme(){return this.currentTheme}applyTheme(e){typeof document>"u"||document.documentElement.setAttribute("data-theme",e)}addObserver(e){if(typeof e!="function"){c("ThemeManager: Observer must be a function");return}this.observers.push(e),s(`ThemeManager: Observer added (total: ${this.observers.length})`)}removeObserver(e){const t=this.observers.indexOf(e);t>-1&&(this.observers.splice(t,1),s(`ThemeManager: Observer removed (total: ${this.observers.length})`))}notifyObservers(e){this.observers.forEach(t=>{try{t(e)}catch(i){c("ThemeManager: Observer callback error:",i)}})}broadcastToIframes(e){if(typeof document>"u")return;const t=document.querySelectorAll("iframe");t.forEach(i=>{try{i.contentWindow&&i.contentWindow.postMessage({type:"themeChange",payload:{theme:e}},"*")}catch(n){c("ThemeManager: Failed to broadcast to iframe:",n)}}),s(`ThemeManager: Broadcasted theme '${e}' to ${t.length} iframe(s)`)}}const ne=1200,ae=1920;function y(){const o=ne/ae;if(window.innerWidth>window.innerHeight){const t=Math.floor(window.innerWidth*.95),i=Math.floor(t/o);if(i>window.innerHeight){const n=window.innerHeight;return{containerWidth:Math.floor(n*o),containerHeight:n,aspectRatio:o}}return{containerWidth:t,containerHeight:i,aspectRatio:o}}else{const t=window.innerHeight;return{containerWidth:Math.floor(t*o),containerHeight:t,aspectRatio:o}}}class p{static COLORS={SOFT_RESET:"#428EF4",HARD_RESET:"#FF5145"};static DIMENSIONS={SIZE:60,RADIUS:26,STROKE_WIDTH:4,CIRCUMFERENCE:163.36};constructor(){this.isVisible=!1,this.currentType=null,this.currentProgress=0,this.container=null,this.svg=null,this.circle=null,s("ResetCircleUI: Initialized")}show(e,t=0){if(!e||e!=="soft"&&e!=="hard"){c("ResetCircleUI: Invalid type:",e);return}s(`ResetCircleUI: Show (${e}, ${t})`),this.isVisible=!0,this.currentType=e,this.currentProgress=t,this.container||this.createDOM();const i=e==="soft"?p.COLORS.SOFT_RESET:p.COLORS.HARD_RESET;this.circle.setAttribute("stroke",i),this.updateProgress(t),this.container.style.display="block"}hide(){this.isVisible&&(s("ResetCircleUI: Hide"),this.isVisible=!1,this.currentType=null,this.currentProgress=0,this.container&&(this.container.style.display="none"))}updateProgress(e){if(!this.isVisible||!this.circle)return;const t=Math.max(0,Math.min(1,e));this.currentProgress=t;const i=p.DIMENSIONS.CIRCUMFERENCE*(1-t);this.circle.setAttribute("stroke-dashoffset",i)}createDOM(){this.container=document.createElement("div"),this.container.id="reset-circle-ui",this.container.style.cssText=`
       position: fixed;
       top: 20px;
@@ -1072,4 +1073,4 @@ Arcade`,this.titleElement.style.cssText=`
           from { opacity: 0; }
           to { opacity: 1; }
         }
-      `,document.head.appendChild(r)}this.inputManager.onKeyPress(this.handleKeyPress),this.appState.setTimeout(A.INACTIVITY_TIMEOUT,"idle","qr-inactivity"),s("QRCodeScreen: Active (30s inactivity timer)")}hide(){s("QRCodeScreen: Hide"),this.appState.clearTimeout("qr-inactivity"),this.inputManager.offKeyPress(this.handleKeyPress),this.element&&(this.element.remove(),this.element=null),this.appState.currentScreen==="idle"&&(this.appState.selectedGame=null,this.appState.currentScore=null,this.appState.playerName=null),s("QRCodeScreen: Cleaned up")}handleKeyPress(e){this.appState.clearTimeout("qr-inactivity"),this.appState.setTimeout(A.INACTIVITY_TIMEOUT,"idle","qr-inactivity"),(e===" "||e==="n"||e==="N")&&(s("QRCodeScreen: Key pressed - returning to Idle"),this.appState.reset())}}console.log("=== GAME OF LIFE ARCADE - Physical Installation ===");console.log("Initializing...");const f=new E,M=new g,u=new se,V=new G,H=new L;console.log("✓ Managers initialized");u.onKeyPress((o,e)=>{const t=u.getThemeFromKey(o);t&&(console.log(`Theme change requested: ${t}`),H.setTheme(t))});H.addObserver(o=>{console.log(`Video system: Theme changed to ${o}`),_(o)});_(H.getTheme());Z();console.log("✓ Theme system connected (keys 1-4: day, 5-8: night)");console.log("✓ Video system connected to theme");console.log("✓ Video container responsive initialized");const X=new p,Q=new b(u,f,M,X);Q.startListening();console.log("✓ Reset system initialized (M=3s soft, M+N=10s hard)");const k={idle:new U(f,u,M),welcome:new O(f,u),gallery:new R(f,u),code:new Ce(f,u),game:new K(f,u,V,H),score:new D(f,u,M),leaderboard:new B(f,u,M),qr:new A(f,u)};console.log("✓ Screen instances created");let C=null;function _(o){const e=document.getElementById("bg-video-idle"),t=document.getElementById("bg-video-loop");if(!e||!t)return;const i=o==="night"?"_dark":"",n=`/conways-arcade-online/videos/idle${i}.mp4`,a=`/conways-arcade-online/videos/loop${i}.mp4`;if(e.src!==window.location.origin+n){const r=!e.paused,l=e.currentTime;e.src=n,e.load(),r&&(e.currentTime=l,e.play().catch(h=>console.log("Idle video play prevented:",h)))}if(t.src!==window.location.origin+a){const r=!t.paused,l=t.currentTime;t.src=a,t.load(),r&&(t.currentTime=l,t.play().catch(h=>console.log("Loop video play prevented:",h)))}console.log(`Video sources updated for ${o} mode: ${n}, ${a}`)}function Z(){const{containerWidth:o,containerHeight:e}=y(),t=document.getElementById("video-container");t&&(t.style.width=`${o}px`,t.style.height=`${e}px`,t.style.maxWidth="100vw",t.style.maxHeight="100vh",t.style.aspectRatio="10 / 16",console.log(`Video container updated: ${o}×${e}`))}function Ee(o){const e=document.getElementById("bg-video-idle"),t=document.getElementById("bg-video-loop");if(!e||!t)return;const i=a=>{a.paused&&a.play().catch(r=>console.log("Auto-play prevented:",r))},n=a=>{setTimeout(()=>{a.style.opacity==="0"&&a.pause()},1e3)};o==="idle"||o==="idle-leaderboard"?(i(e),e.style.opacity="1",t.style.opacity="0",n(t)):o==="code"||o==="game"?(e.style.opacity="0",t.style.opacity="0",n(e),n(t)):(i(t),t.style.opacity="1",e.style.opacity="0",n(e))}function J(o){console.log(`Screen transition: ${C} → ${o}`),Ee(o),C&&k[C]&&(console.log(`Hiding ${C}`),k[C].hide()),k[o]?(console.log(`Showing ${o}`),k[o].show(),C=o):console.error(`Screen "${o}" not found!`)}f.subscribe(o=>{console.log("AppState changed:",o),o.currentScreen!==C&&J(o.currentScreen)});console.log("✓ AppState observer registered");console.log("Starting with IdleScreen...");J("idle");window.arcade={appState:f,storageManager:M,inputManager:u,iframeComm:V,resetManager:Q,resetCircleUI:X,screens:k};console.log("✓ Installation ready");console.log("Press SPACE to begin");window.addEventListener("resize",()=>{Z()});console.log("✓ Resize listener registered for video container");
+      `,document.head.appendChild(r)}this.inputManager.onKeyPress(this.handleKeyPress),this.appState.setTimeout(A.INACTIVITY_TIMEOUT,"idle","qr-inactivity"),s("QRCodeScreen: Active (30s inactivity timer)")}hide(){s("QRCodeScreen: Hide"),this.appState.clearTimeout("qr-inactivity"),this.inputManager.offKeyPress(this.handleKeyPress),this.element&&(this.element.remove(),this.element=null),this.appState.currentScreen==="idle"&&(this.appState.selectedGame=null,this.appState.currentScore=null,this.appState.playerName=null),s("QRCodeScreen: Cleaned up")}handleKeyPress(e){this.appState.clearTimeout("qr-inactivity"),this.appState.setTimeout(A.INACTIVITY_TIMEOUT,"idle","qr-inactivity"),(e===" "||e==="n"||e==="N")&&(s("QRCodeScreen: Key pressed - returning to Idle"),this.appState.reset())}}console.log("=== GAME OF LIFE ARCADE - Physical Installation ===");console.log("Initializing...");const f=new E,M=new g,u=new se,V=new G,H=new L;console.log("✓ Managers initialized");u.onKeyPress((o,e)=>{const t=u.getThemeFromKey(o);t&&(console.log(`Theme change requested: ${t}`),H.setTheme(t))});H.addObserver(o=>{console.log(`Video system: Theme changed to ${o}`),_(o)});_(H.getTheme());Z();console.log("✓ Theme system connected (keys 1-4: day, 5-8: night)");console.log("✓ Video system connected to theme");console.log("✓ Video container responsive initialized");const X=new p,Q=new ResetManager(u,f,M,X,new AccessibilityManager);Q.startListening();console.log("✓ Reset system initialized (M=3s soft, M+N=10s hard, Alt+Shift+A accessibility)");const k={idle:new U(f,u,M),welcome:new O(f,u),gallery:new R(f,u),code:new Ce(f,u),game:new K(f,u,V,H),score:new D(f,u,M),leaderboard:new B(f,u,M),qr:new A(f,u)};console.log("✓ Screen instances created");let C=null;function _(o){const e=document.getElementById("bg-video-idle"),t=document.getElementById("bg-video-loop");if(!e||!t)return;const i=o==="night"?"_dark":"",n=`/conways-arcade-online/videos/idle${i}.mp4`,a=`/conways-arcade-online/videos/loop${i}.mp4`;if(e.src!==window.location.origin+n){const r=!e.paused,l=e.currentTime;e.src=n,e.load(),r&&(e.currentTime=l,e.play().catch(h=>console.log("Idle video play prevented:",h)))}if(t.src!==window.location.origin+a){const r=!t.paused,l=t.currentTime;t.src=a,t.load(),r&&(t.currentTime=l,t.play().catch(h=>console.log("Loop video play prevented:",h)))}console.log(`Video sources updated for ${o} mode: ${n}, ${a}`)}function Z(){const{containerWidth:o,containerHeight:e}=y(),t=document.getElementById("video-container");t&&(t.style.width=`${o}px`,t.style.height=`${e}px`,t.style.maxWidth="100vw",t.style.maxHeight="100vh",t.style.aspectRatio="10 / 16",console.log(`Video container updated: ${o}×${e}`))}function Ee(o){const e=document.getElementById("bg-video-idle"),t=document.getElementById("bg-video-loop");if(!e||!t)return;const i=a=>{a.paused&&a.play().catch(r=>console.log("Auto-play prevented:",r))},n=a=>{setTimeout(()=>{a.style.opacity==="0"&&a.pause()},1e3)};o==="idle"||o==="idle-leaderboard"?(i(e),e.style.opacity="1",t.style.opacity="0",n(t)):o==="code"||o==="game"?(e.style.opacity="0",t.style.opacity="0",n(e),n(t)):(i(t),t.style.opacity="1",e.style.opacity="0",n(e))}function J(o){console.log(`Screen transition: ${C} → ${o}`),Ee(o),C&&k[C]&&(console.log(`Hiding ${C}`),k[C].hide()),k[o]?(console.log(`Showing ${o}`),k[o].show(),C=o):console.error(`Screen "${o}" not found!`)}f.subscribe(o=>{console.log("AppState changed:",o),o.currentScreen!==C&&J(o.currentScreen)});console.log("✓ AppState observer registered");console.log("Starting with IdleScreen...");J("idle");window.arcade={appState:f,storageManager:M,inputManager:u,iframeComm:V,resetManager:Q,resetCircleUI:X,screens:k};console.log("✓ Installation ready");console.log("Press SPACE to begin");window.addEventListener("resize",()=>{Z()});console.log("✓ Resize listener registered for video container");
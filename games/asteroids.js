@@ -13,7 +13,8 @@
  */
 
 import { GoLEngine } from '/conways-arcade-online/src/core/GoLEngine.js'
-import { VideoGradientRenderer } from '/conways-arcade-online/src/rendering/VideoGradientRenderer.js'
+import { createGradientRenderer } from '/conways-arcade-online/src/rendering/GradientRendererFactory.js'
+import { setAfterglow } from '/conways-arcade-online/src/rendering/CellStateStyle.js'
 import { GRADIENT_PRESETS } from '/conways-arcade-online/src/utils/GradientPresets.js'
 import { Collision } from '/conways-arcade-online/src/utils/Collision.js'
 import { Patterns } from '/conways-arcade-online/src/utils/Patterns.js'
@@ -29,6 +30,7 @@ import {
   createGameConfig
 } from '/conways-arcade-online/src/utils/GameBaseConfig.js'
 import { initThemeReceiver, getBackgroundColor, getTextColor } from '/conways-arcade-online/src/utils/ThemeReceiver.js'
+import { randomRange, randomInt, getSeed } from '/conways-arcade-online/src/utils/Random.js'
 
 // ============================================
 // GAME CONFIGURATION
@@ -82,6 +84,10 @@ const CONFIG = createGameConfig({
     maxCount: 12              // Maximum asteroids to spawn
   },
 
+  explosion: {
+    afterglow: 10             // Frames dead particle cells keep glowing (setAfterglow)
+  },
+
   loopUpdateRate: 10
 })
 
@@ -136,6 +142,10 @@ function updateConfigScale() {
 // ============================================
 
 async function setup() {
+  // Seed p5 random()/noise() from the shared seed (reproducible runs)
+  randomSeed(getSeed())
+  noiseSeed(getSeed())
+
   const size = calculateResponsiveSize()
   canvasWidth = size.width
   canvasHeight = size.height
@@ -149,7 +159,7 @@ async function setup() {
   canvas.style.opacity = '0'
   canvas.style.transition = 'opacity 300ms ease-in'
 
-  maskedRenderer = new VideoGradientRenderer(this)
+  maskedRenderer = createGradientRenderer(this, { videoPath: CONFIG.gradientVideo })
 
   initThemeReceiver((theme) => {
     currentTheme = theme  // Track theme for bullet color
@@ -249,11 +259,11 @@ function setupPlayer() {
 
 function createAsteroid(x, y, size, vx = null, vy = null) {
   const sizeConfig = CONFIG.asteroid.sizes[size]
-  const speed = random(sizeConfig.minSpeed, sizeConfig.maxSpeed)
-  const angle = random(TWO_PI)
+  const speed = randomRange(sizeConfig.minSpeed, sizeConfig.maxSpeed)
+  const angle = randomRange(0, TWO_PI)
 
   // Select random pattern from size category
-  const patternName = sizeConfig.patterns[Math.floor(random(sizeConfig.patterns.length))]
+  const patternName = sizeConfig.patterns[randomInt(0, sizeConfig.patterns.length)]
 
   const renderer = createPatternRenderer({
     mode: RenderMode.STATIC,
@@ -291,24 +301,24 @@ function spawnAsteroidsForLevel() {
   for (let i = 0; i < count; i++) {
     // Spawn outside edges (asteroid center is off-screen by its radius)
     let x, y
-    const edge = Math.floor(random(4))
+    const edge = randomInt(0, 4)
 
     switch (edge) {
       case 0: // Top - spawn above screen
-        x = random(CONFIG.width)
+        x = randomRange(0, CONFIG.width)
         y = -largeSize / 2
         break
       case 1: // Right - spawn right of screen
         x = CONFIG.width + largeSize / 2
-        y = random(CONFIG.height)
+        y = randomRange(0, CONFIG.height)
         break
       case 2: // Bottom - spawn below screen
-        x = random(CONFIG.width)
+        x = randomRange(0, CONFIG.width)
         y = CONFIG.height + largeSize / 2
         break
       case 3: // Left - spawn left of screen
         x = -largeSize / 2
-        y = random(CONFIG.height)
+        y = randomRange(0, CONFIG.height)
         break
     }
 
@@ -334,10 +344,10 @@ function spawnChildAsteroids(parent, childSize, count) {
   for (let i = 0; i < count; i++) {
     // Divergent velocities (perpendicular to parent)
     const parentAngle = Math.atan2(parent.vy, parent.vx)
-    const offset = (i === 0 ? 1 : -1) * (Math.PI / 3 + random(-0.3, 0.3))
+    const offset = (i === 0 ? 1 : -1) * (Math.PI / 3 + randomRange(-0.3, 0.3))
     const childAngle = parentAngle + offset
 
-    const speed = random(sizeConfig.minSpeed, sizeConfig.maxSpeed)
+    const speed = randomRange(sizeConfig.minSpeed, sizeConfig.maxSpeed)
 
     asteroids.push(createAsteroid(
       parent.x,
@@ -434,7 +444,7 @@ function draw() {
       if (window.parent !== window) {
         window.parent.postMessage({
           type: 'gameOver',
-          payload: { score: state.score }
+          payload: { score: state.score, seed: getSeed() }
         }, '*')
       }
     }
@@ -602,10 +612,10 @@ function spawnPlayerExplosion() {
 
   for (let i = 0; i < particleCount; i++) {
     const particle = {
-      x: player.x + random(-30, 30),
-      y: player.y + random(-30, 30),
-      vx: random(-5, 5),
-      vy: random(-5, 5),
+      x: player.x + randomRange(-30, 30),
+      y: player.y + randomRange(-30, 30),
+      vx: randomRange(-5, 5),
+      vy: randomRange(-5, 5),
       alpha: 255,
       width: 90,
       height: 90,
@@ -613,6 +623,7 @@ function spawnPlayerExplosion() {
       gradient: GRADIENT_PRESETS.EXPLOSION,
       dead: false
     }
+    setAfterglow(particle.gol, CONFIG.explosion.afterglow)
 
     seedRadialDensity(particle.gol, 0.8, 0.0)
     particle.gol.setPattern(Patterns.BLINKER, 0, 0)
@@ -626,10 +637,10 @@ function spawnExplosion(x, y, gradient) {
 
   for (let i = 0; i < particleCount; i++) {
     const particle = {
-      x: x + random(-20, 20),
-      y: y + random(-20, 20),
-      vx: random(-4, 4),
-      vy: random(-4, 4),
+      x: x + randomRange(-20, 20),
+      y: y + randomRange(-20, 20),
+      vx: randomRange(-4, 4),
+      vy: randomRange(-4, 4),
       alpha: 255,
       width: 60,
       height: 60,
@@ -637,6 +648,7 @@ function spawnExplosion(x, y, gradient) {
       gradient: gradient || GRADIENT_PRESETS.EXPLOSION,
       dead: false
     }
+    setAfterglow(particle.gol, CONFIG.explosion.afterglow)
 
     seedRadialDensity(particle.gol, 0.9, 0.0)
 
@@ -11,7 +11,7 @@
  */
 
 import { GoLEngine } from '/conways-arcade-online/src/core/GoLEngine.js'
-import { VideoGradientRenderer } from '/conways-arcade-online/src/rendering/VideoGradientRenderer.js'
+import { createGradientRenderer } from '/conways-arcade-online/src/rendering/GradientRendererFactory.js'
 import { GRADIENT_PRESETS } from '/conways-arcade-online/src/utils/GradientPresets.js'
 import { Collision } from '/conways-arcade-online/src/utils/Collision.js'
 import { Patterns } from '/conways-arcade-online/src/utils/Patterns.js'
@@ -26,6 +26,7 @@ import {
   createGameConfig
 } from '/conways-arcade-online/src/utils/GameBaseConfig.js'
 import { initThemeReceiver, getBackgroundColor, getTextColor } from '/conways-arcade-online/src/utils/ThemeReceiver.js'
+import { randomFloat, randomRange, getSeed } from '/conways-arcade-online/src/utils/Random.js'
 
 // ============================================
 // CONFIGURATION - Using GameBaseConfig
@@ -106,6 +107,10 @@ function updateConfigScale() {
 // p5.js SETUP
 // ============================================
 async function setup() {
+  // Seed p5 random()/noise() from the shared seed (reproducible runs)
+  randomSeed(getSeed())
+  noiseSeed(getSeed())
+
   // Calculate responsive canvas size
   const size = calculateResponsiveSize()
   canvasWidth = size.width
@@ -123,7 +128,7 @@ async function setup() {
   canvas.style.transition = 'opacity 300ms ease-in'
 
   // Create gradient renderer
-  maskedRenderer = new VideoGradientRenderer(this)
+  maskedRenderer = createGradientRenderer(this, { videoPath: CONFIG.gradientVideo })
 
   // Initialize theme receiver
   initThemeReceiver((theme) => {
@@ -284,7 +289,7 @@ function draw() {
       if (window.parent !== window) {
         window.parent.postMessage({
           type: 'gameOver',
-          payload: { score: state.score }
+          payload: { score: state.score, seed: getSeed() }
         }, '*')
       }
     }
@@ -365,7 +370,7 @@ function updateBall() {
     if (keyIsDown(32) || keyIsDown(78)) {  // SPACE or N
       ball.stuck = false
       ball.vy = -CONFIG.ball.speed
-      ball.vx = CONFIG.ball.speed * (Math.random() > 0.5 ? 1 : -1)
+      ball.vx = CONFIG.ball.speed * (randomFloat() > 0.5 ? 1 : -1)
     }
   } else {
     // Normal movement
@@ -567,10 +572,10 @@ function checkCollisions() {
 function spawnExplosion(x, y, brickGradient) {
   for (let i = 0; i < 4; i++) {  // Fewer particles
     const particle = {
-      x: x + random(-30, 30),  // -10 to 10 × 3
-      y: y + random(-30, 30),
-      vx: random(-6, 6),       // -2 to 2 × 3
-      vy: random(-6, 6),
+      x: x + randomRange(-30, 30),  // -10 to 10 × 3
+      y: y + randomRange(-30, 30),
+      vx: randomRange(-6, 6),       // -2 to 2 × 3
+      vy: randomRange(-6, 6),
       alpha: 255,
       width: 90,   // 30 × 3 = 90 (3 cells × 30 cellSize)
       height: 90,
@@ -10,7 +10,7 @@
  */
 
 import { GoLEngine } from '/conways-arcade-online/src/core/GoLEngine.js'
-import { VideoGradientRenderer } from '/conways-arcade-online/src/rendering/VideoGradientRenderer.js'
+import { createGradientRenderer } from '/conways-arcade-online/src/rendering/GradientRendererFactory.js'
 import { GRADIENT_PRESETS } from '/conways-arcade-online/src/utils/GradientPresets.js'
 import { Collision } from '/conways-arcade-online/src/utils/Collision.js'
 import { seedRadialDensity, applyLifeForce, maintainDensity } from '/conways-arcade-online/src/utils/GoLHelpers.js'
@@ -27,6 +27,7 @@ import {
 } from '/conways-arcade-online/src/utils/GameBaseConfig.js'
 import { initThemeReceiver, getBackgroundColor, getTextColor } from '/conways-arcade-online/src/utils/ThemeReceiver.js'
 import { debugLog } from '/conways-arcade-online/src/utils/Logger.js'
+import { randomFloat, randomRange, randomChoice, getSeed } from '/conways-arcade-online/src/utils/Random.js'
 
 // ============================================
 // PLAYER DIMENSION CONSTANTS (eliminates magic numbers)
@@ -260,6 +261,10 @@ let setupComplete = false
 // p5.js SETUP
 // ============================================
 async function setup() {
+  // Seed p5 random()/noise() from the shared seed (reproducible runs)
+  randomSeed(getSeed())
+  noiseSeed(getSeed())
+
   // Calculate responsive canvas size
   const size = calculateResponsiveSize()
   canvasWidth = size.width
@@ -277,7 +282,7 @@ async function setup() {
   canvas.style.transition = 'opacity 300ms ease-in'
 
   // Create gradient renderer
-  maskedRenderer = new VideoGradientRenderer(this)
+  maskedRenderer = createGradientRenderer(this, { videoPath: CONFIG.gradientVideo })
 
   // Initialize hitbox debugging (press H to toggle)
   initHitboxDebug()
@@ -378,7 +383,7 @@ function initParallax() {
   for (let i = 0; i < CONFIG.parallax.cloudDensity; i++) {
     const cloud = spawnCloud()
     // Distribute clouds across screen width
-    cloud.x = i * spacing + random(-spacing * 0.3, spacing * 0.3)
+    cloud.x = i * spacing + randomRange(-spacing * 0.3, spacing * 0.3)
     clouds.push(cloud)
   }
 }
@@ -389,7 +394,7 @@ function initParallax() {
  */
 function spawnCloud() {
   // Select random pattern from still lifes
-  const patternName = random(CONFIG.parallax.patterns)
+  const patternName = randomChoice(CONFIG.parallax.patterns)
 
   // Select random multicolor gradient for variety
   const gradients = [
@@ -397,7 +402,7 @@ function spawnCloud() {
     GRADIENT_PRESETS.ENEMY_COLD,
     GRADIENT_PRESETS.ENEMY_RAINBOW
   ]
-  const randomGradient = random(gradients)
+  const randomGradient = randomChoice(gradients)
 
   // Create renderer with static mode (still lifes don't evolve)
   const renderer = createPatternRenderer({
@@ -412,7 +417,7 @@ function spawnCloud() {
 
   const cloud = {
     x: GAME_DIMENSIONS.BASE_WIDTH,  // Start off-screen right
-    y: random(100, 800),  // Random vertical position
+    y: randomRange(100, 800),  // Random vertical position
     vx: CONFIG.parallax.scrollSpeed,
     pattern: patternName,
     gol: renderer.gol,
@@ -510,7 +515,7 @@ function initGroundLines() {
   for (let i = 0; i < CONFIG.groundLines.density; i++) {
     const gLine = spawnGroundLine()
     // Distribute lines across screen width
-    gLine.x = i * spacing + random(-spacing * 0.3, spacing * 0.3)
+    gLine.x = i * spacing + randomRange(-spacing * 0.3, spacing * 0.3)
     groundLines.push(gLine)
   }
 }
@@ -522,8 +527,8 @@ function initGroundLines() {
 function spawnGroundLine() {
   return {
     x: GAME_DIMENSIONS.BASE_WIDTH,  // Start off-screen right
-    y: CONFIG.horizonY + random(CONFIG.groundLines.yOffsetMin, CONFIG.groundLines.yOffsetMax),
-    length: random(CONFIG.groundLines.minLength, CONFIG.groundLines.maxLength),
+    y: CONFIG.horizonY + randomRange(CONFIG.groundLines.yOffsetMin, CONFIG.groundLines.yOffsetMax),
+    length: randomRange(CONFIG.groundLines.minLength, CONFIG.groundLines.maxLength),
     vx: CONFIG.groundLines.speed,
     dead: false
   }
@@ -639,7 +644,7 @@ function draw() {
       if (window.parent !== window) {
         window.parent.postMessage({
           type: 'gameOver',
-          payload: { score: state.score }
+          payload: { score: state.score, seed: getSeed() }
         }, '*')
       }
     }
@@ -684,7 +689,7 @@ function updateGame() {
   )
 
   // Add random variability (±40 frames) for Chrome Dino-style spacing
-  const randomOffset = random(-CONFIG.obstacle.intervalVariability, CONFIG.obstacle.intervalVariability)
+  const randomOffset = randomRange(-CONFIG.obstacle.intervalVariability, CONFIG.obstacle.intervalVariability)
   const currentInterval = Math.max(
     CONFIG.obstacle.minInterval,
     baseInterval + randomOffset
@@ -803,10 +808,10 @@ function updatePlayer() {
 
 function spawnObstacle() {
   // Phase 3.4: Randomly choose between ground obstacles and flying pterodactyls
-  const spawnFlying = random() < 0.3  // 30% chance of pterodactyl
+  const spawnFlying = randomFloat() < 0.3  // 30% chance of pterodactyl
   const patternConfig = spawnFlying
-    ? random(CONFIG.pterodactylPatterns)
-    : random(CONFIG.obstaclePatterns)
+    ? randomChoice(CONFIG.pterodactylPatterns)
+    : randomChoice(CONFIG.obstaclePatterns)
 
   // Create renderer using PatternRenderer
   const renderer = createPatternRenderer({
@@ -902,10 +907,10 @@ function checkCollisions() {
 function spawnExplosion(x, y) {
   for (let i = 0; i < 8; i++) {
     const particle = {
-      x: x + random(-30, 30),  // Scaled: -10 to 10 × 3
-      y: y + random(-30, 30),
-      vx: random(-9, 9),       // Scaled: -3 to 3 × 3
-      vy: random(-9, 9),
+      x: x + randomRange(-30, 30),  // Scaled: -10 to 10 × 3
+      y: y + randomRange(-30, 30),
+      vx: randomRange(-9, 9),       // Scaled: -3 to 3 × 3
+      vy: randomRange(-9, 9),
       alpha: 255,
       width: 180,   // 60 × 3 = 180 (scaled)
       height: 180,  // 60 × 3 = 180
@@ -13,7 +13,7 @@
 // IMPORTS - Standard imports for all games
 // ============================================
 import { GoLEngine } from '/conways-arcade-online/src/core/GoLEngine.js'
-import { VideoGradientRenderer } from '/conways-arcade-online/src/rendering/VideoGradientRenderer.js'
+import { createGradientRenderer } from '/conways-arcade-online/src/rendering/GradientRendererFactory.js'
 import { GRADIENT_PRESETS } from '/conways-arcade-online/src/utils/GradientPresets.js'
 import { Collision } from '/conways-arcade-online/src/utils/Collision.js'
 import { Patterns } from '/conways-arcade-online/src/utils/Patterns.js'
@@ -31,6 +31,7 @@ import {
 } from '/conways-arcade-online/src/utils/GameBaseConfig.js'
 import { initThemeReceiver, getBackgroundColor, getTextColor } from '/conways-arcade-online/src/utils/ThemeReceiver.js'
 import { debugLog } from '/conways-arcade-online/src/utils/Logger.js'
+import { randomRange, randomInt, randomChoice, getSeed } from '/conways-arcade-online/src/utils/Random.js'
 
 // ============================================
 // CONFIGURATION - BASE REFERENCE (10:16 ratio)
@@ -140,7 +141,7 @@ function initParallax() {
   for (let i = 0; i < CONFIG.parallax.cloudDensity; i++) {
     const cloud = spawnCloud()
     // Distribute clouds across screen width
-    cloud.x = i * spacing + random(-spacing * 0.3, spacing * 0.3)
+    cloud.x = i * spacing + randomRange(-spacing * 0.3, spacing * 0.3)
     clouds.push(cloud)
   }
 }
@@ -151,7 +152,7 @@ function initParallax() {
  */
 function spawnCloud() {
   // Select random pattern from still lifes
-  const patternName = random(CONFIG.parallax.patterns)
+  const patternName = randomChoice(CONFIG.parallax.patterns)
 
   // Select random multicolor gradient for variety
   const gradients = [
@@ -159,7 +160,7 @@ function spawnCloud() {
     GRADIENT_PRESETS.ENEMY_COLD,
     GRADIENT_PRESETS.ENEMY_RAINBOW
   ]
-  const randomGradient = random(gradients)
+  const randomGradient = randomChoice(gradients)
 
   // Create renderer with static mode (still lifes don't evolve)
   const renderer = createPatternRenderer({
@@ -174,7 +175,7 @@ function spawnCloud() {
 
   const cloud = {
     x: GAME_DIMENSIONS.BASE_WIDTH,  // Start off-screen right
-    y: random(300, 1200),  // Random vertical position
+    y: randomRange(300, 1200),  // Random vertical position
     vx: CONFIG.parallax.scrollSpeed,
     pattern: patternName,
     gol: renderer.gol,
@@ -259,6 +260,10 @@ function renderClouds() {
 // p5.js SETUP
 // ============================================
 async function setup() {
+  // Seed p5 random()/noise() from the shared seed (reproducible runs)
+  randomSeed(getSeed())
+  noiseSeed(getSeed())
+
   // Calculate responsive canvas size
   const size = calculateResponsiveSize()
   canvasWidth = size.width
@@ -275,7 +280,7 @@ async function setup() {
   canvas.style.opacity = '0'
   canvas.style.transition = 'opacity 300ms ease-in'
 
-  maskedRenderer = new VideoGradientRenderer(this)
+  maskedRenderer = createGradientRenderer(this, { videoPath: CONFIG.gradientVideo })
   initHitboxDebug()  // Initialize hitbox debugging (press H to toggle)
 
   // Initialize theme receiver
@@ -369,7 +374,7 @@ function draw() {
       if (window.parent !== window) {
         window.parent.postMessage({
           type: 'gameOver',
-          payload: { score: state.score }
+          payload: { score: state.score, seed: getSeed() }
         }, '*')
       }
     }
@@ -472,11 +477,11 @@ function fillPipeWithStillLifes(gol, cols, rows, openSide) {
   const numPatterns = Math.floor((cols * rows) / 8)  // ~1 pattern per 8 cells
 
   for (let i = 0; i < numPatterns; i++) {
-    const pattern = random(PIPE_STILL_LIFES)
+    const pattern = randomChoice(PIPE_STILL_LIFES)
 
     // Random position (allow partial overflow)
-    const x = Math.floor(random(0, cols))
-    const y = Math.floor(random(0, rows))
+    const x = randomInt(0, cols)
+    const y = randomInt(0, rows)
 
     // Place pattern (setPattern handles bounds)
     gol.setPattern(pattern, x, y)
@@ -526,7 +531,7 @@ function spawnPipes() {
     // Random gap position (between ceiling and ground)
     const minGapTop = CONFIG.ceilingY + 240
     const maxGapTop = CONFIG.groundY - currentGap - 240
-    const gapTop = random(minGapTop, maxGapTop)
+    const gapTop = randomRange(minGapTop, maxGapTop)
 
     // Top pipe - brick wall pattern with BEEHIVE still lifes
     const topPipeCols = Math.floor(CONFIG.pipe.width / 30)
@@ -613,10 +618,10 @@ function checkCollisions() {
 function spawnExplosion(x, y) {
   for (let i = 0; i < 8; i++) {
     const particle = {
-      x: x + random(-30, 30),  // -10 to 10 × 3
-      y: y + random(-30, 30),
-      vx: random(-9, 9),       // -3 to 3 × 3
-      vy: random(-9, 9),
+      x: x + randomRange(-30, 30),  // -10 to 10 × 3
+      y: y + randomRange(-30, 30),
+      vx: randomRange(-9, 9),       // -3 to 3 × 3
+      vy: randomRange(-9, 9),
       alpha: 255,
       width: 180,   // 60 × 3 = 180
       height: 180,  // 60 × 3 = 180
@@ -11,7 +11,8 @@
  */
 
 import { GoLEngine } from '/conways-arcade-online/src/core/GoLEngine.js'
-import { VideoGradientRenderer } from '/conways-arcade-online/src/rendering/VideoGradientRenderer.js'
+import { createGradientRenderer } from '/conways-arcade-online/src/rendering/GradientRendererFactory.js'
+import { setAfterglow } from '/conways-arcade-online/src/rendering/CellStateStyle.js'
 import { GRADIENT_PRESETS } from '/conways-arcade-online/src/utils/GradientPresets.js'
 import { Collision } from '/conways-arcade-online/src/utils/Collision.js'
 import { Patterns } from '/conways-arcade-online/src/utils/Patterns.js'
@@ -28,6 +29,7 @@ import {
   createGameConfig
 } from '/conways-arcade-online/src/utils/GameBaseConfig.js'
 import { initThemeReceiver, getBackgroundColor, getTextColor } from '/conways-arcade-online/src/utils/ThemeReceiver.js'
+import { randomFloat, randomRange, getSeed } from '/conways-arcade-online/src/utils/Random.js'
 
 // ============================================
 // GAME CONFIGURATION
@@ -41,7 +43,8 @@ const CONFIG = createGameConfig({
     shootCooldown: 20,      // Slower shooting (was 10) - more challenging
     // Fixed hitbox (Solución C): COPPERHEAD usa grid padded 1.4x
     // offsetX/offsetY: 0 = centrado automático, valor > 0 = offset manual
-    fixedHitbox: { width: 200, height: 300, offsetX: 70, offsetY: 30 }
+    fixedHitbox: { width: 200, height: 300, offsetX: 70, offsetY: 30 },
+    afterglow: 6            // Frames dead cells keep glowing between phases (setAfterglow)
   },
 
   bullet: {
@@ -71,21 +74,24 @@ const CONFIG = createGameConfig({
       speed: 12,              // Fast (was 8)
       scoreValue: 10,
       gradient: GRADIENT_PRESETS.ENEMY_HOT,
-      weight: 45              // Slightly less common
+      weight: 45,             // Slightly less common
+      afterglow: 8            // Fastest enemy: longest trail
     },
     medium: {
       pattern: PatternName.BEACON,
       speed: 9,               // Medium (was 5)
       scoreValue: 30,
       gradient: GRADIENT_PRESETS.ENEMY_COLD,
-      weight: 35
+      weight: 35,
+      afterglow: 6
     },
     large: {
       pattern: PatternName.GLIDER,
       speed: 6,               // Slow but still threatening (was 3)
       scoreValue: 50,
       gradient: GRADIENT_PRESETS.ENEMY_RAINBOW,
-      weight: 20              // More large enemies
+      weight: 20,             // More large enemies
+      afterglow: 4
     }
   },
 
@@ -203,15 +209,15 @@ function initStars() {
 }
 
 function createStar(randomY = false) {
-  const speed = CONFIG.stars.speedMin + Math.random() * (CONFIG.stars.speedMax - CONFIG.stars.speedMin)
+  const speed = CONFIG.stars.speedMin + randomFloat() * (CONFIG.stars.speedMax - CONFIG.stars.speedMin)
   // Faster stars are smaller and dimmer (parallax depth effect)
   const depthFactor = (speed - CONFIG.stars.speedMin) / (CONFIG.stars.speedMax - CONFIG.stars.speedMin)
   const size = CONFIG.stars.sizeMax - depthFactor * (CONFIG.stars.sizeMax - CONFIG.stars.sizeMin)
   const brightness = 100 + (1 - depthFactor) * 155  // 100-255
 
   return {
-    x: Math.random() * CONFIG.width,
-    y: randomY ? Math.random() * CONFIG.height : -10,
+    x: randomFloat() * CONFIG.width,
+    y: randomY ? randomFloat() * CONFIG.height : -10,
     speed: speed,
     size: size,
     brightness: brightness
@@ -224,10 +230,10 @@ function updateStars() {
 
     // Wrap around when off screen
     if (star.y > CONFIG.height + 10) {
-      star.x = Math.random() * CONFIG.width
+      star.x = randomFloat() * CONFIG.width
       star.y = -10
       // Randomize speed for variety
-      const speed = CONFIG.stars.speedMin + Math.random() * (CONFIG.stars.speedMax - CONFIG.stars.speedMin)
+      const speed = CONFIG.stars.speedMin + randomFloat() * (CONFIG.stars.speedMax - CONFIG.stars.speedMin)
       const depthFactor = (speed - CONFIG.stars.speedMin) / (CONFIG.stars.speedMax - CONFIG.stars.speedMin)
       star.speed = speed
       star.size = CONFIG.stars.sizeMax - depthFactor * (CONFIG.stars.sizeMax - CONFIG.stars.sizeMin)
@@ -256,6 +262,10 @@ function renderStars() {
 // ============================================
 
 async function setup() {
+  // Seed p5 random()/noise() from the shared seed (reproducible runs)
+  randomSeed(getSeed())
+  noiseSeed(getSeed())
+
   const size = calculateResponsiveSize()
   canvasWidth = size.width
   canvasHeight = size.height
@@ -269,7 +279,7 @@ async function setup() {
   canvas.style.opacity = '0'
   canvas.style.transition = 'opacity 300ms ease-in'
 
-  maskedRenderer = new VideoGradientRenderer(this)
+  maskedRenderer = createGradientRenderer(this, { videoPath: CONFIG.gradientVideo })
 
   initThemeReceiver((theme) => {
     currentTheme = theme  // Track theme for star color
@@ -382,6 +392,7 @@ function setupPlayer() {
     phaseTimer: 0,
     phaseDelay: Math.floor(60 / CONFIG.loopUpdateRate) // Frames per phase
   }
+  setAfterglow(player.gol, CONFIG.player.afterglow)
 }
 
 // ============================================
@@ -393,7 +404,7 @@ function selectEnemyType() {
   const weights = types.map(t => CONFIG.enemy[t].weight)
   const totalWeight = weights.reduce((a, b) => a + b, 0)
 
-  let random = Math.random() * totalWeight
+  let random = randomFloat() * totalWeight
   for (let i = 0; i < types.length; i++) {
     random -= weights[i]
     if (random <= 0) return types[i]
@@ -416,7 +427,7 @@ function spawnEnemy() {
   const hitbox = calculateClampedHitbox(dims.width, dims.height, 'enemies')
 
   // Random X position (within screen bounds)
-  const x = Math.random() * (CONFIG.width - dims.width)
+  const x = randomFloat() * (CONFIG.width - dims.width)
 
   const enemy = {
     x: x,
@@ -431,6 +442,7 @@ function spawnEnemy() {
     gol: renderer.gol,
     gradient: config.gradient
   }
+  setAfterglow(enemy.gol, config.afterglow)
 
   enemies.push(enemy)
 }
@@ -463,7 +475,7 @@ function draw() {
       if (window.parent !== window) {
         window.parent.postMessage({
           type: 'gameOver',
-          payload: { score: state.score }
+          payload: { score: state.score, seed: getSeed() }
         }, '*')
       }
     }
@@ -577,7 +589,7 @@ function updateSpawning() {
       CONFIG.spawn.multiSpawnChanceMax,
       CONFIG.spawn.multiSpawnChance + (state.difficultyLevel - 1) * 0.05
     )
-    if (Math.random() < multiChance) {
+    if (randomFloat() < multiChance) {
       spawnEnemy()  // Spawn second enemy
     }
   }
@@ -762,10 +774,10 @@ function spawnBossExplosion() {
 
   for (let i = 0; i < 12; i++) {
     const particle = {
-      x: centerX + (Math.random() * 2 - 1) * 60,
-      y: centerY + (Math.random() * 2 - 1) * 60,
-      vx: (Math.random() * 2 - 1) * 6,
-      vy: (Math.random() * 2 - 1) * 6,
+      x: centerX + randomRange(-1, 1) * 60,
+      y: centerY + randomRange(-1, 1) * 60,
+      vx: randomRange(-1, 1) * 6,
+      vy: randomRange(-1, 1) * 6,
       alpha: 255,
       width: 180,
       height: 180,
@@ -969,10 +981,10 @@ function spawnExplosion(entity) {
 
   for (let i = 0; i < particleCount; i++) {
     const particle = {
-      x: centerX + (Math.random() * 2 - 1) * 30,
-      y: centerY + (Math.random() * 2 - 1) * 30,
-      vx: (Math.random() * 2 - 1) * 4,
-      vy: (Math.random() * 2 - 1) * 4,
+      x: centerX + randomRange(-1, 1) * 30,
+      y: centerY + randomRange(-1, 1) * 30,
+      vx: randomRange(-1, 1) * 4,
+      vy: randomRange(-1, 1) * 4,
       alpha: 255,
       width: 180,
       height: 180,
@@ -1023,10 +1035,10 @@ function destroyPlayer() {
 
   for (let i = 0; i < 8; i++) {
     const particle = {
-      x: centerX + (Math.random() * 2 - 1) * 40,
-      y: centerY + (Math.random() * 2 - 1) * 40,
-      vx: (Math.random() * 2 - 1) * 5,
-      vy: (Math.random() * 2 - 1) * 5,
+      x: centerX + randomRange(-1, 1) * 40,
+      y: centerY + randomRange(-1, 1) * 40,
+      vx: randomRange(-1, 1) * 5,
+      vy: randomRange(-1, 1) * 5,
       alpha: 255,
       width: 180,
       height: 180,
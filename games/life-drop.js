@@ -13,9 +13,9 @@
  */
 
 import { GoLEngine } from '/conways-arcade-online/src/core/GoLEngine.js'
-import { VideoGradientRenderer } from '/conways-arcade-online/src/rendering/VideoGradientRenderer.js'
+import { createGradientRenderer } from '/conways-arcade-online/src/rendering/GradientRendererFactory.js'
 import { GRADIENT_PRESETS } from '/conways-arcade-online/src/utils/GradientPresets.js'
-import { Patterns, stampPattern } from '/conways-arcade-online/src/utils/Patterns.js'
+import { Patterns, stampPattern, getAllOrientations } from '/conways-arcade-online/src/utils/Patterns.js'
 import {
   GAME_DIMENSIONS,
   GAMEOVER_CONFIG,
@@ -24,6 +24,7 @@ import {
   createGameConfig
 } from '/conways-arcade-online/src/utils/GameBaseConfig.js'
 import { initThemeReceiver, getBackgroundColor, getTextColor } from '/conways-arcade-online/src/utils/ThemeReceiver.js'
+import { randomInt, getSeed } from '/conways-arcade-online/src/utils/Random.js'
 
 // ============================================
 // GAME CONFIGURATION
@@ -42,7 +43,7 @@ const CONFIG = createGameConfig({
     pattern: 'R_PENTOMINO',         // Pattern to drop
     simulationFps: 12,              // GoL updates per second
     maxGenerations: 600,            // Max generations before auto-end
-    stabilityThreshold: 30          // Generations without change = stable
+    maxStablePeriod: 30             // Longest cycle period treated as "stable"
   },
 
   cursor: {
@@ -65,8 +66,7 @@ const state = createGameState({
   generation: 0,
   population: 0,
   peakPopulation: 0,
-  stabilityCounter: 0,
-  lastPopulation: 0,
+  stableCycle: null,            // Cycle reported by the engine (still life, oscillator, spaceship)
   simulationTimer: 0,
   gameOverTimer: 0,
   placementTimer: 0              // Timer for placement phase (resets on each drop)
@@ -93,27 +93,11 @@ let { scaleFactor, canvasWidth, canvasHeight } = calculateCanvasDimensions()
 //   .##
 //   ##.
 //   .#.
-const R_PENTOMINO_VARIANTS = [
-  // Original
-  [[0,1,1], [1,1,0], [0,1,0]],
-  // 90° CW
-  [[1,0,0], [1,1,0], [0,1,1]],
-  // 180°
-  [[0,1,0], [0,1,1], [1,1,0]],
-  // 270° CW
-  [[1,1,0], [0,1,1], [0,0,1]],
-  // Horizontal flip
-  [[1,1,0], [0,1,1], [0,1,0]],
-  // Horizontal flip + 90° CW
-  [[0,0,1], [0,1,1], [1,1,0]],
-  // Horizontal flip + 180°
-  [[0,1,0], [1,1,0], [0,1,1]],
-  // Horizontal flip + 270° CW
-  [[0,1,1], [1,1,0], [1,0,0]]
-]
-
-// Current pattern (changes on each drop)
-let currentPattern = R_PENTOMINO_VARIANTS[0]
+const R_PENTOMINO_VARIANTS = getAllOrientations(Patterns.R_PENTOMINO)
+
+// Current pattern (changes on each drop); currentPattern is the oriented copy for the preview
+let currentOrientation = R_PENTOMINO_VARIANTS[0].orientation
+let currentPattern = R_PENTOMINO_VARIANTS[0].pattern
 let currentPatternWidth = 3  // All variants are 3×3
 let currentPatternHeight = 3
 
@@ -125,6 +109,10 @@ let keysPressed = {}
 // ============================================
 
 async function setup() {
+  // Seed p5 random()/noise() from the shared seed (reproducible runs)
+  randomSeed(getSeed())
+  noiseSeed(getSeed())
+
   // Calculate responsive canvas size
   const canvasH = windowHeight
   const canvasW = canvasH * GAME_DIMENSIONS.ASPECT_RATIO
@@ -141,7 +129,7 @@ async function setup() {
   canvas.style.transition = 'opacity 300ms ease-in'
 
   // Create gradient renderer
-  maskedRenderer = new VideoGradientRenderer(this)
+  maskedRenderer = createGradientRenderer(this, { videoPath: CONFIG.gradientVideo })
 
   // Initialize theme
   initThemeReceiver((theme) => {
@@ -176,15 +164,19 @@ function initGame() {
   state.generation = 0
   state.population = 0
   state.peakPopulation = 0
-  state.stabilityCounter = 0
-  state.lastPopulation = 0
+  state.stableCycle = null
   state.simulationTimer = 0
   state.gameOverTimer = 0
   state.placementTimer = 0
   state.frameCount = 0
 
-  // Clear grid
-  golEngine = new GoLEngine(CONFIG.grid.cols, CONFIG.grid.rows)
+  // Clear grid (engine reports when the board starts repeating itself)
+  golEngine = new GoLEngine(CONFIG.grid.cols, CONFIG.grid.rows, CONFIG.game.simulationFps, {
+    cycleDetection: { maxPeriod: CONFIG.game.maxStablePeriod }
+  })
+  golEngine.onCycle(cycle => {
+    state.stableCycle = cycle
+  })
 
   // Select random initial pattern
   selectRandomPattern()
@@ -195,8 +187,9 @@ function initGame() {
  * All variants are 3×3 so dimensions stay constant.
  */
 function selectRandomPattern() {
-  const randomIndex = Math.floor(Math.random() * R_PENTOMINO_VARIANTS.length)
-  currentPattern = R_PENTOMINO_VARIANTS[randomIndex]
+  const randomIndex = randomInt(0, R_PENTOMINO_VARIANTS.length)
+  currentOrientation = R_PENTOMINO_VARIANTS[randomIndex].orientation
+  currentPattern = R_PENTOMINO_VARIANTS[randomIndex].pattern
   // Dimensions are always 3×3, no need to update
 }
 
@@ -243,7 +236,6 @@ function updatePlacement() {
     if (state.population > 0) {
       // At least one pattern was placed, run simulation
       state.phase = 'SIMULATION'
-      state.lastPopulation = state.population
     } else {
       // No patterns placed, go directly to game over with score 0
       state.phase = 'GAMEOVER'
@@ -280,11 +272,12 @@ function dropPattern() {
   // Stamp current pattern onto grid
   stampPattern(
     golEngine.current,
-    currentPattern,
+    Patterns.R_PENTOMINO,
     state.cursor.x,
     state.cursor.y,
     CONFIG.grid.cols,
-    CONFIG.grid.rows
+    CONFIG.grid.rows,
+    currentOrientation
   )
 
   state.dropsRemaining--
@@ -296,7 +289,6 @@ function dropPattern() {
   // Transition to simulation if no drops left
   if (state.dropsRemaining <= 0) {
     state.phase = 'SIMULATION'
-    state.lastPopulation = state.population
   } else {
     // Reset placement timer (30s for next drop)
     state.placementTimer = 0
@@ -327,14 +319,6 @@ function updateSimulation() {
       state.peakPopulation = state.population
     }
 
-    // Check stability
-    if (state.population === state.lastPopulation) {
-      state.stabilityCounter++
-    } else {
-      state.stabilityCounter = 0
-    }
-    state.lastPopulation = state.population
-
     // Check game over conditions
     if (checkGameOver()) {
       state.phase = 'GAMEOVER'
@@ -348,8 +332,8 @@ function checkGameOver() {
   // Extinction
   if (state.population === 0) return true
 
-  // Stability (pattern stabilized or oscillating)
-  if (state.stabilityCounter >= CONFIG.game.stabilityThreshold) return true
+  // Stability (board became a still life, oscillator or lone spaceship)
+  if (state.stableCycle) return true
 
   // Max generations reached
   if (state.generation >= CONFIG.game.maxGenerations) return true
@@ -381,7 +365,7 @@ function updateGameOver() {
     if (window.parent !== window) {
       window.parent.postMessage({
         type: 'gameOver',
-        payload: { score: state.score }
+        payload: { score: state.score, seed: getSeed(), snapshot: golEngine.serialize() }
       }, '*')
     }
   }
@@ -10,7 +10,7 @@
  */
 
 import { GoLEngine } from '/conways-arcade-online/src/core/GoLEngine.js'
-import { VideoGradientRenderer } from '/conways-arcade-online/src/rendering/VideoGradientRenderer.js'
+import { createGradientRenderer } from '/conways-arcade-online/src/rendering/GradientRendererFactory.js'
 import { GRADIENT_PRESETS } from '/conways-arcade-online/src/utils/GradientPresets.js'
 import { Patterns } from '/conways-arcade-online/src/utils/Patterns.js'
 import { updateParticles, renderParticles } from '/conways-arcade-online/src/utils/ParticleHelpers.js'
@@ -26,6 +26,7 @@ import {
   createGameConfig
 } from '/conways-arcade-online/src/utils/GameBaseConfig.js'
 import { initThemeReceiver, getBackgroundColor, getTextColor } from '/conways-arcade-online/src/utils/ThemeReceiver.js'
+import { randomRange, randomInt, randomChoice, getSeed } from '/conways-arcade-online/src/utils/Random.js'
 
 // ============================================
 // GAME CONFIGURATION - BASE REFERENCE (10:16 ratio)
@@ -158,6 +159,10 @@ function updateConfigScale() {
 // p5.js SETUP
 // ============================================
 async function setup() {
+  // Seed p5 random()/noise() from the shared seed (reproducible runs)
+  randomSeed(getSeed())
+  noiseSeed(getSeed())
+
   // Calculate responsive canvas size
   const size = calculateResponsiveSize()
   canvasWidth = size.width
@@ -175,7 +180,9 @@ async function setup() {
   canvas.style.transition = 'opacity 300ms ease-in'
 
   // Create video gradient renderer
-  maskedRenderer = new VideoGradientRenderer(this)
+  // Segments and food are PatternRenderer entities: draw them as cached sprites
+  maskedRenderer = createGradientRenderer(this, { videoPath: CONFIG.gradientVideo })
+  maskedRenderer.enableSpriteCache()
 
   // Initialize theme receiver
   initThemeReceiver((theme) => {
@@ -276,7 +283,7 @@ function createSegment(gridX, gridY, patternName, gradient) {
 // ============================================
 function spawnFood() {
   // Pick random pattern from available options
-  const patternInfo = FOOD_PATTERNS[Math.floor(Math.random() * FOOD_PATTERNS.length)]
+  const patternInfo = randomChoice(FOOD_PATTERNS)
 
   // Find valid position (not on snake)
   let gridX, gridY
@@ -284,8 +291,8 @@ function spawnFood() {
   const maxAttempts = 100
 
   do {
-    gridX = Math.floor(Math.random() * (CONFIG.grid.cols - 2 * CONFIG.food.spawnMargin)) + CONFIG.food.spawnMargin
-    gridY = Math.floor(Math.random() * (CONFIG.grid.rows - 2 * CONFIG.food.spawnMargin)) + CONFIG.food.spawnMargin
+    gridX = randomInt(0, CONFIG.grid.cols - 2 * CONFIG.food.spawnMargin) + CONFIG.food.spawnMargin
+    gridY = randomInt(0, CONFIG.grid.rows - 2 * CONFIG.food.spawnMargin) + CONFIG.food.spawnMargin
     attempts++
   } while (isOnSnake(gridX, gridY) && attempts < maxAttempts)
 
@@ -343,7 +350,7 @@ function draw() {
       if (window.parent !== window) {
         window.parent.postMessage({
           type: 'gameOver',
-          payload: { score: state.score }
+          payload: { score: state.score, seed: getSeed() }
         }, '*')
       }
     }
@@ -536,10 +543,10 @@ function spawnExplosion(gridX, gridY, gradient, delayFrames = 0) {
 
   for (let i = 0; i < particleCount; i++) {
     const particle = {
-      x: screenX + (Math.random() * 2 - 1) * 20,
-      y: screenY + (Math.random() * 2 - 1) * 20,
-      vx: (Math.random() * 2 - 1) * 4,
-      vy: (Math.random() * 2 - 1) * 4,
+      x: screenX + randomRange(-1, 1) * 20,
+      y: screenY + randomRange(-1, 1) * 20,
+      vx: randomRange(-1, 1) * 4,
+      vy: randomRange(-1, 1) * 4,
       alpha: 255,
       width: 90,
       height: 90,
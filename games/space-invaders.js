@@ -7,7 +7,7 @@
  */
 
 import { GoLEngine } from '/conways-arcade-online/src/core/GoLEngine.js'
-import { VideoGradientRenderer } from '/conways-arcade-online/src/rendering/VideoGradientRenderer.js'
+import { createGradientRenderer } from '/conways-arcade-online/src/rendering/GradientRendererFactory.js'
 import { GRADIENT_PRESETS } from '/conways-arcade-online/src/utils/GradientPresets.js'
 import { Collision } from '/conways-arcade-online/src/utils/Collision.js'
 import { Patterns } from '/conways-arcade-online/src/utils/Patterns.js'
@@ -15,7 +15,7 @@ import { seedRadialDensity, applyLifeForce, maintainDensity } from '/conways-arc
 import { updateParticles, renderParticles } from '/conways-arcade-online/src/utils/ParticleHelpers.js'
 import { renderGameOver } from '/conways-arcade-online/src/utils/UIHelpers.js'
 import { updateLoopPattern } from '/conways-arcade-online/src/utils/LoopPatternHelpers.js'
-import { createPatternRenderer, RenderMode, PatternName } from '/conways-arcade-online/src/utils/PatternRenderer.js'
+import { createPatternRenderer, RenderMode, PhaseTransition, PatternName } from '/conways-arcade-online/src/utils/PatternRenderer.js'
 import {
   GAME_DIMENSIONS,
   GAMEOVER_CONFIG,
@@ -24,6 +24,7 @@ import {
   createGameConfig
 } from '/conways-arcade-online/src/utils/GameBaseConfig.js'
 import { initThemeReceiver, getBackgroundColor, getTextColor } from '/conways-arcade-online/src/utils/ThemeReceiver.js'
+import { randomRange, randomChoice, getSeed } from '/conways-arcade-online/src/utils/Random.js'
 
 // ============================================
 // GAME CONFIGURATION - BASE REFERENCE (10:16 ratio)
@@ -177,6 +178,10 @@ function calculateEntityDimensions(entity) {
 // p5.js SETUP
 // ============================================
 async function setup() {
+  // Seed p5 random()/noise() from the shared seed (reproducible runs)
+  randomSeed(getSeed())
+  noiseSeed(getSeed())
+
   // Calculate responsive canvas size
   const size = calculateResponsiveSize()
   canvasWidth = size.width
@@ -194,7 +199,7 @@ async function setup() {
   canvas.style.transition = 'opacity 300ms ease-in'
 
   // Create video gradient renderer (KISS)
-  maskedRenderer = new VideoGradientRenderer(this)
+  maskedRenderer = createGradientRenderer(this, { videoPath: CONFIG.gradientVideo })
 
   // Initialize theme receiver
   initThemeReceiver((theme) => {
@@ -267,9 +272,10 @@ function calculateClampedHitbox(spriteSize, entityType) {
 }
 
 function setupPlayer() {
-  // Loop BLINKER (Pure GoL oscillator)
+  // Loop BLINKER (Pure GoL oscillator), cross-fading between its two phases
   const renderer = createPatternRenderer({
-    mode: RenderMode.LOOP,
+    mode: RenderMode.INTERPOLATED,
+    transition: PhaseTransition.FADE,
     pattern: PatternName.BLINKER,
     globalCellSize: CONFIG.globalCellSize,
     loopUpdateRate: CONFIG.loopUpdateRate
@@ -369,7 +375,7 @@ function draw() {
       if (window.parent !== window) {
         window.parent.postMessage({
           type: 'gameOver',
-          payload: { score: state.score }
+          payload: { score: state.score, seed: getSeed() }
         }, '*')
       }
     }
@@ -569,7 +575,7 @@ function shootEnemyBullet() {
 
   if (bottomInvaders.length === 0) return
 
-  const shooter = bottomInvaders[Math.floor(Math.random() * bottomInvaders.length)]
+  const shooter = randomChoice(bottomInvaders)
 
   // Create enemy bullet (simple black cell - KISS approach)
   const bullet = {
@@ -800,10 +806,10 @@ function spawnExplosion(invader) {
 
   for (let i = 0; i < particleCount; i++) {
     const particle = {
-      x: centerX + (Math.random() * 2 - 1) * dispersionRadius,
-      y: centerY + (Math.random() * 2 - 1) * dispersionRadius,
-      vx: (Math.random() * 2 - 1) * 4,
-      vy: (Math.random() * 2 - 1) * 4,
+      x: centerX + randomRange(-1, 1) * dispersionRadius,
+      y: centerY + randomRange(-1, 1) * dispersionRadius,
+      vx: randomRange(-1, 1) * 4,
+      vy: randomRange(-1, 1) * 4,
       alpha: 255,
       width: 0,   // Will be calculated
       height: 0,  // Will be calculated
@@ -819,7 +825,7 @@ function spawnExplosion(invader) {
 
     // Add a small pattern in center for chaos
     const explosionPatterns = [Patterns.BLINKER, Patterns.TOAD, Patterns.BEACON]
-    const pattern = explosionPatterns[Math.floor(Math.random() * explosionPatterns.length)]
+    const pattern = randomChoice(explosionPatterns)
     particle.gol.setPattern(pattern, 1, 1)
 
     // PHASE 3: Calculate dimensions after pattern applied
@@ -851,10 +857,10 @@ function spawnPlayerExplosion() {
 
   for (let i = 0; i < particleCount; i++) {
     const particle = {
-      x: centerX + (Math.random() * 2 - 1) * dispersionRadius,
-      y: centerY + (Math.random() * 2 - 1) * dispersionRadius,
-      vx: (Math.random() * 2 - 1) * 5,  // Slightly faster than invader explosion
-      vy: (Math.random() * 2 - 1) * 5,
+      x: centerX + randomRange(-1, 1) * dispersionRadius,
+      y: centerY + randomRange(-1, 1) * dispersionRadius,
+      vx: randomRange(-1, 1) * 5,  // Slightly faster than invader explosion
+      vy: randomRange(-1, 1) * 5,
       alpha: 255,
       width: 0,
       height: 0,
@@ -870,7 +876,7 @@ function spawnPlayerExplosion() {
 
     // Add a small pattern in center for chaos
     const explosionPatterns = [Patterns.BLINKER, Patterns.TOAD, Patterns.BEACON]
-    const pattern = explosionPatterns[Math.floor(Math.random() * explosionPatterns.length)]
+    const pattern = randomChoice(explosionPatterns)
     particle.gol.setPattern(pattern, 1, 1)
 
     // Calculate dimensions after pattern applied
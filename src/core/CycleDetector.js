@@ -0,0 +1,222 @@
+/**
+ * Cycle detection for Game of Life grids.
+ *
+ * Each observed generation is reduced to a translation-invariant signature:
+ * the live cells relative to their bounding box, hashed. When a signature
+ * reappears within maxPeriod generations the grid is cycling:
+ *
+ * - Same position, period 1 → still life
+ * - Same position, period N → period-N oscillator
+ * - Shifted by (dx, dy)     → spaceship moving (dx, dy) every N generations
+ *
+ * The signature covers the whole grid, so a board with a blinker and a pulsar
+ * is reported as one period-6 oscillator (lcm of the parts).
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+/**
+ * Kinds of cycles reported by CycleDetector.
+ */
+export const CYCLE_TYPE = {
+  EMPTY: 'empty',
+  STILL_LIFE: 'still-life',
+  OSCILLATOR: 'oscillator',
+  SPACESHIP: 'spaceship'
+}
+
+/**
+ * Default longest period searched for.
+ */
+const DEFAULT_MAX_PERIOD = 64
+
+/**
+ * Compute the translation-invariant signature of a column-major grid.
+ *
+ * @param {Array<ArrayLike<number>>} grid - Grid (grid[x][y])
+ * @param {number} cols - Number of columns
+ * @param {number} rows - Number of rows
+ * @returns {{key: string, minX: number, minY: number, population: number}} Signature
+ */
+export function computeSignature(grid, cols, rows) {
+  let minX = cols
+  let minY = rows
+  let maxX = -1
+  let maxY = -1
+  let population = 0
+
+  for (let x = 0; x < cols; x++) {
+    const column = grid[x]
+    for (let y = 0; y < rows; y++) {
+      if (column[y]) {
+        population++
+        if (x < minX) minX = x
+        if (x > maxX) maxX = x
+        if (y < minY) minY = y
+        if (y > maxY) maxY = y
+      }
+    }
+  }
+
+  if (population === 0) {
+    return { key: 'empty', minX: 0, minY: 0, population }
+  }
+
+  // Two independent 32-bit hashes of the live cell offsets (FNV-1a and a multiplicative mix)
+  const width = maxX - minX + 1
+  const height = maxY - minY + 1
+  let hashA = 0x811C9DC5
+  let hashB = 0x9E3779B9
+  for (let x = minX; x <= maxX; x++) {
+    const column = grid[x]
+    for (let y = minY; y <= maxY; y++) {
+      if (column[y]) {
+        const offset = (x - minX) * height + (y - minY)
+        hashA = Math.imul(hashA ^ offset, 0x01000193)
+        hashB = Math.imul(hashB + offset, 0x85EBCA6B) ^ (hashB >>> 13)
+      }
+    }
+  }
+
+  return {
+    key: `${width}x${height}:${population}:${hashA >>> 0}:${hashB >>> 0}`,
+    minX,
+    minY,
+    population
+  }
+}
+
+/**
+ * Tracks recent generation signatures and reports cycles.
+ */
+export class CycleDetector {
+  /**
+   * @param {object} options - Detector settings
+   * @param {number} options.maxPeriod - Longest period searched for (default: 64)
+   */
+  constructor(options = {}) {
+    this.maxPeriod = options.maxPeriod || DEFAULT_MAX_PERIOD
+    this.reset()
+  }
+
+  /**
+   * Forget all observed generations.
+   */
+  reset() {
+    this.seen = new Map()  // signature key → { generation, minX, minY }
+    this.order = []        // [{ key, generation }] oldest first, for eviction
+  }
+
+  /**
+   * Record a generation and check whether it repeats an earlier one.
+   *
+   * @param {number} generation - Generation number
+   * @param {Array<ArrayLike<number>>} grid - Grid (grid[x][y])
+   * @param {number} cols - Number of columns
+   * @param {number} rows - Number of rows
+   * @returns {object|null} Cycle (see classifyCycle) or null if no repeat yet
+   */
+  observe(generation, grid, cols, rows) {
+    const signature = computeSignature(grid, cols, rows)
+
+    // Drop signatures that are too old to form a cycle of at most maxPeriod
+    while (this.order.length > 0 && this.order[0].generation < generation - this.maxPeriod) {
+      const { key, generation: oldGeneration } = this.order.shift()
+      if (this.seen.get(key)?.generation === oldGeneration) {
+        this.seen.delete(key)
+      }
+    }
+
+    const previous = this.seen.get(signature.key)
+    let cycle = null
+    if (previous && previous.generation < generation) {
+      cycle = classifyCycle(
+        generation - previous.generation,
+        signature.minX - previous.minX,
+        signature.minY - previous.minY,
+        signature.population,
+        previous.generation,
+        generation
+      )
+    }
+
+    // Keep the latest occurrence so the smallest period is found
+    this.seen.set(signature.key, { generation, minX: signature.minX, minY: signature.minY })
+    this.order.push({ key: signature.key, generation })
+
+    return cycle
+  }
+}
+
+/**
+ * Build a cycle description.
+ *
+ * @param {number} period - Generations per cycle
+ * @param {number} dx - Horizontal displacement per cycle (cells)
+ * @param {number} dy - Vertical displacement per cycle (cells)
+ * @param {number} population - Live cells
+ * @param {number} startGeneration - First generation of the repeated state
+ * @param {number} generation - Generation where the repeat was seen
+ * @returns {{type: string, period: number, dx: number, dy: number,
+ *   velocity: {x: number, y: number}, speed: string, population: number,
+ *   startGeneration: number, generation: number}} Cycle
+ */
+export function classifyCycle(period, dx, dy, population, startGeneration, generation) {
+  let type
+  if (population === 0) {
+    type = CYCLE_TYPE.EMPTY
+  } else if (dx !== 0 || dy !== 0) {
+    type = CYCLE_TYPE.SPACESHIP
+  } else if (period === 1) {
+    type = CYCLE_TYPE.STILL_LIFE
+  } else {
+    type = CYCLE_TYPE.OSCILLATOR
+  }
+
+  return {
+    type,
+    period,
+    dx,
+    dy,
+    velocity: { x: dx / period, y: dy / period },
+    speed: formatSpeed(Math.max(Math.abs(dx), Math.abs(dy)), period),
+    population,
+    startGeneration,
+    generation
+  }
+}
+
+/**
+ * Check whether two cycles describe the same behavior.
+ *
+ * @param {object|null} a - First cycle
+ * @param {object|null} b - Second cycle
+ * @returns {boolean} True if type, period and displacement match
+ */
+export function isSameCycle(a, b) {
+  return !!a && !!b &&
+    a.type === b.type && a.period === b.period && a.dx === b.dx && a.dy === b.dy
+}
+
+/**
+ * Format a speed in LifeWiki notation ("c/4", "2c/5", "0").
+ *
+ * @private
+ * @param {number} distance - Cells travelled per cycle (Chebyshev distance)
+ * @param {number} period - Generations per cycle
+ * @returns {string} Speed
+ */
+function formatSpeed(distance, period) {
+  if (distance === 0) return '0'
+
+  let a = distance
+  let b = period
+  while (b !== 0) {
+    [a, b] = [b, a % b]
+  }
+  const numerator = distance / a
+  const denominator = period / a
+  const c = numerator === 1 ? 'c' : `${numerator}c`
+  return denominator === 1 ? c : `${c}/${denominator}`
+}
@@ -0,0 +1,262 @@
+/**
+ * Ring buffer of past Game of Life generations with delta compression.
+ *
+ * Each entry stores either a full keyframe (copy of the grid) or the list of
+ * cell indices that flipped since the previous entry. A typical generation
+ * changes a few percent of the cells, so deltas are much smaller than copies.
+ * Restoring walks forward from the nearest keyframe.
+ *
+ * Grids are passed as flat column-major Uint8Arrays (GoLEngine `current.cells`).
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+/**
+ * Default number of generations kept (1 minute at 10 fps).
+ */
+const DEFAULT_CAPACITY = 600
+
+/**
+ * Default distance between full keyframes.
+ */
+const DEFAULT_KEYFRAME_INTERVAL = 60
+
+/**
+ * Fixed-size history of grid states indexed by generation.
+ */
+class GenerationHistory {
+  /**
+   * Create a history buffer.
+   *
+   * @param {number} cellCount - Cells per grid (cols × rows)
+   * @param {object} options - Optional settings
+   * @param {number} options.capacity - Generations kept before the oldest is dropped (default: 600)
+   * @param {number} options.keyframeInterval - Store a full copy every N entries (default: 60)
+   */
+  constructor(cellCount, options = {}) {
+    this.cellCount = cellCount
+    this.capacity = Math.max(1, options.capacity || DEFAULT_CAPACITY)
+    this.keyframeInterval = Math.max(1, options.keyframeInterval || DEFAULT_KEYFRAME_INTERVAL)
+
+    // Ring storage: entries[(start + i) % capacity], i = 0..length-1 (oldest first)
+    this.entries = new Array(this.capacity)
+    this.start = 0
+    this.length = 0
+
+    // Copy of the newest recorded grid (base for the next delta)
+    this.lastCells = new Uint8Array(cellCount)
+    this.sinceKeyframe = 0
+
+    // Smallest index type that can address every cell
+    this.IndexArray = cellCount <= 0x10000 ? Uint16Array : Uint32Array
+  }
+
+  /**
+   * Remove all entries.
+   */
+  clear() {
+    this.entries = new Array(this.capacity)
+    this.start = 0
+    this.length = 0
+    this.sinceKeyframe = 0
+  }
+
+  /**
+   * Generation of the oldest entry (null if empty).
+   *
+   * @returns {number|null} Oldest recorded generation
+   */
+  get oldestGeneration() {
+    return this.length > 0 ? this.entryAt(0).generation : null
+  }
+
+  /**
+   * Generation of the newest entry (null if empty).
+   *
+   * @returns {number|null} Newest recorded generation
+   */
+  get newestGeneration() {
+    return this.length > 0 ? this.entryAt(this.length - 1).generation : null
+  }
+
+  /**
+   * Check whether a generation can be restored.
+   *
+   * @param {number} generation - Generation number
+   * @returns {boolean} True if recorded
+   */
+  has(generation) {
+    return this.indexOf(generation) !== -1
+  }
+
+  /**
+   * Record a grid state. Entries at or after this generation are discarded
+   * first (recording after a rewind starts a new timeline).
+   *
+   * @param {number} generation - Generation number of the state
+   * @param {Uint8Array} cells - Flat column-major grid (copied)
+   */
+  record(generation, cells) {
+    this.truncateFrom(generation)
+
+    let entry
+    if (this.length === 0 || this.sinceKeyframe >= this.keyframeInterval) {
+      entry = { generation, keyframe: cells.slice(), delta: null }
+      this.sinceKeyframe = 0
+    } else {
+      entry = { generation, keyframe: null, delta: this.diff(this.lastCells, cells) }
+      this.sinceKeyframe++
+    }
+    this.lastCells.set(cells)
+
+    if (this.length === this.capacity) {
+      this.dropOldest()
+    }
+    this.entries[(this.start + this.length) % this.capacity] = entry
+    this.length++
+  }
+
+  /**
+   * Restore a recorded generation into a flat grid.
+   *
+   * @param {number} generation - Generation number
+   * @param {Uint8Array} target - Destination grid (overwritten)
+   * @returns {boolean} True if restored, false if not recorded
+   */
+  restore(generation, target) {
+    const index = this.indexOf(generation)
+    if (index === -1) {
+      return false
+    }
+
+    // Walk back to the nearest keyframe, then replay deltas forward
+    let keyIndex = index
+    while (!this.entryAt(keyIndex).keyframe) {
+      keyIndex--
+    }
+    target.set(this.entryAt(keyIndex).keyframe)
+    for (let i = keyIndex + 1; i <= index; i++) {
+      applyDelta(target, this.entryAt(i).delta)
+    }
+    return true
+  }
+
+  /**
+   * Approximate memory used by stored entries.
+   *
+   * @returns {number} Bytes
+   */
+  getByteSize() {
+    let bytes = this.lastCells.byteLength
+    for (let i = 0; i < this.length; i++) {
+      const entry = this.entryAt(i)
+      bytes += entry.keyframe ? entry.keyframe.byteLength : entry.delta.byteLength
+    }
+    return bytes
+  }
+
+  /**
+   * Get the i-th entry (0 = oldest).
+   *
+   * @private
+   */
+  entryAt(i) {
+    return this.entries[(this.start + i) % this.capacity]
+  }
+
+  /**
+   * Find the entry index of a generation (-1 if missing).
+   * Generations are increasing, so the offset from the oldest is a good first guess.
+   *
+   * @private
+   */
+  indexOf(generation) {
+    if (this.length === 0) return -1
+
+    const guess = generation - this.oldestGeneration
+    if (guess >= 0 && guess < this.length && this.entryAt(guess).generation === generation) {
+      return guess
+    }
+    for (let i = 0; i < this.length; i++) {
+      if (this.entryAt(i).generation === generation) return i
+    }
+    return -1
+  }
+
+  /**
+   * Drop entries with generation >= the given one.
+   *
+   * @private
+   */
+  truncateFrom(generation) {
+    let newLength = this.length
+    while (newLength > 0 && this.entryAt(newLength - 1).generation >= generation) {
+      newLength--
+    }
+    if (newLength === this.length) return
+
+    // Rebuild lastCells / keyframe distance for the new newest entry
+    for (let i = newLength; i < this.length; i++) {
+      this.entries[(this.start + i) % this.capacity] = undefined
+    }
+    this.length = newLength
+    if (newLength > 0) {
+      this.restore(this.newestGeneration, this.lastCells)
+      let keyIndex = newLength - 1
+      while (!this.entryAt(keyIndex).keyframe) keyIndex--
+      this.sinceKeyframe = newLength - 1 - keyIndex
+    } else {
+      this.sinceKeyframe = 0
+    }
+  }
+
+  /**
+   * Drop the oldest entry, promoting the next one to a keyframe if needed.
+   *
+   * @private
+   */
+  dropOldest() {
+    if (this.length > 1 && !this.entryAt(1).keyframe) {
+      const cells = new Uint8Array(this.cellCount)
+      this.restore(this.entryAt(1).generation, cells)
+      this.entryAt(1).keyframe = cells
+      this.entryAt(1).delta = null
+    }
+    this.entries[this.start] = undefined
+    this.start = (this.start + 1) % this.capacity
+    this.length--
+  }
+
+  /**
+   * Indices of cells that differ between two grids.
+   *
+   * @private
+   */
+  diff(previous, cells) {
+    let changed = 0
+    for (let i = 0; i < cells.length; i++) {
+      if (previous[i] !== cells[i]) changed++
+    }
+    const delta = new this.IndexArray(changed)
+    let j = 0
+    for (let i = 0; i < cells.length; i++) {
+      if (previous[i] !== cells[i]) delta[j++] = i
+    }
+    return delta
+  }
+}
+
+/**
+ * Flip the cells listed in a delta.
+ *
+ * @param {Uint8Array} cells - Grid to modify
+ * @param {Uint16Array|Uint32Array} delta - Changed cell indices
+ */
+function applyDelta(cells, delta) {
+  for (let i = 0; i < delta.length; i++) {
+    cells[delta[i]] ^= 1
+  }
+}
+
+export { GenerationHistory }
@@ -1,16 +1,97 @@
 /**
  * Conway's Game of Life Engine with double buffer pattern.
- * Implements B3/S23 rules (Birth: 3 neighbors, Survival: 2 or 3 neighbors).
+ * Implements B3/S23 rules (Birth: 3 neighbors, Survival: 2 or 3 neighbors)
+ * by default, and any Life-like rule in B/S notation (e.g. "B36/S23").
+ *
+ * STORAGE:
+ * Each buffer is a single column-major Uint8Array. `current[x]` is a
+ * Uint8Array view of column x, so `current[x][y]` reads and writes work
+ * exactly like the original Array-of-Arrays grid.
+ *
+ * SIMULATION:
+ * With dead or toroidal edges, update() packs each column into Uint32 words
+ * (32 rows per word) and computes 32 cells at once with bitwise adders (SWAR).
+ * Other topologies, neighborhoods and subclasses that override the per-cell
+ * hooks use the per-cell path. See src/debug/GoLEngineBenchmark.js for measurements.
+ *
+ * NEIGHBORHOODS:
+ * The rule selects the neighborhood: Moore by default, "V" (von Neumann) or
+ * "H" (hexagonal, odd-r layout) suffixes, or Larger-than-Life range-R rules
+ * such as "R5,C0,M1,S34..58,B34..45,NM" (see Rules.js and Neighborhoods.js).
+ *
+ * HISTORY:
+ * Optional (options.history or enableHistory()). Past generations are kept in
+ * a delta-compressed ring buffer (GenerationHistory) so stepBack() and seek()
+ * can rewind and replay the simulation.
+ *
+ * CYCLES:
+ * detectCycle() reports still lifes, oscillators and spaceships (CycleDetector).
+ * onCycle() listeners are notified when update() first reaches a cycle.
+ *
+ * CELL STATES:
+ * `current` always holds ALIVE/DEAD. Generations rules (e.g. 'B2/S/C3') keep
+ * the dying states 2..C-1 in a separate buffer, so dying cells never count as
+ * neighbors or show up in `current`. Optional age tracking (options.trackAge)
+ * counts how many generations each live cell has survived. Both are read with
+ * getCellState() and getCellAge(); history restores live cells only.
+ *
+ * CHANGES:
+ * With change tracking (options.changeTracking, or the first onBirth()/onDeath()
+ * listener) update() records which cells were born or died, so renderers can
+ * repaint only those cells and games can react to individual births and deaths.
+ *
+ * SNAPSHOTS:
+ * serialize() / GoLEngine.deserialize() save and restore the grid, rule,
+ * generation, boundary and frozen flag as a compact versioned JSON object
+ * (see Snapshot.js).
  *
  * @author Game of Life Arcade
  * @license ISC
  */
 
+import { CONWAY_RULE, parseRule } from './Rules.js'
+import { NEIGHBORHOOD, getNeighborhoodSize, getNeighborOffsets } from './Neighborhoods.js'
+import { GenerationHistory } from './GenerationHistory.js'
+import { CycleDetector, isSameCycle } from './CycleDetector.js'
+import { randomFloat } from '../utils/Random.js'
+import { PatternFormat, toRLE, gridToPattern } from '../utils/PatternFormats.js'
+import { PatternOrientation, transformPattern } from '../utils/PatternTransforms.js'
+import { createSnapshot, readSnapshot } from './Snapshot.js'
+
 const ALIVE = 1
 const DEAD = 0
 
+/**
+ * First Generations dying state (a cell that just failed to survive).
+ */
+const FIRST_DYING_STATE = 2
+
+/**
+ * Highest tracked cell age (ages are stored in a Uint16Array and saturate).
+ */
+const MAX_AGE = 65535
+
+/**
+ * Boundary topologies for cells outside the grid.
+ *
+ * - DEAD: Cells outside the grid are dead (fixed boundary, classic behavior)
+ * - TOROIDAL: Opposite edges are joined (gliders leave right, enter left)
+ * - KLEIN: Left/right edges joined, top/bottom joined with a horizontal flip (Klein bottle)
+ * - CROSS_SURFACE: Both edge pairs joined with a flip (real projective plane)
+ * - ALIVE: Cells outside the grid are always alive
+ */
+const BOUNDARY = {
+  DEAD: 'dead',
+  TOROIDAL: 'toroidal',
+  KLEIN: 'klein',
+  CROSS_SURFACE: 'cross-surface',
+  ALIVE: 'alive'
+}
+
 /**
  * Game of Life Engine implementing Conway's B3/S23 rules with double buffer.
+ * Other Life-like rules (HighLife, Seeds, Day & Night...) can be selected
+ * via options.rule or setRule().
  */
 class GoLEngine {
   /**
@@ -19,8 +100,24 @@ class GoLEngine {
    * @param {number} cols - Number of columns in the grid
    * @param {number} rows - Number of rows in the grid
    * @param {number} updateRateFPS - Target update rate in frames per second (default: 10)
+   * @param {object} options - Optional engine settings
+   * @param {string} options.rule - Life-like or Generations rulestring (default: 'B3/S23')
+   * @param {string} options.boundary - Boundary topology, BOUNDARY enum (default: BOUNDARY.DEAD)
+   * @param {boolean|object} options.history - Keep past generations for stepBack()/seek().
+   *   true for defaults, or { capacity, keyframeInterval } (default: disabled)
+   * @param {boolean|object} options.cycleDetection - Track cycles during update() for onCycle().
+   *   true for defaults, or { maxPeriod } (default: enabled by the first onCycle())
+   * @param {boolean} options.trackAge - Count generations survived per cell for getCellAge() (default: false)
+   * @param {boolean} options.changeTracking - Record births and deaths of each update() for
+   *   getChanges() (default: enabled by the first onBirth()/onDeath())
+   *
+   * @example
+   * const highLife = new GoLEngine(40, 64, 10, { rule: RULE_PRESETS.HIGHLIFE })
+   *
+   * @example
+   * const wrapping = new GoLEngine(40, 64, 10, { boundary: BOUNDARY.TOROIDAL })
    */
-  constructor(cols, rows, updateRateFPS = 10) {
+  constructor(cols, rows, updateRateFPS = 10, options = {}) {
     this.cols = cols
     this.rows = rows
     this._updateRateFPS = updateRateFPS  // Private storage
@@ -34,6 +131,39 @@ class GoLEngine {
 
     this.generation = 0
     this._frozen = false  // Freeze state for static patterns
+
+    // Per-cell state beyond ALIVE/DEAD (flat, column-major like `.cells`)
+    this._decay = null  // Generations dying state (2..states-1), 0 otherwise; set by setRule()
+    this._age = options.trackAge ? new Uint16Array(cols * rows) : null
+
+    // Rule lookup tables (index = neighbor count)
+    this.setRule(options.rule || CONWAY_RULE)
+
+    // Edge topology used by countLiveNeighbors()
+    this.setBoundary(options.boundary || BOUNDARY.DEAD)
+
+    // Generation history (disabled unless requested)
+    this.history = null
+    this._replaying = false  // seek() replay in progress: listeners are not called
+    if (options.history) {
+      this.enableHistory(options.history === true ? {} : options.history)
+    }
+
+    // Cycle tracking (disabled until requested or a listener is added)
+    this._cycleDetector = null
+    this._cycleListeners = []
+    this._lastCycle = null
+    if (options.cycleDetection) {
+      this.enableCycleDetection(options.cycleDetection === true ? {} : options.cycleDetection)
+    }
+
+    // Change tracking (disabled until requested or a listener is added)
+    this._changes = null
+    this._birthListeners = []
+    this._deathListeners = []
+    if (options.changeTracking) {
+      this.enableChangeTracking()
+    }
   }
 
   /**
@@ -55,17 +185,125 @@ class GoLEngine {
   }
 
   /**
-   * Create a 2D array initialized with zeros (dead cells).
+   * Set the Life-like or Generations rule used by update().
+   * Can be called at any time; takes effect on the next generation.
+   *
+   * @param {string} rulestring - Rule in B/S notation (e.g. 'B3/S23', 'B36/S23', 'B2/S/C3')
+   * @throws {Error} If the rulestring is malformed
+   *
+   * @example
+   * engine.setRule('B3678/S34678')  // Day & Night
+   *
+   * @example
+   * engine.setRule(RULE_PRESETS.BRIANS_BRAIN)  // 3 states: alive → dying → dead
+   *
+   * @example
+   * engine.setRule(RULE_PRESETS.HEX_LIFE)  // Hexagonal neighborhood (6 neighbors)
+   */
+  setRule(rulestring) {
+    const rule = parseRule(rulestring)
+    const maxCount = getNeighborhoodSize(rule.neighborhood, rule.range) + (rule.includeCenter ? 1 : 0)
+
+    this._rule = rule
+    this._birthTable = new Array(maxCount + 1).fill(false)
+    this._survivalTable = new Array(maxCount + 1).fill(false)
+    rule.birth.forEach(count => { this._birthTable[count] = true })
+    rule.survival.forEach(count => { this._survivalTable[count] = true })
+
+    // Offsets for anything but the built-in 8-cell Moore neighborhood
+    const isMoore = rule.neighborhood === NEIGHBORHOOD.MOORE && rule.range === 1 && !rule.includeCenter
+    this._neighborOffsets = isMoore ? null : getNeighborOffsets(rule.neighborhood, rule.range)
+
+    // Dying states only exist under Generations rules
+    if (rule.states > 2) {
+      if (!this._decay) {
+        this._decay = new Uint8Array(this.cols * this.rows)
+      } else {
+        // Fewer states: cells past the new last state are dead
+        for (let i = 0; i < this._decay.length; i++) {
+          if (this._decay[i] >= rule.states) this._decay[i] = DEAD
+        }
+      }
+    } else {
+      this._decay = null
+    }
+  }
+
+  /**
+   * Get the current rule in canonical B/S notation.
+   *
+   * @returns {string} Rulestring (e.g. 'B3/S23')
+   */
+  getRule() {
+    return this._rule.rulestring
+  }
+
+  /**
+   * Get the neighborhood of the current rule.
+   *
+   * @returns {{neighborhood: string, range: number, includeCenter: boolean}} NEIGHBORHOOD enum
+   *   value, range (1 = adjacent cells) and whether a cell counts itself
+   *
+   * @example
+   * if (engine.getNeighborhood().neighborhood === NEIGHBORHOOD.HEXAGONAL) drawHexagons()
+   */
+  getNeighborhood() {
+    const { neighborhood, range, includeCenter } = this._rule
+    return { neighborhood, range, includeCenter }
+  }
+
+  /**
+   * Check if the engine is running Conway's B3/S23 rule.
+   *
+   * @returns {boolean} True if the current rule is B3/S23
+   */
+  isConway() {
+    return this._rule.rulestring === CONWAY_RULE
+  }
+
+  /**
+   * Set the boundary topology used when counting neighbors of edge cells.
+   *
+   * @param {string} boundary - BOUNDARY enum value
+   * @throws {Error} If the boundary mode is unknown
+   *
+   * @example
+   * engine.setBoundary(BOUNDARY.TOROIDAL)
+   */
+  setBoundary(boundary) {
+    if (!Object.values(BOUNDARY).includes(boundary)) {
+      throw new Error(`[GoLEngine] Invalid boundary: ${boundary}. Must be one of ${Object.values(BOUNDARY).join(', ')}`)
+    }
+    this._boundary = boundary
+  }
+
+  /**
+   * Get the current boundary topology.
+   *
+   * @returns {string} BOUNDARY enum value
+   */
+  getBoundary() {
+    return this._boundary
+  }
+
+  /**
+   * Create a 2D grid initialized with zeros (dead cells).
+   *
+   * Cells live in one column-major Uint8Array (exposed as `.cells`);
+   * each column is a subarray view over it, so grid[x][y] indexing works
+   * and both views always agree.
    *
    * @param {number} cols - Number of columns
    * @param {number} rows - Number of rows
-   * @returns {number[][]} 2D array of dead cells
+   * @returns {Uint8Array[]} Array of column views (grid[x][y]) with a `.cells` flat buffer
    */
   create2DArray(cols, rows) {
+    const cells = new Uint8Array(cols * rows)
     const arr = new Array(cols)
     for (let i = 0; i < cols; i++) {
-      arr[i] = new Array(rows).fill(DEAD)
+      arr[i] = cells.subarray(i * rows, (i + 1) * rows)
     }
+    arr.cells = cells
     return arr
   }
 
@@ -78,6 +316,9 @@ class GoLEngine {
    */
   setCell(x, y, state) {
     if (x >= 0 && x < this.cols && y >= 0 && y < this.rows) {
+      const index = x * this.rows + y
+      if (this._decay) this._decay[index] = DEAD
+      if (this._age && !(state && this.current[x][y])) this._age[index] = state ? 1 : 0
       this.current[x][y] = state
     }
   }
@@ -96,6 +337,108 @@ class GoLEngine {
     return DEAD  // Out of bounds = dead
   }
 
+  /**
+   * Get the full state of a cell, including Generations dying states.
+   *
+   * @param {number} x - Column index
+   * @param {number} y - Row index
+   * @returns {number} DEAD (0), ALIVE (1), or dying state 2..getStateCount()-1
+   *   (higher = closer to dead)
+   *
+   * @example
+   * engine.setRule(RULE_PRESETS.STAR_WARS)  // 4 states
+   * engine.getCellState(x, y)  // 0 dead, 1 alive, 2 or 3 dying
+   */
+  getCellState(x, y) {
+    if (x < 0 || x >= this.cols || y < 0 || y >= this.rows) {
+      return DEAD
+    }
+    if (this.current[x][y]) {
+      return ALIVE
+    }
+    return this._decay ? this._decay[x * this.rows + y] : DEAD
+  }
+
+  /**
+   * Set the full state of a cell (DEAD, ALIVE or a dying state).
+   *
+   * @param {number} x - Column index
+   * @param {number} y - Row index
+   * @param {number} state - 0..getStateCount()-1
+   * @throws {Error} If the state does not exist under the current rule
+   */
+  setCellState(x, y, state) {
+    if (state < DEAD || state >= this._rule.states) {
+      throw new Error(`[GoLEngine] Invalid cell state ${state} for rule ${this.getRule()}`)
+    }
+    if (state <= ALIVE) {
+      this.setCell(x, y, state)
+      return
+    }
+    if (x >= 0 && x < this.cols && y >= 0 && y < this.rows) {
+      this.setCell(x, y, DEAD)
+      this._decay[x * this.rows + y] = state
+    }
+  }
+
+  /**
+   * Get the number of cell states of the current rule.
+   *
+   * @returns {number} 2 for Life-like rules, C for Generations rules
+   */
+  getStateCount() {
+    return this._rule.states
+  }
+
+  /**
+   * Get how many generations a live cell has been alive.
+   *
+   * @param {number} x - Column index
+   * @param {number} y - Row index
+   * @returns {number} Age (1 = born this generation), 0 if dead or age tracking is off
+   */
+  getCellAge(x, y) {
+    if (!this._age || !this.getCell(x, y)) {
+      return 0
+    }
+    return Math.max(1, this._age[x * this.rows + y])
+  }
+
+  /**
+   * Start counting cell ages. Cells alive now start at age 1.
+   */
+  enableAgeTracking() {
+    if (!this._age) {
+      this._age = new Uint16Array(this.cols * this.rows)
+    }
+  }
+
+  /**
+   * Stop counting cell ages.
+   */
+  disableAgeTracking() {
+    this._age = null
+  }
+
+  /**
+   * Check whether cell ages are tracked.
+   *
+   * @returns {boolean} True if getCellAge() is available
+   */
+  isTrackingAge() {
+    return this._age !== null
+  }
+
+  /**
+   * Forget dying states and ages (used when the grid is replaced).
+   *
+   * @private
+   */
+  _resetCellStates() {
+    this._decay?.fill(DEAD)
+    this._age?.fill(0)
+  }
+
   /**
    * Clear the grid (set all cells to dead).
    */
@@ -107,6 +450,10 @@ class GoLEngine {
       }
     }
     this.generation = 0
+    this.history?.clear()
+    this.resetCycleTracking()
+    this._resetCellStates()
+    this._resetChanges()
   }
 
   /**
@@ -117,21 +464,30 @@ class GoLEngine {
   randomSeed(density = 0.3) {
     for (let x = 0; x < this.cols; x++) {
       for (let y = 0; y < this.rows; y++) {
-        this.current[x][y] = Math.random() < density ? ALIVE : DEAD
+        this.current[x][y] = randomFloat() < density ? ALIVE : DEAD
       }
     }
     this.generation = 0
+    this.history?.clear()
+    this.resetCycleTracking()
+    this._resetCellStates()
+    this._resetChanges()
   }
 
   /**
-   * Count live neighbors for a cell using Moore neighborhood (8 neighbors).
+   * Count live neighbors for a cell using Moore neighborhood (8 neighbors),
+   * or the rule's neighborhood (von Neumann, hexagonal, range R).
    *
    * @param {number[][]} grid - The grid to read from
    * @param {number} x - Column index
    * @param {number} y - Row index
-   * @returns {number} Number of live neighbors (0-8)
+   * @returns {number} Number of live neighbors (0-8 for Moore)
    */
   countLiveNeighbors(grid, x, y) {
+    if (this._neighborOffsets) {
+      return this.countNeighborhood(grid, x, y)
+    }
+
     let count = 0
 
     // Check all 8 neighbors (Moore neighborhood)
@@ -146,14 +502,78 @@ class GoLEngine {
         // Check bounds and count if alive
         if (nx >= 0 && nx < this.cols && ny >= 0 && ny < this.rows) {
           count += grid[nx][ny]
+        } else {
+          // Out of bounds cells are resolved by the boundary topology
+          count += this.getBoundaryCell(grid, nx, ny)
         }
-        // Out of bounds cells are treated as dead (fixed boundary)
       }
     }
 
     return count
   }
 
+  /**
+   * Count live cells in the rule's neighborhood (offsets from Neighborhoods.js).
+   *
+   * @param {number[][]} grid - The grid to read from
+   * @param {number} x - Column index
+   * @param {number} y - Row index
+   * @returns {number} Number of live neighbors (plus the cell itself for M1 rules)
+   */
+  countNeighborhood(grid, x, y) {
+    const offsets = this._neighborOffsets[y & 1]
+    let count = this._rule.includeCenter ? grid[x][y] : 0
+
+    for (let i = 0; i < offsets.length; i++) {
+      const nx = x + offsets[i][0]
+      const ny = y + offsets[i][1]
+      if (nx >= 0 && nx < this.cols && ny >= 0 && ny < this.rows) {
+        count += grid[nx][ny]
+      } else {
+        count += this.getBoundaryCell(grid, nx, ny)
+      }
+    }
+
+    return count
+  }
+
+  /**
+   * Resolve the state of a cell outside the grid according to the boundary topology.
+   *
+   * @param {number[][]} grid - The grid to read from
+   * @param {number} x - Column index (may be outside 0..cols-1)
+   * @param {number} y - Row index (may be outside 0..rows-1)
+   * @returns {number} ALIVE or DEAD
+   */
+  getBoundaryCell(grid, x, y) {
+    const outX = x < 0 || x >= this.cols
+    const outY = y < 0 || y >= this.rows
+
+    switch (this._boundary) {
+      case BOUNDARY.ALIVE:
+        return ALIVE
+
+      case BOUNDARY.TOROIDAL:
+        return grid[wrapIndex(x, this.cols)][wrapIndex(y, this.rows)]
+
+      case BOUNDARY.KLEIN: {
+        // Crossing top/bottom mirrors the column
+        const mx = outY ? this.cols - 1 - x : x
+        return grid[wrapIndex(mx, this.cols)][wrapIndex(y, this.rows)]
+      }
+
+      case BOUNDARY.CROSS_SURFACE: {
+        // Crossing either edge pair mirrors the other axis
+        const mx = outY ? this.cols - 1 - x : x
+        const my = outX ? this.rows - 1 - y : y
+        return grid[wrapIndex(mx, this.cols)][wrapIndex(my, this.rows)]
+      }
+
+      default:
+        return DEAD  // BOUNDARY.DEAD: fixed boundary
+    }
+  }
+
   /**
    * Apply Conway's B3/S23 rules.
    * Birth: exactly 3 neighbors → becomes alive
@@ -174,26 +594,240 @@ class GoLEngine {
     }
   }
 
+  /**
+   * Apply the engine's current Life-like rule.
+   *
+   * @param {number} currentState - Current cell state (ALIVE or DEAD)
+   * @param {number} neighbors - Number of live neighbors
+   * @returns {number} Next state (ALIVE or DEAD)
+   */
+  applyRules(currentState, neighbors) {
+    if (currentState === ALIVE) {
+      return this._survivalTable[neighbors] ? ALIVE : DEAD
+    } else {
+      return this._birthTable[neighbors] ? ALIVE : DEAD
+    }
+  }
+
   /**
    * Update the grid to the next generation using double buffer pattern.
    * CRITICAL: Never modifies current grid while reading it.
    */
   update() {
+    // Record the state being left (includes any setCell/setPattern edits)
+    if (this.history) {
+      this.history.record(this.generation, this.getCells())
+    }
+
+    if (this.canUsePackedUpdate()) {
+      this.updatePacked()
+    } else {
+      this.updatePerCell()
+    }
+
+    if (this._decay || this._age) {
+      this.updateCellStates()
+    }
+
+    // Swap buffers (pointer swap, not data copy)
+    const temp = this.current
+    this.current = this.next
+    this.next = temp
+
+    this.generation++
+    this.afterStep()
+
+    if (this._changes) {
+      this.trackChanges()
+    }
+
+    if (this._cycleDetector) {
+      this.trackCycle()
+    }
+  }
+
+  /**
+   * Hook run after each generation is computed, before change and cycle
+   * tracking see it. Subclasses override it to edit the new grid (current)
+   * as part of the step. Does nothing by default.
+   */
+  afterStep() {}
+
+  /**
+   * Apply Generations decay and advance cell ages (reads current, adjusts next).
+   * Runs after the live/dead step, so both update paths share it.
+   */
+  updateCellStates() {
+    const current = this.current.cells
+    const next = this.next.cells
+    const decay = this._decay
+    const age = this._age
+    const states = this._rule.states
+
+    for (let i = 0; i < next.length; i++) {
+      if (decay) {
+        if (current[i]) {
+          decay[i] = next[i] ? DEAD : FIRST_DYING_STATE
+        } else if (decay[i]) {
+          // Dying cells cannot be born into; they move one state closer to dead
+          next[i] = DEAD
+          decay[i] = decay[i] + 1 < states ? decay[i] + 1 : DEAD
+        }
+      }
+
+      if (age) {
+        age[i] = !next[i] ? 0 : current[i] ? Math.min(Math.max(age[i], 1) + 1, MAX_AGE) : 1
+      }
+    }
+  }
+
+  /**
+   * Check whether the bit-packed SWAR step produces the same result as the
+   * per-cell path: typed-array buffers, dead or toroidal edges, and the
+   * default Moore neighborhood / Life-like rule hooks.
+   *
+   * @returns {boolean} True if updatePacked() can be used
+   */
+  canUsePackedUpdate() {
+    return Boolean(this.current.cells && this.next.cells) &&
+      (this._boundary === BOUNDARY.DEAD || this._boundary === BOUNDARY.TOROIDAL) &&
+      !this._neighborOffsets &&
+      this.countLiveNeighbors === GoLEngine.prototype.countLiveNeighbors &&
+      this.applyRules === GoLEngine.prototype.applyRules
+  }
+
+  /**
+   * Compute the next generation cell by cell (reads current, writes next).
+   * Works for every boundary topology and for subclasses that override
+   * countLiveNeighbors() or applyRules().
+   */
+  updatePerCell() {
     // Read from current, write to next
     for (let x = 0; x < this.cols; x++) {
       for (let y = 0; y < this.rows; y++) {
         const neighbors = this.countLiveNeighbors(this.current, x, y)
         const currentState = this.current[x][y]
-        this.next[x][y] = this.applyB3S23Rules(currentState, neighbors)
+        this.next[x][y] = this.applyRules(currentState, neighbors)
       }
     }
+  }
 
-    // Swap buffers (pointer swap, not data copy)
-    const temp = this.current
-    this.current = this.next
-    this.next = temp
+  /**
+   * Compute the next generation with bit-packed SWAR arithmetic (reads current, writes next).
+   *
+   * ALGORITHM:
+   * 1. Pack each column into Uint32 words (bit b of word w = row w*32+b)
+   * 2. For each word, build the 8 neighbor masks by shifting the left,
+   *    center and right columns one row up/down (carrying bits across words)
+   * 3. Add the 8 masks with bitwise half adders into a 4-bit count per cell
+   * 4. Select births/survivals from the count bits using the rule tables
+   * 5. Unpack the result into the next buffer
+   */
+  updatePacked() {
+    const cols = this.cols
+    const rows = this.rows
+    const words = Math.ceil(rows / 32)
+    const toroidal = this._boundary === BOUNDARY.TOROIDAL
+    const lastBit = (rows - 1) % 32
+    const lastWordMask = lastBit === 31 ? 0xFFFFFFFF : ((1 << (lastBit + 1)) - 1)
+    const size = cols * words
 
-    this.generation++
+    // Reuse packed buffers between generations (reallocate only if size changed)
+    if (!this._packed || this._packed.length !== size) {
+      this._packed = new Uint32Array(size)
+      this._packedUp = new Uint32Array(size)
+      this._packedDown = new Uint32Array(size)
+      this._packedNext = new Uint32Array(size)
+    }
+    const packed = this._packed
+    const up = this._packedUp
+    const down = this._packedDown
+    const packedNext = this._packedNext
+
+    packCells(this.current.cells, packed, cols, rows, words)
+
+    // Row-shifted copies of every column: up[b] = cell(row - 1), down[b] = cell(row + 1)
+    for (let x = 0; x < cols; x++) {
+      const start = x * words
+      for (let w = 0; w < words; w++) {
+        const i = start + w
+        let carryUp = 0
+        let carryDown = 0
+        if (w > 0) {
+          carryUp = packed[i - 1] >>> 31
+        } else if (toroidal) {
+          carryUp = (packed[start + words - 1] >>> lastBit) & 1
+        }
+        if (w < words - 1) {
+          carryDown = packed[i + 1] << 31
+        } else if (toroidal) {
+          carryDown = (packed[start] & 1) << lastBit
+        }
+        up[i] = (packed[i] << 1) | carryUp
+        down[i] = (packed[i] >>> 1) | carryDown
+      }
+    }
+
+    const birth = this._birthTable
+    const survival = this._survivalTable
+
+    for (let x = 0; x < cols; x++) {
+      // Neighbor columns (-1 = outside the grid, always dead)
+      let left = x - 1
+      let right = x + 1
+      if (toroidal) {
+        left = (left + cols) % cols
+        right = right % cols
+      } else if (right >= cols) {
+        right = -1
+      }
+
+      for (let w = 0; w < words; w++) {
+        const i = x * words + w
+        const li = left * words + w
+        const ri = right * words + w
+        const alive = packed[i]
+
+        // 8 neighbor masks (Moore neighborhood)
+        const n0 = left >= 0 ? up[li] : 0
+        const n1 = left >= 0 ? packed[li] : 0
+        const n2 = left >= 0 ? down[li] : 0
+        const n3 = up[i]
+        const n4 = down[i]
+        const n5 = right >= 0 ? up[ri] : 0
+        const n6 = right >= 0 ? packed[ri] : 0
+        const n7 = right >= 0 ? down[ri] : 0
+
+        // Bitwise ripple-carry addition: (s3 s2 s1 s0) = neighbor count per bit
+        let s0 = 0, s1 = 0, s2 = 0, s3 = 0, c0, c1, c2
+        c0 = s0 & n0; s0 ^= n0; c1 = s1 & c0; s1 ^= c0; c2 = s2 & c1; s2 ^= c1; s3 |= c2
+        c0 = s0 & n1; s0 ^= n1; c1 = s1 & c0; s1 ^= c0; c2 = s2 & c1; s2 ^= c1; s3 |= c2
+        c0 = s0 & n2; s0 ^= n2; c1 = s1 & c0; s1 ^= c0; c2 = s2 & c1; s2 ^= c1; s3 |= c2
+        c0 = s0 & n3; s0 ^= n3; c1 = s1 & c0; s1 ^= c0; c2 = s2 & c1; s2 ^= c1; s3 |= c2
+        c0 = s0 & n4; s0 ^= n4; c1 = s1 & c0; s1 ^= c0; c2 = s2 & c1; s2 ^= c1; s3 |= c2
+        c0 = s0 & n5; s0 ^= n5; c1 = s1 & c0; s1 ^= c0; c2 = s2 & c1; s2 ^= c1; s3 |= c2
+        c0 = s0 & n6; s0 ^= n6; c1 = s1 & c0; s1 ^= c0; c2 = s2 & c1; s2 ^= c1; s3 |= c2
+        c0 = s0 & n7; s0 ^= n7; c1 = s1 & c0; s1 ^= c0; c2 = s2 & c1; s2 ^= c1; s3 |= c2
+
+        // Apply rule tables: OR together the masks of matching counts
+        let result = 0
+        for (let count = 0; count <= 8; count++) {
+          if (!birth[count] && !survival[count]) continue
+          const match = ((count & 1) ? s0 : ~s0) &
+            ((count & 2) ? s1 : ~s1) &
+            ((count & 4) ? s2 : ~s2) &
+            ((count & 8) ? s3 : ~s3)
+          if (birth[count]) result |= match & ~alive
+          if (survival[count]) result |= match & alive
+        }
+
+        // Clear padding bits past the last row
+        if (w === words - 1) result &= lastWordMask
+        packedNext[i] = result
+      }
+    }
+
+    unpackCells(packedNext, this.next.cells, cols, rows, words)
   }
 
   /**
@@ -222,6 +856,24 @@ class GoLEngine {
     return false
   }
 
+  /**
+   * Get how far the throttle is towards the next generation.
+   * Renderers use it to interpolate between generations (RenderMode.INTERPOLATED).
+   *
+   * @returns {number} 0 right after a generation, approaching 1 just before the next
+   *   (always 0 when frozen or when the update rate is 0)
+   *
+   * @example
+   * gol.updateThrottled(frameCount)
+   * const t = gol.getUpdateProgress()  // e.g. 0.5 halfway between generations
+   */
+  getUpdateProgress() {
+    if (this._frozen || !Number.isFinite(this.framesBetweenUpdates) || this.framesBetweenUpdates <= 0) {
+      return 0
+    }
+    return Math.min(1, this._throttleAccumulator / this.framesBetweenUpdates)
+  }
+
   /**
    * Freeze GoL evolution (for static pattern display).
    * When frozen, updateThrottled() will skip all updates.
@@ -236,11 +888,11 @@ class GoLEngine {
   }
 
   /**
-   * Unfreeze GoL evolution (resume normal B3/S23 updates).
+   * Unfreeze GoL evolution (resume normal rule updates).
    *
    * @example
    * gol.unfreeze()
-   * // Pattern will resume evolving according to B3/S23 rules
+   * // Pattern will resume evolving according to the engine's rule (B3/S23 by default)
    */
   unfreeze() {
     this._frozen = false
@@ -255,6 +907,457 @@ class GoLEngine {
     return this._frozen
   }
 
+  /**
+   * Start recording generations for stepBack()/seek().
+   *
+   * @param {object} options - History settings
+   * @param {number} options.capacity - Generations kept (default: 600)
+   * @param {number} options.keyframeInterval - Full copy every N generations (default: 60)
+   *
+   * @example
+   * engine.enableHistory({ capacity: 1200 })  // 2 minutes at 10 fps
+   */
+  enableHistory(options = {}) {
+    this.history = new GenerationHistory(this.cols * this.rows, options)
+  }
+
+  /**
+   * Stop recording and free stored generations.
+   */
+  disableHistory() {
+    this.history = null
+  }
+
+  /**
+   * Get the range of generations that seek() can reach without simulating.
+   *
+   * @returns {{oldest: number, newest: number}|null} Generation range, or null if history is disabled
+   */
+  getHistoryRange() {
+    if (!this.history) {
+      return null
+    }
+    let oldest = this.history.oldestGeneration ?? this.generation
+    const newest = this.history.newestGeneration
+
+    // seek() records the live head first: with a full buffer that drops the oldest entry
+    const headPending = newest === null || this.generation > newest
+    if (headPending && this.history.length === this.history.capacity) {
+      oldest = this.history.length > 1 ? oldest + 1 : this.generation
+    }
+
+    return {
+      oldest,
+      newest: Math.max(newest ?? this.generation, this.generation)
+    }
+  }
+
+  /**
+   * Rewind n generations.
+   *
+   * @param {number} n - Generations to go back (default: 1)
+   * @returns {boolean} True if the grid was rewound, false if not recorded
+   */
+  stepBack(n = 1) {
+    return this.seek(this.generation - n)
+  }
+
+  /**
+   * Jump to a generation.
+   *
+   * Recorded generations are restored from history. Generations after the
+   * newest recorded one are replayed with update(), which is deterministic
+   * for a given state and rule. Replayed generations don't call onBirth(),
+   * onDeath() or onCycle() listeners: like a restore, the seek is one jump.
+   * Calling update() after a rewind discards the recorded future and starts
+   * a new timeline from the restored state.
+   *
+   * @param {number} generation - Target generation (>= 0)
+   * @returns {boolean} True if the grid now shows that generation
+   *
+   * @example
+   * // Scrub a finished Life Drop board
+   * const { oldest, newest } = engine.getHistoryRange()
+   * engine.seek(Math.round(oldest + (newest - oldest) * sliderValue))
+   */
+  seek(generation) {
+    if (!this.history || generation < 0) {
+      return false
+    }
+    if (generation === this.generation) {
+      return true
+    }
+
+    // Keep the live head so we can come back to it
+    const newest = this.history.newestGeneration
+    if (newest === null || this.generation > newest) {
+      this.history.record(this.generation, this.getCells())
+    }
+
+    if (this.history.has(generation)) {
+      const cells = new Uint8Array(this.cols * this.rows)
+      this.history.restore(generation, cells)
+      this.setCells(cells)
+      this.generation = generation
+      this.resetCycleTracking()
+      this._resetCellStates()
+      this._resetChanges()
+      return true
+    }
+
+    // Past the recorded future: replay deterministically from the newest entry
+    if (generation > this.history.newestGeneration) {
+      this.seek(this.history.newestGeneration)
+      this._replaying = true
+      try {
+        while (this.generation < generation) {
+          this.update()
+        }
+      } finally {
+        this._replaying = false
+      }
+      this._resetChanges()
+      return true
+    }
+
+    return false
+  }
+
+  /**
+   * Get the current grid as a flat column-major Uint8Array.
+   * Typed-array grids return their backing buffer (no copy).
+   *
+   * @returns {Uint8Array} Cells (index = x * rows + y)
+   */
+  getCells() {
+    if (this.current.cells) {
+      return this.current.cells
+    }
+    const cells = new Uint8Array(this.cols * this.rows)
+    for (let x = 0; x < this.cols; x++) {
+      for (let y = 0; y < this.rows; y++) {
+        cells[x * this.rows + y] = this.current[x][y]
+      }
+    }
+    return cells
+  }
+
+  /**
+   * Overwrite the current grid from a flat column-major Uint8Array.
+   *
+   * @param {Uint8Array} cells - Cells (index = x * rows + y)
+   */
+  setCells(cells) {
+    if (this.current.cells) {
+      if (cells !== this.current.cells) this.current.cells.set(cells)
+      return
+    }
+    for (let x = 0; x < this.cols; x++) {
+      for (let y = 0; y < this.rows; y++) {
+        this.current[x][y] = cells[x * this.rows + y]
+      }
+    }
+  }
+
+  /**
+   * Detect whether the grid is cycling.
+   *
+   * With tracking enabled (onCycle() or options.cycleDetection) this returns the
+   * cycle found by update(), if any. Otherwise it simulates a scratch copy
+   * (see _createProbe()) for up to maxPeriod generations; the engine itself
+   * is not modified. A grid that settles into a cycle later is reported with a
+   * startGeneration in the future.
+   *
+   * @param {number} maxPeriod - Longest period searched for (default: 64)
+   * @returns {object|null} Cycle { type, period, dx, dy, velocity, speed, population,
+   *   startGeneration, generation } (see CycleDetector), or null if none was found
+   *
+   * @example
+   * engine.setPattern(Patterns.GLIDER, 5, 5)
+   * engine.detectCycle()
+   * // { type: 'spaceship', period: 4, dx: 1, dy: 1, speed: 'c/4', ... }
+   */
+  detectCycle(maxPeriod = 64) {
+    if (this._cycleDetector && this._lastCycle?.generation === this.generation) {
+      return this._lastCycle
+    }
+
+    const probe = this._createProbe()
+    probe.setCells(this.getCells())
+    if (this._decay) {
+      probe._decay.set(this._decay)
+    }
+    probe.generation = this.generation
+
+    const detector = new CycleDetector({ maxPeriod })
+    detector.observe(probe.generation, probe.current, probe.cols, probe.rows)
+
+    // A cycle of period p starting within maxPeriod generations shows up by 2 × maxPeriod
+    for (let i = 0; i < maxPeriod * 2; i++) {
+      probe.update()
+      const cycle = detector.observe(probe.generation, probe.current, probe.cols, probe.rows)
+      if (cycle) {
+        return cycle
+      }
+    }
+    return null
+  }
+
+  /**
+   * Create an empty engine that steps like this one, for detectCycle().
+   * Subclasses that change how a generation is computed override this.
+   *
+   * @private
+   * @returns {GoLEngine} Engine with the same size, rule and boundary
+   */
+  _createProbe() {
+    return new GoLEngine(this.cols, this.rows, this.updateRateFPS, {
+      rule: this.getRule(),
+      boundary: this.getBoundary()
+    })
+  }
+
+  /**
+   * Start tracking cycles during update().
+   *
+   * @param {object} options - Detector settings
+   * @param {number} options.maxPeriod - Longest period searched for (default: 64)
+   */
+  enableCycleDetection(options = {}) {
+    this._cycleDetector = new CycleDetector(options)
+    this._lastCycle = null
+  }
+
+  /**
+   * Register a callback for cycles first reached by update().
+   * Enables cycle tracking if needed.
+   *
+   * @param {function} callback - Callback(cycle, engine)
+   *
+   * @example
+   * engine.onCycle(cycle => {
+   *   if (cycle.type !== CYCLE_TYPE.SPACESHIP) endSimulation()
+   * })
+   */
+  onCycle(callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('[GoLEngine] onCycle callback must be a function')
+    }
+    if (!this._cycleDetector) {
+      this.enableCycleDetection()
+    }
+    this._cycleListeners.push(callback)
+  }
+
+  /**
+   * Remove a cycle callback.
+   *
+   * @param {function} callback - Callback to remove
+   */
+  offCycle(callback) {
+    const index = this._cycleListeners.indexOf(callback)
+    if (index > -1) {
+      this._cycleListeners.splice(index, 1)
+    }
+  }
+
+  /**
+   * Observe the current generation and notify listeners on a new cycle.
+   * Called by update() while tracking is enabled.
+   */
+  trackCycle() {
+    const cycle = this._cycleDetector.observe(this.generation, this.current, this.cols, this.rows)
+    const isNew = cycle && !isSameCycle(cycle, this._lastCycle)
+    this._lastCycle = cycle
+
+    if (isNew && !this._replaying) {
+      this._cycleListeners.forEach(callback => callback(cycle, this))
+    }
+  }
+
+  /**
+   * Forget tracked generations (after the grid is replaced).
+   */
+  resetCycleTracking() {
+    this._cycleDetector?.reset()
+    this._lastCycle = null
+  }
+
+  /**
+   * Start recording the cells changed by each update().
+   */
+  enableChangeTracking() {
+    if (!this._changes) {
+      this._changes = {
+        indices: new Uint32Array(this.cols * this.rows),  // Changed cells (x * rows + y)
+        count: 0,
+        births: 0,
+        deaths: 0,
+        generation: this.generation
+      }
+    }
+  }
+
+  /**
+   * Stop recording changes. Birth/death callbacks stay registered but are not
+   * called until tracking is enabled again.
+   */
+  disableChangeTracking() {
+    this._changes = null
+  }
+
+  /**
+   * Get the cells changed by the last update().
+   * Edits made with setCell()/setPattern() are not included.
+   *
+   * @returns {{births: number, deaths: number, count: number, generation: number,
+   *   cells: Uint32Array}|null} Counts and changed cell indices (index = x * rows + y),
+   *   or null if change tracking is disabled
+   *
+   * @example
+   * engine.enableChangeTracking()
+   * engine.update()
+   * const { births, deaths } = engine.getChanges()
+   */
+  getChanges() {
+    if (!this._changes) {
+      return null
+    }
+    const { indices, count, births, deaths, generation } = this._changes
+    return { births, deaths, count, generation, cells: indices.subarray(0, count) }
+  }
+
+  /**
+   * Call a function for every cell changed by the last update().
+   *
+   * @param {function} callback - Callback(x, y, state) with the cell's new state (ALIVE or DEAD)
+   *
+   * @example
+   * // Repaint only what changed
+   * engine.forEachChange((x, y, state) => paintCell(x, y, state))
+   */
+  forEachChange(callback) {
+    if (!this._changes) {
+      return
+    }
+    const { indices, count } = this._changes
+    for (let i = 0; i < count; i++) {
+      const index = indices[i]
+      const x = Math.floor(index / this.rows)
+      const y = index - x * this.rows
+      callback(x, y, this.current[x][y])
+    }
+  }
+
+  /**
+   * Register a callback for cells born during update().
+   * Enables change tracking if needed.
+   *
+   * @param {function} callback - Callback(x, y, engine)
+   *
+   * @example
+   * engine.onBirth((x, y) => spawnParticle(x * cellSize, y * cellSize))
+   */
+  onBirth(callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('[GoLEngine] onBirth callback must be a function')
+    }
+    this.enableChangeTracking()
+    this._birthListeners.push(callback)
+  }
+
+  /**
+   * Remove a birth callback.
+   *
+   * @param {function} callback - Callback to remove
+   */
+  offBirth(callback) {
+    const index = this._birthListeners.indexOf(callback)
+    if (index > -1) {
+      this._birthListeners.splice(index, 1)
+    }
+  }
+
+  /**
+   * Register a callback for cells that die during update().
+   * Enables change tracking if needed.
+   *
+   * @param {function} callback - Callback(x, y, engine)
+   *
+   * @example
+   * engine.onDeath(() => { state.score++ })
+   */
+  onDeath(callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('[GoLEngine] onDeath callback must be a function')
+    }
+    this.enableChangeTracking()
+    this._deathListeners.push(callback)
+  }
+
+  /**
+   * Remove a death callback.
+   *
+   * @param {function} callback - Callback to remove
+   */
+  offDeath(callback) {
+    const index = this._deathListeners.indexOf(callback)
+    if (index > -1) {
+      this._deathListeners.splice(index, 1)
+    }
+  }
+
+  /**
+   * Record the cells changed by the step that just ran and notify listeners.
+   * Called by update() while tracking is enabled (after the buffer swap,
+   * so `next` still holds the previous generation).
+   */
+  trackChanges() {
+    const previous = this.next.cells
+    const current = this.current.cells
+    const changes = this._changes
+    const indices = changes.indices
+
+    let count = 0
+    let births = 0
+    for (let i = 0; i < current.length; i++) {
+      if (current[i] !== previous[i]) {
+        indices[count++] = i
+        births += current[i]
+      }
+    }
+
+    changes.count = count
+    changes.births = births
+    changes.deaths = count - births
+    changes.generation = this.generation
+
+    if (this._replaying || (this._birthListeners.length === 0 && this._deathListeners.length === 0)) {
+      return
+    }
+    for (let i = 0; i < count; i++) {
+      const index = indices[i]
+      const x = Math.floor(index / this.rows)
+      const y = index - x * this.rows
+      const listeners = current[index] ? this._birthListeners : this._deathListeners
+      listeners.forEach(callback => callback(x, y, this))
+    }
+  }
+
+  /**
+   * Forget the last recorded changes (after the grid is replaced).
+   *
+   * @private
+   */
+  _resetChanges() {
+    if (this._changes) {
+      this._changes.count = 0
+      this._changes.births = 0
+      this._changes.deaths = 0
+      this._changes.generation = this.generation
+    }
+  }
+
   /**
    * Set a pattern at a specific location.
    * Pattern format: pattern[row][col] where row=y, col=x
@@ -262,8 +1365,16 @@ class GoLEngine {
    * @param {number[][]} pattern - 2D array where 1=alive, 0=dead (row-major format)
    * @param {number} startX - Starting column index
    * @param {number} startY - Starting row index
+   * @param {string} orientation - PatternOrientation value (default: as stored)
+   *
+   * @example
+   * engine.setPattern(Patterns.GLIDER, 5, 5, PatternOrientation.FLIP_HORIZONTAL)  // Southwest glider
    */
-  setPattern(pattern, startX = 0, startY = 0) {
+  setPattern(pattern, startX = 0, startY = 0, orientation = PatternOrientation.IDENTITY) {
+    if (orientation !== PatternOrientation.IDENTITY) {
+      pattern = transformPattern(pattern, orientation)
+    }
+
     // Pattern is in row-major format: pattern[row][col]
     for (let row = 0; row < pattern.length; row++) {
       for (let col = 0; col < pattern[row].length; col++) {
@@ -277,11 +1388,20 @@ class GoLEngine {
   }
 
   /**
-   * Get the current grid as a pattern (2D array).
+   * Get the current grid as a pattern (2D array), or as RLE text.
+   *
+   * @param {string} [format] - 'rle' to export the board as RLE (with rule header)
+   * @returns {number[][]|string} Copy of the current grid (column-major), or RLE text
    *
-   * @returns {number[][]} Copy of the current grid
+   * @example
+   * const rle = engine.getPattern('rle')
+   * // 'x = 60, y = 80, rule = B3/S23\n...!'
    */
-  getPattern() {
+  getPattern(format) {
+    if (format === PatternFormat.RLE) {
+      return toRLE(gridToPattern(this.current, this.cols, this.rows), { rule: this.getRule() })
+    }
+
     const pattern = []
     for (let x = 0; x < this.cols; x++) {
       pattern[x] = [...this.current[x]]
@@ -289,6 +1409,88 @@ class GoLEngine {
     return pattern
   }
 
+  /**
+   * Save the simulation as a versioned snapshot (JSON-safe object).
+   * Includes grid, rule, generation, boundary, frozen flag and Generations
+   * dying states; history, ages and listeners are not saved.
+   *
+   * @returns {object} Snapshot (see Snapshot.js)
+   *
+   * @example
+   * storageManager.saveSnapshot('life-drop', engine.serialize())
+   */
+  serialize() {
+    return createSnapshot({
+      cols: this.cols,
+      rows: this.rows,
+      cells: this.getCells(),
+      rule: this.getRule(),
+      boundary: this.getBoundary(),
+      generation: this.generation,
+      frozen: this._frozen,
+      decay: this._decay
+    })
+  }
+
+  /**
+   * Restore a snapshot into this engine (grid size must match).
+   *
+   * @param {object|string} snapshot - Snapshot object or JSON string from serialize()
+   * @throws {Error} If the snapshot is invalid or has a different grid size
+   */
+  loadSnapshot(snapshot) {
+    this._restoreSnapshotState(readSnapshot(snapshot))
+  }
+
+  /**
+   * Apply decoded snapshot state (see Snapshot.readSnapshot).
+   *
+   * @private
+   */
+  _restoreSnapshotState(state) {
+    if (state.cols !== this.cols || state.rows !== this.rows) {
+      throw new Error(`[GoLEngine] Snapshot is ${state.cols}×${state.rows}, engine is ${this.cols}×${this.rows}`)
+    }
+
+    this.setRule(state.rule)
+    this.setBoundary(state.boundary)
+    this.setCells(state.cells)
+    this.generation = state.generation
+    this._frozen = state.frozen
+
+    this.history?.clear()
+    this.resetCycleTracking()
+    this._resetCellStates()
+    this._resetChanges()
+    if (this._decay && state.decay) {
+      this._decay.set(state.decay)
+    }
+  }
+
+  /**
+   * Create an engine from a snapshot.
+   *
+   * @param {object|string} snapshot - Snapshot object or JSON string from serialize()
+   * @param {number} updateRateFPS - Target update rate in frames per second (default: 10)
+   * @param {object} options - Extra engine options (history, trackAge, ...); rule and
+   *   boundary come from the snapshot
+   * @returns {GoLEngine} Engine in the saved state
+   * @throws {Error} If the snapshot is invalid
+   *
+   * @example
+   * const engine = GoLEngine.deserialize(storageManager.loadSnapshot('life-drop'))
+   */
+  static deserialize(snapshot, updateRateFPS = 10, options = {}) {
+    const state = readSnapshot(snapshot)
+    const engine = new GoLEngine(state.cols, state.rows, updateRateFPS, {
+      ...options,
+      rule: state.rule,
+      boundary: state.boundary
+    })
+    engine._restoreSnapshotState(state)
+    return engine
+  }
+
   /**
    * Get a region of the grid.
    *
@@ -340,6 +1542,58 @@ class GoLEngine {
   }
 }
 
+/**
+ * Pack a column-major Uint8Array grid into Uint32 words (32 rows per word).
+ *
+ * @param {Uint8Array} cells - Source cells (column-major)
+ * @param {Uint32Array} packed - Destination words (cols × words)
+ * @param {number} cols - Number of columns
+ * @param {number} rows - Number of rows
+ * @param {number} words - Words per column
+ */
+function packCells(cells, packed, cols, rows, words) {
+  packed.fill(0)
+  for (let x = 0; x < cols; x++) {
+    const columnStart = x * rows
+    const wordStart = x * words
+    for (let y = 0; y < rows; y++) {
+      if (cells[columnStart + y] !== DEAD) {
+        packed[wordStart + (y >>> 5)] |= 1 << (y & 31)
+      }
+    }
+  }
+}
+
+/**
+ * Unpack Uint32 words back into a column-major Uint8Array grid.
+ *
+ * @param {Uint32Array} packed - Source words (cols × words)
+ * @param {Uint8Array} cells - Destination cells (column-major)
+ * @param {number} cols - Number of columns
+ * @param {number} rows - Number of rows
+ * @param {number} words - Words per column
+ */
+function unpackCells(packed, cells, cols, rows, words) {
+  for (let x = 0; x < cols; x++) {
+    const columnStart = x * rows
+    const wordStart = x * words
+    for (let y = 0; y < rows; y++) {
+      cells[columnStart + y] = (packed[wordStart + (y >>> 5)] >>> (y & 31)) & 1
+    }
+  }
+}
+
+/**
+ * Wrap an index into the range 0..size-1 (handles negative values).
+ *
+ * @param {number} index - Index to wrap
+ * @param {number} size - Range size
+ * @returns {number} Wrapped index
+ */
+function wrapIndex(index, size) {
+  return ((index % size) + size) % size
+}
+
 /**
  * DESIGN DECISION: Circular Mask with Interval for Organic Shapes
  *
@@ -398,17 +1652,32 @@ class CircularMaskedGoL extends GoLEngine {
    * @param {number} updateRateFPS - Target update rate in frames per second
    * @param {number} maskRadiusFactor - Radius as percentage of grid (default: 0.8)
    * @param {number} maskInterval - Apply mask every N generations (default: 6)
+   * @param {object} options - Engine options forwarded to GoLEngine (e.g. rule)
    */
-  constructor(cols, rows, updateRateFPS = 10, maskRadiusFactor = 0.8, maskInterval = 6) {
-    super(cols, rows, updateRateFPS)
+  constructor(cols, rows, updateRateFPS = 10, maskRadiusFactor = 0.8, maskInterval = 6, options = {}) {
+    super(cols, rows, updateRateFPS, options)
 
     // Calculate circular mask parameters
     this.centerX = cols / 2
     this.centerY = rows / 2
+    this.maskRadiusFactor = maskRadiusFactor
     this.maskRadius = (Math.min(cols, rows) / 2) * maskRadiusFactor
     this.maskInterval = maskInterval
   }
 
+  /**
+   * Probe for detectCycle() that applies the same mask.
+   *
+   * @private
+   * @returns {CircularMaskedGoL} Engine with the same size, rule, boundary and mask
+   */
+  _createProbe() {
+    return new CircularMaskedGoL(this.cols, this.rows, this.updateRateFPS, this.maskRadiusFactor, this.maskInterval, {
+      rule: this.getRule(),
+      boundary: this.getBoundary()
+    })
+  }
+
   /**
    * Apply circular mask: kill all cells outside the circular boundary.
    * Called every maskInterval generations (not every frame).
@@ -430,12 +1699,10 @@ class CircularMaskedGoL extends GoLEngine {
   }
 
   /**
-   * Update GoL and conditionally apply circular mask.
-   * Overrides parent update() to add interval-based masking.
+   * Conditionally apply circular mask after each generation.
+   * Runs inside update(), so change and cycle tracking see the masked grid.
    */
-  update() {
-    super.update()  // Standard GoL update with B3/S23 rules
-
+  afterStep() {
     // Apply mask every N generations (not every frame)
     if (this.generation % this.maskInterval === 0) {
       this.applyCircularMask()
@@ -443,4 +1710,4 @@ class CircularMaskedGoL extends GoLEngine {
   }
 }
 
-export { GoLEngine, CircularMaskedGoL, ALIVE, DEAD }
+export { GoLEngine, CircularMaskedGoL, ALIVE, DEAD, BOUNDARY }
@@ -0,0 +1,39 @@
+/**
+ * Web Worker side of WorkerGoLEngine.
+ *
+ * Receives a grid snapshot, steps it with a regular GoLEngine and transfers
+ * the result back. The incoming buffer is reused for the reply, so no memory
+ * is allocated per generation.
+ *
+ * MESSAGES:
+ * - in:  { type: 'step', id, cols, rows, rule, boundary, steps, cells: ArrayBuffer }
+ * - out: { type: 'snapshot', id, steps, cells: ArrayBuffer }
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { GoLEngine } from './GoLEngine.js'
+
+let engine = null
+
+self.onmessage = (event) => {
+  const { type, id, cols, rows, rule, boundary, steps, cells } = event.data
+  if (type !== 'step') return
+
+  // (Re)create the engine when the grid size changes
+  if (!engine || engine.cols !== cols || engine.rows !== rows) {
+    engine = new GoLEngine(cols, rows)
+  }
+  if (engine.getRule() !== rule) engine.setRule(rule)
+  if (engine.getBoundary() !== boundary) engine.setBoundary(boundary)
+
+  const snapshot = new Uint8Array(cells)
+  engine.setCells(snapshot)
+  for (let i = 0; i < steps; i++) {
+    engine.update()
+  }
+  snapshot.set(engine.getCells())
+
+  self.postMessage({ type: 'snapshot', id, steps, cells }, [cells])
+}
@@ -0,0 +1,809 @@
+/**
+ * Infinite-plane Game of Life engine (HashLife quadtree).
+ *
+ * Same public API as GoLEngine, but the universe is unbounded: patterns such
+ * as ACORN or R_PENTOMINO evolve without being clipped by the grid edges.
+ * `cols`/`rows`/`current` describe a movable viewport window into the plane,
+ * so renderers written for GoLEngine can draw it unchanged.
+ *
+ * HASHLIFE:
+ * - The plane is a quadtree of canonical (hash-consed) nodes: identical
+ *   sub-patterns are stored once.
+ * - Each node memoizes its future: the center half of a level-k node after
+ *   2^j generations (j <= k-2). Repetitive patterns therefore advance
+ *   thousands of generations in a handful of cache lookups.
+ * - advance(n) decomposes n into powers of two, so very large jumps are cheap.
+ *
+ * LIMITATIONS:
+ * - Rules with B0 (birth on zero neighbors) are not supported: empty space
+ *   would not stay empty.
+ * - `current` is a read-only snapshot of the viewport. Use setCell() or
+ *   setPattern() to modify the plane.
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { CONWAY_RULE, parseRule } from './Rules.js'
+import { NEIGHBORHOOD } from './Neighborhoods.js'
+import { debugLog } from '../utils/Logger.js'
+import { randomFloat } from '../utils/Random.js'
+import { PatternOrientation, transformPattern } from '../utils/PatternTransforms.js'
+
+const ALIVE = 1
+const DEAD = 0
+
+/**
+ * Smallest root level (8×8 cells).
+ */
+const MIN_ROOT_LEVEL = 3
+
+/**
+ * Canonical node table size that triggers a cache flush (memory guard).
+ */
+const MAX_CACHED_NODES = 500000
+
+/**
+ * Boundary reported by getBoundary(): the plane has no edges.
+ */
+const INFINITE_BOUNDARY = 'infinite'
+
+/**
+ * Game of Life engine on an unbounded plane, backed by a HashLife quadtree.
+ */
+class InfiniteGoLEngine {
+  /**
+   * Create a new infinite-plane engine.
+   *
+   * @param {number} cols - Viewport columns
+   * @param {number} rows - Viewport rows
+   * @param {number} updateRateFPS - Target update rate in frames per second (default: 10)
+   * @param {object} options - Optional engine settings
+   * @param {string} options.rule - Life-like rulestring without B0 (default: 'B3/S23')
+   * @param {number} options.generationsPerUpdate - Generations advanced by each update() (default: 1)
+   * @param {number} options.viewportX - Viewport left column on the plane (default: 0)
+   * @param {number} options.viewportY - Viewport top row on the plane (default: 0)
+   *
+   * @example
+   * const universe = new InfiniteGoLEngine(40, 64, 10)
+   * universe.setPattern(Patterns.ACORN, 18, 30)
+   * universe.advance(5206)  // Jump straight to the stabilized ACORN
+   */
+  constructor(cols, rows, updateRateFPS = 10, options = {}) {
+    this.cols = cols
+    this.rows = rows
+    this._updateRateFPS = updateRateFPS
+    this.framesBetweenUpdates = 60 / updateRateFPS  // Assuming 60fps main loop
+    this.frameCounter = 0
+    this._throttleAccumulator = 0
+
+    this.viewportX = options.viewportX || 0
+    this.viewportY = options.viewportY || 0
+    this.generationsPerUpdate = options.generationsPerUpdate || 1
+
+    this.generation = 0
+    this._frozen = false
+
+    // Quadtree state
+    this._nextId = 2
+    this._nodes = new Map()
+    this._emptyNodes = []
+    this._deadLeaf = { level: 0, population: 0, id: 0 }
+    this._aliveLeaf = { level: 0, population: 1, id: 1 }
+
+    this.setRule(options.rule || CONWAY_RULE)
+    this.root = this._emptyNode(MIN_ROOT_LEVEL)
+
+    // Viewport snapshot cache (rebuilt lazily when the plane or viewport changes)
+    this._viewportGrid = null
+  }
+
+  /**
+   * Get the current update rate in FPS.
+   * @returns {number} Update rate in frames per second
+   */
+  get updateRateFPS() {
+    return this._updateRateFPS
+  }
+
+  /**
+   * Set the update rate in FPS. Automatically recalculates framesBetweenUpdates.
+   * @param {number} fps - New update rate in frames per second
+   */
+  set updateRateFPS(fps) {
+    this._updateRateFPS = fps
+    this.framesBetweenUpdates = 60 / fps
+    this._throttleAccumulator = 0
+  }
+
+  /**
+   * Viewport grid (column-major, current[x][y]) for renderers.
+   * Read-only snapshot: writes do not reach the plane.
+   *
+   * @returns {Uint8Array[]} Viewport columns
+   */
+  get current() {
+    if (!this._viewportGrid) {
+      this._viewportGrid = this.getRegion(this.viewportX, this.viewportY, this.cols, this.rows)
+    }
+    return this._viewportGrid
+  }
+
+  // ============================================
+  // RULES
+  // ============================================
+
+  /**
+   * Set the Life-like rule. Clears all memoized futures.
+   *
+   * @param {string} rulestring - Rule in B/S notation (e.g. 'B36/S23')
+   * @throws {Error} If the rulestring is malformed, contains B0, is a Generations rule
+   *   or uses a neighborhood other than Moore
+   */
+  setRule(rulestring) {
+    const rule = parseRule(rulestring)
+    if (rule.birth.includes(0)) {
+      throw new Error(`[InfiniteGoLEngine] Rules with B0 are not supported on an infinite plane: ${rule.rulestring}`)
+    }
+    if (rule.states > 2) {
+      throw new Error(`[InfiniteGoLEngine] Generations rules are not supported on an infinite plane: ${rule.rulestring}`)
+    }
+    if (rule.neighborhood !== NEIGHBORHOOD.MOORE || rule.range !== 1 || rule.includeCenter) {
+      throw new Error(`[InfiniteGoLEngine] Only the Moore neighborhood is supported on an infinite plane: ${rule.rulestring}`)
+    }
+
+    this._rule = rule
+    this._birthTable = new Array(9).fill(false)
+    this._survivalTable = new Array(9).fill(false)
+    rule.birth.forEach(count => { this._birthTable[count] = true })
+    rule.survival.forEach(count => { this._survivalTable[count] = true })
+
+    // Memoized results depend on the rule: rebuild the tree without them
+    if (this.root) {
+      this._resetNodeTable()
+    }
+  }
+
+  /**
+   * Get the current rule in canonical B/S notation.
+   *
+   * @returns {string} Rulestring (e.g. 'B3/S23')
+   */
+  getRule() {
+    return this._rule.rulestring
+  }
+
+  /**
+   * Check if the engine is running Conway's B3/S23 rule.
+   *
+   * @returns {boolean} True if the current rule is B3/S23
+   */
+  isConway() {
+    return this._rule.rulestring === CONWAY_RULE
+  }
+
+  /**
+   * Boundaries do not apply to an unbounded plane (kept for GoLEngine API parity).
+   *
+   * @param {string} boundary - Must be 'infinite'
+   * @throws {Error} For any other boundary
+   */
+  setBoundary(boundary) {
+    if (boundary !== INFINITE_BOUNDARY) {
+      throw new Error(`[InfiniteGoLEngine] The plane has no edges, cannot use boundary "${boundary}"`)
+    }
+  }
+
+  /**
+   * Get the boundary topology. The plane is unbounded.
+   *
+   * @returns {string} 'infinite'
+   */
+  getBoundary() {
+    return INFINITE_BOUNDARY
+  }
+
+  // ============================================
+  // VIEWPORT
+  // ============================================
+
+  /**
+   * Move (and optionally resize) the viewport window.
+   *
+   * @param {number} x - Left column on the plane
+   * @param {number} y - Top row on the plane
+   * @param {number} [cols] - Viewport columns (default: unchanged)
+   * @param {number} [rows] - Viewport rows (default: unchanged)
+   *
+   * @example
+   * // Follow a glider heading southeast
+   * universe.setViewport(universe.viewportX + 1, universe.viewportY + 1)
+   */
+  setViewport(x, y, cols = this.cols, rows = this.rows) {
+    this.viewportX = x
+    this.viewportY = y
+    this.cols = cols
+    this.rows = rows
+    this._viewportGrid = null
+  }
+
+  /**
+   * Get the viewport window.
+   *
+   * @returns {{x: number, y: number, cols: number, rows: number}} Viewport rectangle
+   */
+  getViewport() {
+    return { x: this.viewportX, y: this.viewportY, cols: this.cols, rows: this.rows }
+  }
+
+  /**
+   * Get the bounding box of all live cells on the plane.
+   *
+   * @returns {{minX: number, minY: number, maxX: number, maxY: number}|null} Bounds, or null if empty
+   */
+  getBounds() {
+    if (this.root.population === 0) return null
+
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity }
+    const half = 2 ** (this.root.level - 1)
+    this._collectBounds(this.root, -half, -half, bounds)
+    return bounds
+  }
+
+  // ============================================
+  // CELL ACCESS (same contract as GoLEngine)
+  // ============================================
+
+  /**
+   * Set a specific cell to alive or dead (any coordinate on the plane).
+   *
+   * @param {number} x - Column index
+   * @param {number} y - Row index
+   * @param {number} state - ALIVE or DEAD
+   */
+  setCell(x, y, state) {
+    while (!this._rootContains(x, y)) {
+      this.root = this._expand(this.root)
+    }
+    this.root = this._setNodeCell(this.root, x, y, state === DEAD ? DEAD : ALIVE)
+    this._viewportGrid = null
+  }
+
+  /**
+   * Get the state of a specific cell (any coordinate on the plane).
+   *
+   * @param {number} x - Column index
+   * @param {number} y - Row index
+   * @returns {number} ALIVE or DEAD
+   */
+  getCell(x, y) {
+    if (!this._rootContains(x, y)) {
+      return DEAD
+    }
+    return this._getNodeCell(this.root, x, y)
+  }
+
+  /**
+   * Clear the plane (all cells dead).
+   */
+  clearGrid() {
+    this.root = this._emptyNode(MIN_ROOT_LEVEL)
+    this.generation = 0
+    this._viewportGrid = null
+  }
+
+  /**
+   * Clear the plane and seed the viewport with random cells.
+   *
+   * @param {number} density - Probability of a cell being alive (default: 0.3)
+   */
+  randomSeed(density = 0.3) {
+    this.clearGrid()
+    for (let x = 0; x < this.cols; x++) {
+      for (let y = 0; y < this.rows; y++) {
+        if (randomFloat() < density) {
+          this.setCell(this.viewportX + x, this.viewportY + y, ALIVE)
+        }
+      }
+    }
+  }
+
+  /**
+   * Set a pattern at a specific location.
+   * Pattern format: pattern[row][col] where row=y, col=x
+   *
+   * @param {number[][]} pattern - 2D array where 1=alive, 0=dead (row-major format)
+   * @param {number} startX - Starting column index
+   * @param {number} startY - Starting row index
+   * @param {string} orientation - PatternOrientation value (default: as stored)
+   */
+  setPattern(pattern, startX = 0, startY = 0, orientation = PatternOrientation.IDENTITY) {
+    if (orientation !== PatternOrientation.IDENTITY) {
+      pattern = transformPattern(pattern, orientation)
+    }
+    for (let row = 0; row < pattern.length; row++) {
+      for (let col = 0; col < pattern[row].length; col++) {
+        this.setCell(startX + col, startY + row, pattern[row][col])
+      }
+    }
+  }
+
+  /**
+   * Get the viewport as a pattern (column-major 2D array, like GoLEngine.getPattern).
+   *
+   * @returns {number[][]} Copy of the viewport
+   */
+  getPattern() {
+    return this.current.map(column => [...column])
+  }
+
+  /**
+   * Get a region of the plane.
+   *
+   * @param {number} startX - Starting column
+   * @param {number} startY - Starting row
+   * @param {number} width - Width of region
+   * @param {number} height - Height of region
+   * @returns {Uint8Array[]} Column-major region (region[x][y])
+   */
+  getRegion(startX, startY, width, height) {
+    const cells = new Uint8Array(width * height)
+    const region = new Array(width)
+    for (let x = 0; x < width; x++) {
+      region[x] = cells.subarray(x * height, (x + 1) * height)
+    }
+
+    const half = 2 ** (this.root.level - 1)
+    this._fillRegion(this.root, -half, -half, { startX, startY, width, height, region })
+    return region
+  }
+
+  /**
+   * Count alive cells inside the viewport.
+   *
+   * @returns {number} Number of alive cells in the viewport
+   */
+  countAliveCells() {
+    let count = 0
+    const grid = this.current
+    for (let x = 0; x < this.cols; x++) {
+      for (let y = 0; y < this.rows; y++) {
+        count += grid[x][y]
+      }
+    }
+    return count
+  }
+
+  /**
+   * Count alive cells on the whole plane.
+   *
+   * @returns {number} Total population
+   */
+  getPopulation() {
+    return this.root.population
+  }
+
+  /**
+   * Get viewport cell density (percentage of alive cells).
+   *
+   * @returns {number} Density as a value between 0 and 1
+   */
+  getDensity() {
+    return this.countAliveCells() / (this.cols * this.rows)
+  }
+
+  // ============================================
+  // SIMULATION
+  // ============================================
+
+  /**
+   * Advance by generationsPerUpdate generations (1 by default).
+   */
+  update() {
+    this.advance(this.generationsPerUpdate)
+  }
+
+  /**
+   * Jump many generations ahead at once.
+   *
+   * The jump is split into powers of two; each power is one memoized
+   * HashLife step, so advance(1000000) costs about 20 steps on
+   * repetitive patterns.
+   *
+   * @param {number} generations - Number of generations to advance (integer >= 0)
+   *
+   * @example
+   * universe.setPattern(Patterns.R_PENTOMINO, 20, 30)
+   * universe.advance(1103)  // R-pentomino stabilizes
+   */
+  advance(generations) {
+    if (!Number.isInteger(generations) || generations < 0) {
+      throw new Error(`[InfiniteGoLEngine] generations must be an integer >= 0, got ${generations}`)
+    }
+
+    let remaining = generations
+    let j = 0
+    while (remaining > 0) {
+      if (remaining % 2 === 1) {
+        this._step(j)
+      }
+      remaining = Math.floor(remaining / 2)
+      j++
+    }
+
+    this.generation += generations
+    this._viewportGrid = null
+
+    if (this._nodes.size > MAX_CACHED_NODES) {
+      debugLog(`[InfiniteGoLEngine] Node table reached ${this._nodes.size} entries, flushing caches`)
+      this._resetNodeTable()
+    }
+  }
+
+  /**
+   * Update with frame rate throttling.
+   * Call this from your main draw() loop.
+   *
+   * @param {number} frameCount - Current frame count from p5.js (unused, kept for API compatibility)
+   * @returns {boolean} True if an update occurred
+   */
+  updateThrottled(frameCount) {
+    if (this._frozen) {
+      return false
+    }
+
+    this._throttleAccumulator += 1
+    if (this._throttleAccumulator >= this.framesBetweenUpdates) {
+      this._throttleAccumulator -= this.framesBetweenUpdates
+      this.update()
+      return true
+    }
+    return false
+  }
+
+  /**
+   * Get how far the throttle is towards the next generation (see GoLEngine).
+   *
+   * @returns {number} 0 right after a generation, approaching 1 just before the next
+   */
+  getUpdateProgress() {
+    if (this._frozen || !Number.isFinite(this.framesBetweenUpdates) || this.framesBetweenUpdates <= 0) {
+      return 0
+    }
+    return Math.min(1, this._throttleAccumulator / this.framesBetweenUpdates)
+  }
+
+  /**
+   * Freeze evolution (updateThrottled() will skip all updates).
+   */
+  freeze() {
+    this._frozen = true
+  }
+
+  /**
+   * Unfreeze evolution.
+   */
+  unfreeze() {
+    this._frozen = false
+  }
+
+  /**
+   * Check if evolution is currently frozen.
+   *
+   * @returns {boolean} True if frozen, false otherwise
+   */
+  isFrozen() {
+    return this._frozen
+  }
+
+  // ============================================
+  // QUADTREE INTERNALS
+  // ============================================
+
+  /**
+   * Get the canonical node with the given children.
+   *
+   * @private
+   */
+  _join(nw, ne, sw, se) {
+    const key = `${nw.id},${ne.id},${sw.id},${se.id}`
+    let node = this._nodes.get(key)
+    if (!node) {
+      node = {
+        level: nw.level + 1,
+        nw, ne, sw, se,
+        population: nw.population + ne.population + sw.population + se.population,
+        id: this._nextId++,
+        results: null
+      }
+      this._nodes.set(key, node)
+    }
+    return node
+  }
+
+  /**
+   * Get the canonical empty node of a level.
+   *
+   * @private
+   */
+  _emptyNode(level) {
+    if (level === 0) return this._deadLeaf
+    if (!this._emptyNodes[level]) {
+      const child = this._emptyNode(level - 1)
+      this._emptyNodes[level] = this._join(child, child, child, child)
+    }
+    return this._emptyNodes[level]
+  }
+
+  /**
+   * Wrap a node in a border of empty space (one level up, same center).
+   *
+   * @private
+   */
+  _expand(node) {
+    const border = this._emptyNode(node.level - 1)
+    return this._join(
+      this._join(border, border, border, node.nw),
+      this._join(border, border, node.ne, border),
+      this._join(border, node.sw, border, border),
+      this._join(node.se, border, border, border)
+    )
+  }
+
+  /**
+   * Check that all live cells sit in the center half of the node.
+   *
+   * @private
+   */
+  _isPadded(node) {
+    return node.level >= 2 &&
+      node.nw.se.population + node.ne.sw.population +
+      node.sw.ne.population + node.se.nw.population === node.population
+  }
+
+  /**
+   * Check whether the root quadtree covers a coordinate.
+   * A level-k root covers [-2^(k-1), 2^(k-1)) on both axes.
+   *
+   * @private
+   */
+  _rootContains(x, y) {
+    const half = 2 ** (this.root.level - 1)
+    return x >= -half && x < half && y >= -half && y < half
+  }
+
+  /**
+   * Read a cell relative to a node's center.
+   *
+   * @private
+   */
+  _getNodeCell(node, x, y) {
+    while (node.level > 0) {
+      if (node.population === 0) return DEAD
+      if (node.level === 1) {
+        node = x < 0 ? (y < 0 ? node.nw : node.sw) : (y < 0 ? node.ne : node.se)
+        break
+      }
+      const quarter = 2 ** (node.level - 2)
+      if (x < 0) {
+        x += quarter
+        if (y < 0) { y += quarter; node = node.nw } else { y -= quarter; node = node.sw }
+      } else {
+        x -= quarter
+        if (y < 0) { y += quarter; node = node.ne } else { y -= quarter; node = node.se }
+      }
+    }
+    return node.population
+  }
+
+  /**
+   * Return a copy of a node with one cell changed (coordinates relative to its center).
+   *
+   * @private
+   */
+  _setNodeCell(node, x, y, state) {
+    if (node.level === 1) {
+      const leaf = state === ALIVE ? this._aliveLeaf : this._deadLeaf
+      return this._join(
+        x < 0 && y < 0 ? leaf : node.nw,
+        x >= 0 && y < 0 ? leaf : node.ne,
+        x < 0 && y >= 0 ? leaf : node.sw,
+        x >= 0 && y >= 0 ? leaf : node.se
+      )
+    }
+
+    const quarter = 2 ** (node.level - 2)
+    const cx = x < 0 ? x + quarter : x - quarter
+    const cy = y < 0 ? y + quarter : y - quarter
+
+    if (x < 0 && y < 0) return this._join(this._setNodeCell(node.nw, cx, cy, state), node.ne, node.sw, node.se)
+    if (x >= 0 && y < 0) return this._join(node.nw, this._setNodeCell(node.ne, cx, cy, state), node.sw, node.se)
+    if (x < 0) return this._join(node.nw, node.ne, this._setNodeCell(node.sw, cx, cy, state), node.se)
+    return this._join(node.nw, node.ne, node.sw, this._setNodeCell(node.se, cx, cy, state))
+  }
+
+  /**
+   * Copy live cells of a node into a region (originX/Y = node's top-left on the plane).
+   *
+   * @private
+   */
+  _fillRegion(node, originX, originY, target) {
+    if (node.population === 0) return
+
+    const size = 2 ** node.level
+    const { startX, startY, width, height, region } = target
+    if (originX >= startX + width || originY >= startY + height ||
+        originX + size <= startX || originY + size <= startY) {
+      return
+    }
+
+    if (node.level === 0) {
+      region[originX - startX][originY - startY] = ALIVE
+      return
+    }
+
+    const half = size / 2
+    this._fillRegion(node.nw, originX, originY, target)
+    this._fillRegion(node.ne, originX + half, originY, target)
+    this._fillRegion(node.sw, originX, originY + half, target)
+    this._fillRegion(node.se, originX + half, originY + half, target)
+  }
+
+  /**
+   * Grow a bounding box with the live cells of a node.
+   *
+   * @private
+   */
+  _collectBounds(node, originX, originY, bounds) {
+    if (node.population === 0) return
+
+    const size = 2 ** node.level
+    // Skip nodes that cannot extend the current box
+    if (originX >= bounds.minX && originY >= bounds.minY &&
+        originX + size - 1 <= bounds.maxX && originY + size - 1 <= bounds.maxY) {
+      return
+    }
+
+    if (node.level === 0) {
+      bounds.minX = Math.min(bounds.minX, originX)
+      bounds.minY = Math.min(bounds.minY, originY)
+      bounds.maxX = Math.max(bounds.maxX, originX)
+      bounds.maxY = Math.max(bounds.maxY, originY)
+      return
+    }
+
+    const half = size / 2
+    this._collectBounds(node.nw, originX, originY, bounds)
+    this._collectBounds(node.ne, originX + half, originY, bounds)
+    this._collectBounds(node.sw, originX, originY + half, bounds)
+    this._collectBounds(node.se, originX + half, originY + half, bounds)
+  }
+
+  /**
+   * Advance the whole plane by 2^j generations.
+   *
+   * @private
+   */
+  _step(j) {
+    // Pattern must sit in the center half, with room for 2^j cells of growth
+    while (this.root.level < j + 2 || !this._isPadded(this.root)) {
+      this.root = this._expand(this.root)
+    }
+    this.root = this._successor(this._expand(this.root), j)
+  }
+
+  /**
+   * HashLife successor: center half of a level-k node after 2^j generations (j <= k-2).
+   *
+   * @private
+   */
+  _successor(node, j) {
+    if (node.population === 0) {
+      return this._emptyNode(node.level - 1)
+    }
+
+    if (!node.results) node.results = []
+    if (node.results[j]) return node.results[j]
+
+    let result
+    if (node.level === 2) {
+      result = this._lifeBaseCase(node)
+    } else {
+      const { nw, ne, sw, se } = node
+
+      // 9 overlapping sub-squares (level k-1), each advanced 2^min(j, k-3) generations
+      const stepJ = Math.min(j, node.level - 3)
+      const c1 = this._successor(nw, stepJ)
+      const c2 = this._successor(this._join(nw.ne, ne.nw, nw.se, ne.sw), stepJ)
+      const c3 = this._successor(ne, stepJ)
+      const c4 = this._successor(this._join(nw.sw, nw.se, sw.nw, sw.ne), stepJ)
+      const c5 = this._successor(this._join(nw.se, ne.sw, sw.ne, se.nw), stepJ)
+      const c6 = this._successor(this._join(ne.sw, ne.se, se.nw, se.ne), stepJ)
+      const c7 = this._successor(sw, stepJ)
+      const c8 = this._successor(this._join(sw.ne, se.nw, sw.se, se.sw), stepJ)
+      const c9 = this._successor(se, stepJ)
+
+      if (j < node.level - 2) {
+        // Slow step: total advance already 2^j, just recombine centers
+        result = this._join(
+          this._join(c1.se, c2.sw, c4.ne, c5.nw),
+          this._join(c2.se, c3.sw, c5.ne, c6.nw),
+          this._join(c4.se, c5.sw, c7.ne, c8.nw),
+          this._join(c5.se, c6.sw, c8.ne, c9.nw)
+        )
+      } else {
+        // Full step: advance the 4 recombined quadrants another 2^(k-3) generations
+        result = this._join(
+          this._successor(this._join(c1, c2, c4, c5), stepJ),
+          this._successor(this._join(c2, c3, c5, c6), stepJ),
+          this._successor(this._join(c4, c5, c7, c8), stepJ),
+          this._successor(this._join(c5, c6, c8, c9), stepJ)
+        )
+      }
+    }
+
+    node.results[j] = result
+    return result
+  }
+
+  /**
+   * Base case: 4×4 node → center 2×2 after one generation.
+   *
+   * @private
+   */
+  _lifeBaseCase(node) {
+    // Read the 4×4 block into grid[y][x]
+    const grid = []
+    for (let y = 0; y < 4; y++) {
+      grid[y] = []
+      for (let x = 0; x < 4; x++) {
+        const quadrant = y < 2 ? (x < 2 ? node.nw : node.ne) : (x < 2 ? node.sw : node.se)
+        const lx = x % 2
+        const ly = y % 2
+        const leaf = ly === 0 ? (lx === 0 ? quadrant.nw : quadrant.ne) : (lx === 0 ? quadrant.sw : quadrant.se)
+        grid[y][x] = leaf.population
+      }
+    }
+
+    const nextLeaf = (x, y) => {
+      let neighbors = 0
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dx !== 0 || dy !== 0) neighbors += grid[y + dy][x + dx]
+        }
+      }
+      const alive = grid[y][x] === ALIVE
+        ? this._survivalTable[neighbors]
+        : this._birthTable[neighbors]
+      return alive ? this._aliveLeaf : this._deadLeaf
+    }
+
+    return this._join(nextLeaf(1, 1), nextLeaf(2, 1), nextLeaf(1, 2), nextLeaf(2, 2))
+  }
+
+  /**
+   * Drop all memoized results by rebuilding the tree in a fresh node table.
+   *
+   * @private
+   */
+  _resetNodeTable() {
+    const oldRoot = this.root
+    const copies = new Map()
+    this._nodes = new Map()
+    this._emptyNodes = []
+
+    const rebuild = (node) => {
+      if (node.level === 0) return node
+      let copy = copies.get(node)
+      if (!copy) {
+        copy = this._join(rebuild(node.nw), rebuild(node.ne), rebuild(node.sw), rebuild(node.se))
+        copies.set(node, copy)
+      }
+      return copy
+    }
+
+    this.root = rebuild(oldRoot)
+  }
+}
+
+export { InfiniteGoLEngine }
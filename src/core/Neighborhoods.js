@@ -0,0 +1,116 @@
+/**
+ * Neighborhoods for GoLEngine rules.
+ *
+ * - MOORE: the 8 surrounding cells (Conway), or the (2R+1)² box at range R
+ * - VON_NEUMANN: the 4 orthogonal cells, or the diamond |dx| + |dy| <= R
+ * - HEXAGONAL: the 6 cells around a hexagon, or all hexagons within R steps
+ *
+ * HEX LAYOUT:
+ * Hex grids are stored on the regular column-major grid in "odd-r" layout:
+ * odd rows are drawn shifted half a cell to the right (see
+ * GoLBackground.renderHex). Neighbor offsets therefore depend on row parity.
+ * Toroidal wrapping needs an even number of rows to keep the layout seamless.
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+/**
+ * Neighborhood shapes.
+ */
+export const NEIGHBORHOOD = {
+  MOORE: 'moore',
+  VON_NEUMANN: 'von-neumann',
+  HEXAGONAL: 'hexagonal'
+}
+
+/**
+ * Number of cells in a neighborhood (center cell excluded).
+ *
+ * @param {string} neighborhood - NEIGHBORHOOD enum value
+ * @param {number} range - Neighborhood range (1 = adjacent cells)
+ * @returns {number} Neighbor count (e.g. 8 for Moore range 1)
+ */
+export function getNeighborhoodSize(neighborhood, range = 1) {
+  switch (neighborhood) {
+    case NEIGHBORHOOD.VON_NEUMANN:
+      return 2 * range * (range + 1)
+    case NEIGHBORHOOD.HEXAGONAL:
+      return 3 * range * (range + 1)
+    default:
+      return (2 * range + 1) * (2 * range + 1) - 1
+  }
+}
+
+/**
+ * Get neighbor offsets for each row parity.
+ *
+ * @param {string} neighborhood - NEIGHBORHOOD enum value
+ * @param {number} range - Neighborhood range (default: 1)
+ * @returns {Array<Array<[number, number]>>} [evenRowOffsets, oddRowOffsets] as [dx, dy] pairs.
+ *   Both entries are the same array for square neighborhoods.
+ * @throws {Error} If the neighborhood is unknown
+ *
+ * @example
+ * const [even, odd] = getNeighborOffsets(NEIGHBORHOOD.HEXAGONAL)
+ * even  // [[-1, -1], [0, -1], [-1, 0], [1, 0], [-1, 1], [0, 1]]
+ */
+export function getNeighborOffsets(neighborhood, range = 1) {
+  if (neighborhood === NEIGHBORHOOD.HEXAGONAL) {
+    return [hexOffsets(0, range), hexOffsets(1, range)]
+  }
+
+  let inside
+  if (neighborhood === NEIGHBORHOOD.MOORE) {
+    inside = () => true
+  } else if (neighborhood === NEIGHBORHOOD.VON_NEUMANN) {
+    inside = (dx, dy) => Math.abs(dx) + Math.abs(dy) <= range
+  } else {
+    throw new Error(`[Neighborhoods] Unknown neighborhood: ${neighborhood}. Must be one of ${Object.values(NEIGHBORHOOD).join(', ')}`)
+  }
+
+  const offsets = []
+  for (let dy = -range; dy <= range; dy++) {
+    for (let dx = -range; dx <= range; dx++) {
+      if ((dx !== 0 || dy !== 0) && inside(dx, dy)) {
+        offsets.push([dx, dy])
+      }
+    }
+  }
+  return [offsets, offsets]
+}
+
+/**
+ * Offsets of all hexagons within range of a cell on a row of the given parity.
+ *
+ * @private
+ * @param {number} parity - 0 for even rows, 1 for odd rows
+ * @param {number} range - Hex distance
+ * @returns {Array<[number, number]>} [dx, dy] pairs
+ */
+function hexOffsets(parity, range) {
+  const offsets = []
+  for (let dy = -range; dy <= range; dy++) {
+    for (let dx = -range - 1; dx <= range + 1; dx++) {
+      const distance = hexDistance(0, parity, dx, parity + dy)
+      if (distance > 0 && distance <= range) {
+        offsets.push([dx, dy])
+      }
+    }
+  }
+  return offsets
+}
+
+/**
+ * Distance in hex steps between two odd-r offset cells.
+ *
+ * @private
+ */
+function hexDistance(x1, y1, x2, y2) {
+  // Offset → axial coordinates (odd rows shifted right)
+  const q1 = x1 - (y1 - (y1 & 1)) / 2
+  const q2 = x2 - (y2 - (y2 & 1)) / 2
+  const dq = q2 - q1
+  const dr = y2 - y1
+  return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2
+}
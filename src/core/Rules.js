@@ -0,0 +1,361 @@
+/**
+ * Life-like rulestrings (B/S notation).
+ *
+ * A Life-like rule is defined by the neighbor counts that cause a dead cell
+ * to be born (B) and the counts that let a live cell survive (S).
+ * Conway's Game of Life is B3/S23.
+ *
+ * Generations rules add a state count C: a live cell that does not survive
+ * decays through C - 2 dying states before it is dead, and dying cells
+ * neither count as neighbors nor can be born into (Brian's Brain is B2/S/C3).
+ *
+ * Neighborhoods other than Moore are selected with a suffix (Golly style):
+ * "V" for von Neumann (4 neighbors), "H" for hexagonal (6 neighbors).
+ * Larger-than-Life rules count neighbors within range R and use ranges of
+ * counts, e.g. Bosco's Rule "R5,C0,M1,S34..58,B34..45,NM".
+ *
+ * Accepted formats:
+ * - B/S notation: "B3/S23", "b36/s23", "B2/S" (Seeds)
+ * - Classic S/B notation: "23/3" (survival first, as used by older software)
+ * - Generations: "B2/S/C3", "B2/S345/C4" or classic S/B/C "345/2/4"
+ * - Neighborhood suffix: "B2/S34H" (hexagonal), "B2/S3V" (von Neumann)
+ * - Larger-than-Life: "R{range},C{states},M{0|1},S{counts},B{counts},N{M|N|H}"
+ *   where counts are "a..b" ranges or single values separated by commas,
+ *   M1 counts the cell itself, and N picks Moore, von Neumann or hexagonal
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { NEIGHBORHOOD, getNeighborhoodSize } from './Neighborhoods.js'
+
+/**
+ * Conway's Game of Life rulestring.
+ */
+export const CONWAY_RULE = 'B3/S23'
+
+/**
+ * Well-known Life-like rules from LifeWiki.
+ * Source: https://conwaylife.com/wiki/List_of_Life-like_rules
+ */
+export const RULE_PRESETS = {
+  CONWAY: 'B3/S23',
+  HIGHLIFE: 'B36/S23',
+  SEEDS: 'B2/S',
+  DAY_AND_NIGHT: 'B3678/S34678',
+  LIFE_WITHOUT_DEATH: 'B3/S012345678',
+  BRIANS_BRAIN: 'B2/S/C3',
+  STAR_WARS: 'B2/S345/C4',
+  HEX_LIFE: 'B2/S34H',
+  BOSCO: 'R5,C0,M1,S34..58,B34..45,NM'
+}
+
+/**
+ * Rulestring suffix ↔ neighborhood (range-1 rules).
+ */
+const NEIGHBORHOOD_SUFFIX = {
+  V: NEIGHBORHOOD.VON_NEUMANN,
+  H: NEIGHBORHOOD.HEXAGONAL
+}
+
+/**
+ * Larger-than-Life "N" field ↔ neighborhood.
+ */
+const LTL_NEIGHBORHOOD = {
+  M: NEIGHBORHOOD.MOORE,
+  N: NEIGHBORHOOD.VON_NEUMANN,
+  H: NEIGHBORHOOD.HEXAGONAL
+}
+
+/**
+ * Largest Larger-than-Life range.
+ */
+const MAX_RANGE = 10
+
+/**
+ * Largest Generations state count (states are stored in a Uint8Array).
+ */
+const MAX_STATES = 256
+
+/**
+ * Parse a digit list ("236") into a sorted, de-duplicated array of counts.
+ *
+ * @private
+ * @param {string} digits - Digit characters
+ * @param {string} rulestring - Original rulestring (for error messages)
+ * @param {number} maxCount - Largest possible neighbor count (8 for Moore)
+ * @returns {number[]} Sorted neighbor counts
+ * @throws {Error} If a digit is outside 0..maxCount
+ */
+function parseCounts(digits, rulestring, maxCount) {
+  const counts = new Set()
+  for (const char of digits) {
+    const count = Number(char)
+    if (!Number.isInteger(count) || count > maxCount) {
+      throw new Error(`[Rules] Invalid neighbor count "${char}" in rule "${rulestring}"`)
+    }
+    counts.add(count)
+  }
+  return [...counts].sort((a, b) => a - b)
+}
+
+/**
+ * Parse a Larger-than-Life count list ("34..58" or "2,5..7") into counts.
+ *
+ * @private
+ * @param {string} list - Comma-separated values and a..b ranges (may be empty)
+ * @param {string} rulestring - Original rulestring (for error messages)
+ * @param {number} maxCount - Largest possible neighbor count
+ * @returns {number[]} Sorted neighbor counts
+ * @throws {Error} If a range is malformed or out of bounds
+ */
+function parseCountRanges(list, rulestring, maxCount) {
+  const counts = new Set()
+  for (const item of list.split(',').filter(Boolean)) {
+    const match = item.match(/^(\d+)(?:\.\.(\d+))?$/)
+    const low = match ? Number(match[1]) : NaN
+    const high = match && match[2] !== undefined ? Number(match[2]) : low
+    if (!match || high < low || high > maxCount) {
+      throw new Error(`[Rules] Invalid neighbor count range "${item}" in rule "${rulestring}"`)
+    }
+    for (let count = low; count <= high; count++) {
+      counts.add(count)
+    }
+  }
+  return [...counts].sort((a, b) => a - b)
+}
+
+/**
+ * Parse a Generations state count ("3" in "B2/S/C3").
+ *
+ * @private
+ * @param {string|undefined} digits - State count digits (undefined = Life-like, 2 states)
+ * @param {string} rulestring - Original rulestring (for error messages)
+ * @returns {number} Number of states (2-256)
+ * @throws {Error} If the count is out of range
+ */
+function parseStates(digits, rulestring) {
+  if (digits === undefined) {
+    return 2
+  }
+  const states = Number(digits)
+  if (states < 2 || states > MAX_STATES) {
+    throw new Error(`[Rules] Invalid state count "${digits}" in rule "${rulestring}". Must be 2-${MAX_STATES}`)
+  }
+  return states
+}
+
+/**
+ * Parse a Life-like or Generations rulestring.
+ *
+ * @param {string} rulestring - Rule in B/S, S/B, Generations or Larger-than-Life notation
+ *   (e.g. "B36/S23", "B2/S/C3", "B2/S34H", "R5,C0,M1,S34..58,B34..45,NM")
+ * @returns {{birth: number[], survival: number[], states: number, neighborhood: string,
+ *   range: number, includeCenter: boolean, rulestring: string}} Parsed rule with its state
+ *   count (2 for Life-like rules), neighborhood (NEIGHBORHOOD enum), range, whether the
+ *   cell counts itself, and canonical rulestring
+ * @throws {Error} If the rulestring is malformed
+ *
+ * @example
+ * parseRule('B36/S23')
+ * // { birth: [3, 6], survival: [2, 3], states: 2, neighborhood: 'moore', range: 1, ..., rulestring: 'B36/S23' }
+ *
+ * @example
+ * parseRule('23/3')  // Classic S/B notation
+ * // { birth: [3], survival: [2, 3], states: 2, ..., rulestring: 'B3/S23' }
+ *
+ * @example
+ * parseRule('345/2/4')  // Star Wars, classic S/B/C notation
+ * // { birth: [2], survival: [3, 4, 5], states: 4, ..., rulestring: 'B2/S345/C4' }
+ *
+ * @example
+ * parseRule('R5,C0,M1,S34..58,B34..45,NM')  // Bosco's Rule
+ * // { birth: [34, ..., 45], survival: [34, ..., 58], range: 5, includeCenter: true, ... }
+ */
+export function parseRule(rulestring) {
+  if (typeof rulestring !== 'string') {
+    throw new Error(`[Rules] Rulestring must be a string, got ${typeof rulestring}`)
+  }
+
+  const trimmed = rulestring.trim()
+
+  // B/S notation (either order), optional Generations count and neighborhood suffix:
+  // "B3/S23", "S23/B3", "B2/S/C3", "B2/S34H"
+  const bsMatch = trimmed.match(/^B(\d*)\/S(\d*)(?:\/C(\d+))?([VH])?$/i) ||
+    trimmed.match(/^S(\d*)\/B(\d*)(?:\/C(\d+))?([VH])?$/i)
+  if (bsMatch) {
+    const birthFirst = /^B/i.test(trimmed)
+    const birthDigits = birthFirst ? bsMatch[1] : bsMatch[2]
+    const survivalDigits = birthFirst ? bsMatch[2] : bsMatch[1]
+    const neighborhood = parseSuffix(bsMatch[4])
+    const maxCount = getNeighborhoodSize(neighborhood)
+    return buildRule(
+      parseCounts(birthDigits, rulestring, maxCount),
+      parseCounts(survivalDigits, rulestring, maxCount),
+      parseStates(bsMatch[3], rulestring),
+      { neighborhood }
+    )
+  }
+
+  // Classic S/B notation: "23/3", or S/B/C for Generations: "345/2/4"
+  const sbMatch = trimmed.match(/^(\d*)\/(\d*)(?:\/(\d+))?([VH])?$/i)
+  if (sbMatch) {
+    const neighborhood = parseSuffix(sbMatch[4])
+    const maxCount = getNeighborhoodSize(neighborhood)
+    return buildRule(
+      parseCounts(sbMatch[2], rulestring, maxCount),
+      parseCounts(sbMatch[1], rulestring, maxCount),
+      parseStates(sbMatch[3], rulestring),
+      { neighborhood }
+    )
+  }
+
+  // Larger-than-Life: "R5,C0,M1,S34..58,B34..45,NM"
+  const ltlMatch = trimmed.match(/^R(\d+),C(\d+),M([01]),S([\d.,]*),B([\d.,]*?)(?:,?N([MNH]))?$/i)
+  if (ltlMatch) {
+    const range = Number(ltlMatch[1])
+    if (range < 1 || range > MAX_RANGE) {
+      throw new Error(`[Rules] Invalid range "${ltlMatch[1]}" in rule "${rulestring}". Must be 1-${MAX_RANGE}`)
+    }
+    const neighborhood = LTL_NEIGHBORHOOD[(ltlMatch[6] || 'M').toUpperCase()]
+    const includeCenter = ltlMatch[3] === '1'
+    const maxCount = getNeighborhoodSize(neighborhood, range) + (includeCenter ? 1 : 0)
+    // C0 and C1 both mean a 2-state rule
+    const states = Number(ltlMatch[2]) < 2 ? undefined : ltlMatch[2]
+    return buildRule(
+      parseCountRanges(ltlMatch[5], rulestring, maxCount),
+      parseCountRanges(ltlMatch[4], rulestring, maxCount),
+      parseStates(states, rulestring),
+      { neighborhood, range, includeCenter }
+    )
+  }
+
+  throw new Error(`[Rules] Invalid rulestring "${rulestring}". Expected B/S notation like "B3/S23"`)
+}
+
+/**
+ * Map a rulestring suffix ("V", "H" or none) to a neighborhood.
+ *
+ * @private
+ * @param {string|undefined} suffix - Suffix letter
+ * @returns {string} NEIGHBORHOOD enum value
+ */
+function parseSuffix(suffix) {
+  return suffix ? NEIGHBORHOOD_SUFFIX[suffix.toUpperCase()] : NEIGHBORHOOD.MOORE
+}
+
+/**
+ * Build a rule object from birth and survival counts.
+ *
+ * @private
+ * @param {number[]} birth - Sorted birth counts
+ * @param {number[]} survival - Sorted survival counts
+ * @param {number} states - Number of cell states (2 for Life-like rules)
+ * @param {object} options - Neighborhood settings (see formatRule)
+ * @returns {{birth: number[], survival: number[], states: number, neighborhood: string,
+ *   range: number, includeCenter: boolean, rulestring: string}} Rule object
+ */
+function buildRule(birth, survival, states, options = {}) {
+  const { neighborhood = NEIGHBORHOOD.MOORE, range = 1, includeCenter = false } = options
+  return {
+    birth,
+    survival,
+    states,
+    neighborhood,
+    range,
+    includeCenter,
+    rulestring: formatRule(birth, survival, states, { neighborhood, range, includeCenter })
+  }
+}
+
+/**
+ * Format birth and survival counts as a canonical B/S rulestring.
+ *
+ * @param {number[]} birth - Birth neighbor counts
+ * @param {number[]} survival - Survival neighbor counts
+ * @param {number} states - Number of cell states, > 2 for Generations rules (default: 2)
+ * @param {object} options - Neighborhood settings
+ * @param {string} options.neighborhood - NEIGHBORHOOD enum value (default: NEIGHBORHOOD.MOORE)
+ * @param {number} options.range - Neighborhood range (default: 1)
+ * @param {boolean} options.includeCenter - Count the cell itself (default: false)
+ * @returns {string} Canonical rulestring (e.g. "B36/S23", "B2/S/C3", "B2/S34H");
+ *   Larger-than-Life notation when range > 1 or the center is counted
+ *
+ * @example
+ * formatRule([3], [2, 3])  // 'B3/S23'
+ *
+ * @example
+ * formatRule([2], [], 3)  // 'B2/S/C3' (Brian's Brain)
+ *
+ * @example
+ * formatRule([2], [3, 4], 2, { neighborhood: NEIGHBORHOOD.HEXAGONAL })  // 'B2/S34H'
+ */
+export function formatRule(birth, survival, states = 2, options = {}) {
+  const { neighborhood = NEIGHBORHOOD.MOORE, range = 1, includeCenter = false } = options
+  const sortedBirth = [...birth].sort((a, b) => a - b)
+  const sortedSurvival = [...survival].sort((a, b) => a - b)
+
+  if (range > 1 || includeCenter) {
+    const letter = Object.keys(LTL_NEIGHBORHOOD).find(key => LTL_NEIGHBORHOOD[key] === neighborhood)
+    return `R${range},C${states > 2 ? states : 0},M${includeCenter ? 1 : 0},` +
+      `S${formatCountRanges(sortedSurvival)},B${formatCountRanges(sortedBirth)},N${letter}`
+  }
+
+  const suffix = Object.keys(NEIGHBORHOOD_SUFFIX).find(key => NEIGHBORHOOD_SUFFIX[key] === neighborhood) || ''
+  const base = `B${sortedBirth.join('')}/S${sortedSurvival.join('')}`
+  return (states > 2 ? `${base}/C${states}` : base) + suffix
+}
+
+/**
+ * Format sorted counts as Larger-than-Life ranges ([2, 3, 4, 7] → "2..4,7").
+ *
+ * @private
+ * @param {number[]} counts - Sorted neighbor counts
+ * @returns {string} Count list
+ */
+function formatCountRanges(counts) {
+  const parts = []
+  for (let i = 0; i < counts.length; i++) {
+    const low = counts[i]
+    while (i + 1 < counts.length && counts[i + 1] === counts[i] + 1) i++
+    parts.push(counts[i] === low ? `${low}` : `${low}..${counts[i]}`)
+  }
+  return parts.join(',')
+}
+
+/**
+ * Check whether a rulestring is a Generations rule (more than 2 states).
+ *
+ * @param {string} rulestring - Rulestring to check
+ * @returns {boolean} True if the rule has dying states
+ *
+ * @example
+ * isGenerationsRule(RULE_PRESETS.BRIANS_BRAIN)  // true
+ * isGenerationsRule('B3/S23')                   // false
+ */
+export function isGenerationsRule(rulestring) {
+  try {
+    return parseRule(rulestring).states > 2
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Check whether a rulestring describes Conway's Game of Life (B3/S23).
+ * Accepts any notation that parses to B3/S23 ("b3/s23", "23/3", ...).
+ *
+ * @param {string} rulestring - Rulestring to check
+ * @returns {boolean} True if the rule is B3/S23
+ *
+ * @example
+ * isConwayRule('23/3')     // true
+ * isConwayRule('B36/S23')  // false
+ */
+export function isConwayRule(rulestring) {
+  try {
+    return parseRule(rulestring).rulestring === CONWAY_RULE
+  } catch (error) {
+    return false
+  }
+}
@@ -0,0 +1,262 @@
+/**
+ * Versioned snapshots of GoLEngine state.
+ *
+ * A snapshot is a small JSON-safe object that can be stored in localStorage
+ * (StorageManager.saveSnapshot) or sent between windows (IframeComm):
+ *
+ *   {
+ *     format: 'gol-snapshot', version: 1,
+ *     cols: 40, rows: 64, rule: 'B3/S23', boundary: 'dead',
+ *     generation: 120, frozen: false,
+ *     encoding: 'rle',                 // or 'base64' (bit-packed)
+ *     cells: 'x = 40, y = 64, ...!',   // RLE text, or base64 of 1 bit per cell
+ *     decay: 'AAIDAA...'               // Optional: Generations dying states (base64)
+ *   }
+ *
+ * The cell encoding is whichever of RLE and bit-packed base64 is shorter:
+ * RLE wins on sparse boards, bit-packing on dense random ones. The RLE text
+ * is a complete pattern file that Golly and LifeViewer can open.
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { parseRLE, toRLE, gridToPattern } from '../utils/PatternFormats.js'
+import { parseRule } from './Rules.js'
+import { BOUNDARY } from './GoLEngine.js'
+
+/**
+ * Snapshot format identifier.
+ */
+export const SNAPSHOT_FORMAT = 'gol-snapshot'
+
+/**
+ * Current snapshot version (bump when the layout changes).
+ */
+export const SNAPSHOT_VERSION = 1
+
+/**
+ * Largest grid a snapshot may describe (cols × rows), so untrusted input
+ * cannot make readSnapshot() allocate an arbitrarily large buffer.
+ */
+export const MAX_SNAPSHOT_CELLS = 1 << 20
+
+/**
+ * Cell encodings.
+ */
+export const SNAPSHOT_ENCODING = {
+  RLE: 'rle',
+  BASE64: 'base64'
+}
+
+/**
+ * Check whether a value is a valid snapshot (object or JSON string).
+ *
+ * Decodes it fully and checks rule, boundary and grid size, so anything that
+ * passes can be restored with GoLEngine.deserialize() (use at trust
+ * boundaries: postMessage, localStorage).
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if readSnapshot() accepts it
+ */
+export function isSnapshot(value) {
+  try {
+    readSnapshot(value)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Build a snapshot from engine state.
+ *
+ * @param {object} state - State to store
+ * @param {number} state.cols - Number of columns
+ * @param {number} state.rows - Number of rows
+ * @param {Uint8Array} state.cells - Live cells, column-major (index = x * rows + y)
+ * @param {string} state.rule - Rulestring
+ * @param {string} state.boundary - BOUNDARY enum value
+ * @param {number} state.generation - Generation number
+ * @param {boolean} state.frozen - Frozen flag
+ * @param {Uint8Array|null} state.decay - Generations dying states (optional)
+ * @returns {object} Snapshot
+ */
+export function createSnapshot({ cols, rows, cells, rule, boundary, generation, frozen, decay = null }) {
+  const packed = toBase64(packBits(cells))
+  const rle = toRLE(gridToPattern(columnViews(cells, cols, rows), cols, rows), { rule })
+  const useRLE = rle.length <= packed.length
+
+  const snapshot = {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    cols,
+    rows,
+    rule,
+    boundary,
+    generation,
+    frozen: Boolean(frozen),
+    encoding: useRLE ? SNAPSHOT_ENCODING.RLE : SNAPSHOT_ENCODING.BASE64,
+    cells: useRLE ? rle : packed
+  }
+
+  if (decay && decay.some(state => state !== 0)) {
+    snapshot.decay = toBase64(decay)
+  }
+  return snapshot
+}
+
+/**
+ * Validate and decode a snapshot.
+ *
+ * @param {object|string} value - Snapshot object or its JSON string
+ * @returns {{cols: number, rows: number, cells: Uint8Array, rule: string, boundary: string,
+ *   generation: number, frozen: boolean, decay: Uint8Array|null}} Decoded state
+ * @throws {Error} If the snapshot is malformed or from a newer version
+ */
+export function readSnapshot(value) {
+  let snapshot = value
+  if (typeof value === 'string') {
+    try {
+      snapshot = JSON.parse(value)
+    } catch (error) {
+      throw new Error(`[Snapshot] Invalid JSON: ${error.message}`)
+    }
+  }
+
+  if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+    throw new Error('[Snapshot] Not a GoL snapshot (missing format marker)')
+  }
+  if (!Number.isInteger(snapshot.version) || snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error(`[Snapshot] Unsupported version ${snapshot.version} (max ${SNAPSHOT_VERSION})`)
+  }
+
+  const { cols, rows } = snapshot
+  if (!Number.isInteger(cols) || !Number.isInteger(rows) || cols <= 0 || rows <= 0) {
+    throw new Error(`[Snapshot] Invalid grid size ${cols}×${rows}`)
+  }
+  if (cols * rows > MAX_SNAPSHOT_CELLS) {
+    throw new Error(`[Snapshot] Grid ${cols}×${rows} exceeds ${MAX_SNAPSHOT_CELLS} cells`)
+  }
+
+  if (snapshot.rule != null) {
+    try {
+      parseRule(snapshot.rule)
+    } catch (error) {
+      throw new Error(`[Snapshot] Invalid rule: ${error.message}`)
+    }
+  }
+  if (snapshot.boundary != null && !Object.values(BOUNDARY).includes(snapshot.boundary)) {
+    throw new Error(`[Snapshot] Invalid boundary: ${snapshot.boundary}`)
+  }
+
+  if (typeof snapshot.cells !== 'string') {
+    throw new Error('[Snapshot] Missing cell data')
+  }
+
+  const cells = new Uint8Array(cols * rows)
+  if (snapshot.encoding === SNAPSHOT_ENCODING.RLE) {
+    const { pattern } = parseRLE(snapshot.cells)
+    for (let y = 0; y < Math.min(rows, pattern.length); y++) {
+      for (let x = 0; x < Math.min(cols, pattern[y].length); x++) {
+        cells[x * rows + y] = pattern[y][x] ? 1 : 0
+      }
+    }
+  } else if (snapshot.encoding === SNAPSHOT_ENCODING.BASE64) {
+    const bytes = fromBase64(snapshot.cells)
+    if (bytes.length !== Math.ceil(cols * rows / 8)) {
+      throw new Error('[Snapshot] Cell data does not match the grid size')
+    }
+    unpackBits(bytes, cells)
+  } else {
+    throw new Error(`[Snapshot] Unknown cell encoding: ${snapshot.encoding}`)
+  }
+
+  let decay = null
+  if (snapshot.decay) {
+    decay = fromBase64(snapshot.decay)
+    if (decay.length !== cols * rows) {
+      throw new Error('[Snapshot] Decay states do not match the grid size')
+    }
+  }
+
+  return {
+    cols,
+    rows,
+    cells,
+    rule: snapshot.rule,
+    boundary: snapshot.boundary,
+    generation: Number.isInteger(snapshot.generation) ? snapshot.generation : 0,
+    frozen: Boolean(snapshot.frozen),
+    decay
+  }
+}
+
+/**
+ * Column views over a flat column-major buffer (grid[x][y]).
+ *
+ * @private
+ */
+function columnViews(cells, cols, rows) {
+  const grid = new Array(cols)
+  for (let x = 0; x < cols; x++) {
+    grid[x] = cells.subarray(x * rows, (x + 1) * rows)
+  }
+  return grid
+}
+
+/**
+ * Pack 0/1 bytes into bits (LSB first).
+ *
+ * @private
+ */
+function packBits(cells) {
+  const bytes = new Uint8Array(Math.ceil(cells.length / 8))
+  for (let i = 0; i < cells.length; i++) {
+    if (cells[i]) bytes[i >> 3] |= 1 << (i & 7)
+  }
+  return bytes
+}
+
+/**
+ * Unpack bits (LSB first) into 0/1 bytes.
+ *
+ * @private
+ */
+function unpackBits(bytes, cells) {
+  for (let i = 0; i < cells.length; i++) {
+    cells[i] = (bytes[i >> 3] >> (i & 7)) & 1
+  }
+}
+
+/**
+ * Encode bytes as base64.
+ *
+ * @private
+ */
+function toBase64(bytes) {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i])
+  }
+  return btoa(binary)
+}
+
+/**
+ * Decode base64 into bytes.
+ *
+ * @private
+ */
+function fromBase64(text) {
+  let binary
+  try {
+    binary = atob(text)
+  } catch (error) {
+    throw new Error('[Snapshot] Invalid base64 data')
+  }
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
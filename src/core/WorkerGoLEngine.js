@@ -0,0 +1,223 @@
+/**
+ * GoLEngine that computes generations in a Web Worker.
+ *
+ * The main thread keeps the grid (so getCell, current[x][y], countAliveCells,
+ * rendering... work unchanged) and the worker (GoLWorker.js) does the stepping.
+ * update() sends a snapshot and returns immediately; the next generation
+ * appears when the worker replies, usually within a frame. Updates requested
+ * while a step is in flight are batched into the next request.
+ *
+ * Snapshots travel as transferable ArrayBuffers (moved, not cloned).
+ *
+ * EDITS:
+ * Cells changed on the main thread while a step is in flight (setCell,
+ * setPattern, randomSeed, direct current[x][y] writes) are kept: the stale
+ * reply is dropped and its steps are re-run from the edited grid.
+ *
+ * FALLBACK:
+ * Without Worker support, if the worker fails to load, or while history,
+ * cycle or change tracking, cell ages or a Generations rule are in use (they
+ * need every generation on the main thread), update() steps synchronously
+ * like GoLEngine.
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { GoLEngine } from './GoLEngine.js'
+import { debugLog, debugWarn } from '../utils/Logger.js'
+
+/**
+ * GoLEngine with worker-backed update().
+ */
+class WorkerGoLEngine extends GoLEngine {
+  /**
+   * Create a worker-backed GoL engine.
+   *
+   * @param {number} cols - Number of columns in the grid
+   * @param {number} rows - Number of rows in the grid
+   * @param {number} updateRateFPS - Target update rate in frames per second (default: 10)
+   * @param {object} options - GoLEngine options (rule, boundary, history, cycleDetection)
+   *
+   * @example
+   * const engine = new WorkerGoLEngine(200, 320, 10)
+   * engine.randomSeed()
+   * // In draw(): engine.updateThrottled(frameCount), then read engine.current as usual
+   */
+  constructor(cols, rows, updateRateFPS = 10, options = {}) {
+    super(cols, rows, updateRateFPS, options)
+
+    this._worker = null
+    this._pending = null       // In-flight request { id, steps, rule, boundary, generation }
+    this._queuedSteps = 0      // Updates requested while a step was in flight
+    this._requestId = 0
+    this._sent = new Uint8Array(cols * rows)  // Grid as sent, to detect edits
+    this._spare = null         // Buffer returned by the worker, reused for the next request
+
+    this._startWorker()
+  }
+
+  /**
+   * Spawn the worker, or stay on the main thread if workers are unavailable.
+   *
+   * @private
+   */
+  _startWorker() {
+    if (typeof Worker === 'undefined') {
+      debugLog('[WorkerGoLEngine] Web Workers unavailable, using main thread')
+      return
+    }
+
+    try {
+      this._worker = new Worker(new URL('./GoLWorker.js', import.meta.url), { type: 'module' })
+      this._worker.onmessage = (event) => this._handleMessage(event.data)
+      this._worker.onerror = (event) => {
+        debugWarn('[WorkerGoLEngine] Worker failed, falling back to main thread:', event.message)
+        this._fallBackToMainThread()
+      }
+    } catch (error) {
+      debugWarn('[WorkerGoLEngine] Could not start worker, using main thread:', error)
+      this._worker = null
+    }
+  }
+
+  /**
+   * Check whether generations are computed off the main thread.
+   *
+   * @returns {boolean} True if a worker is active
+   */
+  usesWorker() {
+    return this._worker !== null
+  }
+
+  /**
+   * Check whether a step is waiting for the worker.
+   *
+   * @returns {boolean} True if a request is in flight or queued
+   */
+  isPending() {
+    return this._pending !== null || this._queuedSteps > 0
+  }
+
+  /**
+   * Advance one generation.
+   * With a worker, the result arrives asynchronously (generation and grid
+   * change when the snapshot is received).
+   */
+  update() {
+    if (!this._worker || this.history || this._cycleDetector || this._changes ||
+        this._decay || this._age) {
+      super.update()
+      return
+    }
+
+    this._queuedSteps++
+    if (!this._pending) {
+      this._requestStep()
+    }
+  }
+
+  /**
+   * Send the current grid and all queued steps to the worker.
+   *
+   * @private
+   */
+  _requestStep() {
+    const cells = this.getCells()
+    const buffer = this._spare || new ArrayBuffer(cells.length)
+    this._spare = null
+    new Uint8Array(buffer).set(cells)
+    this._sent.set(cells)
+
+    this._pending = {
+      id: ++this._requestId,
+      steps: this._queuedSteps,
+      rule: this.getRule(),
+      boundary: this.getBoundary(),
+      generation: this.generation
+    }
+    this._queuedSteps = 0
+
+    this._worker.postMessage({
+      type: 'step',
+      id: this._pending.id,
+      cols: this.cols,
+      rows: this.rows,
+      rule: this._pending.rule,
+      boundary: this._pending.boundary,
+      steps: this._pending.steps,
+      cells: buffer
+    }, [buffer])
+  }
+
+  /**
+   * Apply a snapshot from the worker.
+   *
+   * @private
+   * @param {{type: string, id: number, steps: number, cells: ArrayBuffer}} message - Worker reply
+   */
+  _handleMessage(message) {
+    const request = this._pending
+    if (message.type !== 'snapshot' || !request || message.id !== request.id) return
+
+    this._pending = null
+    this._spare = message.cells
+
+    if (this._isUnchangedSince(request)) {
+      this.getCells().set(new Uint8Array(message.cells))
+      this.generation += request.steps
+    } else {
+      // Grid, rule or topology changed meanwhile: re-run those steps on the new state
+      this._queuedSteps += request.steps
+    }
+
+    if (this._queuedSteps > 0 && this._worker) {
+      this._requestStep()
+    }
+  }
+
+  /**
+   * Check that nothing changed on the main thread since a request was sent.
+   *
+   * @private
+   */
+  _isUnchangedSince(request) {
+    if (this.generation !== request.generation ||
+        this.getRule() !== request.rule ||
+        this.getBoundary() !== request.boundary) {
+      return false
+    }
+    const cells = this.getCells()
+    for (let i = 0; i < cells.length; i++) {
+      if (cells[i] !== this._sent[i]) return false
+    }
+    return true
+  }
+
+  /**
+   * Stop the worker and run any queued steps on the main thread.
+   *
+   * @private
+   */
+  _fallBackToMainThread() {
+    this.terminate()
+    const steps = this._queuedSteps + (this._pending ? this._pending.steps : 0)
+    this._pending = null
+    this._queuedSteps = 0
+    for (let i = 0; i < steps; i++) {
+      super.update()
+    }
+  }
+
+  /**
+   * Stop the worker. Later updates run on the main thread.
+   */
+  terminate() {
+    if (this._worker) {
+      this._worker.terminate()
+      this._worker = null
+    }
+  }
+}
+
+export { WorkerGoLEngine }
@@ -0,0 +1,270 @@
+/**
+ * GoLEngineBenchmark.js
+ *
+ * Compares the typed-array / bit-packed GoLEngine against the original
+ * engine (Array-of-Arrays storage, per-cell neighbor loop, copied verbatim
+ * from before the rewrite) on the board sizes used in the arcade. The
+ * original only runs B3/S23 with dead boundaries, so both engines do too.
+ *
+ * USAGE (Node):
+ *   node src/debug/GoLEngineBenchmark.js
+ *
+ * USAGE (browser console):
+ *   const { runGoLEngineBenchmark } = await import('/conways-arcade-online/src/debug/GoLEngineBenchmark.js')
+ *   console.table(runGoLEngineBenchmark())
+ *
+ * @module GoLEngineBenchmark
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { GoLEngine } from '../core/GoLEngine.js'
+import { PERFORMANCE_CONFIG } from '../utils/Config.js'
+import { createRandom } from '../utils/Random.js'
+
+/**
+ * Board sizes to benchmark (cols × rows).
+ */
+const DEFAULT_SIZES = [
+  { name: 'Sprite 6×6', cols: 6, rows: 6 },
+  { name: 'Background 40×64', cols: 40, rows: 64 },
+  { name: 'Life Drop 60×80', cols: 60, rows: 80 },
+  { name: 'Large 200×320', cols: 200, rows: 320 }
+]
+
+const ALIVE = 1
+const DEAD = 0
+
+/**
+ * The original GoLEngine simulation, copied verbatim (constructor, cell
+ * access and update); only the parts the benchmark calls are kept.
+ */
+class BaselineGoLEngine {
+  /**
+   * Create a new GoL engine.
+   *
+   * @param {number} cols - Number of columns in the grid
+   * @param {number} rows - Number of rows in the grid
+   * @param {number} updateRateFPS - Target update rate in frames per second (default: 10)
+   */
+  constructor(cols, rows, updateRateFPS = 10) {
+    this.cols = cols
+    this.rows = rows
+    this._updateRateFPS = updateRateFPS  // Private storage
+    this.framesBetweenUpdates = 60 / updateRateFPS  // Assuming 60fps main loop
+    this.frameCounter = 0
+    this._throttleAccumulator = 0  // Accumulator for fractional frames
+
+    // Double buffer - CRITICAL for correct GoL implementation
+    this.current = this.create2DArray(cols, rows)
+    this.next = this.create2DArray(cols, rows)
+
+    this.generation = 0
+    this._frozen = false  // Freeze state for static patterns
+  }
+
+  /**
+   * Create a 2D array initialized with zeros (dead cells).
+   *
+   * @param {number} cols - Number of columns
+   * @param {number} rows - Number of rows
+   * @returns {number[][]} 2D array of dead cells
+   */
+  create2DArray(cols, rows) {
+    const arr = new Array(cols)
+    for (let i = 0; i < cols; i++) {
+      arr[i] = new Array(rows).fill(DEAD)
+    }
+    return arr
+  }
+
+  /**
+   * Set a specific cell to alive or dead.
+   *
+   * @param {number} x - Column index
+   * @param {number} y - Row index
+   * @param {number} state - ALIVE or DEAD
+   */
+  setCell(x, y, state) {
+    if (x >= 0 && x < this.cols && y >= 0 && y < this.rows) {
+      this.current[x][y] = state
+    }
+  }
+
+  /**
+   * Get the state of a specific cell.
+   *
+   * @param {number} x - Column index
+   * @param {number} y - Row index
+   * @returns {number} ALIVE or DEAD
+   */
+  getCell(x, y) {
+    if (x >= 0 && x < this.cols && y >= 0 && y < this.rows) {
+      return this.current[x][y]
+    }
+    return DEAD  // Out of bounds = dead
+  }
+
+  /**
+   * Count live neighbors for a cell using Moore neighborhood (8 neighbors).
+   *
+   * @param {number[][]} grid - The grid to read from
+   * @param {number} x - Column index
+   * @param {number} y - Row index
+   * @returns {number} Number of live neighbors (0-8)
+   */
+  countLiveNeighbors(grid, x, y) {
+    let count = 0
+
+    // Check all 8 neighbors (Moore neighborhood)
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        // Skip the center cell
+        if (dx === 0 && dy === 0) continue
+
+        const nx = x + dx
+        const ny = y + dy
+
+        // Check bounds and count if alive
+        if (nx >= 0 && nx < this.cols && ny >= 0 && ny < this.rows) {
+          count += grid[nx][ny]
+        }
+        // Out of bounds cells are treated as dead (fixed boundary)
+      }
+    }
+
+    return count
+  }
+
+  /**
+   * Apply Conway's B3/S23 rules.
+   * Birth: exactly 3 neighbors → becomes alive
+   * Survival: 2 or 3 neighbors → stays alive
+   * Death: < 2 (underpopulation) or > 3 (overpopulation) → dies
+   *
+   * @param {number} currentState - Current cell state (ALIVE or DEAD)
+   * @param {number} neighbors - Number of live neighbors
+   * @returns {number} Next state (ALIVE or DEAD)
+   */
+  applyB3S23Rules(currentState, neighbors) {
+    if (currentState === ALIVE) {
+      // Survival: 2 or 3 neighbors
+      return (neighbors === 2 || neighbors === 3) ? ALIVE : DEAD
+    } else {
+      // Birth: exactly 3 neighbors
+      return (neighbors === 3) ? ALIVE : DEAD
+    }
+  }
+
+  /**
+   * Update the grid to the next generation using double buffer pattern.
+   * CRITICAL: Never modifies current grid while reading it.
+   */
+  update() {
+    // Read from current, write to next
+    for (let x = 0; x < this.cols; x++) {
+      for (let y = 0; y < this.rows; y++) {
+        const neighbors = this.countLiveNeighbors(this.current, x, y)
+        const currentState = this.current[x][y]
+        this.next[x][y] = this.applyB3S23Rules(currentState, neighbors)
+      }
+    }
+
+    // Swap buffers (pointer swap, not data copy)
+    const temp = this.current
+    this.current = this.next
+    this.next = temp
+
+    this.generation++
+  }
+}
+
+/**
+ * Time N generations of an engine.
+ *
+ * @param {GoLEngine|BaselineGoLEngine} engine - Seeded engine
+ * @param {number} generations - Generations to run
+ * @returns {number} Average milliseconds per generation
+ */
+function timeGenerations(engine, generations) {
+  const start = performance.now()
+  for (let i = 0; i < generations; i++) {
+    engine.update()
+  }
+  return (performance.now() - start) / generations
+}
+
+/**
+ * Check that two engines hold the same grid.
+ *
+ * @param {GoLEngine|BaselineGoLEngine} a - First engine
+ * @param {GoLEngine|BaselineGoLEngine} b - Second engine
+ * @returns {boolean} True if every cell matches
+ */
+function gridsMatch(a, b) {
+  for (let x = 0; x < a.cols; x++) {
+    for (let y = 0; y < a.rows; y++) {
+      if (a.getCell(x, y) !== b.getCell(x, y)) return false
+    }
+  }
+  return true
+}
+
+/**
+ * Run the benchmark.
+ *
+ * @param {Object} [options] - Benchmark options
+ * @param {Array<{name: string, cols: number, rows: number}>} [options.sizes] - Board sizes
+ * @param {number} [options.generations=200] - Timed generations per board
+ * @param {number} [options.warmup=20] - Untimed warmup generations (JIT)
+ * @param {number} [options.density=0.3] - Random seed density
+ * @returns {Array<Object>} One result row per size:
+ *   { board, baselineMs, packedMs, speedup, withinBudget, identical }
+ *
+ * @example
+ * console.table(runGoLEngineBenchmark({ generations: 500 }))
+ */
+export function runGoLEngineBenchmark(options = {}) {
+  const {
+    sizes = DEFAULT_SIZES,
+    generations = 200,
+    warmup = 20,
+    density = 0.3
+  } = options
+
+  return sizes.map(({ name, cols, rows }) => {
+    const baseline = new BaselineGoLEngine(cols, rows, 10)
+    const packed = new GoLEngine(cols, rows, 10)
+
+    // Identical random soup in both engines
+    const random = createRandom(cols * 7919 + rows)
+    for (let x = 0; x < cols; x++) {
+      for (let y = 0; y < rows; y++) {
+        const state = random() < density ? 1 : 0
+        baseline.setCell(x, y, state)
+        packed.setCell(x, y, state)
+      }
+    }
+
+    timeGenerations(baseline, warmup)
+    timeGenerations(packed, warmup)
+
+    const baselineMs = timeGenerations(baseline, generations)
+    const packedMs = timeGenerations(packed, generations)
+
+    return {
+      board: name,
+      baselineMs: Number(baselineMs.toFixed(4)),
+      packedMs: Number(packedMs.toFixed(4)),
+      speedup: Number((baselineMs / packedMs).toFixed(2)),
+      withinBudget: packedMs <= PERFORMANCE_CONFIG.GOL_SIMULATION_BUDGET,
+      identical: gridsMatch(baseline, packed)
+    }
+  })
+}
+
+// Run directly under Node: node src/debug/GoLEngineBenchmark.js
+if (typeof process !== 'undefined' && process.argv?.[1] &&
+    import.meta.url.endsWith(process.argv[1].replace(/\\/g, '/'))) {
+  console.table(runGoLEngineBenchmark())
+}
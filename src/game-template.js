@@ -19,7 +19,7 @@
  * - NEVER use 'this' or 'p5.' prefix for p5.js functions
  * - Use fill(), rect(), random() directly
  * - Helper functions do NOT receive 'this' parameter
- * - EXCEPTION: SimpleGradientRenderer constructor needs 'this'
+ * - EXCEPTION: createGradientRenderer() needs 'this'
  *
  * @author Game of Life Arcade
  * @license ISC
@@ -29,13 +29,14 @@
 // IMPORTS - Standard imports for all games
 // ============================================
 import { GoLEngine } from '../src/core/GoLEngine.js'
-import { SimpleGradientRenderer } from '../src/rendering/SimpleGradientRenderer.js'
+import { createGradientRenderer, GradientSource } from '../src/rendering/GradientRendererFactory.js'
 import { GRADIENT_PRESETS } from '../src/utils/GradientPresets.js'
 import { Collision } from '../src/utils/Collision.js'
 import { Patterns } from '../src/utils/Patterns.js'
 import { seedRadialDensity, applyLifeForce, maintainDensity } from '../src/utils/GoLHelpers.js'
 import { updateParticles, renderParticles } from '../src/utils/ParticleHelpers.js'
 import { renderGameUI, renderGameOver } from '../src/utils/UIHelpers.js'
+import { getSeed } from '../src/utils/Random.js'
 
 // ============================================
 // GAME CONFIGURATION - BASE REFERENCE (Portrait 1200×1920)
@@ -147,6 +148,10 @@ function updateConfigScale() {
 // p5.js SETUP - Standard setup with responsive canvas
 // ============================================
 function setup() {
+  // Seed p5 random()/noise() from the shared seed (reproducible runs)
+  randomSeed(getSeed())
+  noiseSeed(getSeed())
+
   // Calculate responsive size
   const size = calculateResponsiveSize()
   canvasWidth = size.width
@@ -160,7 +165,8 @@ function setup() {
   frameRate(60)
 
   // Create renderer (EXCEPTION: needs 'this' parameter)
-  maskedRenderer = new SimpleGradientRenderer(this)
+  // WebGL or 2D is chosen by VISUAL_CONFIG.USE_WEBGL
+  maskedRenderer = createGradientRenderer(this, { source: GradientSource.NOISE })
 
   // Initialize game
   initGame()
@@ -251,7 +257,7 @@ function draw() {
       if (window.parent !== window) {
         window.parent.postMessage({
           type: 'gameOver',
-          payload: { score: state.score }
+          payload: { score: state.score, seed: getSeed() }
         }, '*')
       }
     }
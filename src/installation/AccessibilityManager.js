@@ -0,0 +1,227 @@
+/**
+ * AccessibilityManager - Accessibility profile state for the installation
+ *
+ * Switches colorblind-safe / high-contrast profiles (see AccessibilityProfiles.js)
+ * Persists the profile in localStorage (?a11y= overrides it)
+ * Broadcasts profile changes to iframe games via postMessage
+ *
+ * Operators cycle profiles with a hidden key combo handled by ResetManager
+ *
+ * @example
+ * const accessibilityManager = new AccessibilityManager()
+ * const resetManager = new ResetManager(inputManager, appState, storageManager, resetCircleUI, accessibilityManager)
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { debugLog, debugError } from '../utils/Logger.js'
+import {
+  AccessibilityProfile,
+  isAccessibilityProfile,
+  setAccessibilityProfile,
+  getAccessibilityProfile,
+  getNextAccessibilityProfile,
+  getProfileFromURL
+} from '../utils/AccessibilityProfiles.js'
+import { applyPaletteCss } from '../utils/PaletteTheme.js'
+
+export class AccessibilityManager {
+  /**
+   * localStorage key of the saved profile
+   */
+  static STORAGE_KEY = 'accessibility_profile'
+
+  constructor() {
+    // Observer callbacks
+    this.observers = []
+
+    // Initial profile: URL, then saved, then default
+    const profile = getProfileFromURL() || this.loadProfile() || AccessibilityProfile.DEFAULT
+    setAccessibilityProfile(profile)
+    this.applyCss()
+
+    // Operator combo pressed while a game iframe has focus (relayed by game-wrapper)
+    this.handleMessage = this.handleMessage.bind(this)
+    if (typeof window !== 'undefined') {
+      window.addEventListener('message', this.handleMessage)
+    }
+
+    debugLog(`AccessibilityManager: Initialized with ${profile} profile`)
+  }
+
+  /**
+   * Get current profile
+   * @returns {string} - AccessibilityProfile value
+   */
+  getProfile() {
+    return getAccessibilityProfile()
+  }
+
+  /**
+   * Set profile
+   * @param {string} profile - AccessibilityProfile value
+   * @throws {Error} If profile is invalid
+   */
+  setProfile(profile) {
+    // Validate profile
+    if (!isAccessibilityProfile(profile)) {
+      throw new Error(`Invalid accessibility profile: ${profile}. Must be one of ${Object.values(AccessibilityProfile).join(', ')}`)
+    }
+
+    // No change needed
+    if (this.getProfile() === profile) {
+      return
+    }
+
+    // Recolor presets and theme colors, then the page CSS variables
+    setAccessibilityProfile(profile)
+    this.applyCss()
+
+    this.saveProfile(profile)
+    this.notifyObservers(profile)
+    this.broadcastToIframes(profile)
+
+    debugLog(`AccessibilityManager: Profile changed to ${profile}`)
+  }
+
+  /**
+   * Switch to the next profile (wraps back to default)
+   * @returns {string} - New profile
+   */
+  cycleProfile() {
+    const profile = getNextAccessibilityProfile(this.getProfile())
+    this.setProfile(profile)
+    return profile
+  }
+
+  /**
+   * Re-apply palette CSS variables for the current theme
+   */
+  applyCss() {
+    if (typeof document === 'undefined') {
+      return // Skip in test environment
+    }
+
+    applyPaletteCss(document.documentElement.getAttribute('data-theme') || 'day')
+  }
+
+  /**
+   * Handle postMessage from game iframes
+   * @param {MessageEvent} event
+   */
+  handleMessage(event) {
+    // Only accept messages from same origin
+    if (event.origin !== window.location.origin) {
+      return
+    }
+
+    if (event.data && event.data.type === 'accessibilityCycleFromGame') {
+      debugLog('AccessibilityManager: Received accessibilityCycleFromGame message')
+      this.cycleProfile()
+    }
+  }
+
+  /**
+   * Load saved profile
+   * @returns {string|null} - Saved AccessibilityProfile value, or null
+   */
+  loadProfile() {
+    try {
+      const saved = localStorage.getItem(AccessibilityManager.STORAGE_KEY)
+      return isAccessibilityProfile(saved) ? saved : null
+    } catch (error) {
+      return null
+    }
+  }
+
+  /**
+   * Save profile (survives reloads, cleared by hard reset)
+   * @param {string} profile - AccessibilityProfile value
+   */
+  saveProfile(profile) {
+    try {
+      localStorage.setItem(AccessibilityManager.STORAGE_KEY, profile)
+    } catch (error) {
+      debugError('AccessibilityManager: Failed to save profile:', error)
+    }
+  }
+
+  /**
+   * Add observer callback
+   * @param {function} callback - Callback(newProfile)
+   */
+  addObserver(callback) {
+    if (typeof callback !== 'function') {
+      debugError('AccessibilityManager: Observer must be a function')
+      return
+    }
+
+    this.observers.push(callback)
+    debugLog(`AccessibilityManager: Observer added (total: ${this.observers.length})`)
+  }
+
+  /**
+   * Remove observer callback
+   * @param {function} callback - Callback to remove
+   */
+  removeObserver(callback) {
+    const index = this.observers.indexOf(callback)
+    if (index > -1) {
+      this.observers.splice(index, 1)
+      debugLog(`AccessibilityManager: Observer removed (total: ${this.observers.length})`)
+    }
+  }
+
+  /**
+   * Notify all observers of profile change
+   * @param {string} profile - New profile
+   */
+  notifyObservers(profile) {
+    this.observers.forEach(callback => {
+      try {
+        callback(profile)
+      } catch (error) {
+        debugError('AccessibilityManager: Observer callback error:', error)
+      }
+    })
+  }
+
+  /**
+   * Broadcast profile change to all iframes (games)
+   * @param {string} profile - New profile
+   */
+  broadcastToIframes(profile) {
+    if (typeof document === 'undefined') {
+      return // Skip in test environment
+    }
+
+    const iframes = document.querySelectorAll('iframe')
+
+    iframes.forEach(iframe => {
+      try {
+        if (iframe.contentWindow) {
+          iframe.contentWindow.postMessage(
+            { type: 'accessibilityProfileChange', payload: { profile } },
+            '*'
+          )
+        }
+      } catch (error) {
+        debugError('AccessibilityManager: Failed to broadcast to iframe:', error)
+      }
+    })
+
+    debugLog(`AccessibilityManager: Broadcasted profile '${profile}' to ${iframes.length} iframe(s)`)
+  }
+
+  /**
+   * Cleanup and destroy
+   */
+  destroy() {
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('message', this.handleMessage)
+    }
+    this.observers = []
+    debugLog('AccessibilityManager: Destroyed')
+  }
+}
@@ -44,6 +44,7 @@ export class AppState {
     this.currentScore = null       // Final score from game
     this.playerName = null         // 3-letter name (A-Z)
     this.scoreTimestamp = null     // Timestamp of saved score (for exact identification)
+    this.finalSnapshot = null      // Final board from game (engine.serialize()), optional
 
     // Timeout handles for auto-advance
     this.timeoutHandles = {}
@@ -112,6 +113,15 @@ export class AppState {
     debugLog('Score set:', score)
   }
 
+  /**
+   * Set final board snapshot from game
+   * @param {object|null} snapshot - Snapshot from engine.serialize(), or null to clear
+   */
+  setSnapshot(snapshot) {
+    this.finalSnapshot = snapshot || null
+    debugLog('Snapshot set:', snapshot ? `${snapshot.cols}×${snapshot.rows}` : 'none')
+  }
+
   /**
    * Set player name (3 letters A-Z)
    * @param {string} name - Player name
@@ -149,6 +159,7 @@ export class AppState {
     this.currentScore = null
     this.playerName = null
     this.scoreTimestamp = null
+    this.finalSnapshot = null
 
     // Clear all timeouts
     this.clearAllTimeouts()
@@ -273,7 +284,8 @@ export class AppState {
       selectedGame: this.selectedGame,
       currentScore: this.currentScore,
       playerName: this.playerName,
-      scoreTimestamp: this.scoreTimestamp
+      scoreTimestamp: this.scoreTimestamp,
+      finalSnapshot: this.finalSnapshot
     }
   }
 }
@@ -9,11 +9,13 @@
  */
 
 import { debugLog, debugWarn, debugError } from '../utils/Logger.js'
+import { isSnapshot } from '../core/Snapshot.js'
 
 export class IframeComm {
   /**
    * Expected message format from games:
-   * { type: 'gameOver', payload: { score: number } }
+   * { type: 'gameOver', payload: { score: number, seed?: number, snapshot?: object } }
+   * snapshot is an optional final board from engine.serialize()
    */
   static MESSAGE_TYPE = 'gameOver'
 
@@ -109,7 +111,20 @@ export class IframeComm {
       return
     }
 
-    debugLog('IframeComm: Received gameOver message:', payload.score)
+    // Seed is optional (older games do not report it)
+    const seed = Number.isInteger(payload.seed) ? payload.seed : undefined
+
+    // Snapshot is optional (games with a board to keep send engine.serialize())
+    let snapshot
+    if (payload.snapshot !== undefined) {
+      if (isSnapshot(payload.snapshot)) {
+        snapshot = payload.snapshot
+      } else {
+        debugWarn('Ignoring invalid snapshot in gameOver payload')
+      }
+    }
+
+    debugLog('IframeComm: Received gameOver message:', payload.score, 'seed:', seed)
 
     // Clear timeout
     if (this.timeoutHandle) {
@@ -121,7 +136,7 @@ export class IframeComm {
     this.sendAcknowledgment(event.source)
 
     // Trigger callbacks
-    this.triggerGameOverCallbacks(payload.score)
+    this.triggerGameOverCallbacks(payload.score, seed, snapshot)
 
     // Stop listening (one message per session)
     this.stopListening()
@@ -144,7 +159,7 @@ export class IframeComm {
 
   /**
    * Register Game Over callback
-   * @param {function} callback - Callback(score)
+   * @param {function} callback - Callback(score, seed, snapshot)
    */
   onGameOver(callback) {
     if (typeof callback !== 'function') {
@@ -169,11 +184,13 @@ export class IframeComm {
   /**
    * Trigger all Game Over callbacks
    * @param {number} score - Final score
+   * @param {number} [seed] - Random seed reported by the game
+   * @param {object} [snapshot] - Final board snapshot reported by the game
    */
-  triggerGameOverCallbacks(score) {
+  triggerGameOverCallbacks(score, seed, snapshot) {
     this.gameOverCallbacks.forEach(callback => {
       try {
-        callback(score)
+        callback(score, seed, snapshot)
       } catch (error) {
         debugError('Game Over callback error:', error)
       }
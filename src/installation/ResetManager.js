@@ -5,6 +5,10 @@
  * - Soft Reset (M for 3s): Clear session, keep localStorage
  * - Hard Reset (M+N for 10s): Clear localStorage completely + session
  *
+ * Also handles the hidden operator combo Alt+Shift+A, which cycles
+ * accessibility profiles (default → deuteranopia → protanopia → tritanopia
+ * → high-contrast, see AccessibilityManager)
+ *
  * @author Game of Life Arcade
  * @license ISC
  */
@@ -19,7 +23,8 @@ export class ResetManager {
     SOFT_DURATION: 3000,   // 3 seconds
     HARD_DURATION: 10000,  // 10 seconds
     KEY_M: 'm',
-    KEY_N: 'n'
+    KEY_N: 'n',
+    A11Y_KEY_CODE: 'KeyA'  // Alt+Shift+A (event.code: Alt changes event.key on macOS)
   }
 
   /**
@@ -28,8 +33,9 @@ export class ResetManager {
    * @param {AppState} appState - Application state manager
    * @param {StorageManager} storageManager - localStorage manager
    * @param {ResetCircleUI} resetCircleUI - Visual feedback component
+   * @param {AccessibilityManager} [accessibilityManager] - Accessibility profiles (without it Alt+Shift+A is ignored)
    */
-  constructor(inputManager, appState, storageManager, resetCircleUI) {
+  constructor(inputManager, appState, storageManager, resetCircleUI, accessibilityManager = null) {
     if (!inputManager || !appState || !storageManager || !resetCircleUI) {
       throw new Error('ResetManager: Missing required dependencies')
     }
@@ -38,6 +44,7 @@ export class ResetManager {
     this.appState = appState
     this.storageManager = storageManager
     this.resetCircleUI = resetCircleUI
+    this.accessibilityManager = accessibilityManager
 
     // Reset state
     this.isResetting = false
@@ -63,7 +70,7 @@ export class ResetManager {
     window.addEventListener('keydown', this.handleKeyDown)
     window.addEventListener('keyup', this.handleKeyUp)
 
-    debugLog('ResetManager: Listening for M and M+N combinations')
+    debugLog('ResetManager: Listening for M, M+N and Alt+Shift+A combinations')
   }
 
   /**
@@ -86,6 +93,16 @@ export class ResetManager {
    * @param {KeyboardEvent} event - Keyboard event
    */
   handleKeyDown(event) {
+    // Operator combo: cycle accessibility profile
+    if (this.accessibilityManager && this.isAccessibilityCombo(event)) {
+      event.preventDefault()
+      if (!event.repeat) {
+        const profile = this.accessibilityManager.cycleProfile()
+        debugLog(`ResetManager: Accessibility profile → ${profile}`)
+      }
+      return
+    }
+
     const key = event.key
     const keyLower = key.toLowerCase()
 
@@ -134,6 +151,16 @@ export class ResetManager {
     this.startReset(newResetType)
   }
 
+  /**
+   * Check for the accessibility operator combo (Alt+Shift+A)
+   * @param {KeyboardEvent} event - Keyboard event
+   * @returns {boolean} - True if the combo was pressed
+   */
+  isAccessibilityCombo(event) {
+    return event.altKey && event.shiftKey && !event.ctrlKey && !event.metaKey &&
+           event.code === ResetManager.CONFIG.A11Y_KEY_CODE
+  }
+
   /**
    * Handle key up event
    * @param {KeyboardEvent} event
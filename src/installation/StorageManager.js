@@ -2,6 +2,7 @@
  * StorageManager - localStorage wrapper for leaderboard persistence
  *
  * Manages score persistence with top 50 leaderboards per game
+ * Also stores GoL simulation snapshots (see src/core/Snapshot.js)
  * Handles quota exceeded errors gracefully
  *
  * @author Game of Life Arcade
@@ -9,6 +10,7 @@
  */
 
 import { debugLog, debugWarn, debugError } from '../utils/Logger.js'
+import { isSnapshot } from '../core/Snapshot.js'
 
 export class StorageManager {
   /**
@@ -21,6 +23,11 @@ export class StorageManager {
    */
   static MAX_SCORES = 50
 
+  /**
+   * Snapshot key format: snapshot_{name}
+   */
+  static SNAPSHOT_PREFIX = 'snapshot_'
+
   constructor() {
     // Test localStorage availability
     this.isAvailable = this.testLocalStorage()
@@ -284,6 +291,91 @@ export class StorageManager {
     }
   }
 
+  /**
+   * Save a GoL snapshot (from engine.serialize())
+   * @param {string} name - Snapshot identifier (e.g. game or screen name)
+   * @param {object} snapshot - Snapshot object
+   * @returns {boolean} - Success status
+   */
+  saveSnapshot(name, snapshot) {
+    if (!this.isAvailable) {
+      debugWarn('Cannot save snapshot - localStorage not available')
+      return false
+    }
+
+    if (!name || typeof name !== 'string') {
+      debugError('Invalid snapshot name:', name)
+      return false
+    }
+
+    if (!isSnapshot(snapshot)) {
+      debugError('Invalid snapshot for', name)
+      return false
+    }
+
+    try {
+      localStorage.setItem(StorageManager.SNAPSHOT_PREFIX + name, JSON.stringify(snapshot))
+      debugLog(`Snapshot saved: ${name}`)
+      return true
+    } catch (error) {
+      // Snapshots are optional: never evict scores to make room
+      if (error.name === 'QuotaExceededError') {
+        debugWarn('localStorage quota exceeded, snapshot not saved:', name)
+      } else {
+        debugError('Error saving snapshot:', error)
+      }
+      return false
+    }
+  }
+
+  /**
+   * Load a GoL snapshot
+   * @param {string} name - Snapshot identifier
+   * @returns {object|null} - Snapshot for GoLEngine.deserialize(), or null if missing/invalid
+   */
+  loadSnapshot(name) {
+    if (!this.isAvailable || !name || typeof name !== 'string') {
+      return null
+    }
+
+    try {
+      const data = localStorage.getItem(StorageManager.SNAPSHOT_PREFIX + name)
+      if (!data) {
+        return null
+      }
+
+      const snapshot = JSON.parse(data)
+      if (!isSnapshot(snapshot)) {
+        debugError('Invalid snapshot data for', name)
+        return null
+      }
+      return snapshot
+    } catch (error) {
+      debugError('Error loading snapshot:', error)
+      return null
+    }
+  }
+
+  /**
+   * Delete a GoL snapshot
+   * @param {string} name - Snapshot identifier
+   * @returns {boolean} - Success status
+   */
+  clearSnapshot(name) {
+    if (!this.isAvailable || !name || typeof name !== 'string') {
+      return false
+    }
+
+    try {
+      localStorage.removeItem(StorageManager.SNAPSHOT_PREFIX + name)
+      debugLog(`Cleared snapshot: ${name}`)
+      return true
+    } catch (error) {
+      debugError('Error clearing snapshot:', error)
+      return false
+    }
+  }
+
   /**
    * Get total number of scores across all games
    * @returns {number} - Total score count
@@ -3,12 +3,16 @@
  *
  * Manages day/night theme switching using CSS variables
  * Broadcasts theme changes to iframe games via postMessage
+ * Loads the startup palette theme (branded colors, see PaletteTheme.js)
+ * Keeps accessibility profiles in sync with the theme (see AccessibilityProfiles.js)
  *
  * @author Game of Life Arcade
  * @license ISC
  */
 
 import { debugLog, debugError } from '../utils/Logger.js'
+import { loadStartupPaletteTheme, applyPaletteCss } from '../utils/PaletteTheme.js'
+import { setAccessibilityTheme } from '../utils/AccessibilityProfiles.js'
 
 export class ThemeManager {
   /**
@@ -29,6 +33,15 @@ export class ThemeManager {
     // Apply initial theme
     this.applyTheme(this.currentTheme)
 
+    // Palette theme (?palette= or VISUAL_CONFIG.PALETTE_THEME_PATH): re-apply once loaded
+    this.paletteReady = loadStartupPaletteTheme().then(palette => {
+      if (palette) {
+        this.applyTheme(this.currentTheme)
+        this.notifyObservers(this.currentTheme)
+      }
+      return palette
+    })
+
     debugLog('ThemeManager: Initialized with day theme')
   }
 
@@ -72,15 +85,18 @@ export class ThemeManager {
   }
 
   /**
-   * Apply theme to DOM
+   * Apply theme to DOM (data-theme attribute and palette theme CSS variables)
    * @param {string} theme - Theme name
    */
   applyTheme(theme) {
+    setAccessibilityTheme(theme)  // High-contrast colors depend on the theme
+
     if (typeof document === 'undefined') {
       return // Skip in test environment
     }
 
     document.documentElement.setAttribute('data-theme', theme)
+    applyPaletteCss(theme)
   }
 
   /**
@@ -0,0 +1,213 @@
+/**
+ * Cell state styling shared by the gradient renderers.
+ *
+ * Maps cell age (engine.getCellAge) to brightness and Generations dying
+ * states (engine.getCellState) to alpha, following CELL_STATE_STYLE.
+ * Also blends the phases of RenderMode.INTERPOLATED pattern engines and
+ * keeps the afterglow of recently dead cells (setAfterglow).
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { CELL_STATES } from '../utils/Config.js'
+import { getPhaseBlend, PhaseTransition } from '../utils/PatternRenderer.js'
+
+const { ALIVE, DEAD } = CELL_STATES
+
+/**
+ * Afterglow length used by setAfterglow() when none is given (frames).
+ */
+const DEFAULT_AFTERGLOW_FRAMES = 8
+
+/**
+ * Check whether an engine has per-cell state worth styling.
+ * Plain grids ({ cols, rows, current }) and engines without age tracking
+ * or a Generations rule render as simple ALIVE/DEAD masks.
+ *
+ * @param {object} engine - GoL engine or engine-like object
+ * @returns {boolean} True if getCellStyle() should be used
+ */
+export function hasCellStates(engine) {
+  return typeof engine.getCellState === 'function' &&
+    (engine.getStateCount() > 2 || engine.isTrackingAge())
+}
+
+/**
+ * Get the brightness and alpha to draw a cell with.
+ *
+ * @param {object} engine - GoL engine (see hasCellStates)
+ * @param {number} x - Column index
+ * @param {number} y - Row index
+ * @param {object} style - CELL_STATE_STYLE-shaped settings
+ * @returns {{brightness: number, alpha: number}|null} Multipliers (0-1), or null if not drawn
+ *
+ * @example
+ * const cell = getCellStyle(engine, gx, gy, CELL_STATE_STYLE)
+ * if (cell) fill(r * cell.brightness, g * cell.brightness, b * cell.brightness, 255 * cell.alpha)
+ */
+export function getCellStyle(engine, x, y, style) {
+  const state = engine.getCellState(x, y)
+  if (state === DEAD) {
+    return null
+  }
+
+  if (state === ALIVE) {
+    if (!style.AGE_BRIGHTNESS || !engine.isTrackingAge()) {
+      return { brightness: 1, alpha: 1 }
+    }
+    const maturity = Math.min(1, (engine.getCellAge(x, y) - 1) / style.MATURE_AGE)
+    const brightness = Math.max(0, style.NEWBORN_BRIGHTNESS +
+      (style.MATURE_BRIGHTNESS - style.NEWBORN_BRIGHTNESS) * maturity)
+    return { brightness, alpha: 1 }
+  }
+
+  // Dying: fade linearly from alive (1) to MIN_DECAY_ALPHA at the last state
+  if (!style.DECAY_ALPHA) {
+    return null
+  }
+  const lastState = engine.getStateCount() - 1
+  const alpha = 1 - (1 - style.MIN_DECAY_ALPHA) * (state - ALIVE) / (lastState - ALIVE)
+  return { brightness: 1, alpha }
+}
+
+/**
+ * Check whether an engine is drawn with phase transitions (RenderMode.INTERPOLATED).
+ *
+ * @param {object} engine - GoL engine or engine-like object
+ * @returns {boolean} True if forEachTransitionCell() should be used
+ */
+export function hasPhaseTransition(engine) {
+  return Boolean(engine.phaseTransition && engine.spritePhases)
+}
+
+/**
+ * Visit every cell to draw between the current and next phase.
+ *
+ * Cells alive in both phases are drawn in full. Cells being born fade or grow
+ * in, and dying cells fade or shrink out, as the engine approaches its next
+ * generation (eased with smoothstep).
+ *
+ * @param {object} engine - Interpolated engine (see hasPhaseTransition)
+ * @param {function(number, number, number, number)} callback - (x, y, alpha, scale),
+ *   alpha and scale in 0-1; scale is relative to the cell size, around the cell center
+ *
+ * @example
+ * forEachTransitionCell(engine, (gx, gy, alpha, scale) => {
+ *   const size = cellSize * scale
+ *   fill(r, g, b, 255 * alpha)
+ *   rect(x + gx * cellSize + (cellSize - size) / 2, y + gy * cellSize + (cellSize - size) / 2, size, size)
+ * })
+ */
+export function forEachTransitionCell(engine, callback) {
+  const { from, to, t, transition } = getPhaseBlend(engine)
+  const eased = t * t * (3 - 2 * t)
+  const fade = transition === PhaseTransition.FADE
+  const rows = engine.rows
+
+  for (let x = 0; x < engine.cols; x++) {
+    for (let y = 0; y < rows; y++) {
+      const index = x * rows + y
+      const wasAlive = from[index] === ALIVE
+      const willBeAlive = to[index] === ALIVE
+      if (!wasAlive && !willBeAlive) continue
+
+      const weight = wasAlive && willBeAlive ? 1 : (willBeAlive ? eased : 1 - eased)
+      if (weight <= 0) continue
+
+      if (fade) {
+        callback(x, y, weight, 1)
+      } else {
+        callback(x, y, 1, weight)
+      }
+    }
+  }
+}
+
+/**
+ * Make an engine's dead cells fade out over a number of frames instead of
+ * disappearing at once (per entity; pass 0 to turn it off).
+ *
+ * The renderers keep a decaying buffer per engine: every frame a cell is
+ * drawn refreshes its glow, and once it dies it is drawn with falling alpha
+ * in the entity's gradient color. Not applied to interpolated engines, which
+ * already fade their dying cells.
+ *
+ * @param {object} engine - GoL engine (any engine with cols, rows and current[x][y])
+ * @param {number} frames - Frames a dead cell keeps glowing (default: 8, max: 254)
+ *
+ * @example
+ * player.gol = createPatternRenderer({ mode: RenderMode.LOOP, pattern: 'GLIDER', ... })
+ * setAfterglow(player.gol, 10)
+ */
+export function setAfterglow(engine, frames = DEFAULT_AFTERGLOW_FRAMES) {
+  if (!Number.isInteger(frames) || frames < 0 || frames > 254) {
+    throw new Error(`[CellStateStyle] Afterglow frames must be an integer 0-254, got ${frames}`)
+  }
+  engine.afterglow = frames > 0 ? { frames, glow: null, frame: -1 } : null
+}
+
+/**
+ * Check whether an engine is drawn with an afterglow (setAfterglow).
+ *
+ * @param {object} engine - GoL engine or engine-like object
+ * @returns {boolean} True if forEachAfterglowCell() should be used
+ */
+export function hasAfterglow(engine) {
+  return Boolean(engine.afterglow) && !hasPhaseTransition(engine)
+}
+
+/**
+ * Visit every dead cell that is still glowing.
+ *
+ * Advances the afterglow buffer once per frame (several renderers may draw
+ * the same engine in one frame), so call it every frame the engine is drawn.
+ * Alpha falls linearly from just below 1 on the first frame after a cell dies
+ * to 1 / (frames + 1) on its last glowing frame.
+ *
+ * @param {object} engine - Engine with an afterglow (see hasAfterglow)
+ * @param {number} frame - Current frame number (p5 frameCount)
+ * @param {function(number, number, number)} callback - (x, y, alpha), alpha in 0-1
+ *
+ * @example
+ * forEachAfterglowCell(engine, frameCount, (gx, gy, alpha) => {
+ *   fill(r, g, b, 255 * alpha)
+ *   rect(x + gx * cellSize, y + gy * cellSize, cellSize, cellSize)
+ * })
+ */
+export function forEachAfterglowCell(engine, frame, callback) {
+  const afterglow = engine.afterglow
+  const cols = engine.cols
+  const rows = engine.rows
+  const full = afterglow.frames + 1
+
+  if (!afterglow.glow || afterglow.glow.length !== cols * rows) {
+    afterglow.glow = new Uint8Array(cols * rows)
+  }
+  const glow = afterglow.glow
+
+  if (frame !== afterglow.frame) {
+    afterglow.frame = frame
+    for (let x = 0; x < cols; x++) {
+      const column = engine.current[x]
+      for (let y = 0; y < rows; y++) {
+        const index = x * rows + y
+        if (column[y] !== DEAD) {
+          glow[index] = full
+        } else if (glow[index] > 0) {
+          glow[index]--
+        }
+      }
+    }
+  }
+
+  for (let x = 0; x < cols; x++) {
+    const column = engine.current[x]
+    for (let y = 0; y < rows; y++) {
+      const value = glow[x * rows + y]
+      if (value > 0 && value < full && column[y] === DEAD) {
+        callback(x, y, value / full)
+      }
+    }
+  }
+}
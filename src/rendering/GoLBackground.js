@@ -4,7 +4,12 @@
  * Features:
  * - SimpleGradientRenderer integration for beautiful animated gradients
  * - Performance tracking (update and render times)
- * - Debug overlay with stats (generation, density, FPS)
+ * - Debug overlay with stats (rule, generation, density, object census, FPS)
+ * - Configurable Life-like rule (B3/S23 by default)
+ * - Configurable edge topology (dead, toroidal, Klein bottle, alive)
+ * - Optional infinite plane (InfiniteGoLEngine) with a movable viewport
+ * - Optional Web Worker simulation (WorkerGoLEngine) for large boards
+ * - Hexagonal grids for hex-neighborhood rules (e.g. 'B2/S34H')
  * - Configuration via Config.js with override support
  * - Portrait 1200×1920 optimized
  * - Reusable across multiple screens
@@ -13,10 +18,17 @@
  * @license ISC
  */
 
-import { GoLEngine } from '../core/GoLEngine.js'
-import { SimpleGradientRenderer } from './SimpleGradientRenderer.js'
-import { VISUAL_CONFIG, PERFORMANCE_CONFIG, DENSITY_CONFIG } from '../utils/Config.js'
-import { debugLog } from '../utils/Logger.js'
+import { GoLEngine, BOUNDARY } from '../core/GoLEngine.js'
+import { InfiniteGoLEngine } from '../core/InfiniteGoLEngine.js'
+import { WorkerGoLEngine } from '../core/WorkerGoLEngine.js'
+import { NEIGHBORHOOD } from '../core/Neighborhoods.js'
+import { createGradientRenderer, GradientSource } from './GradientRendererFactory.js'
+import { hasCellStates, getCellStyle } from './CellStateStyle.js'
+import { VISUAL_CONFIG, PERFORMANCE_CONFIG, DENSITY_CONFIG, CELL_STATE_STYLE } from '../utils/Config.js'
+import { debugLog, debugWarn } from '../utils/Logger.js'
+import { randomFloat } from '../utils/Random.js'
+import { takeCensus, formatCensus } from '../utils/Census.js'
+import { applyScene } from '../utils/PatternScene.js'
 
 /**
  * Pure GoL background with animated gradient rendering
@@ -30,7 +42,13 @@ export class GoLBackground {
    * @param {number} options.cols - Grid columns (default: VISUAL_CONFIG.GRID_COLS)
    * @param {number} options.rows - Grid rows (default: VISUAL_CONFIG.GRID_ROWS)
    * @param {number} options.updateRate - GoL update rate in fps (default: PERFORMANCE_CONFIG.BACKGROUND_UPDATE_RATE)
-   * @param {object} options.renderer - Custom renderer (default: new SimpleGradientRenderer)
+   * @param {string} options.rule - Life-like, Generations or Larger-than-Life rulestring
+   *   (default: 'B3/S23'; hexagonal rules such as 'B2/S34H' render as hexagons)
+   * @param {string} options.boundary - Edge topology, BOUNDARY enum (default: BOUNDARY.DEAD)
+   * @param {boolean} options.infinite - Use an unbounded plane; cols/rows become the viewport (default: false)
+   * @param {boolean} options.worker - Compute generations in a Web Worker, falls back to
+   *   the main thread when unavailable (default: false, ignored with infinite)
+   * @param {object} options.renderer - Custom renderer (default: noise gradient from createGradientRenderer)
    * @param {boolean} options.debug - Enable debug overlay (default: false)
    */
   constructor(p5Instance, options = {}) {
@@ -41,11 +59,17 @@ export class GoLBackground {
     this.rows = options.rows || VISUAL_CONFIG.GRID_ROWS
     this.updateRate = options.updateRate || PERFORMANCE_CONFIG.BACKGROUND_UPDATE_RATE
 
-    // Initialize GoL engine
-    this.engine = new GoLEngine(this.cols, this.rows, this.updateRate)
+    // Initialize GoL engine (infinite plane ignores boundary)
+    const EngineClass = options.worker ? WorkerGoLEngine : GoLEngine
+    this.engine = options.infinite
+      ? new InfiniteGoLEngine(this.cols, this.rows, this.updateRate, { rule: options.rule })
+      : new EngineClass(this.cols, this.rows, this.updateRate, {
+        rule: options.rule,
+        boundary: options.boundary || BOUNDARY.DEAD
+      })
 
-    // Initialize renderer (SimpleGradientRenderer by default)
-    this.renderer = options.renderer || new SimpleGradientRenderer(p5Instance)
+    // Initialize renderer (noise gradient; WebGL if VISUAL_CONFIG.USE_WEBGL)
+    this.renderer = options.renderer || createGradientRenderer(p5Instance, { source: GradientSource.NOISE })
 
     // Debug mode
     this.debugMode = options.debug || false
@@ -55,11 +79,17 @@ export class GoLBackground {
       lastUpdateTime: 0,
       lastRenderTime: 0,
       generation: 0,
+      rule: this.engine.getRule(),
+      boundary: this.engine.getBoundary(),
       aliveCount: 0,
       density: 0,
       updateCount: 0
     }
 
+    // Census cache (recomputed at most once per generation)
+    this.census = null
+    this.censusGeneration = -1
+
     // Position settings (for future offset support)
     this.offsetX = 0
     this.offsetY = 0
@@ -73,11 +103,12 @@ export class GoLBackground {
   randomSeed(density = DENSITY_CONFIG.RANDOM_SEED) {
     for (let x = 0; x < this.cols; x++) {
       for (let y = 0; y < this.rows; y++) {
-        if (Math.random() < density) {
+        if (randomFloat() < density) {
           this.engine.setCell(x, y, 1)
         }
       }
     }
+    this.census = null
   }
 
   /**
@@ -86,9 +117,42 @@ export class GoLBackground {
    * @param {number[][]} pattern - Pattern to set
    * @param {number} x - Starting column
    * @param {number} y - Starting row
+   * @param {string} [orientation] - PatternOrientation value
+   */
+  setPattern(pattern, x, y, orientation) {
+    this.engine.setPattern(pattern, x, y, orientation)
+    this.census = null
+  }
+
+  /**
+   * Replace the board with a pattern scene (see PatternScene.js)
+   *
+   * @param {object|string} scene - Scene object or JSON text
+   * @param {object} [options] - applyScene() options (clear, offsetX, offsetY)
+   */
+  loadScene(scene, options) {
+    applyScene(this.engine, scene, options)
+    this.census = null
+  }
+
+  /**
+   * Change the Life-like or Generations rule (takes effect on the next generation)
+   *
+   * @param {string} rulestring - Rule in B/S notation (e.g. 'B36/S23', 'B2/S/C3')
    */
-  setPattern(pattern, x, y) {
-    this.engine.setPattern(pattern, x, y)
+  setRule(rulestring) {
+    this.engine.setRule(rulestring)
+    this.stats.rule = this.engine.getRule()
+  }
+
+  /**
+   * Change the edge topology (e.g. BOUNDARY.TOROIDAL so gliders wrap around)
+   *
+   * @param {string} boundary - BOUNDARY enum value
+   */
+  setBoundary(boundary) {
+    this.engine.setBoundary(boundary)
+    this.stats.boundary = this.engine.getBoundary()
   }
 
   /**
@@ -96,6 +160,7 @@ export class GoLBackground {
    */
   clear() {
     this.engine.clearGrid()
+    this.census = null
   }
 
   /**
@@ -136,8 +201,14 @@ export class GoLBackground {
   render(x = 0, y = 0, cellSize = VISUAL_CONFIG.CELL_SIZE, gradientPreset = null) {
     const startTime = performance.now()
 
-    // Render using SimpleGradientRenderer
-    if (this.renderer && typeof this.renderer.renderMaskedGrid === 'function') {
+    // Render using SimpleGradientRenderer (hex rules draw hexagons instead of squares)
+    if (this.isHexGrid()) {
+      this.renderHex(x, y, cellSize)
+
+      if (this.renderer && typeof this.renderer.updateAnimation === 'function') {
+        this.renderer.updateAnimation()
+      }
+    } else if (this.renderer && typeof this.renderer.renderMaskedGrid === 'function') {
       this.renderer.renderMaskedGrid(this.engine, x, y, cellSize, gradientPreset)
 
       // Update gradient animation
@@ -198,12 +269,71 @@ export class GoLBackground {
     this.p5.endShape()
   }
 
+  /**
+   * Check whether the engine runs a hexagonal-neighborhood rule
+   *
+   * @returns {boolean} True if cells should be drawn as hexagons
+   */
+  isHexGrid() {
+    return typeof this.engine.getNeighborhood === 'function' &&
+      this.engine.getNeighborhood().neighborhood === NEIGHBORHOOD.HEXAGONAL
+  }
+
+  /**
+   * Render cells as pointy-top hexagons (odd rows shifted half a cell right)
+   * Colors come from the renderer's gradient (white without one)
+   *
+   * @param {number} x - X offset
+   * @param {number} y - Y offset
+   * @param {number} cellSize - Hexagon width in pixels
+   */
+  renderHex(x, y, cellSize) {
+    const radius = cellSize / Math.sqrt(3)
+    const rowHeight = radius * 1.5
+    const styled = hasCellStates(this.engine)
+    const hasGradient = this.renderer && typeof this.renderer.getGradientColor === 'function'
+    const cellStyle = this.renderer?.cellStateStyle || CELL_STATE_STYLE
+
+    this.p5.push()
+    this.p5.noStroke()
+
+    for (let col = 0; col < this.cols; col++) {
+      for (let row = 0; row < this.rows; row++) {
+        let cell = null
+        if (styled) {
+          cell = getCellStyle(this.engine, col, row, cellStyle)
+          if (!cell) continue
+        } else if (this.engine.current[col][row] !== 1) {
+          continue
+        }
+
+        const cx = x + (col + 0.5 + (row & 1) * 0.5) * cellSize
+        const cy = y + radius + row * rowHeight
+        const [r, g, b] = hasGradient ? this.renderer.getGradientColor(cx, cy) : [255, 255, 255]
+        const brightness = cell ? cell.brightness : 1
+        this.p5.fill(r * brightness, g * brightness, b * brightness, 255 * (cell ? cell.alpha : 1))
+
+        this.p5.beginShape()
+        for (let i = 0; i < 6; i++) {
+          const angle = Math.PI / 6 + i * Math.PI / 3
+          this.p5.vertex(cx + radius * Math.cos(angle), cy + radius * Math.sin(angle))
+        }
+        this.p5.endShape(this.p5.CLOSE)
+      }
+    }
+
+    this.p5.pop()
+  }
+
   /**
    * Center the background on the canvas
    */
   centerOnCanvas() {
-    const gridWidth = this.cols * VISUAL_CONFIG.CELL_SIZE
-    const gridHeight = this.rows * VISUAL_CONFIG.CELL_SIZE
+    const hex = this.isHexGrid()
+    const gridWidth = (this.cols + (hex ? 0.5 : 0)) * VISUAL_CONFIG.CELL_SIZE
+    const gridHeight = hex
+      ? (this.rows * 1.5 + 0.5) * VISUAL_CONFIG.CELL_SIZE / Math.sqrt(3)
+      : this.rows * VISUAL_CONFIG.CELL_SIZE
 
     this.offsetX = (this.p5.width - gridWidth) / 2
     this.offsetY = (this.p5.height - gridHeight) / 2
@@ -220,6 +350,33 @@ export class GoLBackground {
     this.offsetY = y
   }
 
+  /**
+   * Move the viewport window (infinite plane only).
+   * render() draws the cols×rows window starting at (x, y).
+   *
+   * @param {number} x - Left column on the plane
+   * @param {number} y - Top row on the plane
+   */
+  setViewport(x, y) {
+    if (!this.engine.setViewport) {
+      debugWarn('[GoLBackground] setViewport() requires infinite: true')
+      return
+    }
+    this.engine.setViewport(x, y)
+  }
+
+  /**
+   * Get the viewport window.
+   *
+   * @returns {{x: number, y: number, cols: number, rows: number}} Viewport rectangle
+   */
+  getViewport() {
+    if (this.engine.getViewport) {
+      return this.engine.getViewport()
+    }
+    return { x: 0, y: 0, cols: this.cols, rows: this.rows }
+  }
+
   /**
    * Get current cell density
    *
@@ -247,6 +404,40 @@ export class GoLBackground {
     return this.stats.generation
   }
 
+  /**
+   * Get current rule
+   *
+   * @returns {string} Rulestring in B/S notation (e.g. 'B3/S23')
+   */
+  getRule() {
+    return this.stats.rule
+  }
+
+  /**
+   * Get current edge topology
+   *
+   * @returns {string} BOUNDARY enum value ('infinite' for an unbounded plane)
+   */
+  getBoundary() {
+    return this.stats.boundary
+  }
+
+  /**
+   * Get an object census of the current board (cached per generation)
+   *
+   * @returns {object} Census from takeCensus() (objects, counts, unknown, total)
+   *
+   * @example
+   * formatCensus(background.getCensus())  // '3 blocks, 2 blinkers, 1 glider'
+   */
+  getCensus() {
+    if (!this.census || this.censusGeneration !== this.engine.generation) {
+      this.census = takeCensus(this.engine)
+      this.censusGeneration = this.engine.generation
+    }
+    return this.census
+  }
+
   /**
    * Get performance statistics
    *
@@ -272,7 +463,7 @@ export class GoLBackground {
     // Draw semi-transparent background for better readability
     this.p5.fill(0, 0, 0, 180)
     this.p5.noStroke()
-    this.p5.rect(x - 5, y - 20, 280, 140)
+    this.p5.rect(x - 5, y - 20, 280, 184)
 
     // Render text with monospace font
     this.p5.fill(255)
@@ -281,16 +472,22 @@ export class GoLBackground {
     this.p5.textFont('monospace')
 
     // Stats
-    this.p5.text(`Gen: ${this.stats.generation}`, x, y)
-    this.p5.text(`Alive: ${this.stats.aliveCount}/${totalCells}`, x, y + 22)
-    this.p5.text(`Density: ${(this.stats.density * 100).toFixed(1)}%`, x, y + 44)
-    this.p5.text(`Update: ${this.stats.lastUpdateTime.toFixed(2)}ms`, x, y + 66)
-    this.p5.text(`Render: ${this.stats.lastRenderTime.toFixed(2)}ms`, x, y + 88)
+    this.p5.text(`Rule: ${this.stats.rule} (${this.stats.boundary})`, x, y)
+    this.p5.text(`Gen: ${this.stats.generation}`, x, y + 22)
+    this.p5.text(`Alive: ${this.stats.aliveCount}/${totalCells}`, x, y + 44)
+    this.p5.text(`Density: ${(this.stats.density * 100).toFixed(1)}%`, x, y + 66)
+    this.p5.text(`Update: ${this.stats.lastUpdateTime.toFixed(2)}ms`, x, y + 88)
+    this.p5.text(`Render: ${this.stats.lastRenderTime.toFixed(2)}ms`, x, y + 110)
+
+    // Census, truncated to the overlay width
+    const census = formatCensus(this.getCensus())
+    const censusText = census.length > 22 ? `${census.slice(0, 21)}…` : census
+    this.p5.text(`Objects: ${censusText}`, x, y + 132)
 
     // FPS with color coding
     const fpsColor = fps > 55 ? '#00FF00' : fps > 30 ? '#FFFF00' : '#FF0000'
     this.p5.fill(fpsColor)
-    this.p5.text(`FPS: ${fps.toFixed(1)}`, x, y + 110)
+    this.p5.text(`FPS: ${fps.toFixed(1)}`, x, y + 154)
   }
 
   /**
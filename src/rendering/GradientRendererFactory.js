@@ -0,0 +1,57 @@
+/**
+ * Gradient renderer factory - picks the renderer games draw GoL grids with.
+ *
+ * VISUAL_CONFIG.USE_WEBGL selects WebGLGradientRenderer; if it is off, or a
+ * WebGL context cannot be created, the 2D renderer for the same source is
+ * used instead (VideoGradientRenderer or SimpleGradientRenderer). All three
+ * share the same interface, so games never need to know which one they got.
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { VISUAL_CONFIG } from '../utils/Config.js'
+import { debugWarn } from '../utils/Logger.js'
+import { SimpleGradientRenderer } from './SimpleGradientRenderer.js'
+import { VideoGradientRenderer } from './VideoGradientRenderer.js'
+import { WebGLGradientRenderer, GradientSource } from './WebGLGradientRenderer.js'
+
+export { GradientSource }
+
+/**
+ * Create the gradient renderer for a game.
+ *
+ * @param {p5} p5Instance - p5.js instance (EXCEPTION: needs 'this' in p5.js GLOBAL mode)
+ * @param {object} options - Renderer options
+ * @param {string} options.source - GradientSource (default: VIDEO)
+ * @param {boolean} options.webgl - Try WebGL first (default: VISUAL_CONFIG.USE_WEBGL)
+ * @param {string} options.videoPath - Gradient video URL (video source, default: VISUAL_CONFIG.GRADIENT_VIDEO_PATH)
+ * @returns {WebGLGradientRenderer|VideoGradientRenderer|SimpleGradientRenderer} Renderer
+ *
+ * @example
+ * function setup() {
+ *   createCanvas(1200, 1920)
+ *   maskedRenderer = createGradientRenderer(this)
+ * }
+ *
+ * @example
+ * // Per-game gradient video
+ * maskedRenderer = createGradientRenderer(this, { videoPath: '/conways-arcade-online/videos/night.mp4' })
+ *
+ * @example
+ * // Procedural gradient, always 2D
+ * maskedRenderer = createGradientRenderer(this, { source: GradientSource.NOISE, webgl: false })
+ */
+export function createGradientRenderer(p5Instance, { source = GradientSource.VIDEO, webgl = VISUAL_CONFIG.USE_WEBGL, videoPath } = {}) {
+  if (webgl) {
+    try {
+      return new WebGLGradientRenderer(p5Instance, { source, videoPath })
+    } catch (error) {
+      debugWarn(`[GradientRendererFactory] ${error.message} - falling back to 2D`)
+    }
+  }
+
+  return source === GradientSource.NOISE
+    ? new SimpleGradientRenderer(p5Instance)
+    : new VideoGradientRenderer(p5Instance, { videoPath })
+}
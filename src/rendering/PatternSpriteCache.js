@@ -0,0 +1,203 @@
+/**
+ * Pattern Sprite Cache - pre-rendered phases for PatternRenderer entities
+ *
+ * Every phase of a pattern (gol.spritePhases, captured by PatternRenderer) is
+ * drawn once into an offscreen canvas, colored with the entity's gradient
+ * palette. Drawing an entity is then a single drawImage() per frame instead
+ * of one rect per alive cell.
+ *
+ * Sprites are keyed by pattern, gradient palette and on-screen cell size
+ * (cell size × canvas transform scale, so they stay sharp when games scale
+ * the canvas). A new cell size replaces the old sprites of that pattern, and
+ * a theme change (ThemeReceiver) clears the whole cache.
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { CELL_STATES } from '../utils/Config.js'
+import { GOOGLE_COLORS } from '../utils/GradientPresets.js'
+import { getSpritePhase } from '../utils/PatternRenderer.js'
+import { initThemeReceiver } from '../utils/ThemeReceiver.js'
+import { debugLog } from '../utils/Logger.js'
+import { hasCellStates, hasPhaseTransition, hasAfterglow } from './CellStateStyle.js'
+
+const { ALIVE } = CELL_STATES
+
+/**
+ * Palette used when an entity has no gradient config.
+ */
+const DEFAULT_PALETTE = [
+  GOOGLE_COLORS.BLUE,
+  GOOGLE_COLORS.RED,
+  GOOGLE_COLORS.GREEN,
+  GOOGLE_COLORS.YELLOW
+]
+
+/**
+ * Offscreen sprite cache shared by the gradient renderers
+ * (see enableSpriteCache() on SimpleGradientRenderer and VideoGradientRenderer).
+ */
+class PatternSpriteCache {
+  /**
+   * Create sprite cache
+   *
+   * @param {object} options - Cache options
+   * @param {boolean} options.listenForTheme - Clear sprites on theme changes (default: true)
+   */
+  constructor({ listenForTheme = true } = {}) {
+    // spriteKey|palette → { cellPx, canvases[] } (one canvas per phase, built on first use)
+    this.sprites = new Map()
+
+    this.theme = null
+    this.stopThemeReceiver = null
+    if (listenForTheme && typeof window !== 'undefined') {
+      this.stopThemeReceiver = initThemeReceiver(theme => this.setTheme(theme))
+    }
+  }
+
+  /**
+   * Draw an entity from its pre-rendered sprite.
+   *
+   * Returns false (nothing drawn) for engines without captured phases, with
+   * age/decay styling, phase transitions (RenderMode.INTERPOLATED) or an
+   * afterglow, so the caller can fall back to drawing cell by cell.
+   *
+   * @param {CanvasRenderingContext2D} ctx - Target context (p5 drawingContext)
+   * @param {GoLEngine} engine - Engine from createPatternRenderer()
+   * @param {number} x - Top-left X position of grid
+   * @param {number} y - Top-left Y position of grid
+   * @param {number} cellSize - Size of each cell in pixels
+   * @param {number[][]} palette - Gradient colors, top to bottom (default: Google colors)
+   * @returns {boolean} True if the sprite was drawn
+   *
+   * @example
+   * if (!spriteCache.draw(drawingContext, food.gol, x, y, 8, food.gradient.palette)) {
+   *   // draw cells one by one
+   * }
+   */
+  draw(ctx, engine, x, y, cellSize, palette = DEFAULT_PALETTE) {
+    const phase = getSpritePhase(engine)
+    if (phase < 0 || hasCellStates(engine) || hasPhaseTransition(engine) || hasAfterglow(engine)) {
+      return false
+    }
+
+    const sprite = this.getSprite(engine, phase, cellSize * getTransformScale(ctx), palette)
+    ctx.drawImage(sprite, x, y, engine.cols * cellSize, engine.rows * cellSize)
+    return true
+  }
+
+  /**
+   * Get (or build) the sprite of one phase.
+   *
+   * @private
+   * @param {GoLEngine} engine - Engine with spriteKey and spritePhases
+   * @param {number} phase - Phase index
+   * @param {number} cellPx - Cell size in device pixels
+   * @param {number[][]} palette - Gradient colors
+   * @returns {HTMLCanvasElement} Sprite
+   */
+  getSprite(engine, phase, cellPx, palette) {
+    // Round so tiny float differences in the transform don't rebuild sprites
+    cellPx = Math.round(cellPx * 100) / 100
+    const key = `${engine.spriteKey}|${palette.map(color => color.join(',')).join(';')}`
+
+    let entry = this.sprites.get(key)
+    if (!entry || entry.cellPx !== cellPx) {
+      entry = { cellPx, canvases: [] }
+      this.sprites.set(key, entry)
+    }
+
+    if (!entry.canvases[phase]) {
+      entry.canvases[phase] = buildSprite(engine.spritePhases[phase], engine.cols, engine.rows, cellPx, palette)
+    }
+    return entry.canvases[phase]
+  }
+
+  /**
+   * Set the current theme, clearing all sprites when it changes.
+   *
+   * @param {string} theme - 'day' or 'night'
+   */
+  setTheme(theme) {
+    if (theme !== this.theme) {
+      this.theme = theme
+      this.clear()
+    }
+  }
+
+  /**
+   * Drop every sprite (rebuilt on next draw).
+   */
+  clear() {
+    if (this.sprites.size > 0) {
+      debugLog(`[PatternSpriteCache] Cleared ${this.sprites.size} sprite sets`)
+    }
+    this.sprites.clear()
+  }
+
+  /**
+   * Stop listening for theme changes and drop every sprite.
+   */
+  destroy() {
+    if (this.stopThemeReceiver) {
+      this.stopThemeReceiver()
+      this.stopThemeReceiver = null
+    }
+    this.sprites.clear()
+  }
+}
+
+/**
+ * Scale of the context's current transform (canvas scale() × pixel density).
+ *
+ * @private
+ */
+function getTransformScale(ctx) {
+  if (typeof ctx.getTransform !== 'function') return 1
+  const { a, b } = ctx.getTransform()
+  return Math.hypot(a, b) || 1
+}
+
+/**
+ * Draw one phase into a new canvas: alive cells masked onto a vertical gradient.
+ *
+ * @private
+ * @param {Uint8Array} cells - Column-major cells (index = x * rows + y)
+ * @param {number} cols - Grid columns
+ * @param {number} rows - Grid rows
+ * @param {number} cellPx - Cell size in device pixels
+ * @param {number[][]} palette - Gradient colors, top to bottom
+ * @returns {HTMLCanvasElement} Sprite
+ */
+function buildSprite(cells, cols, rows, cellPx, palette) {
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(cols * cellPx))
+  canvas.height = Math.max(1, Math.round(rows * cellPx))
+  const ctx = canvas.getContext('2d')
+
+  // Mask: snap cell edges to whole pixels so neighbours leave no seams
+  ctx.fillStyle = '#fff'
+  for (let x = 0; x < cols; x++) {
+    for (let y = 0; y < rows; y++) {
+      if (cells[x * rows + y] !== ALIVE) continue
+      const left = Math.round(x * cellPx)
+      const top = Math.round(y * cellPx)
+      ctx.fillRect(left, top, Math.round((x + 1) * cellPx) - left, Math.round((y + 1) * cellPx) - top)
+    }
+  }
+
+  // Color: gradient only where the mask is opaque
+  const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height)
+  palette.forEach((color, i) => {
+    const stop = palette.length > 1 ? i / (palette.length - 1) : 0
+    gradient.addColorStop(stop, `rgb(${color[0]}, ${color[1]}, ${color[2]})`)
+  })
+  ctx.globalCompositeOperation = 'source-in'
+  ctx.fillStyle = gradient
+  ctx.fillRect(0, 0, canvas.width, canvas.height)
+
+  return canvas
+}
+
+export { PatternSpriteCache }
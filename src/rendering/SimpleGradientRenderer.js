@@ -8,9 +8,12 @@
  * @license ISC
  */
 
-import { CELL_STATES } from '../utils/Config.js'
-import { GOOGLE_COLORS } from '../utils/GradientPresets.js'
+import { CELL_STATES, CELL_STATE_STYLE } from '../utils/Config.js'
+import { GOOGLE_COLORS, samplePalette } from '../utils/GradientPresets.js'
+import { getEntityPalette } from '../utils/AccessibilityProfiles.js'
 import { debugWarn, debugError } from '../utils/Logger.js'
+import { hasCellStates, getCellStyle, hasPhaseTransition, forEachTransitionCell, hasAfterglow, forEachAfterglowCell } from './CellStateStyle.js'
+import { PatternSpriteCache } from './PatternSpriteCache.js'
 
 const { ALIVE } = CELL_STATES
 
@@ -53,6 +56,43 @@ class SimpleGradientRenderer {
 
     // Control points for smooth gradient
     this.controlPoints = 20
+
+    // Age → brightness and decay → alpha mapping (engines with cell states only)
+    this.cellStateStyle = CELL_STATE_STYLE
+
+    // Pre-rendered pattern sprites (off until enableSpriteCache())
+    this.spriteCache = null
+  }
+
+  /**
+   * Draw PatternRenderer entities from pre-rendered sprites.
+   *
+   * Sprites are colored with the entity's gradient palette (top to bottom)
+   * instead of the screen-space noise field, in exchange for one drawImage()
+   * per entity. Other engines are still drawn cell by cell.
+   *
+   * @param {boolean} enabled - Turn sprites on or off (default: true)
+   *
+   * @example
+   * maskedRenderer = new SimpleGradientRenderer(this)
+   * maskedRenderer.enableSpriteCache()
+   */
+  enableSpriteCache(enabled = true) {
+    if (enabled && !this.spriteCache) {
+      this.spriteCache = new PatternSpriteCache()
+    } else if (!enabled && this.spriteCache) {
+      this.spriteCache.destroy()
+      this.spriteCache = null
+    }
+  }
+
+  /**
+   * Change how cell age and Generations decay states are drawn.
+   *
+   * @param {object} style - Overrides for CELL_STATE_STYLE (e.g. { AGE_BRIGHTNESS: false })
+   */
+  setCellStateStyle(style) {
+    this.cellStateStyle = { ...CELL_STATE_STYLE, ...style }
   }
 
   /**
@@ -137,12 +177,16 @@ class SimpleGradientRenderer {
    *
    * Only alive cells are rendered, each sampling the gradient at its center position.
    * This creates an organic, flowing appearance as the GoL evolves.
+   * Engines with age tracking or a Generations rule also dim old cells and
+   * draw dying cells fading out (see CELL_STATE_STYLE).
+   * Interpolated pattern engines (RenderMode.INTERPOLATED) blend into their next phase.
+   * With enableSpriteCache(), PatternRenderer entities are drawn as one sprite.
    *
    * @param {GoLEngine} engine - GoL engine instance
    * @param {number} x - Top-left X position of grid
    * @param {number} y - Top-left Y position of grid
    * @param {number} cellSize - Size of each cell in pixels
-   * @param {object} gradientConfig - Not used (kept for API compatibility)
+   * @param {object} gradientConfig - Gradient preset (palette used by sprites only)
    *
    * @example
    * const player = {
@@ -154,33 +198,117 @@ class SimpleGradientRenderer {
    * renderer.renderMaskedGrid(player.gol, player.x, player.y, player.cellSize, player.gradient)
    */
   renderMaskedGrid(engine, x, y, cellSize, gradientConfig) {
+    // Accessibility profiles color each entity with its own palette
+    const entityPalette = getEntityPalette(gradientConfig)
+
+    if (hasPhaseTransition(engine)) {
+      this.renderTransitionCells(engine, x, y, cellSize, entityPalette)
+      return
+    }
+
+    if (this.spriteCache &&
+        this.spriteCache.draw(this.p5.drawingContext, engine, x, y, cellSize, gradientConfig?.palette)) {
+      return
+    }
+
     const cols = engine.cols
     const rows = engine.rows
+    const styled = hasCellStates(engine)
 
     this.p5.push()
     this.p5.noStroke()
 
     for (let gx = 0; gx < cols; gx++) {
       for (let gy = 0; gy < rows; gy++) {
-        if (engine.current[gx][gy] === ALIVE) {
-          const px = x + gx * cellSize
-          const py = y + gy * cellSize
+        let cell = null
+        if (styled) {
+          cell = getCellStyle(engine, gx, gy, this.cellStateStyle)
+          if (!cell) continue
+        } else if (engine.current[gx][gy] !== ALIVE) {
+          continue
+        }
+
+        const px = x + gx * cellSize
+        const py = y + gy * cellSize
 
-          // Get color from global gradient with noise at screen position
-          const [r, g, b] = this.getGradientColor(
-            px + cellSize / 2,
-            py + cellSize / 2
-          )
+        // Global noise gradient at screen position (or the entity palette, see getCellColor)
+        const [r, g, b] = this.getCellColor(entityPalette, gy, rows, px, py, cellSize)
 
+        if (cell) {
+          this.p5.fill(r * cell.brightness, g * cell.brightness, b * cell.brightness, 255 * cell.alpha)
+        } else {
           this.p5.fill(r, g, b)
-          this.p5.rect(px, py, cellSize, cellSize)
         }
+        this.p5.rect(px, py, cellSize, cellSize)
       }
     }
 
+    if (hasAfterglow(engine)) {
+      this.renderAfterglowCells(engine, x, y, cellSize, entityPalette)
+    }
+
+    this.p5.pop()
+  }
+
+  /**
+   * Color of one cell: the shared noise gradient at the cell center, or the
+   * entity's own palette top to bottom (accessibility profiles).
+   *
+   * @private
+   * @param {number[][]|null} entityPalette - Palette from getEntityPalette()
+   * @param {number} gy - Row index
+   * @param {number} rows - Grid rows
+   * @param {number} px - Cell left (screen)
+   * @param {number} py - Cell top (screen)
+   * @param {number} cellSize - Cell size
+   * @returns {number[]} RGB color array [r, g, b]
+   */
+  getCellColor(entityPalette, gy, rows, px, py, cellSize) {
+    if (entityPalette) {
+      return samplePalette(entityPalette, (gy + 0.5) / rows)
+    }
+    return this.getGradientColor(px + cellSize / 2, py + cellSize / 2)
+  }
+
+  /**
+   * Draw an interpolated pattern engine: born cells fade/grow in and dying
+   * cells fade/shrink out between generations (see forEachTransitionCell).
+   *
+   * @private
+   */
+  renderTransitionCells(engine, x, y, cellSize, entityPalette) {
+    this.p5.push()
+    this.p5.noStroke()
+
+    forEachTransitionCell(engine, (gx, gy, alpha, scale) => {
+      const size = cellSize * scale
+      const px = x + gx * cellSize + (cellSize - size) / 2
+      const py = y + gy * cellSize + (cellSize - size) / 2
+
+      const [r, g, b] = this.getCellColor(entityPalette, gy, engine.rows,
+        x + gx * cellSize, y + gy * cellSize, cellSize)
+      this.p5.fill(r, g, b, 255 * alpha)
+      this.p5.rect(px, py, size, size)
+    })
+
     this.p5.pop()
   }
 
+  /**
+   * Draw the fading cells of an engine with an afterglow (see setAfterglow).
+   *
+   * @private
+   */
+  renderAfterglowCells(engine, x, y, cellSize, entityPalette) {
+    forEachAfterglowCell(engine, this.p5.frameCount || 0, (gx, gy, alpha) => {
+      const px = x + gx * cellSize
+      const py = y + gy * cellSize
+      const [r, g, b] = this.getCellColor(entityPalette, gy, engine.rows, px, py, cellSize)
+      this.p5.fill(r, g, b, 255 * alpha)
+      this.p5.rect(px, py, cellSize, cellSize)
+    })
+  }
+
   /**
    * Create gradient image.
    * Simple vertical gradient using p5.js.
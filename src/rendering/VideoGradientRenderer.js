@@ -16,14 +16,47 @@
  * - 43 calls/frame (clouds): 2.15-6.45ms → 0.04-0.13ms (~6ms saved)
  * - 160 calls/frame (worst): 8-24ms → 0.16-0.48ms (~23ms saved)
  *
+ * PROCEDURAL FALLBACK:
+ * While the video is loading, after a load error, or when playback is
+ * paused/blocked by autoplay policy, cells reveal the procedural noise
+ * gradient of SimpleGradientRenderer (GRADIENT_PRESETS palette) instead of
+ * an empty texture. It switches back as soon as the video plays.
+ * The source starts as 'loading', so onSourceChange() reports the first
+ * outcome (video, or procedural with the failure reason) and every switch.
+ *
  * @author Game of Life Arcade
  * @license ISC
  */
 
-import { CELL_STATES } from '../utils/Config.js'
+import { CELL_STATES, CELL_STATE_STYLE, VISUAL_CONFIG } from '../utils/Config.js'
+import { GRADIENT_PRESETS } from '../utils/GradientPresets.js'
+import { getEntityPalette } from '../utils/AccessibilityProfiles.js'
+import { debugLog, debugWarn, debugError } from '../utils/Logger.js'
+import { hasCellStates, getCellStyle, hasPhaseTransition, forEachTransitionCell, hasAfterglow, forEachAfterglowCell } from './CellStateStyle.js'
+import { PatternSpriteCache } from './PatternSpriteCache.js'
+import { SimpleGradientRenderer } from './SimpleGradientRenderer.js'
 
 const { ALIVE } = CELL_STATES
 
+/**
+ * What the cells currently reveal.
+ */
+export const VideoGradientSource = {
+    LOADING: 'loading',       // Noise gradient until the video first plays or fails
+    VIDEO: 'video',           // Video frames
+    PROCEDURAL: 'procedural'  // Noise gradient (video failed or not playing)
+}
+
+/**
+ * Longest wait for the first video frame in warmupShaders() (ms).
+ */
+const VIDEO_READY_TIMEOUT = 5000
+
+/**
+ * Screen pixels per sample of the procedural gradient (smoothly upscaled).
+ */
+const PROCEDURAL_STEP = 40
+
 /**
  * Video-based gradient renderer using Canvas API patterns.
  *
@@ -37,20 +70,38 @@ class VideoGradientRenderer {
      * Create video gradient renderer
      *
      * @param {p5} p5Instance - p5.js instance (EXCEPTION: needs 'this' in p5.js GLOBAL mode)
+     * @param {object} options - Renderer options
+     * @param {string} options.videoPath - Gradient video URL (default: VISUAL_CONFIG.GRADIENT_VIDEO_PATH)
+     *
+     * @example
+     * maskedRenderer = new VideoGradientRenderer(this, { videoPath: '/conways-arcade-online/videos/night.mp4' })
+     * maskedRenderer.onSourceChange((source, reason) => console.log(`Gradient: ${source} (${reason})`))
      */
-    constructor(p5Instance) {
+    constructor(p5Instance, { videoPath = VISUAL_CONFIG.GRADIENT_VIDEO_PATH } = {}) {
         // In p5.js GLOBAL mode, all p5 functions are in window scope
         // Accept p5Instance for compatibility, but use window in global mode
         this.p5 = p5Instance || window
 
+        // Procedural gradient used until (and whenever) the video can't be shown
+        this.currentSource = VideoGradientSource.LOADING
+        this.sourceChangeCallbacks = []
+        this.videoFailed = false
+        this.procedural = new SimpleGradientRenderer(this.p5)
+        this.procedural.palette = GRADIENT_PRESETS.BACKGROUND.palette
+        this.procedural.controlPoints = GRADIENT_PRESETS.BACKGROUND.controlPoints
+        this.proceduralCanvas = null  // Full-size gradient image (created on first use)
+        this.proceduralFrame = -1
+
         // Load video - path relative to index.html (public folder)
         // We use an array for cross-browser support, though here we only have mp4
         // NOTE: This creates a DOM element. We hide it and use it as a pattern source.
-        this.video = this.p5.createVideo(['/conways-arcade-online/videos/gradient.mp4'])
+        this.videoPath = videoPath
+        this.video = this.p5.createVideo([videoPath])
         this.video.hide()
         this.video.volume(0) // Mute audio
         this.video.elt.muted = true // CRITICAL: Required for Chrome autoplay policy
-        this.video.loop()
+        this.watchVideo()
+        this.play()
 
         // PERFORMANCE OPTIMIZATION 1: Texture Lookup Cache
         // Pre-sample video to lower-resolution ImageData for ultra-fast pixel access
@@ -80,6 +131,216 @@ class VideoGradientRenderer {
         // Now: Create pattern once per frame, reuse across all entities
         this.cachedPattern = null
         this.cachedPatternFrame = -1
+
+        // Age → brightness and decay → alpha mapping (engines with cell states only)
+        this.cellStateStyle = CELL_STATE_STYLE
+
+        // Pre-rendered pattern sprites (off until enableSpriteCache())
+        this.spriteCache = null
+    }
+
+    /**
+     * Draw PatternRenderer entities from pre-rendered sprites.
+     *
+     * Sprites are colored with the entity's gradient palette instead of the
+     * video, in exchange for one drawImage() per entity (no per-cell fillRect).
+     * Other engines (particles, Modified GoL entities) still reveal the video.
+     *
+     * @param {boolean} enabled - Turn sprites on or off (default: true)
+     */
+    enableSpriteCache(enabled = true) {
+        if (enabled && !this.spriteCache) {
+            this.spriteCache = new PatternSpriteCache()
+        } else if (!enabled && this.spriteCache) {
+            this.spriteCache.destroy()
+            this.spriteCache = null
+        }
+    }
+
+    /**
+     * Change how cell age and Generations decay states are drawn.
+     *
+     * @param {object} style - Overrides for CELL_STATE_STYLE (e.g. { DECAY_ALPHA: false })
+     */
+    setCellStateStyle(style) {
+        this.cellStateStyle = { ...CELL_STATE_STYLE, ...style }
+    }
+
+    /**
+     * Listen for video load, error and playback events.
+     *
+     * @private
+     */
+    watchVideo() {
+        const elt = this.video.elt
+
+        // Resolves on the first load error (waitForVideoReady() stops waiting)
+        let resolveFailure
+        this.videoFailure = new Promise(resolve => { resolveFailure = resolve })
+
+        const fail = (reason) => {
+            if (!this.videoFailed) {
+                debugWarn(`[VideoGradientRenderer] Video unavailable (${this.videoPath}): ${reason}`)
+            }
+            this.videoFailed = true
+            resolveFailure()
+            this.updateSource(reason)
+        }
+
+        // createVideo() uses <source> children: their errors don't reach the video element
+        elt.addEventListener('error', () => fail('error'))
+        for (const source of elt.querySelectorAll ? elt.querySelectorAll('source') : []) {
+            source.addEventListener('error', () => fail('error'))
+        }
+
+        elt.addEventListener('playing', () => {
+            this.videoFailed = false
+            this.updateSource('playing')
+        })
+        elt.addEventListener('pause', () => this.updateSource('paused'))
+        elt.addEventListener('loadeddata', () => this.updateSource('loaded'))
+    }
+
+    /**
+     * Check whether the video has a frame to show and is playing.
+     *
+     * @private
+     */
+    isVideoPlaying() {
+        const elt = this.video.elt
+        return !this.videoFailed && !elt.paused && elt.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA
+    }
+
+    /**
+     * Switch between video and procedural gradient, notifying listeners on change.
+     *
+     * @private
+     * @param {string} reason - What triggered the check (e.g. 'playing', 'error')
+     */
+    updateSource(reason) {
+        const source = this.isVideoPlaying() ? VideoGradientSource.VIDEO : VideoGradientSource.PROCEDURAL
+
+        // Per-frame checks and 'loaded' don't end loading: wait for the video
+        // to play or fail, so listeners hear why it fell back
+        if (source === VideoGradientSource.PROCEDURAL && this.currentSource === VideoGradientSource.LOADING &&
+            (reason === 'frame' || reason === 'loaded')) {
+            return
+        }
+        if (source === this.currentSource) {
+            return
+        }
+
+        this.currentSource = source
+        debugLog(`[VideoGradientRenderer] Gradient source: ${source} (${reason})`)
+        this.sourceChangeCallbacks.forEach(callback => {
+            try {
+                callback(source, reason)
+            } catch (error) {
+                debugError('[VideoGradientRenderer] Source change callback error:', error)
+            }
+        })
+    }
+
+    /**
+     * Get the gradient source currently shown.
+     *
+     * @returns {string} VideoGradientSource value
+     */
+    getSource() {
+        return this.currentSource
+    }
+
+    /**
+     * Register a source change callback.
+     *
+     * @param {function(string, string)} callback - Callback(source, reason), source is a
+     *   VideoGradientSource value, reason e.g. 'playing', 'error', 'autoplay-blocked', 'paused'
+     */
+    onSourceChange(callback) {
+        if (typeof callback !== 'function') {
+            debugError('[VideoGradientRenderer] Callback must be a function')
+            return
+        }
+        this.sourceChangeCallbacks.push(callback)
+    }
+
+    /**
+     * Remove a source change callback.
+     *
+     * @param {function} callback - Callback to remove
+     */
+    offSourceChange(callback) {
+        const index = this.sourceChangeCallbacks.indexOf(callback)
+        if (index > -1) {
+            this.sourceChangeCallbacks.splice(index, 1)
+        }
+    }
+
+    /**
+     * Get the image cells reveal this frame: the video element, or the
+     * procedural gradient canvas when the video can't be shown.
+     *
+     * @returns {HTMLVideoElement|HTMLCanvasElement} Gradient image (canvas-sized for procedural)
+     */
+    getGradientImage() {
+        // Catches states without events (e.g. still loading, playback stopped)
+        this.updateSource('frame')
+
+        if (this.currentSource === VideoGradientSource.VIDEO) {
+            return this.video.elt
+        }
+        this.updateProceduralCanvas()
+        return this.proceduralCanvas
+    }
+
+    /**
+     * Redraw the procedural gradient (once per frame): coarse noise samples,
+     * smoothly upscaled to the canvas size.
+     *
+     * @private
+     */
+    updateProceduralCanvas() {
+        const currentFrame = this.p5.frameCount || 0
+        if (currentFrame === this.proceduralFrame && this.proceduralCanvas) {
+            return
+        }
+        this.proceduralFrame = currentFrame
+
+        const width = Math.max(1, Math.round(this.p5.width || 1))
+        const height = Math.max(1, Math.round(this.p5.height || 1))
+        if (!this.proceduralCanvas) {
+            this.proceduralCanvas = document.createElement('canvas')
+            this.proceduralSamples = document.createElement('canvas')
+        }
+        if (this.proceduralCanvas.width !== width || this.proceduralCanvas.height !== height) {
+            this.proceduralCanvas.width = width
+            this.proceduralCanvas.height = height
+            this.proceduralSamples.width = Math.ceil(width / PROCEDURAL_STEP) + 1
+            this.proceduralSamples.height = Math.ceil(height / PROCEDURAL_STEP) + 1
+        }
+
+        // Same speed as SimpleGradientRenderer.updateAnimation(), without relying on games calling it
+        this.procedural.animationOffset = currentFrame * 0.005
+
+        const samples = this.proceduralSamples
+        const samplesCtx = samples.getContext('2d')
+        const image = samplesCtx.createImageData(samples.width, samples.height)
+        for (let sy = 0; sy < samples.height; sy++) {
+            for (let sx = 0; sx < samples.width; sx++) {
+                // Sample at the center of the area each sample covers once upscaled
+                const [r, g, b] = this.procedural.getGradientColor((sx + 0.5) * PROCEDURAL_STEP, (sy + 0.5) * PROCEDURAL_STEP)
+                const i = (sy * samples.width + sx) * 4
+                image.data[i] = r
+                image.data[i + 1] = g
+                image.data[i + 2] = b
+                image.data[i + 3] = 255
+            }
+        }
+        samplesCtx.putImageData(image, 0, 0)
+
+        const ctx = this.proceduralCanvas.getContext('2d')
+        ctx.imageSmoothingEnabled = true
+        ctx.drawImage(samples, 0, 0, samples.width * PROCEDURAL_STEP, samples.height * PROCEDURAL_STEP)
     }
 
     /**
@@ -149,6 +410,12 @@ class VideoGradientRenderer {
      * rect(100, 200, 30, 30)
      */
     getGradientColor(screenX, screenY) {
+        // Source is kept current by video events and renderMaskedGrid(); point
+        // lookups never need the full-screen procedural canvas
+        if (this.currentSource !== VideoGradientSource.VIDEO) {
+            return this.procedural.getGradientColor(screenX, screenY)
+        }
+
         // Ensure lookup cache is updated for current frame
         this.updateLookupCache()
 
@@ -182,17 +449,26 @@ class VideoGradientRenderer {
      *
      * OPTIMIZED: Reuses cached pattern across all entities in the same frame.
      *
+     * Engines with age tracking or a Generations rule draw dying cells with
+     * reduced alpha and darken old cells (see CELL_STATE_STYLE).
+     * Interpolated pattern engines (RenderMode.INTERPOLATED) blend into their next phase.
+     * With enableSpriteCache(), PatternRenderer entities are drawn as one sprite.
+     *
      * @param {GoLEngine} engine - GoL engine instance
      * @param {number} x - Top-left X position of grid
      * @param {number} y - Top-left Y position of grid
      * @param {number} cellSize - Size of each cell in pixels
-     * @param {object} gradientConfig - Not used (kept for API compatibility)
+     * @param {object} gradientConfig - Gradient preset (palette used by sprites only)
      */
     renderMaskedGrid(engine, x, y, cellSize, gradientConfig) {
         const cols = engine.cols
         const rows = engine.rows
         const ctx = this.p5.drawingContext
 
+        if (this.spriteCache && this.spriteCache.draw(ctx, engine, x, y, cellSize, gradientConfig?.palette)) {
+            return
+        }
+
         this.p5.push()
         this.p5.noStroke()
 
@@ -202,9 +478,9 @@ class VideoGradientRenderer {
         const currentFrame = this.p5.frameCount || 0
 
         if (currentFrame !== this.cachedPatternFrame) {
-            // Create pattern from current video frame (once per frame)
+            // Create pattern from current video frame, or the procedural gradient (once per frame)
             // 'repeat' ensures coverage even if canvas is larger than video
-            this.cachedPattern = ctx.createPattern(this.video.elt, 'repeat')
+            this.cachedPattern = ctx.createPattern(this.getGradientImage(), 'repeat')
             this.cachedPatternFrame = currentFrame
         }
 
@@ -212,6 +488,28 @@ class VideoGradientRenderer {
         // Note: We use native context for filling to ensure the pattern works correctly
         ctx.fillStyle = this.cachedPattern
 
+        // Accessibility profiles: the entity's own palette (top to bottom) instead of the video
+        const entityPalette = getEntityPalette(gradientConfig)
+        if (entityPalette) {
+            ctx.fillStyle = createPaletteGradient(ctx, entityPalette, y, rows * cellSize)
+        }
+
+        if (hasPhaseTransition(engine)) {
+            this.renderTransitionCells(engine, x, y, cellSize)
+            this.p5.pop()
+            return
+        }
+
+        if (hasAfterglow(engine)) {
+            this.renderAfterglowCells(engine, x, y, cellSize)
+        }
+
+        if (hasCellStates(engine)) {
+            this.renderStyledCells(engine, x, y, cellSize)
+            this.p5.pop()
+            return
+        }
+
         for (let gx = 0; gx < cols; gx++) {
             for (let gy = 0; gy < rows; gy++) {
                 if (engine.current[gx][gy] === ALIVE) {
@@ -228,6 +526,85 @@ class VideoGradientRenderer {
         this.p5.pop()
     }
 
+    /**
+     * Draw cells with age/decay styling (pattern fill already set).
+     *
+     * Alpha comes from globalAlpha; darkening is a black overlay on the cell.
+     *
+     * @private
+     */
+    renderStyledCells(engine, x, y, cellSize) {
+        const ctx = this.p5.drawingContext
+        const pattern = ctx.fillStyle
+
+        for (let gx = 0; gx < engine.cols; gx++) {
+            for (let gy = 0; gy < engine.rows; gy++) {
+                const cell = getCellStyle(engine, gx, gy, this.cellStateStyle)
+                if (!cell) continue
+
+                const px = x + gx * cellSize
+                const py = y + gy * cellSize
+
+                ctx.globalAlpha = cell.alpha
+                ctx.fillStyle = pattern
+                ctx.fillRect(px, py, cellSize, cellSize)
+
+                if (cell.brightness < 1) {
+                    ctx.globalAlpha = cell.alpha * (1 - cell.brightness)
+                    ctx.fillStyle = '#000'
+                    ctx.fillRect(px, py, cellSize, cellSize)
+                }
+            }
+        }
+
+        ctx.globalAlpha = 1
+        ctx.fillStyle = pattern
+    }
+
+    /**
+     * Draw an interpolated pattern engine (pattern fill already set).
+     *
+     * Born cells fade/grow in and dying cells fade/shrink out between
+     * generations (see forEachTransitionCell). The video stays in screen space,
+     * so shrinking cells still reveal the same part of it.
+     *
+     * @private
+     */
+    renderTransitionCells(engine, x, y, cellSize) {
+        const ctx = this.p5.drawingContext
+
+        forEachTransitionCell(engine, (gx, gy, alpha, scale) => {
+            const size = cellSize * scale
+            ctx.globalAlpha = alpha
+            ctx.fillRect(
+                x + gx * cellSize + (cellSize - size) / 2,
+                y + gy * cellSize + (cellSize - size) / 2,
+                size, size
+            )
+        })
+
+        ctx.globalAlpha = 1
+    }
+
+    /**
+     * Draw the fading cells of an engine with an afterglow (pattern fill
+     * already set; see setAfterglow).
+     *
+     * @private
+     */
+    renderAfterglowCells(engine, x, y, cellSize) {
+        const ctx = this.p5.drawingContext
+        // Keep the caller's alpha (e.g. fading particles, see renderParticles)
+        const baseAlpha = ctx.globalAlpha
+
+        forEachAfterglowCell(engine, this.p5.frameCount || 0, (gx, gy, alpha) => {
+            ctx.globalAlpha = baseAlpha * alpha
+            ctx.fillRect(x + gx * cellSize, y + gy * cellSize, cellSize, cellSize)
+        })
+
+        ctx.globalAlpha = baseAlpha
+    }
+
     /**
      * Update gradient animation
      * 
@@ -238,29 +615,55 @@ class VideoGradientRenderer {
     }
 
     /**
-     * Helper to ensure video is playing (can be called from sketch if needed)
+     * Helper to ensure video is playing (can be called from sketch if needed,
+     * e.g. after a user gesture when autoplay was blocked)
      */
     play() {
-        this.video.loop()
+        const elt = this.video.elt
+        elt.loop = true
+        const playing = elt.play()
+        if (playing && typeof playing.catch === 'function') {
+            playing.catch(error => {
+                // NotAllowedError: autoplay policy; anything else is a load/decode failure
+                const reason = error && error.name === 'NotAllowedError' ? 'autoplay-blocked' : 'error'
+                debugWarn(`[VideoGradientRenderer] Video playback failed (${reason}), using procedural gradient`)
+                this.updateSource(reason)
+            })
+        }
     }
 
     /**
      * Wait for video to have at least one frame available.
      *
      * Checks video readyState to ensure video has current data before
-     * attempting to use it for shader compilation.
+     * attempting to use it for shader compilation. Also resolves if the video
+     * fails or takes longer than VIDEO_READY_TIMEOUT, so games never hang in
+     * setup() (they start on the procedural gradient instead).
      *
-     * @returns {Promise<void>} Resolves when video is ready
+     * @returns {Promise<boolean>} Resolves true when video is ready, false otherwise
      * @private
      */
     async waitForVideoReady() {
-        return new Promise((resolve) => {
-            if (this.video.elt.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA) {
-                resolve()
-            } else {
-                this.video.elt.addEventListener('loadeddata', () => resolve(), { once: true })
-            }
+        const elt = this.video.elt
+        if (elt.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA) {
+            return true
+        }
+        if (this.videoFailed) {
+            return false
+        }
+
+        let timer
+        let onReady
+        const ready = new Promise((resolve) => {
+            onReady = () => resolve(true)
+            elt.addEventListener('loadeddata', onReady, { once: true })
+            timer = setTimeout(() => resolve(false), VIDEO_READY_TIMEOUT)
         })
+
+        const result = await Promise.race([ready, this.videoFailure.then(() => false)])
+        clearTimeout(timer)
+        elt.removeEventListener('loadeddata', onReady)
+        return result
     }
 
     /**
@@ -302,8 +705,11 @@ class VideoGradientRenderer {
      * }
      */
     async warmupShaders(gradientConfigs = []) {
-        // Wait for video to have frame available
-        await this.waitForVideoReady()
+        // Wait for video to have frame available (procedural fallback needs no warmup)
+        if (!await this.waitForVideoReady()) {
+            debugLog('[VideoGradientRenderer] Skipping shader warmup (procedural gradient)')
+            return
+        }
 
         // Create temporary canvas for warmup (small size for speed)
         const warmupCanvas = document.createElement('canvas')
@@ -348,4 +754,23 @@ class VideoGradientRenderer {
     }
 }
 
+/**
+ * Vertical linear gradient through a palette, spanning one entity.
+ *
+ * @private
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {number[][]} palette - Gradient colors, top to bottom
+ * @param {number} top - Entity top (screen)
+ * @param {number} height - Entity height
+ * @returns {CanvasGradient} Fill style
+ */
+function createPaletteGradient(ctx, palette, top, height) {
+    const gradient = ctx.createLinearGradient(0, top, 0, top + height)
+    palette.forEach((color, i) => {
+        const stop = palette.length > 1 ? i / (palette.length - 1) : 0
+        gradient.addColorStop(stop, `rgb(${color[0]}, ${color[1]}, ${color[2]})`)
+    })
+    return gradient
+}
+
 export { VideoGradientRenderer }
@@ -0,0 +1,470 @@
+/**
+ * WebGL Gradient Renderer - GPU masking for GoL grids
+ *
+ * Same interface as SimpleGradientRenderer and VideoGradientRenderer, but
+ * instead of one rect per alive cell, each renderMaskedGrid() call uploads the
+ * grid as a small texture and draws a single quad. A fragment shader masks a
+ * screen-space gradient texture with the cells:
+ *
+ * - Video source: the current video frame (VideoGradientRenderer's video)
+ * - Noise source: the Perlin noise field of SimpleGradientRenderer, sampled
+ *   once per frame on a coarse grid (the field is very smooth, so linear
+ *   filtering reproduces it)
+ *
+ * The GL canvas is offscreen; the result is copied onto the p5 canvas with one
+ * drawImage(), so draw order with 2D elements (text, particles) is unchanged.
+ * Age/decay styling and phase transitions are encoded per cell in the texture.
+ *
+ * The wrapped 2D renderer answers getGradientColor() and takes over drawing
+ * if the WebGL context is lost. Use createGradientRenderer()
+ * (GradientRendererFactory.js) to pick a renderer from VISUAL_CONFIG.USE_WEBGL
+ * with automatic fallback.
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { CELL_STATES, CELL_STATE_STYLE } from '../utils/Config.js'
+import { debugLog, debugWarn } from '../utils/Logger.js'
+import { getEntityPalette } from '../utils/AccessibilityProfiles.js'
+import { hasCellStates, getCellStyle, hasPhaseTransition, forEachTransitionCell, hasAfterglow, forEachAfterglowCell } from './CellStateStyle.js'
+import { PatternSpriteCache } from './PatternSpriteCache.js'
+import { SimpleGradientRenderer } from './SimpleGradientRenderer.js'
+import { VideoGradientRenderer } from './VideoGradientRenderer.js'
+
+const { ALIVE } = CELL_STATES
+
+/**
+ * Gradient sources (what the cells reveal).
+ */
+export const GradientSource = {
+  VIDEO: 'video',  // Looping gradient video (VideoGradientRenderer)
+  NOISE: 'noise'   // Animated Perlin noise palette (SimpleGradientRenderer)
+}
+
+/**
+ * Screen pixels per noise lookup texel (noise source only).
+ */
+const NOISE_LOOKUP_STEP = 40
+
+const VERTEX_SHADER = `
+attribute vec2 a_position;
+varying vec2 v_uv;
+
+void main() {
+  // Clip space → uv with (0, 0) at the top-left cell
+  v_uv = vec2((a_position.x + 1.0) * 0.5, (1.0 - a_position.y) * 0.5);
+  gl_Position = vec4(a_position, 0.0, 1.0);
+}
+`
+
+const FRAGMENT_SHADER = `
+precision mediump float;
+
+uniform sampler2D u_cells;     // r = brightness, g = scale, a = alpha
+uniform sampler2D u_gradient;  // Screen-space gradient
+uniform vec2 u_grid;           // cols, rows
+uniform vec2 u_origin;         // Grid top-left in canvas coordinates
+uniform vec2 u_size;           // Grid size in canvas coordinates
+uniform vec2 u_canvas;         // Canvas size
+varying vec2 v_uv;
+
+void main() {
+  vec4 cell = texture2D(u_cells, v_uv);
+  if (cell.a == 0.0) discard;
+
+  // Shrinking/growing cells (phase transitions) keep a centered square
+  vec2 local = fract(v_uv * u_grid) - 0.5;
+  if (max(abs(local.x), abs(local.y)) > cell.g * 0.5) discard;
+
+  vec2 screen = clamp((u_origin + v_uv * u_size) / u_canvas, 0.0, 1.0);
+  vec3 color = texture2D(u_gradient, screen).rgb * cell.r;
+  gl_FragColor = vec4(color * cell.a, cell.a);  // Premultiplied alpha
+}
+`
+
+/**
+ * WebGL gradient renderer (drop-in replacement for the 2D renderers).
+ */
+class WebGLGradientRenderer {
+  /**
+   * Check whether the browser can create a WebGL context.
+   *
+   * @returns {boolean} True if WebGL is available
+   */
+  static isSupported() {
+    try {
+      const canvas = document.createElement('canvas')
+      return Boolean(canvas.getContext('webgl'))
+    } catch (error) {
+      return false
+    }
+  }
+
+  /**
+   * Create WebGL gradient renderer
+   *
+   * @param {p5} p5Instance - p5.js instance (EXCEPTION: needs 'this' in p5.js GLOBAL mode)
+   * @param {object} options - Renderer options
+   * @param {string} options.source - GradientSource (default: VIDEO)
+   * @param {string} options.videoPath - Gradient video URL (video source, default: VISUAL_CONFIG.GRADIENT_VIDEO_PATH)
+   * @throws {Error} If a WebGL context or the shaders cannot be created
+   *
+   * @example
+   * maskedRenderer = new WebGLGradientRenderer(this, { source: GradientSource.NOISE })
+   */
+  constructor(p5Instance, { source = GradientSource.VIDEO, videoPath } = {}) {
+    // In p5.js GLOBAL mode, all p5 functions are in window scope
+    this.p5 = p5Instance || window
+
+    if (!Object.values(GradientSource).includes(source)) {
+      throw new Error(`[WebGLGradientRenderer] Unknown source: ${source}. Must be one of ${Object.values(GradientSource).join(', ')}`)
+    }
+
+    // Offscreen GL canvas (grown to the largest grid drawn)
+    this.canvas = document.createElement('canvas')
+    this.canvas.width = 1
+    this.canvas.height = 1
+    this.gl = this.canvas.getContext('webgl', {
+      alpha: true,
+      premultipliedAlpha: true,
+      preserveDrawingBuffer: true,  // Read back by drawImage() after drawing
+      antialias: false
+    })
+    if (!this.gl) {
+      throw new Error('[WebGLGradientRenderer] WebGL context not available')
+    }
+
+    this.initGL()
+
+    // Fall back to the 2D renderer if the GPU drops the context
+    this.contextLost = false
+    this.canvas.addEventListener('webglcontextlost', (event) => {
+      event.preventDefault()
+      this.contextLost = true
+      debugWarn('[WebGLGradientRenderer] WebGL context lost - drawing with the 2D renderer')
+    })
+
+    // 2D renderer for the same source: getGradientColor(), video element, fallback
+    this.sourceType = source
+    this.source = source === GradientSource.VIDEO
+      ? new VideoGradientRenderer(this.p5, { videoPath })
+      : new SimpleGradientRenderer(this.p5)
+
+    // Gradient texture is refreshed once per frame
+    this.gradientFrame = -1
+
+    // Reused cell texture buffer (grown as needed)
+    this.cellData = new Uint8Array(0)
+
+    // Age → brightness and decay → alpha mapping (engines with cell states only)
+    this.cellStateStyle = CELL_STATE_STYLE
+
+    // Pre-rendered pattern sprites (off until enableSpriteCache())
+    this.spriteCache = null
+
+    debugLog(`[WebGLGradientRenderer] Ready (${source} source)`)
+  }
+
+  /**
+   * Compile shaders and create the quad and textures.
+   *
+   * @private
+   */
+  initGL() {
+    const gl = this.gl
+
+    const program = gl.createProgram()
+    gl.attachShader(program, compileShader(gl, gl.VERTEX_SHADER, VERTEX_SHADER))
+    gl.attachShader(program, compileShader(gl, gl.FRAGMENT_SHADER, FRAGMENT_SHADER))
+    gl.linkProgram(program)
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(`[WebGLGradientRenderer] Shader link failed: ${gl.getProgramInfoLog(program)}`)
+    }
+    gl.useProgram(program)
+    this.program = program
+
+    // Full-viewport quad (two triangles)
+    const quad = gl.createBuffer()
+    gl.bindBuffer(gl.ARRAY_BUFFER, quad)
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), gl.STATIC_DRAW)
+    const position = gl.getAttribLocation(program, 'a_position')
+    gl.enableVertexAttribArray(position)
+    gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0)
+
+    this.uniforms = {}
+    for (const name of ['u_cells', 'u_gradient', 'u_grid', 'u_origin', 'u_size', 'u_canvas']) {
+      this.uniforms[name] = gl.getUniformLocation(program, name)
+    }
+
+    // Unit 0: cells (one texel per cell), unit 1: gradient (smooth)
+    this.cellTexture = createTexture(gl, gl.NEAREST)
+    this.gradientTexture = createTexture(gl, gl.LINEAR)
+    gl.uniform1i(this.uniforms.u_cells, 0)
+    gl.uniform1i(this.uniforms.u_gradient, 1)
+
+    // Until the first gradient upload: white
+    gl.activeTexture(gl.TEXTURE1)
+    gl.bindTexture(gl.TEXTURE_2D, this.gradientTexture)
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([255, 255, 255, 255]))
+
+    gl.clearColor(0, 0, 0, 0)
+  }
+
+  /**
+   * Change how cell age and Generations decay states are drawn.
+   *
+   * @param {object} style - Overrides for CELL_STATE_STYLE (e.g. { AGE_BRIGHTNESS: false })
+   */
+  setCellStateStyle(style) {
+    this.cellStateStyle = { ...CELL_STATE_STYLE, ...style }
+    this.source.setCellStateStyle(style)
+  }
+
+  /**
+   * Draw PatternRenderer entities from pre-rendered sprites
+   * (same as SimpleGradientRenderer.enableSpriteCache()).
+   *
+   * @param {boolean} enabled - Turn sprites on or off (default: true)
+   */
+  enableSpriteCache(enabled = true) {
+    if (enabled && !this.spriteCache) {
+      this.spriteCache = new PatternSpriteCache()
+    } else if (!enabled && this.spriteCache) {
+      this.spriteCache.destroy()
+      this.spriteCache = null
+    }
+  }
+
+  /**
+   * Get gradient color at a screen position (from the 2D source renderer).
+   *
+   * @param {number} screenX - X position in screen coordinates
+   * @param {number} screenY - Y position in screen coordinates
+   * @returns {number[]} RGB color array [r, g, b]
+   */
+  getGradientColor(screenX, screenY) {
+    return this.source.getGradientColor(screenX, screenY)
+  }
+
+  /**
+   * Render GoL grid as mask revealing the gradient (one quad, one drawImage).
+   *
+   * @param {GoLEngine} engine - GoL engine instance
+   * @param {number} x - Top-left X position of grid
+   * @param {number} y - Top-left Y position of grid
+   * @param {number} cellSize - Size of each cell in pixels
+   * @param {object} gradientConfig - Gradient preset (palette used by sprites only)
+   */
+  renderMaskedGrid(engine, x, y, cellSize, gradientConfig) {
+    // Lost context, or an accessibility profile (per-entity palettes): 2D renderer
+    if (this.contextLost || getEntityPalette(gradientConfig)) {
+      this.source.renderMaskedGrid(engine, x, y, cellSize, gradientConfig)
+      return
+    }
+
+    const ctx = this.p5.drawingContext
+    if (this.spriteCache && this.spriteCache.draw(ctx, engine, x, y, cellSize, gradientConfig?.palette)) {
+      return
+    }
+
+    const gl = this.gl
+    const cols = engine.cols
+    const rows = engine.rows
+    const width = cols * cellSize
+    const height = rows * cellSize
+
+    // Render at device resolution (canvas scale() × pixel density)
+    const { a, b } = typeof ctx.getTransform === 'function' ? ctx.getTransform() : { a: 1, b: 0 }
+    const scale = Math.hypot(a, b) || 1
+    const pixelWidth = Math.max(1, Math.round(width * scale))
+    const pixelHeight = Math.max(1, Math.round(height * scale))
+    this.ensureCanvasSize(pixelWidth, pixelHeight)
+
+    this.updateGradientTexture()
+    this.uploadCells(engine)
+
+    // GL origin is bottom-left: draw into the rows that drawImage() reads at the top-left
+    gl.viewport(0, this.canvas.height - pixelHeight, pixelWidth, pixelHeight)
+    gl.clear(gl.COLOR_BUFFER_BIT)
+    gl.uniform2f(this.uniforms.u_grid, cols, rows)
+    gl.uniform2f(this.uniforms.u_origin, x, y)
+    gl.uniform2f(this.uniforms.u_size, width, height)
+    gl.uniform2f(this.uniforms.u_canvas, this.p5.width, this.p5.height)
+    gl.drawArrays(gl.TRIANGLES, 0, 6)
+
+    ctx.drawImage(this.canvas, 0, 0, pixelWidth, pixelHeight, x, y, width, height)
+  }
+
+  /**
+   * Grow the GL canvas to fit a grid (never shrinks).
+   *
+   * @private
+   */
+  ensureCanvasSize(width, height) {
+    if (width > this.canvas.width || height > this.canvas.height) {
+      this.canvas.width = Math.max(width, this.canvas.width)
+      this.canvas.height = Math.max(height, this.canvas.height)
+    }
+  }
+
+  /**
+   * Upload the grid as an RGBA texture (r = brightness, g = scale, a = alpha).
+   *
+   * @private
+   */
+  uploadCells(engine) {
+    const gl = this.gl
+    const cols = engine.cols
+    const rows = engine.rows
+    const size = cols * rows * 4
+
+    if (this.cellData.length < size) {
+      this.cellData = new Uint8Array(size)
+    }
+    const data = this.cellData.subarray(0, size)
+    data.fill(0)
+
+    const setCell = (gx, gy, brightness, scale, alpha) => {
+      const i = (gy * cols + gx) * 4
+      data[i] = 255 * brightness
+      data[i + 1] = 255 * scale
+      data[i + 3] = 255 * alpha
+    }
+
+    if (hasPhaseTransition(engine)) {
+      forEachTransitionCell(engine, (gx, gy, alpha, scale) => setCell(gx, gy, 1, scale, alpha))
+    } else if (hasCellStates(engine)) {
+      for (let gx = 0; gx < cols; gx++) {
+        for (let gy = 0; gy < rows; gy++) {
+          const cell = getCellStyle(engine, gx, gy, this.cellStateStyle)
+          if (cell) setCell(gx, gy, cell.brightness, 1, cell.alpha)
+        }
+      }
+    } else {
+      for (let gx = 0; gx < cols; gx++) {
+        const column = engine.current[gx]
+        for (let gy = 0; gy < rows; gy++) {
+          if (column[gy] === ALIVE) setCell(gx, gy, 1, 1, 1)
+        }
+      }
+    }
+
+    if (hasAfterglow(engine)) {
+      forEachAfterglowCell(engine, this.p5.frameCount || 0, (gx, gy, alpha) => setCell(gx, gy, 1, 1, alpha))
+    }
+
+    gl.activeTexture(gl.TEXTURE0)
+    gl.bindTexture(gl.TEXTURE_2D, this.cellTexture)
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, cols, rows, 0, gl.RGBA, gl.UNSIGNED_BYTE, data)
+  }
+
+  /**
+   * Refresh the gradient texture (once per frame).
+   *
+   * @private
+   */
+  updateGradientTexture() {
+    const currentFrame = this.p5.frameCount || 0
+    if (currentFrame === this.gradientFrame) return
+    this.gradientFrame = currentFrame
+
+    const gl = this.gl
+    gl.activeTexture(gl.TEXTURE1)
+    gl.bindTexture(gl.TEXTURE_2D, this.gradientTexture)
+
+    if (this.sourceType === GradientSource.VIDEO) {
+      // Current video frame, or the procedural gradient while the video can't be shown
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this.source.getGradientImage())
+      return
+    }
+
+    // Noise: sample the same field as SimpleGradientRenderer.getGradientColor()
+    const lookupWidth = Math.max(2, Math.ceil(this.p5.width / NOISE_LOOKUP_STEP) + 1)
+    const lookupHeight = Math.max(2, Math.ceil(this.p5.height / NOISE_LOOKUP_STEP) + 1)
+    const data = new Uint8Array(lookupWidth * lookupHeight * 4)
+    for (let ly = 0; ly < lookupHeight; ly++) {
+      for (let lx = 0; lx < lookupWidth; lx++) {
+        const [r, g, b] = this.source.getGradientColor(
+          lx / (lookupWidth - 1) * this.p5.width,
+          ly / (lookupHeight - 1) * this.p5.height
+        )
+        const i = (ly * lookupWidth + lx) * 4
+        data[i] = r
+        data[i + 1] = g
+        data[i + 2] = b
+        data[i + 3] = 255
+      }
+    }
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, lookupWidth, lookupHeight, 0, gl.RGBA, gl.UNSIGNED_BYTE, data)
+  }
+
+  /**
+   * Update gradient animation (noise source; the video loops on its own).
+   */
+  updateAnimation() {
+    this.source.updateAnimation()
+  }
+
+  /**
+   * Ensure the video is playing (video source only).
+   */
+  play() {
+    if (this.source.play) {
+      this.source.play()
+    }
+  }
+
+  /**
+   * Wait for the gradient source and draw a test grid, so the first frame of
+   * gameplay does not pay for video decoding or texture setup.
+   *
+   * @param {Array<Object>} gradientConfigs - Gradient presets (passed to the video renderer)
+   * @returns {Promise<void>} Resolves when warmup completes
+   */
+  async warmupShaders(gradientConfigs = []) {
+    if (this.source.warmupShaders) {
+      await this.source.warmupShaders(gradientConfigs)
+    }
+    if (this.contextLost) return
+
+    // Exercise both textures and the program once
+    this.gradientFrame = -1
+    this.updateGradientTexture()
+    this.uploadCells({ cols: 2, rows: 2, current: [[ALIVE, 0], [0, ALIVE]] })
+    this.gl.viewport(0, 0, 1, 1)
+    this.gl.drawArrays(this.gl.TRIANGLES, 0, 6)
+  }
+}
+
+/**
+ * Compile one shader stage.
+ *
+ * @private
+ */
+function compileShader(gl, type, source) {
+  const shader = gl.createShader(type)
+  gl.shaderSource(shader, source)
+  gl.compileShader(shader)
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    throw new Error(`[WebGLGradientRenderer] Shader compile failed: ${gl.getShaderInfoLog(shader)}`)
+  }
+  return shader
+}
+
+/**
+ * Create a non-mipmapped, edge-clamped texture (any size in WebGL 1).
+ *
+ * @private
+ */
+function createTexture(gl, filter) {
+  const texture = gl.createTexture()
+  gl.bindTexture(gl.TEXTURE_2D, texture)
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter)
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter)
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE)
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE)
+  return texture
+}
+
+export { WebGLGradientRenderer }
@@ -12,6 +12,9 @@
 import { getResponsiveDimensions } from '../installation/ScreenHelper.js'
 import { validateGame } from '../installation/GameRegistry.js'
 import { debugLog, debugWarn, debugError } from '../utils/Logger.js'
+import { SEED_URL_PARAM } from '../utils/Random.js'
+import { PALETTE_URL_PARAM } from '../utils/PaletteTheme.js'
+import { A11Y_URL_PARAM, AccessibilityProfile, getAccessibilityProfile } from '../utils/AccessibilityProfiles.js'
 
 export class GameScreen {
   /**
@@ -71,7 +74,20 @@ export class GameScreen {
     // Add current theme to URL to prevent white flash on load
     const currentTheme = this.themeManager.getTheme()
     const separator = game.path.includes('?') ? '&' : '?'
-    this.iframe.src = `${game.path}${separator}theme=${currentTheme}`
+
+    // Forward ?seed= from the installation URL (daily challenges, bug reproduction)
+    const seed = new URLSearchParams(window.location.search).get(SEED_URL_PARAM)
+    const seedParam = seed ? `&${SEED_URL_PARAM}=${encodeURIComponent(seed)}` : ''
+
+    // Forward ?palette= so the game uses the same branded colors
+    const palette = new URLSearchParams(window.location.search).get(PALETTE_URL_PARAM)
+    const paletteParam = palette ? `&${PALETTE_URL_PARAM}=${encodeURIComponent(palette)}` : ''
+
+    // Forward the accessibility profile so the game starts with the same colors
+    const profile = getAccessibilityProfile()
+    const a11yParam = profile !== AccessibilityProfile.DEFAULT ? `&${A11Y_URL_PARAM}=${profile}` : ''
+
+    this.iframe.src = `${game.path}${separator}theme=${currentTheme}${seedParam}${paletteParam}${a11yParam}`
 
     this.iframe.tabIndex = 0  // Make iframe focusable
     this.iframe.style.cssText = `
@@ -255,9 +271,11 @@ export class GameScreen {
   /**
    * Handle Game Over postMessage
    * @param {number|null} score - Final score (null if timeout)
+   * @param {number} [seed] - Random seed of the run (for reproduction)
+   * @param {object} [snapshot] - Final board (engine.serialize()), if the game sent one
    */
-  handleGameOver(score) {
-    debugLog('GameScreen: Game Over received, score:', score)
+  handleGameOver(score, seed, snapshot) {
+    debugLog('GameScreen: Game Over received, score:', score, 'seed:', seed, 'snapshot:', !!snapshot)
 
     // If score is null (timeout), exit to idle
     if (score === null) {
@@ -273,8 +291,9 @@ export class GameScreen {
       return
     }
 
-    // Store score in AppState
+    // Store score (and final board, if the game sent one) in AppState
     this.appState.setScore(score)
+    this.appState.setSnapshot(snapshot)
 
     // Advance to Score Entry screen
     this.appState.transition('score')
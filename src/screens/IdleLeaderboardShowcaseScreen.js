@@ -14,6 +14,7 @@
 import { getResponsiveDimensions } from '../installation/ScreenHelper.js'
 import { GAMES } from '../installation/GameRegistry.js'
 import { debugLog } from '../utils/Logger.js'
+import { randomInt } from '../utils/Random.js'
 
 export class IdleLeaderboardShowcaseScreen {
   /**
@@ -57,7 +58,7 @@ export class IdleLeaderboardShowcaseScreen {
     }
 
     // Select random
-    const randomIndex = Math.floor(Math.random() * gamesWithScores.length)
+    const randomIndex = randomInt(0, gamesWithScores.length)
     return gamesWithScores[randomIndex]
   }
 
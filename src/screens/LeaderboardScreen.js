@@ -2,6 +2,7 @@
  * LeaderboardScreen.v2 - Top 5 scores display (Figma design)
  *
  * Clean table layout with emphasis on rank 1
+ * Final board of the latest run, for games that send a snapshot (Life Drop)
  * Footer with navigation links
  * Auto-timeout: 30 seconds to QR screen
  *
@@ -12,6 +13,7 @@
 import { getResponsiveDimensions } from '../installation/ScreenHelper.js'
 import { validateGame } from '../installation/GameRegistry.js'
 import { debugLog, debugError } from '../utils/Logger.js'
+import { readSnapshot } from '../core/Snapshot.js'
 
 export class LeaderboardScreen {
   /**
@@ -274,6 +276,10 @@ export class LeaderboardScreen {
 
     // Append all elements
     this.element.appendChild(title)
+    const boardPreview = this.createBoardPreview(game.id)
+    if (boardPreview) {
+      this.element.appendChild(boardPreview)
+    }
     this.element.appendChild(tableContainer)
     this.element.appendChild(footer)
     document.body.appendChild(this.element)
@@ -290,6 +296,48 @@ export class LeaderboardScreen {
     debugLog('LeaderboardScreen: Active (30s auto-advance)')
   }
 
+  /**
+   * Create a preview of the final board saved by ScoreEntryScreen
+   * @param {string} gameId - Game identifier (snapshot name)
+   * @returns {HTMLCanvasElement|null} - Board canvas, or null if the game saved no board
+   */
+  createBoardPreview(gameId) {
+    const snapshot = this.storageManager.loadSnapshot(gameId)
+    if (!snapshot) {
+      return null
+    }
+
+    const { cols, rows, cells } = readSnapshot(snapshot)
+
+    // One pixel per cell, scaled up by CSS (pixelated keeps cells crisp)
+    const canvas = document.createElement('canvas')
+    canvas.width = cols
+    canvas.height = rows
+    canvas.style.cssText = `
+      position: absolute;
+      top: clamp(120px, 11.5cqh, 220px);
+      left: 50%;
+      transform: translateX(-50%);
+      height: clamp(110px, 15cqh, 288px);
+      aspect-ratio: ${cols} / ${rows};
+      image-rendering: pixelated;
+      opacity: 0.8;
+    `
+
+    const ctx = canvas.getContext('2d')
+    ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text-primary').trim() || '#000000'
+    for (let x = 0; x < cols; x++) {
+      for (let y = 0; y < rows; y++) {
+        if (cells[x * rows + y]) {
+          ctx.fillRect(x, y, 1, 1)
+        }
+      }
+    }
+
+    debugLog(`LeaderboardScreen: Showing final board (${cols}×${rows})`)
+    return canvas
+  }
+
   /**
    * Create a table row
    */
@@ -560,6 +560,11 @@ export class ScoreEntryScreen {
     if (success) {
       debugLog('Score saved successfully')
 
+      // Keep the final board of the latest run (per game, shown by LeaderboardScreen)
+      if (state.finalSnapshot) {
+        this.storageManager.saveSnapshot(state.selectedGame.id, state.finalSnapshot)
+      }
+
       // Get scores AFTER saving
       const scoresAfter = this.storageManager.getScores(state.selectedGame.id)
 
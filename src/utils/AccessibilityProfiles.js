@@ -0,0 +1,272 @@
+/**
+ * Accessibility profiles: colorblind-safe and high-contrast color schemes.
+ *
+ * The default look gives every entity the same four-color Google palette, so
+ * players tell enemies from bullets by shape alone. A profile remaps the
+ * colors by role instead (a palette overlay on GOOGLE_COLORS, GRADIENT_PRESETS
+ * and THEME_COLORS, see setPaletteOverlay), and the renderers then color each
+ * entity with its own preset palette rather than the shared video/noise
+ * gradient (getEntityPalette):
+ *
+ * - deuteranopia / protanopia: blue player side vs orange enemy side
+ *   (Okabe-Ito colors; protanopia avoids reds, which look dark)
+ * - tritanopia: teal player side vs red/pink enemy side
+ * - high-contrast: monochrome, black on white by day and white on black by night
+ *
+ * The installation switches profiles with AccessibilityManager (hidden
+ * operator combo in ResetManager) and broadcasts them to games, which pick
+ * them up through ThemeReceiver (or `?a11y=<profile>` on load).
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { setPaletteOverlay } from './PaletteTheme.js'
+import { GRADIENT_PRESETS } from './GradientPresets.js'
+import { debugLog } from './Logger.js'
+
+/**
+ * Available profiles.
+ */
+export const AccessibilityProfile = {
+  DEFAULT: 'default',
+  DEUTERANOPIA: 'deuteranopia',
+  PROTANOPIA: 'protanopia',
+  TRITANOPIA: 'tritanopia',
+  HIGH_CONTRAST: 'high-contrast'
+}
+
+/**
+ * URL parameter carrying the profile (game-wrapper.html?game=...&a11y=...).
+ */
+export const A11Y_URL_PARAM = 'a11y'
+
+/**
+ * Role of each built-in preset (every enemy preset shares the enemy colors).
+ * Other presets, e.g. ones a palette theme adds, get the neutral role.
+ */
+const PRESET_ROLES = {
+  PLAYER: 'player',
+  ENEMY_HOT: 'enemy',
+  ENEMY_COLD: 'enemy',
+  ENEMY_RAINBOW: 'enemy',
+  BULLET: 'bullet',
+  POWERUP: 'powerup',
+  BOSS: 'boss',
+  EXPLOSION: 'explosion',
+  BACKGROUND: 'background',
+  SKY: 'sky'
+}
+
+/**
+ * Build overlay gradients from role colors, for every current GRADIENT_PRESETS key.
+ *
+ * @private
+ */
+function roleGradients(roles) {
+  return Object.fromEntries(Object.keys(GRADIENT_PRESETS).map(key =>
+    [key, { palette: roles[PRESET_ROLES[key]] ?? roles.neutral }]))
+}
+
+/**
+ * Palette overlay of each profile, by theme ('day' or 'night'). Built on every
+ * rebuild (see setPaletteOverlay), so presets added by a palette theme are covered.
+ */
+const PROFILE_OVERLAYS = {
+  [AccessibilityProfile.DEUTERANOPIA]: () => ({
+    name: 'Deuteranopia',
+    colors: { BLUE: '#0072B2', RED: '#D55E00', GREEN: '#009E73', YELLOW: '#F0E442' },
+    gradients: roleGradients({
+      player: ['#0072B2', '#56B4E9'],
+      enemy: ['#D55E00', '#E69F00'],
+      bullet: ['#56B4E9', '#0072B2'],
+      powerup: ['#F0E442', '#009E73'],
+      boss: ['#D55E00', '#CC79A7'],
+      explosion: ['#E69F00', '#F0E442', '#D55E00'],
+      background: ['#0072B2', '#E69F00', '#56B4E9', '#D55E00'],
+      sky: ['#56B4E9', '#FFFFFF', '#56B4E9'],
+      neutral: ['#CC79A7', '#999999']
+    })
+  }),
+
+  [AccessibilityProfile.PROTANOPIA]: () => ({
+    name: 'Protanopia',
+    colors: { BLUE: '#0072B2', RED: '#E69F00', GREEN: '#009E73', YELLOW: '#F0E442' },
+    gradients: roleGradients({
+      player: ['#0072B2', '#56B4E9'],
+      enemy: ['#E69F00', '#F5C710'],
+      bullet: ['#56B4E9', '#0072B2'],
+      powerup: ['#F0E442', '#009E73'],
+      boss: ['#E69F00', '#CC79A7'],
+      explosion: ['#F0E442', '#E69F00'],
+      background: ['#0072B2', '#E69F00', '#56B4E9', '#F0E442'],
+      sky: ['#56B4E9', '#FFFFFF', '#56B4E9'],
+      neutral: ['#CC79A7', '#999999']
+    })
+  }),
+
+  [AccessibilityProfile.TRITANOPIA]: () => ({
+    name: 'Tritanopia',
+    colors: { BLUE: '#008B8B', RED: '#D81B60', GREEN: '#3FBFBF', YELLOW: '#FF6E91' },
+    gradients: roleGradients({
+      player: ['#008B8B', '#3FBFBF'],
+      enemy: ['#D81B60', '#FF6E91'],
+      bullet: ['#3FBFBF', '#008B8B'],
+      powerup: ['#3FBFBF', '#D81B60'],
+      boss: ['#8B0000', '#D81B60'],
+      explosion: ['#D81B60', '#FF8A65'],
+      background: ['#008B8B', '#D81B60', '#3FBFBF', '#FF6E91'],
+      sky: ['#3FBFBF', '#FFFFFF', '#3FBFBF'],
+      neutral: ['#707070', '#A0A0A0']
+    })
+  }),
+
+  [AccessibilityProfile.HIGH_CONTRAST]: (theme) => {
+    const ink = theme === 'night' ? '#FFFFFF' : '#000000'
+    const solid = [ink]
+    return {
+      name: 'High contrast',
+      colors: { BLUE: ink, RED: ink, GREEN: ink, YELLOW: ink },
+      gradients: roleGradients({
+        player: solid,
+        enemy: solid,
+        bullet: solid,
+        powerup: solid,
+        boss: solid,
+        explosion: solid,
+        background: solid,
+        sky: solid,
+        neutral: solid
+      }),
+      themes: {
+        day: {
+          bg: '#FFFFFF',
+          text: '#000000',
+          variables: {
+            '--bg-secondary': '#FFFFFF',
+            '--bg-card': '#FFFFFF',
+            '--text-secondary': '#000000',
+            '--text-tertiary': '#000000',
+            '--border-color': '#000000'
+          }
+        },
+        night: {
+          bg: '#000000',
+          text: '#FFFFFF',
+          variables: {
+            '--bg-secondary': '#000000',
+            '--bg-card': '#000000',
+            '--text-secondary': '#FFFFFF',
+            '--text-tertiary': '#FFFFFF',
+            '--border-color': '#FFFFFF'
+          }
+        }
+      }
+    }
+  }
+}
+
+let currentProfile = AccessibilityProfile.DEFAULT
+let currentTheme = 'day'
+
+/**
+ * Check whether a value is a profile name (e.g. from postMessage or localStorage).
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if it is an AccessibilityProfile value
+ */
+export function isAccessibilityProfile(value) {
+  return Object.values(AccessibilityProfile).includes(value)
+}
+
+/**
+ * Switch profile (recolors GRADIENT_PRESETS and THEME_COLORS in place).
+ *
+ * @param {string} profile - AccessibilityProfile value
+ * @throws {Error} If the profile is unknown
+ *
+ * @example
+ * setAccessibilityProfile(AccessibilityProfile.DEUTERANOPIA)
+ */
+export function setAccessibilityProfile(profile) {
+  if (!isAccessibilityProfile(profile)) {
+    throw new Error(`[AccessibilityProfiles] Unknown profile: ${profile}. Must be one of ${Object.values(AccessibilityProfile).join(', ')}`)
+  }
+  if (profile === currentProfile) {
+    return
+  }
+
+  currentProfile = profile
+  applyProfile()
+  debugLog(`[AccessibilityProfiles] Profile: ${profile}`)
+}
+
+/**
+ * Get the current profile.
+ *
+ * @returns {string} AccessibilityProfile value
+ */
+export function getAccessibilityProfile() {
+  return currentProfile
+}
+
+/**
+ * Get the profile after the given one (operator combo cycles through all).
+ *
+ * @param {string} profile - AccessibilityProfile value (default: current profile)
+ * @returns {string} Next AccessibilityProfile value (wraps to DEFAULT)
+ */
+export function getNextAccessibilityProfile(profile = currentProfile) {
+  const profiles = Object.values(AccessibilityProfile)
+  return profiles[(profiles.indexOf(profile) + 1) % profiles.length]
+}
+
+/**
+ * Tell profiles which theme is showing (high-contrast colors depend on it).
+ *
+ * @param {string} theme - 'day' or 'night'
+ */
+export function setAccessibilityTheme(theme) {
+  if (theme === currentTheme) {
+    return
+  }
+  currentTheme = theme
+  if (currentProfile !== AccessibilityProfile.DEFAULT) {
+    applyProfile()
+  }
+}
+
+/**
+ * Get the palette the renderers should color an entity with.
+ *
+ * @param {object} gradientConfig - Entity gradient (GRADIENT_PRESETS entry)
+ * @returns {number[][]|null} Entity palette while a profile is active, otherwise
+ *   null (draw with the shared gradient)
+ */
+export function getEntityPalette(gradientConfig) {
+  if (currentProfile === AccessibilityProfile.DEFAULT || !gradientConfig?.palette) {
+    return null
+  }
+  return gradientConfig.palette
+}
+
+/**
+ * Read the profile from a URL query string.
+ *
+ * @param {string} search - Query string (default: current window location)
+ * @returns {string|null} AccessibilityProfile value, or null if absent or unknown
+ */
+export function getProfileFromURL(search = typeof window !== 'undefined' ? window.location.search : '') {
+  const value = new URLSearchParams(search).get(A11Y_URL_PARAM)
+  return isAccessibilityProfile(value) ? value : null
+}
+
+/**
+ * Set the palette overlay of the current profile and theme.
+ *
+ * @private
+ */
+function applyProfile() {
+  const overlay = PROFILE_OVERLAYS[currentProfile]
+  setPaletteOverlay(overlay ? () => overlay(currentTheme) : null)
+}
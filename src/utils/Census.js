@@ -0,0 +1,272 @@
+/**
+ * Object census for Game of Life boards.
+ *
+ * Segments a grid into separate objects and identifies each one against the
+ * pattern catalog (PatternCatalog), in every phase and all 8 orientations
+ * (rotations and reflections). Produces counts like
+ * "3 blocks, 2 blinkers, 1 glider".
+ *
+ * SEGMENTATION:
+ * Cells within 2 cells of each other are first grouped into clusters, so
+ * objects with internal gaps (PULSAR) stay whole. Clusters that do not match
+ * the catalog are split into 8-connected pieces and matched again, so a block
+ * sitting next to a blinker is still counted as both.
+ * Oscillators whose phases break into distant pieces (PENTADECATHLON) are
+ * only recognized in their compact phases.
+ *
+ * Works with any engine-like object { cols, rows, current } (GoLEngine,
+ * InfiniteGoLEngine viewport, GoLBackground.engine, Life Drop grid).
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { GoLEngine } from '../core/GoLEngine.js'
+import { Patterns, PatternCatalog, PatternCategory } from './Patterns.js'
+
+/**
+ * Category used for objects that are not in the catalog.
+ */
+export const UNKNOWN_OBJECT = 'unknown'
+
+/**
+ * Catalog categories that can be recognized as standalone objects
+ * (guns and puffers leave debris, methuselahs never repeat).
+ */
+const CENSUS_CATEGORIES = [PatternCategory.STILL_LIFE, PatternCategory.OSCILLATOR, PatternCategory.SPACESHIP]
+
+/**
+ * Cluster radius (Chebyshev distance) for the first segmentation pass.
+ */
+const CLUSTER_RADIUS = 2
+
+/**
+ * Catalog lookup: normalized cell key → { name, category } (built on first use).
+ */
+let catalog = null
+
+/**
+ * Take a census of a board.
+ *
+ * @param {{cols: number, rows: number, current: Array<ArrayLike<number>>}} engine - Engine or grid wrapper
+ * @returns {{objects: Array<{name: string|null, category: string, x: number, y: number,
+ *   width: number, height: number, population: number}>,
+ *   counts: Object<string, number>, unknown: number, total: number}} Census
+ *
+ * @example
+ * const census = takeCensus(golEngine)
+ * census.counts          // { BLOCK: 3, BLINKER: 2, GLIDER: 1 }
+ * formatCensus(census)   // '3 blocks, 2 blinkers, 1 glider'
+ */
+export function takeCensus(engine) {
+  const { cols, rows, current } = engine
+  const lookup = getCatalog()
+  const objects = []
+
+  for (const cluster of segment(current, cols, rows, CLUSTER_RADIUS)) {
+    const match = lookup.get(cellKey(cluster))
+    if (match) {
+      objects.push(describeObject(cluster, match))
+      continue
+    }
+
+    // Unknown as a whole: try its 8-connected pieces separately
+    const pieceGrid = cellsToGrid(cluster, cols, rows)
+    for (const piece of segment(pieceGrid, cols, rows, 1)) {
+      objects.push(describeObject(piece, lookup.get(cellKey(piece)) || null))
+    }
+  }
+
+  const counts = {}
+  let unknown = 0
+  for (const object of objects) {
+    if (object.name) {
+      counts[object.name] = (counts[object.name] || 0) + 1
+    } else {
+      unknown++
+    }
+  }
+
+  return { objects, counts, unknown, total: objects.length }
+}
+
+/**
+ * Format a census as readable text.
+ *
+ * @param {object} census - Result of takeCensus()
+ * @returns {string} Summary, most common objects first (e.g. '3 blocks, 2 blinkers, 1 glider')
+ */
+export function formatCensus(census) {
+  const parts = Object.entries(census.counts)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([name, count]) => `${count} ${formatObjectName(name, count)}`)
+
+  if (census.unknown > 0) {
+    parts.push(`${census.unknown} unidentified`)
+  }
+  return parts.length > 0 ? parts.join(', ') : 'empty'
+}
+
+/**
+ * Readable object name ('LIGHTWEIGHT_SPACESHIP', 2 → 'lightweight spaceships').
+ *
+ * @private
+ */
+function formatObjectName(name, count) {
+  const label = name.toLowerCase().replace(/_/g, ' ')
+  return count === 1 ? label : `${label}s`
+}
+
+/**
+ * Split live cells into groups where each cell is within `radius` of another.
+ *
+ * @private
+ * @returns {Array<Array<[number, number]>>} Groups of [x, y] cells
+ */
+function segment(grid, cols, rows, radius) {
+  const visited = new Uint8Array(cols * rows)
+  const groups = []
+
+  for (let x = 0; x < cols; x++) {
+    for (let y = 0; y < rows; y++) {
+      if (!grid[x][y] || visited[x * rows + y]) continue
+
+      const group = []
+      const stack = [[x, y]]
+      visited[x * rows + y] = 1
+
+      while (stack.length > 0) {
+        const [cx, cy] = stack.pop()
+        group.push([cx, cy])
+
+        for (let dx = -radius; dx <= radius; dx++) {
+          for (let dy = -radius; dy <= radius; dy++) {
+            const nx = cx + dx
+            const ny = cy + dy
+            if (nx < 0 || nx >= cols || ny < 0 || ny >= rows) continue
+            if (!grid[nx][ny] || visited[nx * rows + ny]) continue
+            visited[nx * rows + ny] = 1
+            stack.push([nx, ny])
+          }
+        }
+      }
+
+      groups.push(group)
+    }
+  }
+
+  return groups
+}
+
+/**
+ * Build a column-major grid containing only the given cells.
+ *
+ * @private
+ */
+function cellsToGrid(cells, cols, rows) {
+  const grid = Array.from({ length: cols }, () => new Uint8Array(rows))
+  for (const [x, y] of cells) {
+    grid[x][y] = 1
+  }
+  return grid
+}
+
+/**
+ * Describe one object (bounding box, population, identification).
+ *
+ * @private
+ */
+function describeObject(cells, match) {
+  const xs = cells.map(([x]) => x)
+  const ys = cells.map(([, y]) => y)
+  const x = Math.min(...xs)
+  const y = Math.min(...ys)
+
+  return {
+    name: match ? match.name : null,
+    category: match ? match.category : UNKNOWN_OBJECT,
+    x,
+    y,
+    width: Math.max(...xs) - x + 1,
+    height: Math.max(...ys) - y + 1,
+    population: cells.length
+  }
+}
+
+/**
+ * Translation-invariant key of a cell set.
+ *
+ * @private
+ */
+function cellKey(cells) {
+  let minX = Infinity
+  let minY = Infinity
+  for (const [x, y] of cells) {
+    if (x < minX) minX = x
+    if (y < minY) minY = y
+  }
+  return cells
+    .map(([x, y]) => `${x - minX},${y - minY}`)
+    .sort()
+    .join(';')
+}
+
+/**
+ * The 8 orientations of a cell set (dihedral group D4).
+ *
+ * @private
+ */
+function orientations(cells) {
+  const transforms = [
+    ([x, y]) => [x, y],
+    ([x, y]) => [-x, y],
+    ([x, y]) => [x, -y],
+    ([x, y]) => [-x, -y],
+    ([x, y]) => [y, x],
+    ([x, y]) => [-y, x],
+    ([x, y]) => [y, -x],
+    ([x, y]) => [-y, -x]
+  ]
+  return transforms.map(transform => cells.map(transform))
+}
+
+/**
+ * Build the lookup of every catalog pattern, phase and orientation.
+ *
+ * @private
+ */
+function getCatalog() {
+  if (catalog) return catalog
+
+  catalog = new Map()
+  for (const [name, entry] of Object.entries(PatternCatalog)) {
+    if (!CENSUS_CATEGORIES.includes(entry.category)) continue
+    const pattern = Patterns[name]
+
+    // Simulate one full period with room around the pattern
+    const period = entry.period
+    const margin = period + 2
+    const width = pattern[0] ? pattern[0].length : 0
+    const engine = new GoLEngine(width + margin * 2, pattern.length + margin * 2)
+    engine.setPattern(pattern, margin, margin)
+
+    for (let phase = 0; phase < period; phase++) {
+      const cells = []
+      for (let x = 0; x < engine.cols; x++) {
+        for (let y = 0; y < engine.rows; y++) {
+          if (engine.current[x][y]) cells.push([x, y])
+        }
+      }
+
+      for (const oriented of orientations(cells)) {
+        const key = cellKey(oriented)
+        // First name wins (DRAGON before its rotated copy DRAGON_VERTICAL)
+        if (!catalog.has(key)) {
+          catalog.set(key, { name, category: entry.category })
+        }
+      }
+      engine.update()
+    }
+  }
+  return catalog
+}
@@ -18,7 +18,9 @@
  *   BACKGROUND_COLOR: string,
  *   CELL_COLOR: string,
  *   CELL_ALPHA: number,
- *   USE_WEBGL: boolean
+ *   USE_WEBGL: boolean,
+ *   GRADIENT_VIDEO_PATH: string,
+ *   PALETTE_THEME_PATH: string|null
  * }}
  *
  * @property {number} CANVAS_WIDTH - Canvas width in pixels (1200px portrait)
@@ -30,7 +32,11 @@
  * @property {string} BACKGROUND_COLOR - Background hex color (#FFFFFF)
  * @property {string} CELL_COLOR - Cell base color (#FFFFFF, gradients override)
  * @property {number} CELL_ALPHA - Cell opacity (0-255, 255 = full opacity)
- * @property {boolean} USE_WEBGL - Use WEBGL renderer (false = 2D canvas mode)
+ * @property {boolean} USE_WEBGL - Draw GoL grids with WebGLGradientRenderer (false = 2D renderers;
+ *   falls back to 2D when WebGL is unavailable, see createGradientRenderer)
+ * @property {string} GRADIENT_VIDEO_PATH - Default gradient video (games can pass their own videoPath)
+ * @property {string|null} PALETTE_THEME_PATH - Palette theme JSON loaded at startup when there is
+ *   no ?palette= URL parameter (null = built-in colors, see PaletteTheme.js)
  *
  * @example
  * // Portrait 1200×1920 canvas setup
@@ -62,7 +68,9 @@ export const VISUAL_CONFIG = {
   CELL_ALPHA: 255,  // Full opacity
 
   // Rendering mode
-  USE_WEBGL: false  // Use WEBGL for hardware acceleration (keep false for now - 2D mode works better)
+  USE_WEBGL: false,  // GPU cell masking via WebGLGradientRenderer (2D fallback if WebGL is unavailable)
+  GRADIENT_VIDEO_PATH: '/conways-arcade-online/videos/gradient.mp4',  // Procedural fallback if it fails to load
+  PALETTE_THEME_PATH: null  // Branded colors, e.g. '/conways-arcade-online/themes/example.json'
 }
 
 /**
@@ -214,13 +222,18 @@ export const GAME_CONFIG = {
 /**
  * GoL cell states (Conway's Game of Life B3/S23 rules).
  *
+ * Generations rules (e.g. 'B2/S/C3') add dying states DYING..C-1, read with
+ * engine.getCellState(). Grids (`current[x][y]`) only ever hold ALIVE/DEAD.
+ *
  * @type {{
  *   ALIVE: number,
- *   DEAD: number
+ *   DEAD: number,
+ *   DYING: number
  * }}
  *
  * @property {number} ALIVE - Living cell state (1)
  * @property {number} DEAD - Dead cell state (0)
+ * @property {number} DYING - First Generations dying state (2)
  *
  * @example
  * // Check if cell is alive
@@ -239,7 +252,42 @@ export const GAME_CONFIG = {
  */
 export const CELL_STATES = {
   ALIVE: 1,
-  DEAD: 0
+  DEAD: 0,
+  DYING: 2
+}
+
+/**
+ * How renderers map cell age and Generations decay to brightness and alpha.
+ *
+ * Applies to engines with age tracking or a Generations rule; plain grids
+ * render as before. Renderers can override it with setCellStateStyle().
+ *
+ * @type {{
+ *   AGE_BRIGHTNESS: boolean,
+ *   MATURE_AGE: number,
+ *   NEWBORN_BRIGHTNESS: number,
+ *   MATURE_BRIGHTNESS: number,
+ *   DECAY_ALPHA: boolean,
+ *   MIN_DECAY_ALPHA: number
+ * }}
+ *
+ * @property {boolean} AGE_BRIGHTNESS - Dim cells as they get older (true)
+ * @property {number} MATURE_AGE - Age (generations) at which dimming stops (30)
+ * @property {number} NEWBORN_BRIGHTNESS - Brightness of a newborn cell, 0-1 (1.0)
+ * @property {number} MATURE_BRIGHTNESS - Brightness at MATURE_AGE and beyond, 0-1 (0.6)
+ * @property {boolean} DECAY_ALPHA - Draw dying cells, fading out by state (true)
+ * @property {number} MIN_DECAY_ALPHA - Alpha of the last dying state, 0-1 (0.15)
+ *
+ * @example
+ * renderer.setCellStateStyle({ ...CELL_STATE_STYLE, AGE_BRIGHTNESS: false })
+ */
+export const CELL_STATE_STYLE = {
+  AGE_BRIGHTNESS: true,
+  MATURE_AGE: 30,
+  NEWBORN_BRIGHTNESS: 1.0,
+  MATURE_BRIGHTNESS: 0.6,
+  DECAY_ALPHA: true,
+  MIN_DECAY_ALPHA: 0.15
 }
 
 /**
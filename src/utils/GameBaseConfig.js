@@ -6,6 +6,8 @@
  * @license ISC
  */
 
+import { VISUAL_CONFIG } from './Config.js'
+
 // ============================================
 // GAME DIMENSIONS (Portrait 1200×1920)
 // ============================================
@@ -77,6 +79,7 @@ export function calculateCanvasDimensions() {
 
 /**
  * Create game configuration object with defaults
+ * (gradientVideo: video revealed through the cells, override per game)
  * @param {Object} customConfig - Custom configuration properties
  * @returns {Object} Complete configuration object
  */
@@ -84,6 +87,7 @@ export function createGameConfig(customConfig = {}) {
   return {
     width: GAME_DIMENSIONS.BASE_WIDTH,
     height: GAME_DIMENSIONS.BASE_HEIGHT,
+    gradientVideo: VISUAL_CONFIG.GRADIENT_VIDEO_PATH,
     ui: {
       backgroundColor: '#FFFFFF',  // White background
       textColor: '#5f6368',        // Google gray text (dark gray for visibility on white)
@@ -8,6 +8,8 @@
  * @license ISC
  */
 
+import { randomFloat, randomInt } from './Random.js'
+
 /**
  * Seed GoL grid with radial density gradient.
  * Creates organic, irregular edges by placing more cells in center, fewer at edges.
@@ -38,7 +40,7 @@ export function seedRadialDensity(engine, centerDensity = 0.7, edgeDensity = 0.1
       const normalizedDistance = distance / maxDistance
       const density = centerDensity + (edgeDensity - centerDensity) * normalizedDistance
 
-      if (Math.random() < density) {
+      if (randomFloat() < density) {
         engine.setCell(x, y, 1)
       }
     }
@@ -88,8 +90,8 @@ export function applyLifeForce(entity) {
 
     for (let i = 0; i < cellsToInject; i++) {
       // Weighted random towards center
-      const angle = Math.random() * Math.PI * 2
-      const radius = Math.random() * maxRadius * 0.7  // 70% of max radius
+      const angle = randomFloat() * Math.PI * 2
+      const radius = randomFloat() * maxRadius * 0.7  // 70% of max radius
       const x = Math.floor(centerX + Math.cos(angle) * radius)
       const y = Math.floor(centerY + Math.sin(angle) * radius)
 
@@ -129,8 +131,8 @@ export function maintainDensity(entity, targetDensity = 0.6) {
   if (currentDensity < targetDensity) {
     const cellsToRevive = Math.floor(totalCells * (targetDensity - currentDensity))
     for (let i = 0; i < cellsToRevive; i++) {
-      const x = Math.floor(Math.random() * engine.cols)
-      const y = Math.floor(Math.random() * engine.rows)
+      const x = randomInt(0, engine.cols)
+      const y = randomInt(0, engine.rows)
       engine.setCell(x, y, 1)
     }
   }
@@ -2,10 +2,15 @@
  * Gradient presets using Google brand colors.
  * Each preset defines a color palette and animation settings.
  *
+ * These are the built-in values: a palette theme file (PaletteTheme.js)
+ * can recolor them and add presets at runtime, updating these objects in place.
+ *
  * @author Game of Life Arcade
  * @license ISC
  */
 
+import { randomChoice } from './Random.js'
+
 /**
  * Google brand color palette (RGB values).
  * Official Google brand colors.
@@ -199,7 +204,7 @@ export function getRandomEnemyGradient() {
     GRADIENT_PRESETS.ENEMY_COLD,
     GRADIENT_PRESETS.ENEMY_RAINBOW
   ]
-  return enemyPresets[Math.floor(Math.random() * enemyPresets.length)]
+  return randomChoice(enemyPresets)
 }
 
 /**
@@ -260,3 +265,27 @@ export function createCustomGradient(name, colors, controlPoints = 6, animationS
     perColumn
   }
 }
+
+/**
+ * Sample a palette as a gradient (first color at 0, last at 1).
+ *
+ * @param {number[][]} palette - Array of RGB colors
+ * @param {number} t - Position along the gradient (clamped to 0-1)
+ * @returns {number[]} RGB color array [r, g, b]
+ *
+ * @example
+ * // Color of row gy in an entity colored top to bottom
+ * const [r, g, b] = samplePalette(GRADIENT_PRESETS.PLAYER.palette, (gy + 0.5) / rows)
+ */
+export function samplePalette(palette, t) {
+  if (palette.length === 1) {
+    return palette[0]
+  }
+
+  const position = Math.max(0, Math.min(1, t)) * (palette.length - 1)
+  const index = Math.min(palette.length - 2, Math.floor(position))
+  const amount = position - index
+  const from = palette[index]
+  const to = palette[index + 1]
+  return [0, 1, 2].map(c => from[c] + (to[c] - from[c]) * amount)
+}
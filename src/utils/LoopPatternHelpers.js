@@ -72,6 +72,8 @@ export function updateLoopPattern(gol, loopUpdateRate, logChanges = true) {
       const centerY = Math.floor((gol.rows - gol.loopPatternHeight) / 2)
       gol.setPattern(gol.loopPattern, centerX, centerY)
       gol.loopResetCounter = 0
+      // clearGrid() restarts the generation count
+      gol.loopLastGeneration = gol.generation
       if (logChanges) {
         debugLog(`[Loop] Pattern reset after ${gol.loopPeriod} generations`)
       }
@@ -0,0 +1,532 @@
+/**
+ * Palette themes: branded colors loaded at runtime from a JSON file.
+ *
+ * A palette theme overrides GOOGLE_COLORS, GRADIENT_PRESETS and THEME_COLORS
+ * in place, so every module that imported them (renderers, games, ThemeReceiver,
+ * game-wrapper.html) picks the new colors up without a rebuild:
+ *
+ *   {
+ *     "name": "Acme Summit",
+ *     "colors": {                              // Named colors (GOOGLE_COLORS)
+ *       "BLUE": "#0050FF",                     // Existing names recolor every preset using them
+ *       "ACME_ORANGE": "#FF7A00"               // New names can be used in gradients below
+ *     },
+ *     "gradients": {                           // GRADIENT_PRESETS
+ *       "PLAYER": { "palette": ["ACME_ORANGE", "BLUE"], "animationSpeed": 0.8 },
+ *       "SPONSOR": { "name": "Sponsor", "palette": ["#FF7A00", [255, 255, 255]] }
+ *     },
+ *     "themes": {                              // THEME_COLORS and index.html CSS variables
+ *       "day": { "bg": "#FFFFFF", "text": "#1B1B1F", "variables": { "--border-color": "#E0E0E6" } },
+ *       "night": { "bg": "#0B0B14", "text": "#F2F2F7" }
+ *     }
+ *   }
+ *
+ * Every section is optional. Colors are '#RRGGBB', '#RGB', [r, g, b] or (in
+ * gradient palettes) a color name. Existing presets keep the fields a
+ * gradient leaves out; new presets go through createCustomGradient().
+ *
+ * OVERLAY:
+ * setPaletteOverlay() layers a second palette on top of the loaded one
+ * (accessibility profiles use it, see AccessibilityProfiles.js). It can be a
+ * function that builds the overlay after the palette theme is applied, so it
+ * can cover presets the palette theme added.
+ *
+ * LOADING:
+ * - URL parameter `?palette=/conways-arcade-online/themes/acme.json`
+ * - Otherwise VISUAL_CONFIG.PALETTE_THEME_PATH (null = built-in colors)
+ * ThemeManager loads it for the installation (and GameScreen forwards the
+ * parameter to games); game-wrapper.html loads it before the game script.
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { VISUAL_CONFIG } from './Config.js'
+import { GOOGLE_COLORS, GRADIENT_PRESETS, createCustomGradient } from './GradientPresets.js'
+import { THEME_COLORS } from './ThemeConstants.js'
+import { debugLog, debugError } from './Logger.js'
+
+/**
+ * URL parameter carrying the palette theme file (index.html?palette=...).
+ */
+export const PALETTE_URL_PARAM = 'palette'
+
+/**
+ * Theme names a palette file can style (ThemeManager.THEMES values).
+ */
+const THEME_NAMES = ['day', 'night']
+
+/**
+ * CSS variables set from a theme's bg and text colors.
+ */
+const THEME_CSS_VARIABLES = {
+  bg: '--bg-primary',
+  text: '--text-primary'
+}
+
+/**
+ * Built-in colors, restored before the palette layers are (re)applied.
+ */
+const DEFAULTS = {
+  colors: cloneColors(GOOGLE_COLORS),
+  gradients: Object.fromEntries(Object.entries(GRADIENT_PRESETS)
+    .map(([key, preset]) => [key, { ...preset, palette: preset.palette.slice() }])),
+  themes: Object.fromEntries(Object.entries(THEME_COLORS)
+    .map(([key, colors]) => [key, { ...colors, textRgb: colors.textRgb.slice() }]))
+}
+
+/**
+ * Palette theme currently applied (null = built-in colors).
+ */
+let activePalette = null
+
+/**
+ * Palette (or function returning one) layered on top of activePalette (null = none).
+ */
+let activeOverlay = null
+
+/**
+ * CSS variables of the active palette, by theme name.
+ */
+let cssVariables = { day: {}, night: {} }
+
+/**
+ * CSS variables applyPaletteCss() set last (removed before setting new ones).
+ */
+let appliedCssVariables = []
+
+/**
+ * Validate a palette theme.
+ *
+ * @param {object} palette - Parsed palette theme
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ *
+ * @example
+ * const result = validatePaletteTheme(JSON.parse(text))
+ * if (!result.valid) {
+ *   console.error('Palette errors:', result.errors)
+ * }
+ */
+export function validatePaletteTheme(palette) {
+  const errors = []
+
+  if (!isPlainObject(palette)) {
+    return { valid: false, errors: ['❌ Palette theme must be a JSON object'] }
+  }
+  if (palette.name !== undefined && typeof palette.name !== 'string') {
+    errors.push('❌ name must be a string')
+  }
+
+  // Names gradients may refer to: built-in colors plus the file's own
+  const colorNames = new Set(Object.keys(GOOGLE_COLORS))
+  if (palette.colors !== undefined) {
+    if (!isPlainObject(palette.colors)) {
+      errors.push('❌ colors must be an object of name → color')
+    } else {
+      for (const [name, value] of Object.entries(palette.colors)) {
+        if (parseColor(value) === null) {
+          errors.push(`❌ colors.${name}: invalid color ${JSON.stringify(value)}`)
+        }
+        colorNames.add(name)
+      }
+    }
+  }
+
+  if (palette.gradients !== undefined) {
+    if (!isPlainObject(palette.gradients)) {
+      errors.push('❌ gradients must be an object of preset name → gradient')
+    } else {
+      for (const [key, gradient] of Object.entries(palette.gradients)) {
+        validateGradient(`gradients.${key}`, gradient, colorNames, errors)
+      }
+    }
+  }
+
+  if (palette.themes !== undefined) {
+    if (!isPlainObject(palette.themes)) {
+      errors.push('❌ themes must be an object with "day" and/or "night"')
+    } else {
+      for (const [name, theme] of Object.entries(palette.themes)) {
+        if (!THEME_NAMES.includes(name)) {
+          errors.push(`❌ themes.${name}: unknown theme (must be ${THEME_NAMES.join(' or ')})`)
+          continue
+        }
+        validateTheme(`themes.${name}`, theme, errors)
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors }
+}
+
+/**
+ * Apply a palette theme on top of the built-in colors.
+ *
+ * Replaces any previously applied palette (the overlay, if any, stays on
+ * top). Objects are updated in place: entities holding GRADIENT_PRESETS.PLAYER
+ * keep working and are recolored immediately.
+ *
+ * @param {object} palette - Parsed palette theme (see file header)
+ * @returns {object} The applied palette
+ * @throws {Error} If the palette is invalid (see validatePaletteTheme)
+ */
+export function applyPaletteTheme(palette) {
+  assertValidPalette(palette)
+  activePalette = palette
+  rebuildColors()
+  debugLog(`[PaletteTheme] Applied palette "${palette.name || 'unnamed'}"`)
+  return palette
+}
+
+/**
+ * Layer a palette on top of the applied palette theme (or the built-in
+ * colors), e.g. an accessibility profile. Use explicit colors rather than
+ * names that only the palette theme defines.
+ *
+ * @param {object|function|null} overlay - Palette in the palette theme format, a function
+ *   returning one (called on every rebuild, after the palette theme is applied), or null to remove it
+ * @throws {Error} If the overlay is invalid (see validatePaletteTheme)
+ *
+ * @example
+ * // Recolor every preset black, including ones the palette theme added
+ * setPaletteOverlay(() => ({
+ *   gradients: Object.fromEntries(Object.keys(GRADIENT_PRESETS).map(key => [key, { palette: ['#000000'] }]))
+ * }))
+ */
+export function setPaletteOverlay(overlay) {
+  if (overlay && typeof overlay !== 'function') {
+    assertValidPalette(overlay)
+  }
+  activeOverlay = overlay
+  rebuildColors()
+}
+
+/**
+ * Remove the palette theme: built-in colors plus the overlay, if any
+ * (in place, like applyPaletteTheme()).
+ */
+export function resetPaletteTheme() {
+  activePalette = null
+  rebuildColors()
+}
+
+/**
+ * Throw if a palette is invalid.
+ *
+ * @private
+ */
+function assertValidPalette(palette) {
+  const { valid, errors } = validatePaletteTheme(palette)
+  if (!valid) {
+    throw new Error(`[PaletteTheme] Invalid palette theme:\n${errors.join('\n')}`)
+  }
+}
+
+/**
+ * Restore the built-in colors, then apply the palette theme and the overlay.
+ *
+ * @private
+ */
+function rebuildColors() {
+  restoreDefaults()
+  cssVariables = { day: {}, night: {} }
+  if (activePalette) {
+    applyLayer(activePalette, cssVariables)
+  }
+  if (activeOverlay) {
+    const overlay = typeof activeOverlay === 'function' ? activeOverlay() : activeOverlay
+    assertValidPalette(overlay)
+    applyLayer(overlay, cssVariables)
+  }
+}
+
+/**
+ * Apply one palette to the color tables and collect its CSS variables.
+ *
+ * @private
+ */
+function applyLayer(palette, variables) {
+  for (const [name, value] of Object.entries(palette.colors || {})) {
+    const rgb = parseColor(value)
+    if (GOOGLE_COLORS[name]) {
+      // In place: preset palettes share these arrays
+      GOOGLE_COLORS[name].splice(0, 3, ...rgb)
+    } else {
+      GOOGLE_COLORS[name] = rgb
+    }
+    for (const theme of THEME_NAMES) {
+      variables[theme][`--google-${name.toLowerCase().replace(/_/g, '-')}`] = toHex(rgb)
+    }
+  }
+
+  for (const [key, gradient] of Object.entries(palette.gradients || {})) {
+    const colors = gradient.palette.map(value => GOOGLE_COLORS[value] || parseColor(value))
+    const preset = GRADIENT_PRESETS[key]
+    if (!preset) {
+      GRADIENT_PRESETS[key] = createCustomGradient(gradient.name ?? key, colors,
+        gradient.controlPoints, gradient.animationSpeed, gradient.perColumn)
+      continue
+    }
+    preset.palette.splice(0, preset.palette.length, ...colors)
+    for (const field of ['name', 'controlPoints', 'animationSpeed', 'perColumn']) {
+      if (gradient[field] !== undefined) {
+        preset[field] = gradient[field]
+      }
+    }
+  }
+
+  for (const [name, theme] of Object.entries(palette.themes || {})) {
+    const colors = THEME_COLORS[name.toUpperCase()]
+    for (const [field, variable] of Object.entries(THEME_CSS_VARIABLES)) {
+      if (theme[field] === undefined) continue
+      const rgb = parseColor(theme[field])
+      colors[field] = toHex(rgb)
+      variables[name][variable] = colors[field]
+      if (field === 'text') {
+        colors.textRgb = rgb
+      }
+    }
+    Object.assign(variables[name], theme.variables)
+  }
+}
+
+/**
+ * Restore the built-in colors in place.
+ *
+ * @private
+ */
+function restoreDefaults() {
+  for (const name of Object.keys(GOOGLE_COLORS)) {
+    if (DEFAULTS.colors[name]) {
+      GOOGLE_COLORS[name].splice(0, 3, ...DEFAULTS.colors[name])
+    } else {
+      delete GOOGLE_COLORS[name]
+    }
+  }
+
+  for (const key of Object.keys(GRADIENT_PRESETS)) {
+    const defaults = DEFAULTS.gradients[key]
+    if (!defaults) {
+      delete GRADIENT_PRESETS[key]
+      continue
+    }
+    const preset = GRADIENT_PRESETS[key]
+    Object.assign(preset, { ...defaults, palette: preset.palette })
+    // Built-in palettes reference GOOGLE_COLORS arrays: restore the same references
+    preset.palette.splice(0, preset.palette.length, ...defaults.palette)
+  }
+
+  for (const [key, defaults] of Object.entries(DEFAULTS.themes)) {
+    Object.assign(THEME_COLORS[key], { ...defaults, textRgb: defaults.textRgb.slice() })
+  }
+}
+
+/**
+ * Get the palette theme currently applied.
+ *
+ * @returns {object|null} Palette, or null when using built-in colors
+ */
+export function getActivePaletteTheme() {
+  return activePalette
+}
+
+/**
+ * Get the palette theme file to load at startup.
+ *
+ * @param {string} search - Query string (default: current window location)
+ * @returns {string|null} URL from ?palette=, else VISUAL_CONFIG.PALETTE_THEME_PATH
+ */
+export function getPaletteThemeUrl(search = typeof window !== 'undefined' ? window.location.search : '') {
+  const value = new URLSearchParams(search).get(PALETTE_URL_PARAM)
+  return value || VISUAL_CONFIG.PALETTE_THEME_PATH || null
+}
+
+/**
+ * Fetch and apply a palette theme file.
+ *
+ * @param {string} url - Palette theme JSON URL
+ * @returns {Promise<object>} The applied palette
+ * @throws {Error} If the file cannot be loaded, parsed or validated
+ */
+export async function loadPaletteTheme(url) {
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`[PaletteTheme] Failed to load ${url}: HTTP ${response.status}`)
+  }
+
+  let palette
+  try {
+    palette = await response.json()
+  } catch (error) {
+    throw new Error(`[PaletteTheme] Invalid JSON in ${url}: ${error.message}`)
+  }
+  return applyPaletteTheme(palette)
+}
+
+/**
+ * Load the startup palette theme (see getPaletteThemeUrl), if any.
+ * Errors are logged and the built-in colors kept, so a bad file never
+ * stops the installation or a game from starting.
+ *
+ * @param {string} search - Query string (default: current window location)
+ * @returns {Promise<object|null>} The applied palette, or null
+ *
+ * @example
+ * if (await loadStartupPaletteTheme()) {
+ *   themeManager.applyTheme(themeManager.getTheme())
+ * }
+ */
+export async function loadStartupPaletteTheme(search) {
+  const url = getPaletteThemeUrl(search)
+  if (!url) {
+    return null
+  }
+
+  try {
+    return await loadPaletteTheme(url)
+  } catch (error) {
+    debugError(`${error.message} - using built-in colors`)
+    return null
+  }
+}
+
+/**
+ * Get the CSS variables the active palette sets for a theme.
+ *
+ * @param {string} theme - 'day' or 'night'
+ * @returns {Object<string, string>} Variable name → value (empty for built-in colors)
+ */
+export function getPaletteCssVariables(theme) {
+  return { ...(cssVariables[theme] || {}) }
+}
+
+/**
+ * Set the active palette's CSS variables for a theme on an element
+ * (inline, so they override the day/night rules of index.html).
+ *
+ * @param {string} theme - 'day' or 'night'
+ * @param {HTMLElement} root - Element to style (default: document.documentElement)
+ */
+export function applyPaletteCss(theme, root = typeof document !== 'undefined' ? document.documentElement : null) {
+  if (!root) {
+    return // Skip in test environment
+  }
+
+  appliedCssVariables.forEach(name => root.style.removeProperty(name))
+  const variables = getPaletteCssVariables(theme)
+  for (const [name, value] of Object.entries(variables)) {
+    root.style.setProperty(name, value)
+  }
+  appliedCssVariables = Object.keys(variables)
+}
+
+/**
+ * Validate one gradient entry.
+ *
+ * @private
+ */
+function validateGradient(label, gradient, colorNames, errors) {
+  if (!isPlainObject(gradient)) {
+    errors.push(`❌ ${label} must be an object`)
+    return
+  }
+  if (!Array.isArray(gradient.palette) || gradient.palette.length === 0) {
+    errors.push(`❌ ${label}.palette must be a non-empty array of colors`)
+  } else {
+    gradient.palette.forEach((value, i) => {
+      if (!colorNames.has(value) && parseColor(value) === null) {
+        errors.push(`❌ ${label}.palette[${i}]: unknown color ${JSON.stringify(value)}`)
+      }
+    })
+  }
+  if (gradient.name !== undefined && typeof gradient.name !== 'string') {
+    errors.push(`❌ ${label}.name must be a string`)
+  }
+  if (gradient.controlPoints !== undefined && (!Number.isInteger(gradient.controlPoints) || gradient.controlPoints <= 0)) {
+    errors.push(`❌ ${label}.controlPoints must be an integer > 0`)
+  }
+  if (gradient.animationSpeed !== undefined && (typeof gradient.animationSpeed !== 'number' || gradient.animationSpeed < 0)) {
+    errors.push(`❌ ${label}.animationSpeed must be a number >= 0`)
+  }
+  if (gradient.perColumn !== undefined && typeof gradient.perColumn !== 'boolean') {
+    errors.push(`❌ ${label}.perColumn must be true or false`)
+  }
+}
+
+/**
+ * Validate one day/night theme entry.
+ *
+ * @private
+ */
+function validateTheme(label, theme, errors) {
+  if (!isPlainObject(theme)) {
+    errors.push(`❌ ${label} must be an object`)
+    return
+  }
+  for (const field of Object.keys(THEME_CSS_VARIABLES)) {
+    if (theme[field] !== undefined && parseColor(theme[field]) === null) {
+      errors.push(`❌ ${label}.${field}: invalid color ${JSON.stringify(theme[field])}`)
+    }
+  }
+  if (theme.variables !== undefined) {
+    if (!isPlainObject(theme.variables)) {
+      errors.push(`❌ ${label}.variables must be an object of CSS variable → value`)
+      return
+    }
+    for (const [name, value] of Object.entries(theme.variables)) {
+      if (!name.startsWith('--') || typeof value !== 'string') {
+        errors.push(`❌ ${label}.variables.${name}: must be a "--name": "value" CSS variable`)
+      }
+    }
+  }
+}
+
+/**
+ * Parse '#RRGGBB', '#RGB' or [r, g, b] (0-255) to an RGB array.
+ *
+ * @private
+ * @returns {number[]|null} RGB array, or null if not a color
+ */
+function parseColor(value) {
+  if (Array.isArray(value)) {
+    const valid = value.length === 3 && value.every(c => Number.isInteger(c) && c >= 0 && c <= 255)
+    return valid ? value.slice() : null
+  }
+  if (typeof value !== 'string') {
+    return null
+  }
+
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value)
+  if (!match) {
+    return null
+  }
+  const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1]
+  return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16))
+}
+
+/**
+ * Convert an RGB array to '#RRGGBB'.
+ *
+ * @private
+ */
+function toHex(rgb) {
+  return '#' + rgb.map(c => c.toString(16).padStart(2, '0')).join('').toUpperCase()
+}
+
+/**
+ * Copy a name → RGB table.
+ *
+ * @private
+ */
+function cloneColors(colors) {
+  return Object.fromEntries(Object.entries(colors).map(([name, rgb]) => [name, rgb.slice()]))
+}
+
+/**
+ * Check for a plain JSON object (not null or an array).
+ *
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
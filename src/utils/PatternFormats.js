@@ -0,0 +1,486 @@
+/**
+ * Pattern file formats: RLE, Plaintext (.cells) and Life 1.06.
+ *
+ * Parsers return patterns in the same row-major format as Patterns.js
+ * (pattern[row][col], 1 = alive, 0 = dead), ready for GoLEngine.setPattern().
+ * Serializers accept that format and produce text compatible with Golly and
+ * the LifeWiki pattern collection.
+ *
+ * Format references:
+ * - RLE:       https://conwaylife.com/wiki/Run_Length_Encoded
+ * - Plaintext: https://conwaylife.com/wiki/Plaintext
+ * - Life 1.06: https://conwaylife.com/wiki/Life_1.06
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { parseRule } from '../core/Rules.js'
+
+/**
+ * Supported pattern formats.
+ */
+export const PatternFormat = {
+  RLE: 'rle',
+  PLAINTEXT: 'cells',
+  LIFE_106: 'life106'
+}
+
+/**
+ * Maximum RLE line length (Golly and LifeWiki use 70).
+ */
+const RLE_LINE_LENGTH = 70
+
+// ============================================
+// RLE
+// ============================================
+
+/**
+ * Parse a Run Length Encoded pattern.
+ *
+ * @param {string} text - RLE file contents
+ * @returns {{pattern: number[][], width: number, height: number, rule: string|null,
+ *   name: string|null, author: string|null, comments: string[]}} Parsed pattern
+ * @throws {Error} If the header or body is malformed
+ *
+ * @example
+ * const { pattern } = parseRLE('x = 3, y = 3\nbo$2bo$3o!')
+ * engine.setPattern(pattern, 10, 10)  // Glider
+ */
+export function parseRLE(text) {
+  const result = { pattern: [], width: 0, height: 0, rule: null, name: null, author: null, comments: [] }
+  const lines = text.split(/\r?\n/)
+  let headerFound = false
+  let body = ''
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim()
+    if (line === '') continue
+
+    if (line.startsWith('#')) {
+      parseRLEComment(line, result)
+    } else if (!headerFound && /^x\s*=/i.test(line)) {
+      parseRLEHeader(line, result)
+      headerFound = true
+    } else {
+      body += line
+      if (line.includes('!')) break
+    }
+  }
+
+  if (!headerFound) {
+    throw new Error('[PatternFormats] RLE header "x = ..., y = ..." not found')
+  }
+
+  // Decode body into rows of live column indices
+  const rows = [[]]
+  let run = ''
+  let col = 0
+  for (const char of body) {
+    if (char >= '0' && char <= '9') {
+      run += char
+      continue
+    }
+    const count = run === '' ? 1 : parseInt(run, 10)
+    run = ''
+
+    if (char === '!') {
+      break
+    } else if (char === '$') {
+      for (let i = 0; i < count; i++) rows.push([])
+      col = 0
+    } else if (char === 'b' || char === '.') {
+      col += count
+    } else if (/[a-zA-Z]/.test(char)) {
+      // 'o' (and multi-state letters) are alive
+      const row = rows[rows.length - 1]
+      for (let i = 0; i < count; i++) row.push(col++)
+    } else if (!/\s/.test(char)) {
+      throw new Error(`[PatternFormats] Invalid RLE character "${char}"`)
+    }
+  }
+
+  const bodyWidth = Math.max(0, ...rows.map(row => (row.length ? row[row.length - 1] + 1 : 0)))
+  const width = Math.max(result.width, bodyWidth)
+  const height = Math.max(result.height, rows.length)
+
+  result.pattern = createEmptyPattern(width, height)
+  rows.forEach((liveCols, y) => {
+    liveCols.forEach(x => { result.pattern[y][x] = 1 })
+  })
+  result.width = width
+  result.height = height
+  return result
+}
+
+/**
+ * Serialize a pattern as RLE.
+ *
+ * @param {number[][]} pattern - Row-major pattern
+ * @param {object} options - Optional metadata
+ * @param {string} options.rule - Rulestring for the header (default: omitted)
+ * @param {string} options.name - Pattern name (#N line)
+ * @param {string} options.author - Author (#O line)
+ * @param {string[]} options.comments - Comment lines (#C lines)
+ * @returns {string} RLE text
+ *
+ * @example
+ * toRLE(Patterns.GLIDER, { name: 'Glider', rule: 'B3/S23' })
+ * // '#N Glider\nx = 3, y = 3, rule = B3/S23\nbo$2bo$3o!\n'
+ */
+export function toRLE(pattern, options = {}) {
+  const { width, height } = getPatternSize(pattern)
+  const lines = []
+
+  if (options.name) lines.push(`#N ${options.name}`)
+  if (options.author) lines.push(`#O ${options.author}`)
+  for (const comment of options.comments || []) lines.push(`#C ${comment}`)
+
+  let header = `x = ${width}, y = ${height}`
+  if (options.rule) header += `, rule = ${options.rule}`
+  lines.push(header)
+
+  // Encode rows, merging trailing dead cells and empty rows
+  const tokens = []
+  let pendingRows = 0
+  for (let y = 0; y < height; y++) {
+    const rowTokens = encodeRLERow(pattern[y] || [], width)
+    if (rowTokens.length === 0) {
+      pendingRows++
+      continue
+    }
+    if (tokens.length > 0) {
+      tokens.push(runToken(pendingRows + 1, '$'))
+    } else if (pendingRows > 0) {
+      tokens.push(runToken(pendingRows, '$'))  // Leading empty rows
+    }
+    pendingRows = 0
+    tokens.push(...rowTokens)
+  }
+  tokens.push('!')
+
+  // Wrap at RLE_LINE_LENGTH without splitting tokens
+  let line = ''
+  for (const token of tokens) {
+    if (line.length + token.length > RLE_LINE_LENGTH) {
+      lines.push(line)
+      line = ''
+    }
+    line += token
+  }
+  lines.push(line)
+
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Read a #-prefixed RLE comment line into the result.
+ *
+ * @private
+ */
+function parseRLEComment(line, result) {
+  const tag = line.charAt(1)
+  const content = line.slice(2).trim()
+  if (tag === 'N') {
+    result.name = content
+  } else if (tag === 'O') {
+    result.author = content
+  } else if (tag === 'r') {
+    result.rule = normalizeRule(content)
+  } else if (tag === 'C' || tag === 'c') {
+    result.comments.push(content)
+  }
+}
+
+/**
+ * Read the "x = m, y = n, rule = ..." header into the result.
+ *
+ * @private
+ */
+function parseRLEHeader(line, result) {
+  for (const part of line.split(',')) {
+    const [key, ...rest] = part.split('=')
+    const value = rest.join('=').trim()
+    switch (key.trim().toLowerCase()) {
+      case 'x':
+        result.width = parseInt(value, 10) || 0
+        break
+      case 'y':
+        result.height = parseInt(value, 10) || 0
+        break
+      case 'rule':
+        result.rule = normalizeRule(value)
+        break
+    }
+  }
+}
+
+/**
+ * Run-length encode one row (trailing dead cells omitted).
+ *
+ * @private
+ */
+function encodeRLERow(row, width) {
+  const tokens = []
+  let lastAlive = -1
+  for (let x = 0; x < width; x++) {
+    if (row[x]) lastAlive = x
+  }
+
+  let x = 0
+  while (x <= lastAlive) {
+    const alive = !!row[x]
+    let count = 1
+    while (x + count <= lastAlive && !!row[x + count] === alive) count++
+    tokens.push(runToken(count, alive ? 'o' : 'b'))
+    x += count
+  }
+  return tokens
+}
+
+/**
+ * Format one RLE run ("3o", "b", "2$").
+ *
+ * @private
+ */
+function runToken(count, tag) {
+  return count === 1 ? tag : `${count}${tag}`
+}
+
+/**
+ * Canonicalize a rulestring if it is Life-like, otherwise keep it as written.
+ *
+ * @private
+ */
+function normalizeRule(rule) {
+  try {
+    return parseRule(rule).rulestring
+  } catch (error) {
+    return rule
+  }
+}
+
+// ============================================
+// PLAINTEXT (.cells)
+// ============================================
+
+/**
+ * Parse a Plaintext (.cells) pattern.
+ *
+ * @param {string} text - .cells file contents
+ * @returns {{pattern: number[][], width: number, height: number,
+ *   name: string|null, comments: string[]}} Parsed pattern
+ * @throws {Error} If a row contains characters other than '.', 'O' or '*'
+ *
+ * @example
+ * const { pattern } = parseCells('!Name: Blinker\nOOO')
+ */
+export function parseCells(text) {
+  const result = { pattern: [], width: 0, height: 0, name: null, comments: [] }
+  const rows = []
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/\s+$/, '')
+    if (line.startsWith('!')) {
+      const content = line.slice(1).trim()
+      const nameMatch = content.match(/^Name:\s*(.*)$/i)
+      if (nameMatch) {
+        result.name = nameMatch[1]
+      } else {
+        result.comments.push(content)
+      }
+      continue
+    }
+
+    const row = []
+    for (const char of line) {
+      if (char === 'O' || char === '*') {
+        row.push(1)
+      } else if (char === '.') {
+        row.push(0)
+      } else {
+        throw new Error(`[PatternFormats] Invalid .cells character "${char}"`)
+      }
+    }
+    rows.push(row)
+  }
+
+  // Trailing blank lines are file padding, not pattern rows
+  while (rows.length > 0 && rows[rows.length - 1].length === 0) rows.pop()
+
+  result.width = Math.max(0, ...rows.map(row => row.length))
+  result.height = rows.length
+  result.pattern = rows.map(row => [...row, ...new Array(result.width - row.length).fill(0)])
+  return result
+}
+
+/**
+ * Serialize a pattern as Plaintext (.cells).
+ *
+ * @param {number[][]} pattern - Row-major pattern
+ * @param {object} options - Optional metadata
+ * @param {string} options.name - Pattern name (!Name: line)
+ * @param {string[]} options.comments - Comment lines
+ * @returns {string} .cells text
+ */
+export function toCells(pattern, options = {}) {
+  const { width, height } = getPatternSize(pattern)
+  const lines = []
+
+  if (options.name) lines.push(`!Name: ${options.name}`)
+  for (const comment of options.comments || []) lines.push(`!${comment}`)
+
+  for (let y = 0; y < height; y++) {
+    let line = ''
+    for (let x = 0; x < width; x++) {
+      line += pattern[y][x] ? 'O' : '.'
+    }
+    lines.push(line)
+  }
+
+  return lines.join('\n') + '\n'
+}
+
+// ============================================
+// LIFE 1.06
+// ============================================
+
+/**
+ * Parse a Life 1.06 pattern (one "x y" coordinate pair per live cell).
+ * Coordinates are shifted so the bounding box starts at (0, 0).
+ *
+ * @param {string} text - Life 1.06 file contents
+ * @returns {{pattern: number[][], width: number, height: number,
+ *   offsetX: number, offsetY: number}} Parsed pattern and original top-left coordinate
+ * @throws {Error} If a line is not a coordinate pair
+ */
+export function parseLife106(text) {
+  const cells = []
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim()
+    if (line === '' || line.startsWith('#')) continue
+
+    const match = line.match(/^(-?\d+)\s+(-?\d+)$/)
+    if (!match) {
+      throw new Error(`[PatternFormats] Invalid Life 1.06 line "${line}"`)
+    }
+    cells.push([parseInt(match[1], 10), parseInt(match[2], 10)])
+  }
+
+  if (cells.length === 0) {
+    return { pattern: [], width: 0, height: 0, offsetX: 0, offsetY: 0 }
+  }
+
+  let offsetX = Infinity
+  let offsetY = Infinity
+  let maxX = -Infinity
+  let maxY = -Infinity
+  for (const [x, y] of cells) {
+    offsetX = Math.min(offsetX, x)
+    offsetY = Math.min(offsetY, y)
+    maxX = Math.max(maxX, x)
+    maxY = Math.max(maxY, y)
+  }
+  const width = maxX - offsetX + 1
+  const height = maxY - offsetY + 1
+
+  const pattern = createEmptyPattern(width, height)
+  for (const [x, y] of cells) {
+    pattern[y - offsetY][x - offsetX] = 1
+  }
+  return { pattern, width, height, offsetX, offsetY }
+}
+
+/**
+ * Serialize a pattern as Life 1.06.
+ *
+ * @param {number[][]} pattern - Row-major pattern
+ * @param {number} offsetX - Added to every x coordinate (default: 0)
+ * @param {number} offsetY - Added to every y coordinate (default: 0)
+ * @returns {string} Life 1.06 text
+ */
+export function toLife106(pattern, offsetX = 0, offsetY = 0) {
+  const lines = ['#Life 1.06']
+  pattern.forEach((row, y) => {
+    row.forEach((cell, x) => {
+      if (cell) lines.push(`${x + offsetX} ${y + offsetY}`)
+    })
+  })
+  return lines.join('\n') + '\n'
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Detect the format of pattern text.
+ *
+ * @param {string} text - Pattern file contents
+ * @returns {string} PatternFormat value
+ */
+export function detectPatternFormat(text) {
+  if (/^#Life 1\.06/m.test(text)) return PatternFormat.LIFE_106
+  if (/^\s*x\s*=/m.test(text)) return PatternFormat.RLE
+  return PatternFormat.PLAINTEXT
+}
+
+/**
+ * Parse pattern text in any supported format.
+ *
+ * @param {string} text - RLE, .cells or Life 1.06 contents
+ * @returns {number[][]} Row-major pattern
+ *
+ * @example
+ * engine.setPattern(parsePattern(rleText), 20, 30)
+ */
+export function parsePattern(text) {
+  switch (detectPatternFormat(text)) {
+    case PatternFormat.LIFE_106:
+      return parseLife106(text).pattern
+    case PatternFormat.RLE:
+      return parseRLE(text).pattern
+    default:
+      return parseCells(text).pattern
+  }
+}
+
+/**
+ * Convert a column-major engine grid (grid[x][y]) to a row-major pattern.
+ *
+ * @param {Array<ArrayLike<number>>} grid - Engine grid
+ * @param {number} cols - Number of columns
+ * @param {number} rows - Number of rows
+ * @returns {number[][]} Row-major pattern (pattern[row][col])
+ */
+export function gridToPattern(grid, cols, rows) {
+  const pattern = createEmptyPattern(cols, rows)
+  for (let x = 0; x < cols; x++) {
+    for (let y = 0; y < rows; y++) {
+      pattern[y][x] = grid[x][y] ? 1 : 0
+    }
+  }
+  return pattern
+}
+
+/**
+ * Create a row-major pattern of dead cells.
+ *
+ * @private
+ */
+function createEmptyPattern(width, height) {
+  return Array.from({ length: height }, () => new Array(width).fill(0))
+}
+
+/**
+ * Get width/height of a row-major pattern (width = longest row).
+ *
+ * @private
+ */
+function getPatternSize(pattern) {
+  return {
+    width: Math.max(0, ...pattern.map(row => row.length)),
+    height: pattern.length
+  }
+}
@@ -15,6 +15,9 @@
  * - Array of patterns: Random selection from set
  * - Static mode: Frozen at specific phase
  * - Loop mode: Animated with periodic reset
+ * - Interpolated mode: Loop mode with cells fading/scaling between phases
+ * - Sprite phases: every phase is captured once per pattern (gol.spritePhases),
+ *   so renderers can draw pre-rendered sprites (see PatternSpriteCache.js)
  *
  * @module PatternRenderer
  * @author Game of Life Arcade
@@ -22,8 +25,9 @@
  */
 
 import { GoLEngine } from '../core/GoLEngine.js'
-import { Patterns } from './Patterns.js'
+import { Patterns, PatternCatalog, PatternCategory } from './Patterns.js'
 import { debugLog, debugWarn } from './Logger.js'
+import { randomInt, randomChoice } from './Random.js'
 
 // ============================================
 // ENUMS AND CONSTANTS
@@ -33,102 +37,55 @@ import { debugLog, debugWarn } from './Logger.js'
  * Render modes for Pure GoL patterns.
  */
 export const RenderMode = {
-  STATIC: 'static',      // Frozen at specific phase
-  LOOP: 'loop'           // Animated with periodic reset
+  STATIC: 'static',             // Frozen at specific phase
+  LOOP: 'loop',                 // Animated with periodic reset
+  INTERPOLATED: 'interpolated'  // Loop with smooth transitions between phases
 }
 
 /**
- * Canonical GoL pattern names (from LifeWiki).
- * All patterns authenticated from https://conwaylife.com/wiki/
+ * How cells enter and leave in RenderMode.INTERPOLATED.
  */
-export const PatternName = {
-  // Still Lifes (stable, period 1)
-  BLOCK: 'BLOCK',
-  BEEHIVE: 'BEEHIVE',
-  LOAF: 'LOAF',
-  BOAT: 'BOAT',
-  TUB: 'TUB',
-  POND: 'POND',
-  SHIP: 'SHIP',
-
-  // Oscillators (period 2)
-  BLINKER: 'BLINKER',
-  TOAD: 'TOAD',
-  BEACON: 'BEACON',
-
-  // Oscillators (period 3)
-  PULSAR: 'PULSAR',
-
-  // Spaceships
-  GLIDER: 'GLIDER',
-  LIGHTWEIGHT_SPACESHIP: 'LIGHTWEIGHT_SPACESHIP',
-  COPPERHEAD: 'COPPERHEAD',
-  DRAGON: 'DRAGON',
-  DRAGON_VERTICAL: 'DRAGON_VERTICAL'
+export const PhaseTransition = {
+  FADE: 'fade',    // Born cells fade in, dying cells fade out
+  SCALE: 'scale'   // Born cells grow from the center, dying cells shrink
 }
 
 /**
- * Pattern periods (generations per cycle).
- * Still lifes have period 1 (stable, never change).
- * Oscillators/spaceships have period > 1.
+ * Canonical GoL pattern names (from LifeWiki), derived from PatternCatalog.
+ * All patterns authenticated from https://conwaylife.com/wiki/
+ *
+ * @example
+ * PatternName.GOSPER_GLIDER_GUN  // 'GOSPER_GLIDER_GUN'
  */
-export const PatternPeriod = {
-  // Still Lifes
-  BLOCK: 1,
-  BEEHIVE: 1,
-  LOAF: 1,
-  BOAT: 1,
-  TUB: 1,
-  POND: 1,
-  SHIP: 1,
-
-  // Oscillators
-  BLINKER: 2,
-  TOAD: 2,
-  BEACON: 2,
-  PULSAR: 3,
-
-  // Spaceships
-  GLIDER: 4,
-  LIGHTWEIGHT_SPACESHIP: 4,
-  COPPERHEAD: 10,
-  DRAGON: 6,
-  DRAGON_VERTICAL: 6
-}
+export const PatternName = Object.fromEntries(
+  Object.keys(PatternCatalog).map(name => [name, name])
+)
 
 /**
- * Pattern categories for filtering and organization.
+ * Pattern periods (generations per cycle), derived from PatternCatalog.
+ * Still lifes have period 1 (stable, never change).
+ * Oscillators/spaceships have period > 1.
+ * Methuselahs have no period and are not listed.
  */
-export const PatternCategory = {
-  STILL_LIFE: 'still-life',
-  OSCILLATOR: 'oscillator',
-  SPACESHIP: 'spaceship'
-}
+export const PatternPeriod = Object.fromEntries(
+  Object.entries(PatternCatalog)
+    .filter(([_, entry]) => entry.period)
+    .map(([name, entry]) => [name, entry.period])
+)
+
+// Categories live with the catalog (re-exported for existing imports)
+export { PatternCategory }
 
 /**
- * Pattern metadata (category, size classification).
+ * Pattern metadata (category, size classification), from PatternCatalog.
  * Used for smart filtering and display.
  */
-export const PatternMetadata = {
-  BLOCK: { category: PatternCategory.STILL_LIFE, size: 'tiny' },
-  BEEHIVE: { category: PatternCategory.STILL_LIFE, size: 'small' },
-  LOAF: { category: PatternCategory.STILL_LIFE, size: 'small' },
-  BOAT: { category: PatternCategory.STILL_LIFE, size: 'small' },
-  TUB: { category: PatternCategory.STILL_LIFE, size: 'small' },
-  POND: { category: PatternCategory.STILL_LIFE, size: 'small' },
-  SHIP: { category: PatternCategory.STILL_LIFE, size: 'small' },
-
-  BLINKER: { category: PatternCategory.OSCILLATOR, size: 'small' },
-  TOAD: { category: PatternCategory.OSCILLATOR, size: 'small' },
-  BEACON: { category: PatternCategory.OSCILLATOR, size: 'small' },
-  PULSAR: { category: PatternCategory.OSCILLATOR, size: 'large' },
-
-  GLIDER: { category: PatternCategory.SPACESHIP, size: 'small' },
-  LIGHTWEIGHT_SPACESHIP: { category: PatternCategory.SPACESHIP, size: 'medium' },
-  COPPERHEAD: { category: PatternCategory.SPACESHIP, size: 'medium' },
-  DRAGON: { category: PatternCategory.SPACESHIP, size: 'large' },
-  DRAGON_VERTICAL: { category: PatternCategory.SPACESHIP, size: 'large' }
-}
+export const PatternMetadata = Object.fromEntries(
+  Object.entries(PatternCatalog).map(([name, entry]) => [name, {
+    category: entry.category,
+    size: entry.size
+  }])
+)
 
 // ============================================
 // MAIN API
@@ -142,9 +99,10 @@ export const PatternMetadata = {
  * - Array of patterns: Random selection from set
  * - Static mode: Frozen at specific phase
  * - Loop mode: Animated with periodic reset
+ * - Interpolated mode: Loop mode, drawn with smooth transitions between phases
  *
  * @param {Object} config - Configuration object
- * @param {string} config.mode - Render mode (RenderMode.STATIC | RenderMode.LOOP)
+ * @param {string} config.mode - Render mode (RenderMode.STATIC | RenderMode.LOOP | RenderMode.INTERPOLATED)
  * @param {string|string[]} config.pattern - Pattern name(s) (PatternName enum)
  *   - Single: 'BLINKER' → always BLINKER
  *   - Array: ['BLINKER', 'TOAD'] → random choice
@@ -152,7 +110,8 @@ export const PatternMetadata = {
  *   - If omitted: random phase
  *   - If array patterns: each pick gets random phase
  * @param {number} [config.globalCellSize=30] - Cell size in pixels
- * @param {number} [config.loopUpdateRate=10] - Update rate for LOOP mode (fps)
+ * @param {number} [config.loopUpdateRate=10] - Update rate for LOOP/INTERPOLATED mode (fps)
+ * @param {string} [config.transition='fade'] - PhaseTransition for INTERPOLATED mode
  *
  * @returns {Object} Renderer object
  *   {
@@ -207,6 +166,14 @@ export const PatternMetadata = {
  *   globalCellSize: 30,
  *   loopUpdateRate: 10
  * })
+ *
+ * @example
+ * // Smooth PULSAR (cells grow and shrink between phases)
+ * const boss = createPatternRenderer({
+ *   mode: RenderMode.INTERPOLATED,
+ *   pattern: PatternName.PULSAR,
+ *   transition: PhaseTransition.SCALE
+ * })
  */
 export function createPatternRenderer(config) {
   // 1. Validate config
@@ -214,11 +181,11 @@ export function createPatternRenderer(config) {
 
   // 2. Select pattern (if array, pick random)
   const patternName = Array.isArray(config.pattern)
-    ? config.pattern[Math.floor(Math.random() * config.pattern.length)]
+    ? randomChoice(config.pattern)
     : config.pattern
 
   // 3. Get pattern period
-  const period = PatternPeriod[patternName] || 1
+  const period = getPatternPeriod(patternName)
 
   // 4. Determine phase
   let phase = 0
@@ -227,7 +194,7 @@ export function createPatternRenderer(config) {
       phase = Math.max(0, Math.min(period - 1, config.phase))
     } else {
       // Random phase if not specified
-      phase = Math.floor(Math.random() * period)
+      phase = randomInt(0, period)
     }
   }
 
@@ -236,6 +203,9 @@ export function createPatternRenderer(config) {
     return createStaticRenderer(patternName, phase, config.globalCellSize || 30)
   } else if (config.mode === RenderMode.LOOP) {
     return createLoopRenderer(patternName, config.globalCellSize || 30, config.loopUpdateRate || 10)
+  } else if (config.mode === RenderMode.INTERPOLATED) {
+    return createLoopRenderer(patternName, config.globalCellSize || 30, config.loopUpdateRate || 10,
+      config.transition || PhaseTransition.FADE)
   }
 
   throw new Error(`[PatternRenderer] Invalid render mode: ${config.mode}`)
@@ -312,6 +282,7 @@ function createStaticRenderer(patternName, phase, globalCellSize) {
 
   // 9. Freeze (no further evolution)
   gol.freeze()
+  attachSpritePhases(gol, `${patternName}|static|${phase}`, () => [Uint8Array.from(gol.getCells())])
 
   // 10. Calculate dimensions
   const dimensions = {
@@ -323,12 +294,12 @@ function createStaticRenderer(patternName, phase, globalCellSize) {
   }
 
   // 11. Metadata
-  const period = PatternPeriod[patternName] || 1
+  const period = getPatternPeriod(patternName)
   const metadata = {
     pattern: patternName,
     phase: phase,
     period: period,
-    category: PatternMetadata[patternName]?.category || 'unknown',
+    category: getPatternCategory(patternName),
     mode: RenderMode.STATIC
   }
 
@@ -346,20 +317,22 @@ function createStaticRenderer(patternName, phase, globalCellSize) {
  * 3. Mark as loop pattern (isLoopPattern flag for LoopPatternHelpers)
  * 4. Configure periodic reset metadata
  * 5. Unfreeze (allow continuous B3/S23 evolution)
+ * 6. Interpolated mode: mark the transition (gol.phaseTransition) for the renderers
  *
  * @private
  * @param {string} patternName - Pattern name
  * @param {number} globalCellSize - Cell size in pixels
  * @param {number} loopUpdateRate - Update rate (fps)
+ * @param {string|null} transition - PhaseTransition for interpolated mode (default: null = plain loop)
  * @returns {Object} Renderer object
  */
-function createLoopRenderer(patternName, globalCellSize, loopUpdateRate) {
+function createLoopRenderer(patternName, globalCellSize, loopUpdateRate, transition = null) {
   const pattern = Patterns[patternName]
   if (!pattern) {
     throw new Error(`[PatternRenderer] Unknown pattern: ${patternName}`)
   }
 
-  const period = PatternPeriod[patternName] || 1
+  const period = getPatternPeriod(patternName)
   if (period === 1) {
     debugWarn(`[PatternRenderer] Pattern ${patternName} is a still life (period 1), loop mode will show no animation`)
   }
@@ -392,6 +365,10 @@ function createLoopRenderer(patternName, globalCellSize, loopUpdateRate) {
 
   // 6. Unfreeze (allow continuous evolution)
   gol.unfreeze()
+  attachSpritePhases(gol, `${patternName}|loop`, () => captureLoopPhases(gol, period))
+  if (transition) {
+    gol.phaseTransition = transition
+  }
 
   // 7. Calculate dimensions
   const dimensions = {
@@ -407,15 +384,114 @@ function createLoopRenderer(patternName, globalCellSize, loopUpdateRate) {
     pattern: patternName,
     phase: null,  // N/A for loop mode
     period: period,
-    category: PatternMetadata[patternName]?.category || 'unknown',
-    mode: RenderMode.LOOP
+    category: getPatternCategory(patternName),
+    mode: transition ? RenderMode.INTERPOLATED : RenderMode.LOOP,
+    transition: transition
   }
 
-  debugLog(`[PatternRenderer] Loop: ${patternName} period ${period}, ${dimensions.width}×${dimensions.height}px, ${loopUpdateRate}fps`)
+  debugLog(`[PatternRenderer] ${transition ? `Interpolated (${transition})` : 'Loop'}: ${patternName} period ${period}, ${dimensions.width}×${dimensions.height}px, ${loopUpdateRate}fps`)
 
   return { gol, dimensions, metadata }
 }
 
+// ============================================
+// SPRITE PHASES
+// ============================================
+
+/**
+ * Captured phases by sprite key (shared by every entity of the same pattern).
+ */
+const spritePhaseCache = new Map()
+
+/**
+ * Attach the captured phases of a pattern to its engine.
+ * Sets gol.spriteKey and gol.spritePhases (flat column-major cells per phase).
+ *
+ * @private
+ * @param {GoLEngine} gol - Entity engine
+ * @param {string} key - Pattern, mode and phase (same key = same cells)
+ * @param {function(): Uint8Array[]} capture - Computes the phases on a cache miss
+ */
+function attachSpritePhases(gol, key, capture) {
+  if (!spritePhaseCache.has(key)) {
+    spritePhaseCache.set(key, capture())
+  }
+  gol.spriteKey = key
+  gol.spritePhases = spritePhaseCache.get(key)
+}
+
+/**
+ * Simulate one full period of a loop pattern on a scratch engine.
+ *
+ * @private
+ * @param {GoLEngine} gol - Loop engine with the pattern at its reset position
+ * @param {number} period - Pattern period
+ * @returns {Uint8Array[]} Cells of phases 0 to period-1
+ */
+function captureLoopPhases(gol, period) {
+  const scratch = new GoLEngine(gol.cols, gol.rows, 0)
+  scratch.setCells(gol.getCells())
+
+  const phases = []
+  for (let i = 0; i < period; i++) {
+    phases.push(Uint8Array.from(scratch.getCells()))
+    scratch.update()
+  }
+  return phases
+}
+
+/**
+ * Get the phase a pattern engine is showing, as an index into gol.spritePhases.
+ *
+ * Loop patterns restart from phase 0 with a fresh generation count on every
+ * reset (LoopPatternHelpers clears the grid), so the phase is the generation
+ * modulo the period. Static patterns always show their single captured phase.
+ *
+ * The captured phases assume the game does not edit the engine's cells
+ * (setCell, GoLHelpers); such entities should be drawn cell by cell.
+ *
+ * @param {GoLEngine} gol - Engine from createPatternRenderer()
+ * @returns {number} Phase index, or -1 if the engine has no captured phases
+ *
+ * @example
+ * const renderer = createPatternRenderer({ mode: RenderMode.LOOP, pattern: PatternName.PULSAR })
+ * getSpritePhase(renderer.gol)  // 0
+ * renderer.gol.update()
+ * getSpritePhase(renderer.gol)  // 1
+ */
+export function getSpritePhase(gol) {
+  if (!gol.spritePhases) return -1
+  return (gol.generation || 0) % gol.spritePhases.length
+}
+
+/**
+ * Get the two phases an interpolated engine is between, and how far along it is.
+ *
+ * The engine shows `from` right after a generation and reaches `to` just as
+ * the next generation happens (engine.getUpdateProgress()), so the drawn
+ * cells never lag behind the simulated ones.
+ *
+ * @param {GoLEngine} gol - Engine from createPatternRenderer() with RenderMode.INTERPOLATED
+ * @returns {{from: Uint8Array, to: Uint8Array, t: number, transition: string}|null}
+ *   Column-major cells of the current and next phase, progress (0-1) and
+ *   PhaseTransition; null if the engine is not interpolated
+ *
+ * @example
+ * const blend = getPhaseBlend(boss.gol)
+ * // { from: Uint8Array, to: Uint8Array, t: 0.4, transition: 'scale' }
+ */
+export function getPhaseBlend(gol) {
+  if (!gol.phaseTransition || !gol.spritePhases) return null
+
+  const phase = getSpritePhase(gol)
+  return {
+    from: gol.spritePhases[phase],
+    to: gol.spritePhases[(phase + 1) % gol.spritePhases.length],
+    t: typeof gol.getUpdateProgress === 'function' ? gol.getUpdateProgress() : 0,
+    transition: gol.phaseTransition
+  }
+}
+
 // ============================================
 // VALIDATION
 // ============================================
@@ -432,8 +508,8 @@ function validateConfig(config) {
     throw new Error('[PatternRenderer] config.mode is required')
   }
 
-  if (config.mode !== RenderMode.STATIC && config.mode !== RenderMode.LOOP) {
-    throw new Error(`[PatternRenderer] Invalid mode: ${config.mode}. Must be RenderMode.STATIC or RenderMode.LOOP`)
+  if (!Object.values(RenderMode).includes(config.mode)) {
+    throw new Error(`[PatternRenderer] Invalid mode: ${config.mode}. Must be RenderMode.STATIC, RenderMode.LOOP or RenderMode.INTERPOLATED`)
   }
 
   if (!config.pattern) {
@@ -460,6 +536,10 @@ function validateConfig(config) {
     }
   }
 
+  if (config.transition !== undefined && !Object.values(PhaseTransition).includes(config.transition)) {
+    throw new Error(`[PatternRenderer] Invalid transition: ${config.transition}. Must be PhaseTransition.FADE or PhaseTransition.SCALE`)
+  }
+
   if (config.loopUpdateRate !== undefined) {
     if (typeof config.loopUpdateRate !== 'number' || config.loopUpdateRate < 0) {
       throw new Error('[PatternRenderer] config.loopUpdateRate must be a number >= 0')
@@ -517,7 +597,7 @@ export function getPatternDimensions(patternName, globalCellSize = 30) {
  * supportsLoopMode(PatternName.BLOCK)    // false (still life)
  */
 export function supportsLoopMode(patternName) {
-  return (PatternPeriod[patternName] || 1) > 1
+  return getPatternPeriod(patternName) > 1
 }
 
 /**
@@ -532,7 +612,57 @@ export function supportsLoopMode(patternName) {
  * getPatternPeriod(PatternName.BLOCK)    // 1
  */
 export function getPatternPeriod(patternName) {
-  return PatternPeriod[patternName] || 1
+  const entry = PatternCatalog[patternName]
+  if (!entry || entry.period === undefined) {
+    return detectPatternPeriod(patternName)
+  }
+  // Methuselahs have no period: treat them as a single phase
+  return entry.period || 1
+}
+
+/**
+ * Longest period searched for when a pattern has no PatternPeriod entry.
+ */
+const MAX_DETECTED_PERIOD = 30
+
+/**
+ * Periods found by detectPatternPeriod() (cache, patterns never change).
+ */
+const detectedPeriods = {}
+
+/**
+ * Detect a pattern's period by simulating it (GoLEngine.detectCycle).
+ * Used by getPatternPeriod() for patterns without a catalog period.
+ *
+ * @param {string} patternName - Pattern name (key of Patterns)
+ * @returns {number} Period (1 for still lifes or if no cycle is found)
+ *
+ * @example
+ * detectPatternPeriod('GLIDER')  // 4
+ */
+export function detectPatternPeriod(patternName) {
+  if (detectedPeriods[patternName] === undefined) {
+    const pattern = Patterns[patternName]
+    let period = 1
+
+    if (pattern) {
+      // Margin leaves room for spaceships to travel while the cycle is found
+      const margin = MAX_DETECTED_PERIOD
+      const width = pattern[0] ? pattern[0].length : 0
+      const engine = new GoLEngine(width + margin * 2, pattern.length + margin * 2)
+      engine.setPattern(pattern, margin, margin)
+
+      const cycle = engine.detectCycle(MAX_DETECTED_PERIOD)
+      if (cycle) {
+        period = cycle.period
+      } else {
+        debugWarn(`[PatternRenderer] No cycle found for ${patternName} within ${MAX_DETECTED_PERIOD} generations`)
+      }
+    }
+
+    detectedPeriods[patternName] = period
+  }
+  return detectedPeriods[patternName]
 }
 
 /**
@@ -543,11 +673,11 @@ export function getPatternPeriod(patternName) {
  *
  * @example
  * const oscillators = getPatternsByCategory(PatternCategory.OSCILLATOR)
- * // ['BLINKER', 'TOAD', 'BEACON', 'PULSAR']
+ * // ['BLINKER', 'TOAD', 'BEACON', 'PULSAR', 'PENTADECATHLON']
  */
 export function getPatternsByCategory(category) {
-  return Object.entries(PatternMetadata)
-    .filter(([_, meta]) => meta.category === category)
+  return Object.entries(PatternCatalog)
+    .filter(([_, entry]) => entry.category === category)
     .map(([name, _]) => name)
 }
 
@@ -559,14 +689,14 @@ export function getPatternsByCategory(category) {
  *
  * @example
  * const randomOscillator = getRandomPattern(PatternCategory.OSCILLATOR)
- * // Returns: 'BLINKER' | 'TOAD' | 'BEACON' | 'PULSAR'
+ * // Returns: 'BLINKER' | 'TOAD' | 'BEACON' | 'PULSAR' | 'PENTADECATHLON'
  */
 export function getRandomPattern(category) {
   const patterns = getPatternsByCategory(category)
   if (patterns.length === 0) {
     throw new Error(`[PatternRenderer] No patterns found for category: ${category}`)
   }
-  return patterns[Math.floor(Math.random() * patterns.length)]
+  return randomChoice(patterns)
 }
 
 /**
@@ -593,5 +723,5 @@ export function getAllPatterns() {
  * getPatternCategory(PatternName.BLOCK)    // 'still-life'
  */
 export function getPatternCategory(patternName) {
-  return PatternMetadata[patternName]?.category || 'unknown'
+  return PatternCatalog[patternName]?.category || 'unknown'
 }
@@ -0,0 +1,388 @@
+/**
+ * Pattern scenes: declarative layouts built from catalog patterns.
+ *
+ * A scene is plain data (a JS object or JSON text), so level layouts and
+ * idle-screen compositions can live in config files:
+ *
+ *   {
+ *     "cols": 60, "rows": 40,                 // Optional: fitted to the pieces if omitted
+ *     "rule": "B3/S23", "boundary": "dead",    // Optional engine settings
+ *     "pieces": [
+ *       { "pattern": "GOSPER_GLIDER_GUN", "x": 2, "y": 2 },
+ *       { "pattern": "GLIDER", "x": 40, "y": 30, "orientation": "rotate-180", "phase": 2 },
+ *       { "pattern": "BLINKER", "x": 5, "y": 30, "repeat": { "count": 6, "dx": 5 } },
+ *       { "pattern": ["BLOCK", "BEEHIVE", "TUB"], "x": 30, "y": 5,
+ *         "grid": { "cols": 4, "rows": 3, "dx": 6, "dy": 6 } },
+ *       { "pattern": "PULSAR", "x": 44, "y": 2, "phase": "random" },
+ *       { "rle": "b2o$2o$bo!", "x": 50, "y": 20, "phase": 4 }
+ *     ]
+ *   }
+ *
+ * PIECES:
+ * - pattern:     Catalog name (Patterns key), or an array of names to pick from
+ *                at random for every copy (seeded Random.js)
+ * - rle:         Inline RLE body instead of a catalog name
+ * - x, y:        Top-left cell of the (oriented) pattern (default: 0)
+ * - orientation: PatternOrientation value (default: 'identity')
+ * - phase:       Generations (>= 0) to evolve the piece on its own before placing it,
+ *                or 'random' for a random phase within its catalog period (default: 0).
+ *                'random' needs a catalog pattern: inline rle has no known period.
+ *                Spaceships move while they evolve, exactly as on the board.
+ *                Pieces evolve under the scene's rule and boundary.
+ *                Still lifes, oscillators and spaceships skip whole catalog periods;
+ *                anything else may evolve at most MAX_PHASE_REACH (128) generations
+ *                (fewer under larger-range rules: phase × range <= 128).
+ * - repeat:      { count, dx, dy } - a row of count (>= 1) copies, each offset by (dx, dy)
+ * - grid:        { cols, rows, dx, dy } - a block of copies (cols, rows >= 1; dx/dy
+ *                between columns/rows)
+ *
+ * Cells outside the board are clipped (like GoLEngine.setPattern()); pieces
+ * are combined with OR, so overlapping pieces never erase each other.
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { GoLEngine } from '../core/GoLEngine.js'
+import { CONWAY_RULE, parseRule } from '../core/Rules.js'
+import { Patterns, PatternCatalog } from './Patterns.js'
+import { PatternOrientation, transformPattern } from './PatternTransforms.js'
+import { parseRLE } from './PatternFormats.js'
+import { randomChoice, randomInt } from './Random.js'
+
+/**
+ * Evolved piece cells by pattern, orientation, phase, rule and boundary (patterns never change).
+ */
+const pieceCache = new Map()
+
+/**
+ * Farthest a piece may spread while evolving (phase × rule range). Evolution
+ * runs on a board padded by twice this, so the cost grows with its cube.
+ */
+export const MAX_PHASE_REACH = 128
+
+/**
+ * Compile a scene to engine state.
+ *
+ * @param {object|string} scene - Scene object or JSON text
+ * @returns {{cols: number, rows: number, rule: string|undefined, boundary: string|undefined,
+ *   cells: Uint8Array}} State; cells are column-major (index = x * rows + y), as used
+ *   by GoLEngine.setCells()
+ * @throws {Error} If the scene is malformed, names an unknown pattern, or has no
+ *   live cells to fit the board to
+ *
+ * @example
+ * const { cols, rows, cells } = compileScene({ pieces: [{ pattern: 'PULSAR', x: 2, y: 2 }] })
+ * // cols = 15, rows = 15 (fitted to the pulsar)
+ */
+export function compileScene(scene) {
+  scene = readScene(scene)
+  const liveCells = expandScene(scene)
+
+  // Fit the board to the pieces when no size is given
+  let cols = scene.cols
+  let rows = scene.rows
+  if (cols === undefined || rows === undefined) {
+    let maxX = 0
+    let maxY = 0
+    for (const [x, y] of liveCells) {
+      maxX = Math.max(maxX, x + 1)
+      maxY = Math.max(maxY, y + 1)
+    }
+    cols = cols ?? maxX
+    rows = rows ?? maxY
+    if (cols === 0 || rows === 0) {
+      throw new Error('[PatternScene] Cannot fit the board: no live cells at x >= 0 and y >= 0 (give cols and rows)')
+    }
+  }
+
+  const cells = new Uint8Array(cols * rows)
+  for (const [x, y] of liveCells) {
+    if (x >= 0 && x < cols && y >= 0 && y < rows) {
+      cells[x * rows + y] = 1
+    }
+  }
+
+  return { cols, rows, rule: scene.rule, boundary: scene.boundary, cells }
+}
+
+/**
+ * Draw a scene onto an existing engine (GoLEngine, InfiniteGoLEngine, ...).
+ *
+ * @param {object} engine - Engine with setCell() and clearGrid()
+ * @param {object|string} scene - Scene object or JSON text
+ * @param {object} options - Placement options
+ * @param {boolean} options.clear - Clear the engine first (default: true)
+ * @param {number} options.offsetX - Shift every piece right (default: 0)
+ * @param {number} options.offsetY - Shift every piece down (default: 0)
+ * @returns {number} Number of live cells placed (before clipping)
+ *
+ * @example
+ * applyScene(pipe.gol, PIPE_SCENE, { clear: false })
+ */
+export function applyScene(engine, scene, { clear = true, offsetX = 0, offsetY = 0 } = {}) {
+  const liveCells = expandScene(readScene(scene))
+  if (clear) {
+    engine.clearGrid()
+  }
+  for (const [x, y] of liveCells) {
+    const gridX = x + offsetX
+    const gridY = y + offsetY
+    if (gridX >= 0 && gridX < engine.cols && gridY >= 0 && gridY < engine.rows) {
+      engine.setCell(gridX, gridY, 1)
+    }
+  }
+  return liveCells.length
+}
+
+/**
+ * Create a GoLEngine running a scene (size, rule and boundary from the scene).
+ *
+ * @param {object|string} scene - Scene object or JSON text
+ * @param {number} updateRateFPS - Target update rate in frames per second (default: 10)
+ * @param {object} options - Extra engine options (history, cycleDetection, ...)
+ * @returns {GoLEngine} New engine with the scene placed
+ */
+export function createSceneEngine(scene, updateRateFPS = 10, options = {}) {
+  const state = compileScene(scene)
+  const engine = new GoLEngine(state.cols, state.rows, updateRateFPS, {
+    ...options,
+    ...(state.rule !== undefined && { rule: state.rule }),
+    ...(state.boundary !== undefined && { boundary: state.boundary })
+  })
+  engine.setCells(state.cells)
+  return engine
+}
+
+/**
+ * Parse and validate a scene.
+ *
+ * @private
+ */
+function readScene(scene) {
+  if (typeof scene === 'string') {
+    try {
+      scene = JSON.parse(scene)
+    } catch (error) {
+      throw new Error(`[PatternScene] Invalid JSON: ${error.message}`)
+    }
+  }
+
+  if (!scene || !Array.isArray(scene.pieces)) {
+    throw new Error('[PatternScene] Scene must have a "pieces" array')
+  }
+  for (const key of ['cols', 'rows']) {
+    if (scene[key] !== undefined && (!Number.isInteger(scene[key]) || scene[key] <= 0)) {
+      throw new Error(`[PatternScene] Scene ${key} must be an integer > 0, got ${scene[key]}`)
+    }
+  }
+  return scene
+}
+
+/**
+ * Expand every piece (repeats, grids, random picks) into live cell coordinates.
+ *
+ * @private
+ * @returns {Array<[number, number]>} Live cells (may contain duplicates)
+ */
+function expandScene(scene) {
+  const liveCells = []
+  scene.pieces.forEach((piece, index) => {
+    const label = `piece ${index}`
+    const x = readInteger(piece.x, 0, `${label} x`)
+    const y = readInteger(piece.y, 0, `${label} y`)
+
+    for (const [copyX, copyY] of copyOffsets(piece, label)) {
+      const cells = pieceCells(piece, label, scene)
+      for (const [cx, cy] of cells) {
+        liveCells.push([x + copyX + cx, y + copyY + cy])
+      }
+    }
+  })
+  return liveCells
+}
+
+/**
+ * Offsets of every copy of a piece (repeat and grid multiply).
+ *
+ * @private
+ */
+function copyOffsets(piece, label) {
+  let offsets = [[0, 0]]
+
+  if (piece.repeat) {
+    const count = readInteger(piece.repeat.count, 1, `${label} repeat.count`, 1)
+    const dx = readInteger(piece.repeat.dx, 0, `${label} repeat.dx`)
+    const dy = readInteger(piece.repeat.dy, 0, `${label} repeat.dy`)
+    offsets = offsets.flatMap(([ox, oy]) =>
+      Array.from({ length: count }, (_, i) => [ox + i * dx, oy + i * dy]))
+  }
+
+  if (piece.grid) {
+    const cols = readInteger(piece.grid.cols, 1, `${label} grid.cols`, 1)
+    const rows = readInteger(piece.grid.rows, 1, `${label} grid.rows`, 1)
+    const dx = readInteger(piece.grid.dx, 0, `${label} grid.dx`)
+    const dy = readInteger(piece.grid.dy, 0, `${label} grid.dy`)
+    offsets = offsets.flatMap(([ox, oy]) =>
+      Array.from({ length: rows * cols }, (_, i) => [ox + (i % cols) * dx, oy + Math.floor(i / cols) * dy]))
+  }
+
+  return offsets
+}
+
+/**
+ * Live cells of one copy of a piece, relative to its top-left corner.
+ *
+ * @private
+ * @param {object} piece - Scene piece
+ * @param {string} label - Piece label for error messages
+ * @param {object} scene - Scene (rule and boundary the piece evolves under)
+ */
+function pieceCells(piece, label, { rule, boundary }) {
+  let source
+  let name
+  if (piece.rle !== undefined) {
+    source = parseRLE(`x = 0, y = 0\n${piece.rle}`).pattern
+    name = `rle:${piece.rle}`
+  } else {
+    name = Array.isArray(piece.pattern) ? randomChoice(piece.pattern) : piece.pattern
+    source = Patterns[name]
+    if (!source) {
+      throw new Error(`[PatternScene] Unknown pattern "${name}" in ${label}`)
+    }
+  }
+
+  const orientation = piece.orientation ?? PatternOrientation.IDENTITY
+  let phase
+  if (piece.phase === 'random') {
+    if (piece.rle !== undefined) {
+      throw new Error(`[PatternScene] ${label} phase "random" needs a catalog pattern (inline rle has no known period)`)
+    }
+    phase = randomInt(0, PatternCatalog[name]?.period || 1)
+  } else {
+    phase = readInteger(piece.phase, 0, `${label} phase`, 0)
+  }
+
+  const key = `${name}|${orientation}|${phase}|${rule}|${boundary}`
+  if (!pieceCache.has(key)) {
+    const pattern = transformPattern(source, orientation)
+    const period = piece.rle === undefined ? PatternCatalog[name]?.period : null
+    pieceCache.set(key, evolvePhase(pattern, phase, period, label, { rule, boundary }))
+  }
+  return pieceCache.get(key)
+}
+
+/**
+ * Evolve a piece to a phase, skipping whole periods when it repeats itself.
+ *
+ * The catalog period only holds for the catalog's rule, and guns and puffers
+ * leave debris, so the piece is checked to really come back (moved by a whole
+ * number of cells) after one period before any are skipped.
+ *
+ * @private
+ * @param {number[][]} pattern - Oriented row-major pattern
+ * @param {number} phase - Generations to evolve (>= 0)
+ * @param {number|null} period - Catalog period, if known
+ * @param {string} label - Piece label for error messages
+ * @param {object} options - Rule and boundary (see evolvePiece)
+ * @returns {Array<[number, number]>} Live cells relative to the pattern's top-left corner
+ */
+function evolvePhase(pattern, phase, period, label, options) {
+  const range = parseRule(options.rule ?? CONWAY_RULE).range
+
+  if (period && phase >= period && period * range <= MAX_PHASE_REACH) {
+    const shift = cycleShift(evolvePiece(pattern, 0, options), evolvePiece(pattern, period, options))
+    if (shift) {
+      const cycles = Math.floor(phase / period)
+      return evolvePiece(pattern, phase % period, options)
+        .map(([x, y]) => [x + shift[0] * cycles, y + shift[1] * cycles])
+    }
+  }
+
+  if (phase * range > MAX_PHASE_REACH) {
+    throw new Error(`[PatternScene] ${label} phase ${phase} is too far ahead to evolve ` +
+      `(phase × rule range must be <= ${MAX_PHASE_REACH} unless the piece repeats within its period)`)
+  }
+  return evolvePiece(pattern, phase, options)
+}
+
+/**
+ * Offset between two cell lists if one is the other moved, else null.
+ * Both lists come from evolvePiece(), which scans column by column, so a
+ * moved copy lists its cells in the same order.
+ *
+ * @private
+ * @returns {[number, number]|null} [dx, dy] from before to after
+ */
+function cycleShift(before, after) {
+  if (before.length === 0 || before.length !== after.length) {
+    return null
+  }
+  const dx = after[0][0] - before[0][0]
+  const dy = after[0][1] - before[0][1]
+  for (let i = 1; i < before.length; i++) {
+    if (after[i][0] - before[i][0] !== dx || after[i][1] - before[i][1] !== dy) {
+      return null
+    }
+  }
+  return [dx, dy]
+}
+
+/**
+ * Evolve a pattern on its own and list its live cells.
+ *
+ * @private
+ * @param {number[][]} pattern - Oriented row-major pattern
+ * @param {number} phase - Generations to evolve
+ * @param {object} options - Engine options
+ * @param {string} options.rule - Rulestring (default: engine default, B3/S23)
+ * @param {string} options.boundary - BOUNDARY value (default: engine default)
+ * @returns {Array<[number, number]>} Live cells relative to the pattern's top-left corner
+ */
+function evolvePiece(pattern, phase, { rule, boundary } = {}) {
+  // Nothing moves faster than `range` cells per generation: the piece can spread
+  // `reach` cells, and the boundary's influence (e.g. ALIVE) `reach` cells in from
+  // the edge, so a margin of twice that keeps the two apart (and stays even, which
+  // keeps the row parity of hexagonal rules)
+  const reach = phase * parseRule(rule ?? CONWAY_RULE).range
+  const margin = reach * 2 + 2
+  const width = pattern[0] ? pattern[0].length : 0
+  const engine = new GoLEngine(width + margin * 2, pattern.length + margin * 2, 0, {
+    ...(rule !== undefined && { rule }),
+    ...(boundary !== undefined && { boundary })
+  })
+  engine.setPattern(pattern, margin, margin)
+  for (let i = 0; i < phase; i++) {
+    engine.update()
+  }
+
+  const cells = []
+  for (let x = margin - reach - 1; x < engine.cols - margin + reach + 1; x++) {
+    for (let y = margin - reach - 1; y < engine.rows - margin + reach + 1; y++) {
+      if (engine.current[x][y]) {
+        cells.push([x - margin, y - margin])
+      }
+    }
+  }
+  return cells
+}
+
+/**
+ * Read an optional integer field.
+ *
+ * @private
+ * @param {*} value - Field value
+ * @param {number} fallback - Value when the field is missing
+ * @param {string} label - Field label for error messages
+ * @param {number} min - Smallest allowed value (default: no limit)
+ */
+function readInteger(value, fallback, label, min = -Infinity) {
+  if (value === undefined) return fallback
+  if (!Number.isInteger(value)) {
+    throw new Error(`[PatternScene] ${label} must be an integer, got ${value}`)
+  }
+  if (value < min) {
+    throw new Error(`[PatternScene] ${label} must be >= ${min}, got ${value}`)
+  }
+  return value
+}
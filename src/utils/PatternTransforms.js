@@ -0,0 +1,245 @@
+/**
+ * Pattern transforms: the 8 symmetries of the square (D4), bounding-box
+ * trimming, padding and a canonical form for comparing patterns.
+ *
+ * All functions take and return row-major patterns (pattern[row][col],
+ * 1 = alive, 0 = dead) like Patterns.js, and never modify their input.
+ *
+ * ORIENTATIONS:
+ * Rotations are clockwise. FLIP_DIAGONAL mirrors across the top-left →
+ * bottom-right diagonal (transpose), FLIP_ANTIDIAGONAL across the other one.
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+/**
+ * The 8 orientations of a pattern (4 rotations × optional mirror).
+ */
+export const PatternOrientation = {
+  IDENTITY: 'identity',
+  ROTATE_90: 'rotate-90',
+  ROTATE_180: 'rotate-180',
+  ROTATE_270: 'rotate-270',
+  FLIP_HORIZONTAL: 'flip-horizontal',
+  FLIP_VERTICAL: 'flip-vertical',
+  FLIP_DIAGONAL: 'flip-diagonal',
+  FLIP_ANTIDIAGONAL: 'flip-antidiagonal'
+}
+
+/**
+ * Source cell for each output cell, per orientation.
+ * (row, col) in the output ← [row, col] in the input (height × width).
+ * swap: output dimensions are width × height.
+ *
+ * @private
+ */
+const TRANSFORMS = {
+  [PatternOrientation.IDENTITY]: { swap: false, source: (r, c) => [r, c] },
+  [PatternOrientation.ROTATE_90]: { swap: true, source: (r, c, h) => [h - 1 - c, r] },
+  [PatternOrientation.ROTATE_180]: { swap: false, source: (r, c, h, w) => [h - 1 - r, w - 1 - c] },
+  [PatternOrientation.ROTATE_270]: { swap: true, source: (r, c, h, w) => [c, w - 1 - r] },
+  [PatternOrientation.FLIP_HORIZONTAL]: { swap: false, source: (r, c, h, w) => [r, w - 1 - c] },
+  [PatternOrientation.FLIP_VERTICAL]: { swap: false, source: (r, c, h) => [h - 1 - r, c] },
+  [PatternOrientation.FLIP_DIAGONAL]: { swap: true, source: (r, c) => [c, r] },
+  [PatternOrientation.FLIP_ANTIDIAGONAL]: { swap: true, source: (r, c, h, w) => [h - 1 - c, w - 1 - r] }
+}
+
+/**
+ * Transform a pattern into one of the 8 orientations.
+ *
+ * @param {number[][]} pattern - Row-major pattern
+ * @param {string} orientation - PatternOrientation value (default: IDENTITY)
+ * @returns {number[][]} New pattern
+ * @throws {Error} If the orientation is unknown
+ *
+ * @example
+ * transformPattern(Patterns.GLIDER, PatternOrientation.FLIP_HORIZONTAL)
+ * // Southwest glider: [[0, 1, 0], [1, 0, 0], [1, 1, 1]]
+ */
+export function transformPattern(pattern, orientation = PatternOrientation.IDENTITY) {
+  const transform = TRANSFORMS[orientation]
+  if (!transform) {
+    throw new Error(`[PatternTransforms] Unknown orientation: ${orientation}. Must be one of ${Object.values(PatternOrientation).join(', ')}`)
+  }
+
+  const height = pattern.length
+  const width = pattern[0] ? pattern[0].length : 0
+  const outHeight = transform.swap ? width : height
+  const outWidth = transform.swap ? height : width
+
+  const result = []
+  for (let r = 0; r < outHeight; r++) {
+    result[r] = []
+    for (let c = 0; c < outWidth; c++) {
+      const [sr, sc] = transform.source(r, c, height, width)
+      result[r][c] = pattern[sr][sc]
+    }
+  }
+  return result
+}
+
+/**
+ * Get every orientation of a pattern.
+ *
+ * @param {number[][]} pattern - Row-major pattern
+ * @param {boolean} unique - Skip orientations identical to an earlier one (default: true)
+ * @returns {Array<{orientation: string, pattern: number[][]}>} Orientations, in
+ *   PatternOrientation order (8 for asymmetric patterns, 1 for a block)
+ *
+ * @example
+ * getAllOrientations(Patterns.BLINKER).length  // 2 (vertical, horizontal)
+ */
+export function getAllOrientations(pattern, unique = true) {
+  const seen = new Set()
+  const result = []
+  for (const orientation of Object.values(PatternOrientation)) {
+    const transformed = transformPattern(pattern, orientation)
+    const key = patternKey(transformed)
+    if (unique && seen.has(key)) continue
+    seen.add(key)
+    result.push({ orientation, pattern: transformed })
+  }
+  return result
+}
+
+/**
+ * Bounding box of the live cells.
+ *
+ * @param {number[][]} pattern - Row-major pattern
+ * @returns {{x: number, y: number, width: number, height: number}|null} Box, or null if empty
+ *
+ * @example
+ * getPatternBounds(Patterns.LIGHTWEIGHT_SPACESHIP)
+ * // { x: 1, y: 1, width: 5, height: 4 } (catalog padding excluded)
+ */
+export function getPatternBounds(pattern) {
+  let minX = Infinity
+  let minY = Infinity
+  let maxX = -1
+  let maxY = -1
+
+  for (let y = 0; y < pattern.length; y++) {
+    for (let x = 0; x < pattern[y].length; x++) {
+      if (pattern[y][x]) {
+        if (x < minX) minX = x
+        if (x > maxX) maxX = x
+        if (y < minY) minY = y
+        if (y > maxY) maxY = y
+      }
+    }
+  }
+
+  if (maxX < 0) return null
+  return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 }
+}
+
+/**
+ * Crop a pattern to the bounding box of its live cells.
+ *
+ * @param {number[][]} pattern - Row-major pattern
+ * @returns {number[][]} Trimmed pattern ([] if there are no live cells)
+ */
+export function trimPattern(pattern) {
+  const bounds = getPatternBounds(pattern)
+  if (!bounds) return []
+  return pattern
+    .slice(bounds.y, bounds.y + bounds.height)
+    .map(row => row.slice(bounds.x, bounds.x + bounds.width))
+}
+
+/**
+ * Surround a pattern with dead cells.
+ *
+ * @param {number[][]} pattern - Row-major pattern
+ * @param {number|number[]} padding - Cells on every side, or [top, right, bottom, left]
+ * @returns {number[][]} Padded pattern
+ *
+ * @example
+ * padPattern(Patterns.BLOCK, 1)  // 4×4 with the block in the middle
+ */
+export function padPattern(pattern, padding) {
+  const [top, right, bottom, left] = Array.isArray(padding) ? padding : [padding, padding, padding, padding]
+  const width = (pattern[0] ? pattern[0].length : 0) + left + right
+  const emptyRow = () => new Array(width).fill(0)
+  return [
+    ...Array.from({ length: top }, emptyRow),
+    ...pattern.map(row => [...new Array(left).fill(0), ...row, ...new Array(right).fill(0)]),
+    ...Array.from({ length: bottom }, emptyRow)
+  ]
+}
+
+/**
+ * Canonical form: trimmed, in the orientation with the smallest key.
+ * Two patterns have the same canonical form exactly when one is a moved,
+ * rotated or mirrored copy of the other.
+ *
+ * @param {number[][]} pattern - Row-major pattern
+ * @returns {number[][]} Canonical pattern
+ */
+export function normalizePattern(pattern) {
+  let best = null
+  let bestKey = null
+  for (const { pattern: oriented } of getAllOrientations(trimPattern(pattern))) {
+    const key = patternKey(oriented)
+    if (bestKey === null || key < bestKey) {
+      best = oriented
+      bestKey = key
+    }
+  }
+  return best || []
+}
+
+/**
+ * Check whether two patterns are the same shape in any position or orientation.
+ *
+ * @param {number[][]} a - Row-major pattern
+ * @param {number[][]} b - Row-major pattern
+ * @returns {boolean} True if they match after normalizePattern()
+ *
+ * @example
+ * isSamePattern(Patterns.DRAGON, Patterns.DRAGON_VERTICAL)  // true
+ */
+export function isSamePattern(a, b) {
+  return patternKey(normalizePattern(a)) === patternKey(normalizePattern(b))
+}
+
+/**
+ * Rotate a pattern 90 degrees clockwise.
+ *
+ * @param {number[][]} pattern - Pattern to rotate
+ * @returns {number[][]} Rotated pattern
+ */
+export function rotatePattern90(pattern) {
+  return transformPattern(pattern, PatternOrientation.ROTATE_90)
+}
+
+/**
+ * Flip a pattern horizontally.
+ *
+ * @param {number[][]} pattern - Pattern to flip
+ * @returns {number[][]} Flipped pattern
+ */
+export function flipPatternHorizontal(pattern) {
+  return transformPattern(pattern, PatternOrientation.FLIP_HORIZONTAL)
+}
+
+/**
+ * Flip a pattern vertically.
+ *
+ * @param {number[][]} pattern - Pattern to flip
+ * @returns {number[][]} Flipped pattern
+ */
+export function flipPatternVertical(pattern) {
+  return transformPattern(pattern, PatternOrientation.FLIP_VERTICAL)
+}
+
+/**
+ * String key of a pattern (size + rows), for comparisons.
+ *
+ * @private
+ */
+function patternKey(pattern) {
+  const width = pattern[0] ? pattern[0].length : 0
+  return `${width}x${pattern.length}:${pattern.map(row => row.join('')).join('/')}`
+}
@@ -2,361 +2,329 @@
  * Canonical Conway's Game of Life patterns from LifeWiki.
  * All patterns are authentic and documented in GoL literature.
  *
+ * Every pattern is defined once in PatternCatalog (RLE + metadata).
+ * Patterns (2D arrays) and the PatternRenderer lookups (PatternName,
+ * PatternPeriod, PatternMetadata, getPatternsByCategory, ...) are derived from it,
+ * so adding a catalog entry is all it takes to add a pattern.
+ *
  * Pattern format: 2D array where 1 = alive, 0 = dead
  * Patterns are credited to their sources (LifeWiki, Golly, etc.)
+ * To import catalog patterns from RLE / .cells files, see PatternFormats.js
  *
  * @author Game of Life Arcade
  * @license ISC
  */
 
-/**
- * Canonical Game of Life patterns.
- * All patterns sourced from LifeWiki: https://conwaylife.com/wiki/
- */
-export const Patterns = {
-  /**
-   * BLOCK - 2x2 still life (never changes)
-   * Source: https://conwaylife.com/wiki/Block
-   * Period: Stable (still life)
-   */
-  BLOCK: [
-    [1, 1],
-    [1, 1]
-  ],
-
-  /**
-   * BEEHIVE - 4x3 still life
-   * Source: https://conwaylife.com/wiki/Beehive
-   * Period: Stable (still life)
-   */
-  BEEHIVE: [
-    [0, 1, 1, 0],
-    [1, 0, 0, 1],
-    [0, 1, 1, 0]
-  ],
-
-  /**
-   * LOAF - 4x4 still life
-   * Source: https://conwaylife.com/wiki/Loaf
-   * Period: Stable (still life)
-   */
-  LOAF: [
-    [0, 1, 1, 0],
-    [1, 0, 0, 1],
-    [0, 1, 0, 1],
-    [0, 0, 1, 0]
-  ],
-
-  /**
-   * BOAT - 3x3 still life
-   * Source: https://conwaylife.com/wiki/Boat
-   * Period: Stable (still life)
-   */
-  BOAT: [
-    [1, 1, 0],
-    [1, 0, 1],
-    [0, 1, 0]
-  ],
-
-  /**
-   * TUB - 3x3 still life (circular shape)
-   * Source: https://conwaylife.com/wiki/Tub
-   * Period: Stable (still life)
-   */
-  TUB: [
-    [0, 1, 0],
-    [1, 0, 1],
-    [0, 1, 0]
-  ],
+import { parseRLE, toRLE } from './PatternFormats.js'
+import { PatternOrientation, transformPattern, padPattern } from './PatternTransforms.js'
 
-  /**
-   * POND - 4x4 still life (square with hole)
-   * Source: https://conwaylife.com/wiki/Pond
-   * Period: Stable (still life)
-   */
-  POND: [
-    [0, 1, 1, 0],
-    [1, 0, 0, 1],
-    [1, 0, 0, 1],
-    [0, 1, 1, 0]
-  ],
+// Transforms used to live here; keep existing imports working
+export {
+  PatternOrientation,
+  transformPattern,
+  getAllOrientations,
+  getPatternBounds,
+  trimPattern,
+  padPattern,
+  normalizePattern,
+  isSamePattern,
+  rotatePattern90,
+  flipPatternHorizontal,
+  flipPatternVertical
+} from './PatternTransforms.js'
 
-  /**
-   * SHIP - 3x3 still life (boat-like asymmetric)
-   * Source: https://conwaylife.com/wiki/Ship
-   * Period: Stable (still life)
-   */
-  SHIP: [
-    [1, 1, 0],
-    [1, 0, 1],
-    [0, 1, 1]
-  ],
-
-  /**
-   * BLINKER - 3x1 oscillator (vertical orientation)
-   * Source: https://conwaylife.com/wiki/Blinker
-   * Period: 2 (oscillates between vertical and horizontal)
-   */
-  BLINKER: [
-    [0, 1, 0],
-    [0, 1, 0],
-    [0, 1, 0]
-  ],
-
-  /**
-   * TOAD - 4x4 oscillator (with padding for proper evolution)
-   * Source: https://conwaylife.com/wiki/Toad
-   * Period: 2
-   * Phase 1: Horizontal offset configuration
-   * Phase 2: Vertical configuration
-   */
-  TOAD: [
-    [0, 0, 0, 0],
-    [0, 1, 1, 1],
-    [1, 1, 1, 0],
-    [0, 0, 0, 0]
-  ],
-
-  /**
-   * BEACON - 4x4 oscillator
-   * Source: https://conwaylife.com/wiki/Beacon
-   * Period: 2
-   */
-  BEACON: [
-    [1, 1, 0, 0],
-    [1, 1, 0, 0],
-    [0, 0, 1, 1],
-    [0, 0, 1, 1]
-  ],
-
-  /**
-   * PULSAR - 13x13 oscillator (simplified 5x5 for performance)
-   * Source: https://conwaylife.com/wiki/Pulsar
-   * Period: 3
-   * Note: Full 13x13 pattern available, using compact version for sprites
-   */
-  PULSAR: [
-    [0, 0, 1, 1, 1, 0, 0, 0, 1, 1, 1, 0, 0],
-    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-    [1, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0, 0, 1],
-    [1, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0, 0, 1],
-    [1, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0, 0, 1],
-    [0, 0, 1, 1, 1, 0, 0, 0, 1, 1, 1, 0, 0],
-    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-    [0, 0, 1, 1, 1, 0, 0, 0, 1, 1, 1, 0, 0],
-    [1, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0, 0, 1],
-    [1, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0, 0, 1],
-    [1, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0, 0, 1],
-    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-    [0, 0, 1, 1, 1, 0, 0, 0, 1, 1, 1, 0, 0]
-  ],
-
-  /**
-   * GLIDER - 3x3 spaceship (diagonal movement)
-   * Source: https://conwaylife.com/wiki/Glider
-   * Speed: c/4 (1 cell diagonally per 4 generations)
-   * Direction: Southeast in this orientation
-   */
-  GLIDER: [
-    [0, 1, 0],
-    [0, 0, 1],
-    [1, 1, 1]
-  ],
+/**
+ * Pattern categories for filtering and organization.
+ */
+export const PatternCategory = {
+  STILL_LIFE: 'still-life',
+  OSCILLATOR: 'oscillator',
+  SPACESHIP: 'spaceship',
+  GUN: 'gun',                 // Oscillator that emits spaceships
+  PUFFER: 'puffer',           // Moving pattern that leaves debris behind
+  METHUSELAH: 'methuselah'    // Small seed that evolves for a long time
+}
 
-  /**
-   * LIGHTWEIGHT_SPACESHIP (LWSS) - 7x6 spaceship (horizontally flipped, standard padding)
-   * Source: https://conwaylife.com/wiki/Lightweight_spaceship
-   * Speed: c/2 (moves 2 cells left per 4 generations in this orientation)
-   * Direction: Leftward in this orientation (flipped to match Wikipedia)
-   * Period: 4
-   * Canonical representation (flipped horizontally):
-   * Original:        Flipped:
-   * . * . . *    →   * . . * .
-   * * . . . .    →   . . . . *
-   * * . . . *    →   * . . . *
-   * * * * * .    →   . * * * *
-   *
-   * Standard padding: 1 row top/bottom, 1 column left/right
-   */
-  LIGHTWEIGHT_SPACESHIP: [
-    [0, 0, 0, 0, 0, 0, 0],  // Row 0: top padding
-    [0, 1, 0, 0, 1, 0, 0],  // Row 1: * . . * . (flipped)
-    [0, 0, 0, 0, 0, 1, 0],  // Row 2: . . . . * (flipped)
-    [0, 1, 0, 0, 0, 1, 0],  // Row 3: * . . . * (flipped)
-    [0, 0, 1, 1, 1, 1, 0],  // Row 4: . * * * * (flipped)
-    [0, 0, 0, 0, 0, 0, 0]   // Row 5: bottom padding
-  ],
+/**
+ * LifeWiki base URL (catalog entries store the page name).
+ */
+const LIFEWIKI_URL = 'https://conwaylife.com/wiki/'
 
-  /**
-   * R_PENTOMINO - Methuselah pattern
-   * Source: https://conwaylife.com/wiki/R-pentomino
-   * Stabilizes after 1,103 generations into 116 cells
-   * Great for explosion effects
-   */
-  R_PENTOMINO: [
-    [0, 1, 1],
-    [1, 1, 0],
-    [0, 1, 0]
-  ],
+/**
+ * Pattern catalog source data.
+ *
+ * Fields:
+ * - name:         Display name
+ * - rle:          RLE body (no header), in the orientation games use
+ * - variantOf:    Instead of rle: key of another entry, shown in `orientation`
+ *                 (PatternOrientation value)
+ * - category:     PatternCategory value
+ * - size:         Display size class: 'tiny' | 'small' | 'medium' | 'large'
+ *                 (hand-set, see PatternMetadata)
+ * - period:       Generations per cycle (null for methuselahs)
+ * - displacement: [dx, dy] cells moved per period (spaceships and puffers)
+ * - discoverer:   Who found it (null if unknown)
+ * - year:         Year of discovery (null if unknown)
+ * - wiki:         LifeWiki page name
+ * - padding:      Optional [top, right, bottom, left] dead cells kept around the
+ *                 2D array (sprite sizes games were tuned for)
+ *
+ * Bounding box and population are computed from the RLE (see PatternCatalog).
+ * After editing an entry, check it against the simulation:
+ *   node src/validation/pattern-validator.js
+ *
+ * @private
+ */
+const CATALOG_SOURCE = {
+  // Still lifes
+  BLOCK: {
+    name: 'Block', rle: '2o$2o!',
+    category: PatternCategory.STILL_LIFE, size: 'tiny', period: 1, displacement: [0, 0],
+    discoverer: 'John Conway', year: 1970, wiki: 'Block'
+  },
+  BEEHIVE: {
+    name: 'Beehive', rle: 'b2o$o2bo$b2o!',
+    category: PatternCategory.STILL_LIFE, size: 'small', period: 1, displacement: [0, 0],
+    discoverer: 'John Conway', year: 1970, wiki: 'Beehive'
+  },
+  LOAF: {
+    name: 'Loaf', rle: 'b2o$o2bo$bobo$2bo!',
+    category: PatternCategory.STILL_LIFE, size: 'small', period: 1, displacement: [0, 0],
+    discoverer: 'John Conway', year: 1970, wiki: 'Loaf'
+  },
+  BOAT: {
+    name: 'Boat', rle: '2o$obo$bo!',
+    category: PatternCategory.STILL_LIFE, size: 'small', period: 1, displacement: [0, 0],
+    discoverer: 'John Conway', year: 1970, wiki: 'Boat'
+  },
+  TUB: {
+    name: 'Tub', rle: 'bo$obo$bo!',
+    category: PatternCategory.STILL_LIFE, size: 'small', period: 1, displacement: [0, 0],
+    discoverer: 'John Conway', year: 1970, wiki: 'Tub'
+  },
+  POND: {
+    name: 'Pond', rle: 'b2o$o2bo$o2bo$b2o!',
+    category: PatternCategory.STILL_LIFE, size: 'small', period: 1, displacement: [0, 0],
+    discoverer: 'John Conway', year: 1970, wiki: 'Pond'
+  },
+  SHIP: {
+    name: 'Ship', rle: '2o$obo$b2o!',
+    category: PatternCategory.STILL_LIFE, size: 'small', period: 1, displacement: [0, 0],
+    discoverer: 'John Conway', year: 1970, wiki: 'Ship'
+  },
 
-  /**
-   * ACORN - Methuselah pattern
-   * Source: https://conwaylife.com/wiki/Acorn
-   * Stabilizes after 5,206 generations
-   * Great for long-running explosion effects
-   */
-  ACORN: [
-    [0, 1, 0, 0, 0, 0, 0],
-    [0, 0, 0, 1, 0, 0, 0],
-    [1, 1, 0, 0, 1, 1, 1]
-  ],
+  // Oscillators
+  BLINKER: {
+    // Vertical phase, padded to 3×3
+    name: 'Blinker', rle: 'o$o$o!', padding: [0, 1, 0, 1],
+    category: PatternCategory.OSCILLATOR, size: 'small', period: 2, displacement: [0, 0],
+    discoverer: 'John Conway', year: 1970, wiki: 'Blinker'
+  },
+  TOAD: {
+    // Padded to 4×4 so both phases fit
+    name: 'Toad', rle: 'b3o$3o!', padding: [1, 0, 1, 0],
+    category: PatternCategory.OSCILLATOR, size: 'small', period: 2, displacement: [0, 0],
+    discoverer: 'Simon Norton', year: 1970, wiki: 'Toad'
+  },
+  BEACON: {
+    name: 'Beacon', rle: '2o$2o$2b2o$2b2o!',
+    category: PatternCategory.OSCILLATOR, size: 'small', period: 2, displacement: [0, 0],
+    discoverer: 'John Conway', year: 1970, wiki: 'Beacon'
+  },
+  PULSAR: {
+    name: 'Pulsar',
+    rle: '2b3o3b3o2$o4bobo4bo$o4bobo4bo$o4bobo4bo$2b3o3b3o2$2b3o3b3o$' +
+      'o4bobo4bo$o4bobo4bo$o4bobo4bo2$2b3o3b3o!',
+    category: PatternCategory.OSCILLATOR, size: 'large', period: 3, displacement: [0, 0],
+    discoverer: 'John Conway', year: 1970, wiki: 'Pulsar'
+  },
+  PENTADECATHLON: {
+    name: 'Pentadecathlon', rle: '2bo4bo$2ob4ob2o$2bo4bo!',
+    category: PatternCategory.OSCILLATOR, size: 'medium', period: 15, displacement: [0, 0],
+    discoverer: 'John Conway', year: 1970, wiki: 'Pentadecathlon'
+  },
 
-  /**
-   * DIEHARD - Methuselah pattern
-   * Source: https://conwaylife.com/wiki/Diehard
-   * Stabilizes after 130 generations (dies completely)
-   * Great for short explosion effects
-   */
-  DIEHARD: [
-    [0, 0, 0, 0, 0, 0, 1, 0],
-    [1, 1, 0, 0, 0, 0, 0, 0],
-    [0, 1, 0, 0, 0, 1, 1, 1]
-  ],
+  // Spaceships
+  GLIDER: {
+    // Moves southeast
+    name: 'Glider', rle: 'bo$2bo$3o!',
+    category: PatternCategory.SPACESHIP, size: 'small', period: 4, displacement: [1, 1],
+    discoverer: 'Richard K. Guy', year: 1969, wiki: 'Glider'
+  },
+  LIGHTWEIGHT_SPACESHIP: {
+    // Moves right, padded by 1 cell on every side
+    name: 'Lightweight spaceship', rle: 'o2bo$4bo$o3bo$b4o!', padding: [1, 1, 1, 1],
+    category: PatternCategory.SPACESHIP, size: 'medium', period: 4, displacement: [2, 0],
+    discoverer: 'John Conway', year: 1970, wiki: 'Lightweight_spaceship'
+  },
+  MIDDLEWEIGHT_SPACESHIP: {
+    // Moves left
+    name: 'Middleweight spaceship', rle: '3bo$bo3bo$o$o4bo$5o!',
+    category: PatternCategory.SPACESHIP, size: 'medium', period: 4, displacement: [-2, 0],
+    discoverer: 'John Conway', year: 1970, wiki: 'Middleweight_spaceship'
+  },
+  HEAVYWEIGHT_SPACESHIP: {
+    // Moves left
+    name: 'Heavyweight spaceship', rle: '3b2o$bo4bo$o$o5bo$6o!',
+    category: PatternCategory.SPACESHIP, size: 'medium', period: 4, displacement: [-2, 0],
+    discoverer: 'John Conway', year: 1970, wiki: 'Heavyweight_spaceship'
+  },
+  COPPERHEAD: {
+    // c/10, moves up
+    name: 'Copperhead', rle: 'b2o2b2o$3b2o$3b2o$obo2bobo$o6bo2$o6bo$b2o2b2o$2b4o2$3b2o$3b2o!',
+    category: PatternCategory.SPACESHIP, size: 'medium', period: 10, displacement: [0, -1],
+    discoverer: 'zdr', year: 2016, wiki: 'Copperhead'
+  },
+  DRAGON: {
+    // First c/6 spaceship, moves left (see DRAGON_VERTICAL for vertical shooters)
+    name: 'Dragon',
+    rle: '12bo$12b2o14bo$10bob2o5bobo4b2o$5bo3bo3b3o2bo4bo$2o3bo2bo6bobo5b3o2bo$' +
+      '2o3bob2o6bo3bobobo$2o3bo10bobo7b2o$5b2o14bo6bo$7bo12bobo$7bo12bobo$' +
+      '5b2o14bo6bo$2o3bo10bobo7b2o$2o3bob2o6bo3bobobo$2o3bo2bo6bobo5b3o2bo$' +
+      '5bo3bo3b3o2bo4bo$10bob2o5bobo4b2o$12b2o14bo$12bo!',
+    category: PatternCategory.SPACESHIP, size: 'large', period: 6, displacement: [-1, 0],
+    discoverer: 'Paul Tooke', year: 2000, wiki: 'Dragon'
+  },
+  DRAGON_VERTICAL: {
+    // For vertical shooters, moves up
+    name: 'Dragon (vertical)', variantOf: 'DRAGON', orientation: PatternOrientation.ROTATE_90,
+    category: PatternCategory.SPACESHIP, size: 'large', period: 6, displacement: [0, -1],
+    discoverer: 'Paul Tooke', year: 2000, wiki: 'Dragon'
+  },
 
-  /**
-   * DRAGON - c/6 orthogonal spaceship (ORIGINAL horizontal orientation)
-   * Source: https://conwaylife.com/wiki/Dragon
-   * Speed: c/6 (1 cell per 6 generations)
-   * Period: 6
-   * Size: 29×18 (~82 cells)
-   * Discovered by Paul Tooke in April 2000 - first c/6 spaceship
-   * NOTE: Use rotatePattern90() to orient vertically for vertical shooters
-   */
-  DRAGON: [
-    [0,0,0,0,0,0,0,0,0,0,0,0,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-    [0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
-    [0,0,0,0,0,0,0,0,0,0,1,0,1,1,0,0,0,0,0,1,0,1,0,0,0,0,1,1,0],
-    [0,0,0,0,0,1,0,0,0,1,0,0,0,1,1,1,0,0,1,0,0,0,0,1,0,0,0,0,0],
-    [1,1,0,0,0,1,0,0,1,0,0,0,0,0,0,1,0,1,0,0,0,0,0,1,1,1,0,0,1],
-    [1,1,0,0,0,1,0,1,1,0,0,0,0,0,0,1,0,0,0,1,0,1,0,1,0,0,0,0,0],
-    [1,1,0,0,0,1,0,0,0,0,0,0,0,0,0,0,1,0,1,0,0,0,0,0,0,0,1,1,0],
-    [0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,0,0,0,0,0,0,1],
-    [0,0,0,0,0,0,0,1,0,0,0,0,0,0,0,0,0,0,0,0,1,0,1,0,0,0,0,0,0],
-    [0,0,0,0,0,0,0,1,0,0,0,0,0,0,0,0,0,0,0,0,1,0,1,0,0,0,0,0,0],
-    [0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,0,0,0,0,0,0,1],
-    [1,1,0,0,0,1,0,0,0,0,0,0,0,0,0,0,1,0,1,0,0,0,0,0,0,0,1,1,0],
-    [1,1,0,0,0,1,0,1,1,0,0,0,0,0,0,1,0,0,0,1,0,1,0,1,0,0,0,0,0],
-    [1,1,0,0,0,1,0,0,1,0,0,0,0,0,0,1,0,1,0,0,0,0,0,1,1,1,0,0,1],
-    [0,0,0,0,0,1,0,0,0,1,0,0,0,1,1,1,0,0,1,0,0,0,0,1,0,0,0,0,0],
-    [0,0,0,0,0,0,0,0,0,0,1,0,1,1,0,0,0,0,0,1,0,1,0,0,0,0,1,1,0],
-    [0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
-    [0,0,0,0,0,0,0,0,0,0,0,0,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
-  ],
+  // Guns (displacement is of the gun itself; the emitted gliders travel away)
+  GOSPER_GLIDER_GUN: {
+    // Emits a southeast glider every 30 generations
+    name: 'Gosper glider gun',
+    rle: '24bo$22bobo$12b2o6b2o12b2o$11bo3bo4b2o12b2o$2o8bo5bo3b2o$' +
+      '2o8bo3bob2o4bobo$10bo5bo7bo$11bo3bo$12b2o!',
+    category: PatternCategory.GUN, size: 'large', period: 30, displacement: [0, 0],
+    discoverer: 'Bill Gosper', year: 1970, wiki: 'Gosper_glider_gun'
+  },
+  SIMKIN_GLIDER_GUN: {
+    // Emits a glider every 120 generations
+    name: 'Simkin glider gun',
+    rle: '2o5b2o$2o5b2o2$4b2o$4b2o5$22b2ob2o$21bo5bo$21bo6bo2b2o$21b3o3bo3b2o$' +
+      '26bo4$20b2o$20bo$21b3o$23bo!',
+    category: PatternCategory.GUN, size: 'large', period: 120, displacement: [0, 0],
+    discoverer: 'Michael Simkin', year: 2015, wiki: 'Simkin_glider_gun'
+  },
 
-  /**
-   * COPPERHEAD - c/10 orthogonal spaceship
-   * Source: https://conwaylife.com/wiki/Copperhead
-   * Speed: c/10 (1 cell per 10 generations)
-   * Direction: Vertical (moves down in this orientation)
-   * Period: 10
-   * Size: 8×12 (28 cells)
-   * Discovered by 'zdr' in 2016 - first c/10 spaceship found
-   */
-  COPPERHEAD: [
-    [0, 1, 1, 0, 0, 1, 1, 0],
-    [0, 0, 0, 1, 1, 0, 0, 0],
-    [0, 0, 0, 1, 1, 0, 0, 0],
-    [1, 0, 1, 0, 0, 1, 0, 1],
-    [1, 0, 0, 0, 0, 0, 0, 1],
-    [0, 0, 0, 0, 0, 0, 0, 0],
-    [1, 0, 0, 0, 0, 0, 0, 1],
-    [0, 1, 1, 0, 0, 1, 1, 0],
-    [0, 0, 1, 1, 1, 1, 0, 0],
-    [0, 0, 0, 0, 0, 0, 0, 0],
-    [0, 0, 0, 1, 1, 0, 0, 0],
-    [0, 0, 0, 1, 1, 0, 0, 0]
-  ],
+  // Puffers
+  BLINKER_PUFFER_1: {
+    // Moves left at c/2 leaving a trail of blinkers
+    name: 'Blinker puffer 1',
+    rle: '3bo$bo3bo$o$o4bo$5o4$b2o$2ob3o$b4o$2b2o2$5b2o$3bo4bo$2bo$2bo5bo$2b6o!',
+    category: PatternCategory.PUFFER, size: 'large', period: 8, displacement: [-4, 0],
+    discoverer: 'Robert Wainwright', year: 1984, wiki: 'Blinker_puffer_1'
+  },
 
-  /**
-   * DRAGON_VERTICAL - c/6 orthogonal spaceship (rotated 90° CW to face downward)
-   * Source: https://conwaylife.com/wiki/Dragon
-   * Speed: c/6 (1 cell per 6 generations)
-   * Period: 6
-   * Size: 18×29 (rotated from 29×18)
-   * Use this version for vertical shooters where boss moves down
-   */
-  DRAGON_VERTICAL: null  // Will be computed after Patterns definition
+  // Methuselahs (no period: they evolve for a long time, then stabilize)
+  R_PENTOMINO: {
+    // Stabilizes after 1,103 generations into 116 cells
+    name: 'R-pentomino', rle: 'b2o$2o$bo!',
+    category: PatternCategory.METHUSELAH, size: 'small', period: null, displacement: [0, 0],
+    discoverer: 'John Conway', year: 1969, wiki: 'R-pentomino'
+  },
+  ACORN: {
+    // Stabilizes after 5,206 generations
+    name: 'Acorn', rle: 'bo$3bo$2o2b3o!',
+    category: PatternCategory.METHUSELAH, size: 'medium', period: null, displacement: [0, 0],
+    discoverer: 'Charles Corderman', year: 1971, wiki: 'Acorn'
+  },
+  DIEHARD: {
+    // Dies completely after 130 generations
+    name: 'Diehard', rle: '6bo$2o$bo3b3o!',
+    category: PatternCategory.METHUSELAH, size: 'medium', period: null, displacement: [0, 0],
+    discoverer: null, year: null, wiki: 'Diehard'
+  }
 }
 
 /**
- * Stamp a pattern onto a grid at a specific location.
+ * Pattern catalog: CATALOG_SOURCE plus fields computed from the RLE.
  *
- * @param {number[][]} grid - The target grid (modified in place)
- * @param {number[][]} pattern - The pattern to stamp
- * @param {number} startX - Starting column index
- * @param {number} startY - Starting row index
- * @param {number} cols - Number of columns in grid
- * @param {number} rows - Number of rows in grid
+ * Each entry: { name, rle, category, size, period, displacement, discoverer, year,
+ * source (LifeWiki URL), bbox: { width, height }, population, padding }
+ *
+ * @example
+ * PatternCatalog.GOSPER_GLIDER_GUN.period  // 30
+ * PatternCatalog.GLIDER.bbox               // { width: 3, height: 3 }
  */
-export function stampPattern(grid, pattern, startX, startY, cols, rows) {
-  for (let x = 0; x < pattern.length; x++) {
-    for (let y = 0; y < pattern[x].length; y++) {
-      const gridX = startX + x
-      const gridY = startY + y
-      if (gridX >= 0 && gridX < cols && gridY >= 0 && gridY < rows) {
-        grid[gridX][gridY] = pattern[x][y]
-      }
-    }
-  }
-}
+export const PatternCatalog = Object.fromEntries(
+  Object.entries(CATALOG_SOURCE).map(([key, entry]) => {
+    const rle = entry.variantOf
+      ? encodeRLE(transformPattern(decodeRLE(CATALOG_SOURCE[entry.variantOf].rle), entry.orientation))
+      : entry.rle
+    const pattern = decodeRLE(rle)
+    return [key, Object.freeze({
+      ...entry,
+      rle,
+      padding: entry.padding || [0, 0, 0, 0],
+      source: LIFEWIKI_URL + entry.wiki,
+      bbox: { width: pattern[0] ? pattern[0].length : 0, height: pattern.length },
+      population: pattern.reduce((sum, row) => sum + row.reduce((a, b) => a + b, 0), 0)
+    })]
+  })
+)
 
 /**
- * Rotate a pattern 90 degrees clockwise.
+ * Canonical Game of Life patterns (2D arrays), built from PatternCatalog.
+ * All patterns sourced from LifeWiki: https://conwaylife.com/wiki/
  *
- * @param {number[][]} pattern - Pattern to rotate
- * @returns {number[][]} Rotated pattern
+ * @example
+ * engine.setPattern(Patterns.GLIDER, 10, 10)
  */
-export function rotatePattern90(pattern) {
-  const rows = pattern.length
-  const cols = pattern[0].length
-  const rotated = []
-
-  for (let y = 0; y < cols; y++) {
-    rotated[y] = []
-    for (let x = 0; x < rows; x++) {
-      rotated[y][x] = pattern[rows - 1 - x][y]
-    }
-  }
-
-  return rotated
-}
+export const Patterns = Object.fromEntries(
+  Object.entries(PatternCatalog).map(([key, entry]) => [key, padPattern(decodeRLE(entry.rle), entry.padding)])
+)
 
 /**
- * Flip a pattern horizontally.
+ * Decode a headerless RLE body into a trimmed 2D pattern.
  *
- * @param {number[][]} pattern - Pattern to flip
- * @returns {number[][]} Flipped pattern
+ * @private
+ * @param {string} rle - RLE body (e.g. 'bo$2bo$3o!')
+ * @returns {number[][]} Row-major pattern
  */
-export function flipPatternHorizontal(pattern) {
-  return pattern.map(row => [...row].reverse())
+function decodeRLE(rle) {
+  return parseRLE(`x = 0, y = 0\n${rle}`).pattern
 }
 
 /**
- * Flip a pattern vertically.
+ * Encode a pattern as a headerless RLE body (inverse of decodeRLE).
  *
- * @param {number[][]} pattern - Pattern to flip
- * @returns {number[][]} Flipped pattern
+ * @private
+ * @param {number[][]} pattern - Row-major pattern
+ * @returns {string} RLE body
  */
-export function flipPatternVertical(pattern) {
-  return [...pattern].reverse()
+function encodeRLE(pattern) {
+  return toRLE(pattern).split('\n').slice(1).join('')
 }
 
-// ============================================
-// COMPUTED PATTERN VARIANTS
-// ============================================
-
 /**
- * Initialize DRAGON_VERTICAL as the 90° CW rotation of DRAGON.
- * This makes the dragon face downward for vertical shooters.
+ * Stamp a pattern onto a grid at a specific location.
+ * Same layout as GoLEngine.setPattern(): pattern[row][col] lands on grid[x][y].
+ *
+ * @param {number[][]} grid - The target grid (grid[x][y], modified in place)
+ * @param {number[][]} pattern - The pattern to stamp (row-major)
+ * @param {number} startX - Starting column index
+ * @param {number} startY - Starting row index
+ * @param {number} cols - Number of columns in grid
+ * @param {number} rows - Number of rows in grid
+ * @param {string} orientation - PatternOrientation value (default: IDENTITY)
+ *
+ * @example
+ * stampPattern(engine.current, Patterns.GLIDER, 5, 5, engine.cols, engine.rows,
+ *   PatternOrientation.ROTATE_180)  // Northwest glider
  */
-Patterns.DRAGON_VERTICAL = rotatePattern90(Patterns.DRAGON)
+export function stampPattern(grid, pattern, startX, startY, cols, rows, orientation = PatternOrientation.IDENTITY) {
+  const oriented = transformPattern(pattern, orientation)
+  for (let y = 0; y < oriented.length; y++) {
+    for (let x = 0; x < oriented[y].length; x++) {
+      const gridX = startX + x
+      const gridY = startY + y
+      if (gridX >= 0 && gridX < cols && gridY >= 0 && gridY < rows) {
+        grid[gridX][gridY] = oriented[y][x]
+      }
+    }
+  }
+}
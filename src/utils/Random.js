@@ -0,0 +1,172 @@
+/**
+ * Seedable deterministic random numbers shared by engines, helpers and games.
+ *
+ * Every random decision in the arcade (GoL seeding, life force, explosions,
+ * spawns...) draws from one mulberry32 generator. Same seed → same run:
+ * daily-seed challenges, reproducible bug reports and deterministic tests.
+ *
+ * SEED SOURCE:
+ * - URL parameter `?seed=12345` or `?seed=any-text` (hashed)
+ * - URL parameter `?seed=daily` → same seed for everyone on a given UTC day
+ * - Otherwise a random seed is picked at load time (see getSeed())
+ *
+ * Games should also seed p5's own generators in setup() so p5 random() and
+ * noise() follow the same seed:
+ *   randomSeed(getSeed())
+ *   noiseSeed(getSeed())
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+/**
+ * URL parameter carrying the seed (game-wrapper.html?game=...&seed=...).
+ */
+export const SEED_URL_PARAM = 'seed'
+
+/**
+ * Special seed value selecting the daily challenge seed.
+ */
+export const DAILY_SEED = 'daily'
+
+/**
+ * Create an independent seeded generator (mulberry32).
+ *
+ * @param {number|string} seed - Seed (strings are hashed)
+ * @returns {function(): number} Generator returning floats in [0, 1)
+ *
+ * @example
+ * const random = createRandom(42)
+ * random()  // Always the same first value for seed 42
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed)
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Normalize a seed to an unsigned 32-bit integer.
+ * Integers (and integer strings) are used as-is; other strings are hashed (FNV-1a).
+ *
+ * @param {number|string} seed - Seed value
+ * @returns {number} 32-bit unsigned seed
+ */
+export function hashSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.trunc(seed) >>> 0
+  }
+
+  const text = String(seed)
+  if (/^\d+$/.test(text)) {
+    return Number(text) >>> 0
+  }
+
+  let hash = 0x811C9DC5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+/**
+ * Seed shared by all players on a given UTC day.
+ *
+ * @param {Date} date - Day to get the seed for (default: today)
+ * @returns {number} 32-bit unsigned seed
+ *
+ * @example
+ * getDailySeed(new Date('2025-01-31'))  // Same value on every machine
+ */
+export function getDailySeed(date = new Date()) {
+  return hashSeed(`daily-${date.toISOString().slice(0, 10)}`)
+}
+
+/**
+ * Read the seed from a URL query string.
+ *
+ * @param {string} search - Query string (default: current window location)
+ * @returns {number|null} 32-bit seed, or null if the parameter is absent
+ */
+export function getSeedFromURL(search = typeof window !== 'undefined' ? window.location.search : '') {
+  const value = new URLSearchParams(search).get(SEED_URL_PARAM)
+  if (value === null || value === '') {
+    return null
+  }
+  return value === DAILY_SEED ? getDailySeed() : hashSeed(value)
+}
+
+// ============================================
+// SHARED GENERATOR
+// ============================================
+
+let currentSeed = getSeedFromURL() ?? hashSeed(Date.now() ^ Math.floor(Math.random() * 4294967296))
+let sharedRandom = createRandom(currentSeed)
+
+/**
+ * Restart the shared generator from a seed.
+ *
+ * @param {number|string} seed - Seed (strings are hashed, 'daily' selects the daily seed)
+ * @returns {number} Normalized 32-bit seed
+ */
+export function setSeed(seed) {
+  currentSeed = seed === DAILY_SEED ? getDailySeed() : hashSeed(seed)
+  sharedRandom = createRandom(currentSeed)
+  return currentSeed
+}
+
+/**
+ * Get the seed of the shared generator (report it with scores and bug reports).
+ *
+ * @returns {number} 32-bit unsigned seed
+ */
+export function getSeed() {
+  return currentSeed
+}
+
+/**
+ * Random float in [0, 1) from the shared generator (replacement for Math.random()).
+ *
+ * @returns {number} Float in [0, 1)
+ */
+export function randomFloat() {
+  return sharedRandom()
+}
+
+/**
+ * Random float in [min, max).
+ *
+ * @param {number} min - Lower bound (inclusive)
+ * @param {number} max - Upper bound (exclusive)
+ * @returns {number} Float in [min, max)
+ */
+export function randomRange(min, max) {
+  return min + sharedRandom() * (max - min)
+}
+
+/**
+ * Random integer in [min, max).
+ *
+ * @param {number} min - Lower bound (inclusive)
+ * @param {number} max - Upper bound (exclusive)
+ * @returns {number} Integer in [min, max)
+ */
+export function randomInt(min, max) {
+  return min + Math.floor(sharedRandom() * (max - min))
+}
+
+/**
+ * Random element of an array.
+ *
+ * @param {Array} array - Non-empty array
+ * @returns {*} One element
+ */
+export function randomChoice(array) {
+  return array[Math.floor(sharedRandom() * array.length)]
+}
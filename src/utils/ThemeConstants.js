@@ -3,6 +3,7 @@
  *
  * Single source of truth for all theme colors across the application.
  * Used by ThemeReceiver, game-wrapper, and all theme-aware components.
+ * Palette theme files (PaletteTheme.js) override these values in place at startup.
  *
  * @author Game of Life Arcade
  * @license ISC
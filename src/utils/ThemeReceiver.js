@@ -2,7 +2,8 @@
  * ThemeReceiver - Listen for theme changes via postMessage
  *
  * Games use this to receive theme updates from the installation
- * and update their backgrounds accordingly
+ * and update their backgrounds accordingly. Accessibility profile changes
+ * arrive the same way (recoloring GRADIENT_PRESETS and THEME_COLORS).
  *
  * @author Game of Life Arcade
  * @license ISC
@@ -10,9 +11,12 @@
 
 import { getBackgroundColor as getBgColor, getTextColorRgb } from './ThemeConstants.js'
 import { debugLog } from './Logger.js'
+import { isAccessibilityProfile, setAccessibilityProfile, setAccessibilityTheme, getProfileFromURL } from './AccessibilityProfiles.js'
 
 /**
  * Initialize theme receiver for a game
+ * (also called again with the current theme when the accessibility profile changes,
+ * so games can refresh colors they cached)
  * @param {function} onThemeChange - Callback when theme changes: (theme) => void
  * @returns {function} cleanup function
  */
@@ -20,21 +24,45 @@ export function initThemeReceiver(onThemeChange) {
   // Read initial theme from URL (passed by GameScreen)
   const urlParams = new URLSearchParams(window.location.search)
   const initialTheme = urlParams.get('theme') || 'day'
+  let currentTheme = null
+
+  const applyTheme = (theme) => {
+    currentTheme = theme
+    setAccessibilityTheme(theme)  // High-contrast colors depend on the theme
+    onThemeChange(theme)
+  }
+
+  // Accessibility profile from URL (forwarded by GameScreen)
+  const initialProfile = getProfileFromURL()
+  if (initialProfile) {
+    setAccessibilityProfile(initialProfile)
+  }
 
   // Apply initial theme immediately (before first draw)
   if (initialTheme === 'day' || initialTheme === 'night') {
     debugLog(`ThemeReceiver: Applying initial theme from URL: "${initialTheme}"`)
-    onThemeChange(initialTheme)
+    applyTheme(initialTheme)
   }
 
-  // Listen for theme changes via postMessage
+  // Listen for theme and accessibility profile changes via postMessage
   const handler = (event) => {
     // Only accept messages with themeChange type
     if (event.data && event.data.type === 'themeChange') {
       const theme = event.data.payload?.theme
       if (theme === 'day' || theme === 'night') {
         debugLog(`ThemeReceiver: Received theme "${theme}"`)
-        onThemeChange(theme)
+        applyTheme(theme)
+      }
+    }
+
+    if (event.data && event.data.type === 'accessibilityProfileChange') {
+      const profile = event.data.payload?.profile
+      if (isAccessibilityProfile(profile)) {
+        debugLog(`ThemeReceiver: Received accessibility profile "${profile}"`)
+        setAccessibilityProfile(profile)
+        if (currentTheme) {
+          onThemeChange(currentTheme)
+        }
       }
     }
   }
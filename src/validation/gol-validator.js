@@ -6,6 +6,19 @@
  */
 
 import { GoLEngine } from '../core/GoLEngine.js'
+import { CONWAY_RULE, isConwayRule } from '../core/Rules.js'
+
+/**
+ * Marker comment/string a game uses to declare it runs pure Conway's Life.
+ * Matches "Pure Conway" and "Pure GoL" (case-insensitive).
+ */
+const PURE_CONWAY_DECLARATION = /pure\s+(conway|gol)/i
+
+/**
+ * Matches quoted B/S rulestrings in source code ('B36/S23', "b2/s", 'B2/S/C3').
+ * Digit-only S/B literals ("23/3") are skipped to avoid matching fractions.
+ */
+const RULESTRING_LITERAL = /['"`]([BS]\d*\/[BS]\d*(?:\/C\d+)?)['"`]/gi
 
 /**
  * GoL Validator - ensures games use Conway's Game of Life correctly.
@@ -52,6 +65,15 @@ export class GoLValidator {
       errors.push('⚠️  Game should have either GoLBackground or clean solid background')
     }
 
+    // Check 5: Pure Conway games must not select another Life-like rule
+    if (PURE_CONWAY_DECLARATION.test(gameCode)) {
+      const rulestrings = [...gameCode.matchAll(RULESTRING_LITERAL)].map(match => match[1])
+      const nonConway = rulestrings.filter(rule => !isConwayRule(rule))
+      if (nonConway.length > 0) {
+        errors.push(`❌ Pure Conway games must use ${CONWAY_RULE} (found "${nonConway[0]}")`)
+      }
+    }
+
     return {
       valid: errors.length === 0,
       errors
@@ -72,6 +94,14 @@ export class GoLValidator {
    * }
    */
   static validateRuntime(golEngine) {
+    // Test 0: Engine must be configured with B3/S23 (engines may run other Life-like rules)
+    if (typeof golEngine.getRule === 'function' && golEngine.getRule() !== CONWAY_RULE) {
+      return {
+        valid: false,
+        error: `❌ GoL engine rule is ${golEngine.getRule()}, expected ${CONWAY_RULE}`
+      }
+    }
+
     // Test 1: BLINKER pattern (most reliable test)
     // Vertical blinker should become horizontal after 1 generation
 
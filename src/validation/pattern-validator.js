@@ -0,0 +1,281 @@
+/**
+ * Pattern Validator - checks PatternCatalog metadata against real B3/S23 evolution.
+ *
+ * Every catalog entry is simulated with GoLEngine and its declared period,
+ * displacement and category are compared with what actually happens:
+ *
+ * - Still lifes, oscillators, spaceships: detectCycle() must report the declared
+ *   period and displacement, starting at generation 0 (the stored phase is on
+ *   the cycle, so LoopPatternHelpers resets at the right phase)
+ * - Guns and puffers: after one period, the pattern's bounding box (moved by
+ *   the displacement) must repeat every period, and the population must grow
+ * - Methuselahs: must not be periodic from generation 0
+ *
+ * Runs in the browser or under Node:
+ *   node src/validation/pattern-validator.js
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { GoLEngine } from '../core/GoLEngine.js'
+import { CYCLE_TYPE } from '../core/CycleDetector.js'
+import { Patterns, PatternCatalog, PatternCategory } from '../utils/Patterns.js'
+
+/**
+ * Cycle type expected for each periodic category.
+ */
+const EXPECTED_CYCLE_TYPE = {
+  [PatternCategory.STILL_LIFE]: CYCLE_TYPE.STILL_LIFE,
+  [PatternCategory.OSCILLATOR]: CYCLE_TYPE.OSCILLATOR,
+  [PatternCategory.SPACESHIP]: CYCLE_TYPE.SPACESHIP
+}
+
+/**
+ * Longest period searched for when checking that methuselahs are not periodic.
+ */
+const METHUSELAH_MAX_PERIOD = 64
+
+/**
+ * Pattern Validator - ensures catalog metadata matches the simulation.
+ */
+export class PatternValidator {
+  /**
+   * Validate one catalog pattern.
+   *
+   * @param {string} name - Pattern name (key of PatternCatalog)
+   * @returns {{name: string, valid: boolean, errors: string[],
+   *   measured: {period: number|null, displacement: number[]|null}}} Validation result
+   *
+   * @example
+   * const result = PatternValidator.validatePattern('PULSAR')
+   * // { name: 'PULSAR', valid: true, errors: [], measured: { period: 3, displacement: [0, 0] } }
+   */
+  static validatePattern(name) {
+    const entry = PatternCatalog[name]
+    if (!entry) {
+      return {
+        name,
+        valid: false,
+        errors: [`❌ ${name}: not in PatternCatalog`],
+        measured: { period: null, displacement: null }
+      }
+    }
+
+    let result
+    if (EXPECTED_CYCLE_TYPE[entry.category]) {
+      result = validateCycle(name, entry)
+    } else if (entry.category === PatternCategory.GUN || entry.category === PatternCategory.PUFFER) {
+      result = validateEmitter(name, entry)
+    } else if (entry.category === PatternCategory.METHUSELAH) {
+      result = validateMethuselah(name)
+    } else {
+      result = {
+        errors: [`❌ ${name}: unknown category "${entry.category}"`],
+        measured: { period: null, displacement: null }
+      }
+    }
+
+    return { name, valid: result.errors.length === 0, ...result }
+  }
+
+  /**
+   * Validate every catalog pattern.
+   *
+   * @returns {{valid: boolean, errors: string[], results: object[]}} Validation result
+   *   (results holds one validatePattern() result per pattern)
+   *
+   * @example
+   * const report = PatternValidator.validateAll()
+   * if (!report.valid) {
+   *   console.error('Pattern metadata mismatches:', report.errors)
+   * }
+   */
+  static validateAll() {
+    const results = Object.keys(PatternCatalog).map(name => this.validatePattern(name))
+    const errors = results.flatMap(result => result.errors)
+    return { valid: errors.length === 0, errors, results }
+  }
+
+  /**
+   * Format a validateAll() report as text (one line per pattern).
+   *
+   * @param {{results: object[]}} report - Report from validateAll()
+   * @returns {string} Report text
+   */
+  static formatReport(report) {
+    const lines = report.results.map(result => {
+      if (!result.valid) {
+        return result.errors.join('\n')
+      }
+      const { period, displacement } = result.measured
+      const motion = displacement && (displacement[0] || displacement[1])
+        ? `, moves (${displacement[0]}, ${displacement[1]})`
+        : ''
+      return `✅ ${result.name}: ${period ? `period ${period}` : 'aperiodic'}${motion}`
+    })
+
+    const failed = report.results.filter(result => !result.valid).length
+    lines.push(failed === 0
+      ? `All ${report.results.length} patterns match their metadata`
+      : `${failed} of ${report.results.length} patterns do not match their metadata`)
+    return lines.join('\n')
+  }
+}
+
+/**
+ * Check a still life, oscillator or spaceship with detectCycle().
+ *
+ * @private
+ */
+function validateCycle(name, entry) {
+  const errors = []
+  const pattern = Patterns[name]
+  const maxPeriod = entry.period * 2
+
+  // Margin: room for a c-speed ship to travel for the whole search (2 × maxPeriod)
+  const engine = createEngine(pattern, maxPeriod * 2 + 2)
+  const cycle = engine.detectCycle(maxPeriod)
+
+  if (!cycle) {
+    errors.push(`❌ ${name}: no cycle found within ${maxPeriod} generations (declared period ${entry.period})`)
+    return { errors, measured: { period: null, displacement: null } }
+  }
+
+  const displacement = [cycle.dx, cycle.dy]
+  if (cycle.period !== entry.period) {
+    errors.push(`❌ ${name}: period is ${cycle.period}, metadata says ${entry.period}`)
+  }
+  if (cycle.dx !== entry.displacement[0] || cycle.dy !== entry.displacement[1]) {
+    errors.push(`❌ ${name}: displacement is (${cycle.dx}, ${cycle.dy}), metadata says (${entry.displacement.join(', ')})`)
+  }
+  if (cycle.type !== EXPECTED_CYCLE_TYPE[entry.category]) {
+    errors.push(`❌ ${name}: behaves as ${cycle.type}, metadata says ${entry.category}`)
+  }
+  if (cycle.startGeneration !== 0) {
+    errors.push(`❌ ${name}: stored phase is not on the cycle (cycle starts at generation ${cycle.startGeneration})`)
+  }
+
+  return { errors, measured: { period: cycle.period, displacement } }
+}
+
+/**
+ * Check a gun or puffer: once running, the pattern's own bounding box repeats
+ * every period (moved by the displacement) while the population grows.
+ *
+ * @private
+ */
+function validateEmitter(name, entry) {
+  const errors = []
+  const { period, displacement } = entry
+  const pattern = Patterns[name]
+  const generations = period * 3
+
+  // Margin: emitted gliders (and the puffer itself) must stay clear of the edges
+  const margin = Math.max(...displacement.map(Math.abs)) * 3 + period + 8
+  const engine = createEngine(pattern, margin)
+  const box = { x: margin, y: margin, width: pattern[0].length, height: pattern.length }
+
+  const frames = [copyGrid(engine)]
+  const startPopulation = engine.countAliveCells()
+  for (let generation = 1; generation <= generations; generation++) {
+    engine.update()
+    frames.push(copyGrid(engine))
+  }
+
+  // Skip the first period (puffer debris and gun streams start inside the box),
+  // then the box must match after one and two more periods
+  const [bx, by] = displacement
+  const repeats = (p, [dx, dy]) =>
+    sameBox(frames[period], frames[period + p], box, [bx, by], [bx + dx, by + dy]) &&
+    sameBox(frames[period + p], frames[period + p * 2], box, [bx + dx, by + dy], [bx + dx * 2, by + dy * 2])
+
+  if (!repeats(period, displacement)) {
+    errors.push(`❌ ${name}: does not repeat after ${period} generations with displacement (${displacement.join(', ')})`)
+  } else {
+    // Declared period must be the smallest one
+    for (let p = 1; p < period; p++) {
+      if (period % p !== 0) continue
+      const scaled = displacement.map(d => d * p / period)
+      if (scaled.every(Number.isInteger) && repeats(p, scaled)) {
+        errors.push(`❌ ${name}: period is ${p}, metadata says ${period}`)
+        break
+      }
+    }
+  }
+
+  if (engine.countAliveCells() <= startPopulation) {
+    errors.push(`❌ ${name}: population does not grow (${startPopulation} → ${engine.countAliveCells()}), not a ${entry.category}`)
+  }
+
+  return { errors, measured: { period: errors.length === 0 ? period : null, displacement } }
+}
+
+/**
+ * Check that a methuselah is not periodic from its first generation.
+ *
+ * @private
+ */
+function validateMethuselah(name) {
+  const errors = []
+  const engine = createEngine(Patterns[name], METHUSELAH_MAX_PERIOD * 2)
+  const cycle = engine.detectCycle(METHUSELAH_MAX_PERIOD)
+
+  if (cycle && cycle.startGeneration === 0) {
+    errors.push(`❌ ${name}: is a period-${cycle.period} ${cycle.type}, metadata says methuselah`)
+  }
+  return { errors, measured: { period: null, displacement: null } }
+}
+
+/**
+ * Create an engine with the pattern placed `margin` cells from every edge.
+ *
+ * @private
+ */
+function createEngine(pattern, margin) {
+  const width = pattern[0] ? pattern[0].length : 0
+  const engine = new GoLEngine(width + margin * 2, pattern.length + margin * 2, 0)
+  engine.setPattern(pattern, margin, margin)
+  return engine
+}
+
+/**
+ * Copy the engine grid (column-major).
+ *
+ * @private
+ */
+function copyGrid(engine) {
+  return engine.current.map(column => Uint8Array.from(column))
+}
+
+/**
+ * Compare a box in two frames, each moved by its own offset.
+ *
+ * @private
+ * @param {Uint8Array[]} before - Earlier frame (column-major)
+ * @param {Uint8Array[]} after - Later frame (column-major)
+ * @param {object} box - { x, y, width, height } at generation 0
+ * @param {number[]} from - [dx, dy] offset of the box in `before`
+ * @param {number[]} to - [dx, dy] offset of the box in `after`
+ * @returns {boolean} True if every cell matches
+ */
+function sameBox(before, after, box, [fx, fy], [tx, ty]) {
+  for (let x = 0; x < box.width; x++) {
+    for (let y = 0; y < box.height; y++) {
+      const a = before[box.x + fx + x]?.[box.y + fy + y] || 0
+      const b = after[box.x + tx + x]?.[box.y + ty + y] || 0
+      if (a !== b) return false
+    }
+  }
+  return true
+}
+
+// Command line: node src/validation/pattern-validator.js
+if (typeof process !== 'undefined' && process.argv?.[1]) {
+  const { pathToFileURL } = await import('url')
+  if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const report = PatternValidator.validateAll()
+    console.log(PatternValidator.formatReport(report))
+    process.exitCode = report.valid ? 0 : 1
+  }
+}